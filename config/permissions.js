@@ -0,0 +1,96 @@
+// Role and permission model.
+//
+// Every user has one base role (customer | professional | admin). Admins also
+// carry zero or more admin sub-roles; an admin with none is a super admin, which
+// keeps accounts created before sub-roles existed fully working.
+// Routes check named permissions (see requirePermission in authMiddleware)
+// rather than roles, so a new sub-role only needs an entry here.
+
+const ROLES = ["customer", "professional", "admin"];
+const ADMIN_ROLES = ["super_admin", "moderator", "finance", "support"];
+
+const PERMISSIONS = {
+  ADMIN_DASHBOARD: "admin:dashboard",
+  VERIFICATION_SUBMIT: "verification:submit",
+  VERIFICATION_APPROVE: "verification:approve",
+  REVIEW_VERIFY: "review:verify",
+  SERVICE_WRITE: "service:write",
+  JOB_MODERATE: "job:moderate",
+  BOOKING_MODERATE: "booking:moderate",
+  PAYMENT_REFUND: "payment:refund",
+  PAYMENT_READ_ALL: "payment:read_all",
+  PAYOUT_REQUEST: "payout:request",
+  PAYOUT_APPROVE: "payout:approve",
+  USER_MANAGE_ROLES: "user:manage_roles",
+  SECURITY_READ: "security:read",
+  SECURITY_MANAGE: "security:manage",
+  DISPUTE_RESOLVE: "dispute:resolve",
+  TASK_MANAGE: "task:manage",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  professional: [PERMISSIONS.VERIFICATION_SUBMIT, PERMISSIONS.PAYOUT_REQUEST],
+  admin: [PERMISSIONS.ADMIN_DASHBOARD],
+};
+
+const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: ALL_PERMISSIONS,
+  moderator: [
+    PERMISSIONS.VERIFICATION_APPROVE,
+    PERMISSIONS.REVIEW_VERIFY,
+    PERMISSIONS.SERVICE_WRITE,
+    PERMISSIONS.JOB_MODERATE,
+    PERMISSIONS.BOOKING_MODERATE,
+    PERMISSIONS.DISPUTE_RESOLVE,
+  ],
+  finance: [PERMISSIONS.PAYMENT_REFUND, PERMISSIONS.PAYMENT_READ_ALL, PERMISSIONS.PAYOUT_APPROVE],
+  support: [
+    PERMISSIONS.PAYMENT_READ_ALL,
+    PERMISSIONS.SECURITY_READ,
+    PERMISSIONS.SECURITY_MANAGE,
+    PERMISSIONS.DISPUTE_RESOLVE,
+    PERMISSIONS.TASK_MANAGE,
+  ],
+};
+
+/**
+ * Effective admin sub-roles: admins without any are super admins
+ * @param {{ role: string, adminRoles?: string[] }} user
+ * @returns {string[]}
+ */
+const getAdminRoles = (user) => {
+  if (user?.role !== "admin") return [];
+  return user.adminRoles?.length ? [...user.adminRoles] : ["super_admin"];
+};
+
+/**
+ * All permissions granted to a user
+ * @param {{ role: string, adminRoles?: string[] }} user
+ * @returns {string[]}
+ */
+const getPermissions = (user) => {
+  const granted = new Set(ROLE_PERMISSIONS[user?.role] || []);
+  getAdminRoles(user).forEach((adminRole) => (ADMIN_ROLE_PERMISSIONS[adminRole] || []).forEach((p) => granted.add(p)));
+  return [...granted];
+};
+
+/**
+ * @param {{ role: string, adminRoles?: string[] }} user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = {
+  ROLES,
+  ADMIN_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  getAdminRoles,
+  getPermissions,
+  hasPermission,
+};
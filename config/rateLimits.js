@@ -0,0 +1,24 @@
+// Rate-limit policies per route group (see middleware/rateLimiter.js).
+//
+// Each policy allows `max` requests per `windowMs` per client. Clients are keyed
+// by user id when the request carries a valid access token and by IP otherwise.
+// Development gets ten times the production limits.
+
+const isDevelopment = process.env.NODE_ENV !== "production";
+const scale = (max) => (isDevelopment ? max * 10 : max);
+
+const MINUTE = 60 * 1000;
+
+const RATE_LIMIT_POLICIES = {
+  // Every API request
+  global: { windowMs: 15 * MINUTE, max: scale(100) },
+  // Login, registration, password reset and second-factor checks
+  auth: { windowMs: 15 * MINUTE, max: scale(20) },
+  // Anything that sends an SMS or email code
+  otpSend: { windowMs: 60 * MINUTE, max: scale(5) },
+  jobPost: { windowMs: 60 * MINUTE, max: scale(10) },
+  messaging: { windowMs: MINUTE, max: scale(30) },
+  upload: { windowMs: 15 * MINUTE, max: scale(20) },
+};
+
+module.exports = { RATE_LIMIT_POLICIES };
@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Booking = require("../models/Booking");
 const Professional = require("../models/Professional");
@@ -6,6 +7,12 @@ const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 const Review = require("../models/Review");
 const Connection = require("../models/Connection");
+const LoginAttempt = require("../models/LoginAttempt");
+const DeadLetterTask = require("../models/DeadLetterTask");
+const { ROLES, ADMIN_ROLES, getAdminRoles, getPermissions } = require("../config/permissions");
+const { unlockAccount } = require("../utils/bruteForceService");
+const { TaskQueueError, getQueueStats, retryDeadLetter } = require("../utils/taskQueue");
+const { listSchedules } = require("../utils/scheduler");
 
 exports.getPendingVerifications = async (req, res, next) => {
   try {
@@ -232,3 +239,148 @@ exports.getPublicAdminStats = async (req, res, next) => {
   }
 };
 
+
+// Change a user's base role and admin sub-roles. Their current access tokens stop
+// working and pick up the new permissions on the next refresh.
+exports.updateUserRoles = async (req, res, next) => {
+  try {
+    const { role, adminRoles } = req.body;
+    if (role != null && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+    }
+    if (adminRoles != null && (!Array.isArray(adminRoles) || adminRoles.some((r) => !ADMIN_ROLES.includes(r)))) {
+      return res.status(400).json({ message: `adminRoles must be a list of: ${ADMIN_ROLES.join(", ")}` });
+    }
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot change your own roles" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (role != null) user.role = role;
+    if (user.role !== "admin") {
+      user.adminRoles = undefined;
+    } else if (adminRoles != null) {
+      user.adminRoles = [...new Set(adminRoles)];
+    }
+    await user.save();
+
+    res.json({ id: user._id, role: user.role, adminRoles: getAdminRoles(user), permissions: getPermissions(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Authentication attempt history, newest first. Filters: user, identifier, ip, kind, success, since
+exports.getLoginAttempts = async (req, res, next) => {
+  try {
+    const { user, identifier, ip, kind, success, since } = req.query;
+    const filter = {};
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) return res.status(400).json({ message: "Invalid user id" });
+      filter.user = user;
+    }
+    if (identifier) filter.identifier = String(identifier).trim().toLowerCase();
+    if (ip) filter.ip = String(ip);
+    if (kind) {
+      if (!LoginAttempt.schema.path("kind").enumValues.includes(kind)) return res.status(400).json({ message: "Invalid kind" });
+      filter.kind = kind;
+    }
+    if (success === "true" || success === "false") filter.success = success === "true";
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) return res.status(400).json({ message: "Invalid since date" });
+      filter.createdAt = { $gte: sinceDate };
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate("user", "name email role")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginAttempt.countDocuments(filter),
+    ]);
+
+    res.json({ attempts, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lift a temporary lockout before it expires
+exports.unlockUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid user id" });
+    const found = await unlockAccount(req.params.id);
+    if (!found) return res.status(404).json({ message: "User not found" });
+    res.json({ message: "Account unlocked" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Background task queue: tasks per name and status, the cron schedules and how many tasks are dead-lettered
+exports.getTaskQueue = async (req, res, next) => {
+  try {
+    const [tasks, deadLetters] = await Promise.all([
+      getQueueStats(),
+      DeadLetterTask.countDocuments({ retriedAt: null }),
+    ]);
+    res.json({ tasks, schedules: listSchedules(), deadLetters });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Tasks that failed every attempt, newest first. Filters: name, retried
+exports.getDeadLetterTasks = async (req, res, next) => {
+  try {
+    const { name, retried } = req.query;
+    const filter = {};
+    if (name) filter.name = String(name);
+    if (retried === "true") filter.retriedAt = { $ne: null };
+    if (retried === "false") filter.retriedAt = null;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const [tasks, total] = await Promise.all([
+      DeadLetterTask.find(filter)
+        .sort({ failedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeadLetterTask.countDocuments(filter),
+    ]);
+
+    res.json({ tasks, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Put a dead-lettered task back on the queue
+exports.retryDeadLetterTask = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid task id" });
+    const { deadLetter, task } = await retryDeadLetter(req.params.id);
+    res.json({ message: "Task queued again", deadLetter, task });
+  } catch (err) {
+    if (err instanceof TaskQueueError) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+// Discard a dead-lettered task
+exports.deleteDeadLetterTask = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid task id" });
+    const deleted = await DeadLetterTask.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: "Dead-letter task not found" });
+    res.json({ message: "Task discarded" });
+  } catch (err) {
+    next(err);
+  }
+};
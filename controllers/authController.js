@@ -1,15 +1,67 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const User = require("../models/User");
 const Professional = require("../models/Professional");
 const { reverseGeocode } = require("../utils/locationService");
 const { sendMail } = require("../utils/mailer");
-
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  SessionError,
+} = require("../utils/sessionService");
+const { startLoginChallenge, requiresTwoFactorSetup } = require("../utils/twoFactorService");
+const {
+  AuthThrottleError,
+  assertNotThrottled,
+  assertRequestQuota,
+  recordAttempt,
+  getActiveLockout,
+  registerFailedLogin,
+  clearFailedLogins,
+  sendThrottled,
+} = require("../utils/bruteForceService");
+const { issueNonce, verifyIdToken, OidcError, PROVIDER_NAMES } = require("../utils/oidcService");
+
+const lockedError = (lockedUntil) =>
+  new AuthThrottleError("Account temporarily locked after too many failed attempts", (lockedUntil - Date.now()) / 1000, 423);
+
+// Placeholder profile for a new professional, completed later through the professional form
+const createProfessionalProfile = async (user) => {
+  await Professional.create({
+    user: user._id,
+    name: user.name,
+    email: user.email,
+    isActive: true,
+    // Default values - can be updated later through the professional form
+    category: 'General',
+    bio: 'Professional profile - please complete your profile',
+    hourlyRate: 0,
+    location: {
+      address: 'Location not set',
+      coordinates: { lat: 0, lng: 0 }
+    }
   });
+  console.log('✅ Professional document created for user:', user._id);
+};
+
+// Second step: 2FA users verify a code, admins without 2FA must enrol first
+const sendLoginResponse = async (user, req, res, status = 200) => {
+  if (user.twoFactor?.enabled || requiresTwoFactorSetup(user)) {
+    const challenge = await startLoginChallenge(user, req);
+    return res.status(status).json({
+      twoFactorRequired: challenge.purpose === "login",
+      twoFactorSetupRequired: challenge.purpose === "setup",
+      challengeToken: challenge.challengeToken,
+      method: challenge.method,
+      expiresIn: challenge.expiresIn,
+    });
+  }
+
+  const tokens = await createSession(user, req);
+  return res.status(status).json({ user: user.toSafeJSON(), ...tokens });
 };
 
 exports.register = async (req, res, next) => {
@@ -20,6 +72,11 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: "Name, email and password are required" });
     }
 
+    // Staff accounts are only created through role management, never by self sign-up
+    if (role != null && !["customer", "professional"].includes(role)) {
+      return res.status(400).json({ message: "role must be customer or professional" });
+    }
+
     const existing = await User.findOne({ email });
     if (existing) {
       return res.status(409).json({ message: "Email already in use" });
@@ -57,26 +114,12 @@ exports.register = async (req, res, next) => {
     
     // If user is registering as a professional, create a Professional document
     if (role === 'professional') {
-      await Professional.create({
-        user: user._id,
-        name: name,
-        email: email,
-        isActive: true,
-        // Default values - can be updated later through the professional form
-        category: 'General',
-        bio: 'Professional profile - please complete your profile',
-        hourlyRate: 0,
-        location: {
-          address: 'Location not set',
-          coordinates: { lat: 0, lng: 0 }
-        }
-      });
-      console.log('✅ Professional document created for user:', user._id);
+      await createProfessionalProfile(user);
     }
     
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req);
 
-    return res.status(201).json({ user: user.toSafeJSON(), token });
+    return res.status(201).json({ user: user.toSafeJSON(), ...tokens });
   } catch (err) {
     next(err);
   }
@@ -89,16 +132,33 @@ exports.login = async (req, res, next) => {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
+    // Delays apply per email whether or not the account exists
+    const attempt = await assertNotThrottled("password", email, req);
+
     const user = await User.findOne({ email }).select("+password");
     if (!user) {
+      await recordAttempt("password", email, { success: false, reason: "unknown_user", req, attempt });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const match = await bcrypt.compare(password, user.password);
+    const lockedUntil = getActiveLockout(user);
+    if (lockedUntil) {
+      await recordAttempt("password", email, { success: false, user: user._id, reason: "locked", req, attempt });
+      return sendThrottled(lockedError(lockedUntil), res, { lockedUntil });
+    }
+
+    // Accounts created through social sign-in may have no password yet
+    const match = !!user.password && (await bcrypt.compare(password, user.password));
     if (!match) {
+      await recordAttempt("password", email, { success: false, user: user._id, reason: "bad_password", req, attempt });
+      const nowLockedUntil = await registerFailedLogin(user, req);
+      if (nowLockedUntil) return sendThrottled(lockedError(nowLockedUntil), res, { lockedUntil: nowLockedUntil });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
+    await recordAttempt("password", email, { success: true, user: user._id, req, attempt });
+    await clearFailedLogins(user);
+
     // Update location if provided
     if (latitude && longitude) {
       try {
@@ -119,8 +179,228 @@ exports.login = async (req, res, next) => {
       }
     }
 
-    const token = generateToken(user._id);
-    return res.json({ user: user.toSafeJSON(), token });
+    return sendLoginResponse(user, req, res);
+  } catch (err) {
+    if (err instanceof AuthThrottleError) return sendThrottled(err, res);
+    next(err);
+  }
+};
+
+// Nonce to pass to the provider; the ID token sent to oidcSignIn must carry it
+exports.getOidcNonce = async (req, res, next) => {
+  try {
+    return res.json(await issueNonce());
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Sign in (or sign up) with a Google or Apple ID token. An existing account with
+// the same email is linked when the provider has verified that email. If the
+// account never verified its email, whoever set its password may not own the
+// address, so that password, its sessions, its 2FA and other linked providers
+// are dropped on linking.
+exports.oidcSignIn = async (req, res, next) => {
+  try {
+    const { idToken, nonce, role, name } = req.body;
+    if (role != null && !["customer", "professional"].includes(role)) {
+      return res.status(400).json({ message: "role must be customer or professional" });
+    }
+
+    const identity = await verifyIdToken(req.params.provider, idToken, { nonce });
+
+    let user = await User.findOne({ authProviders: { $elemMatch: { provider: identity.provider, subject: identity.subject } } });
+    if (user) return sendLoginResponse(user, req, res);
+
+    if (!identity.email || !identity.emailVerified) {
+      return res.status(400).json({ message: "Your provider did not share a verified email address" });
+    }
+
+    user = await User.findOne({ email: identity.email }).select("+password");
+    if (user) {
+      const unverifiedPassword = !user.emailVerification?.isVerified && !!user.password;
+      if (!unverifiedPassword && user.authProviders.some((p) => p.provider === identity.provider)) {
+        return res.status(409).json({ message: `This account is linked to a different ${identity.provider} account` });
+      }
+      if (unverifiedPassword) {
+        user.password = undefined;
+        user.passwordUpdatedAt = new Date();
+        user.twoFactor = { enabled: false };
+        user.authProviders = [];
+        await revokeAllSessions(user._id, { reason: "password_changed", io: req.app.get("io") });
+      }
+      // The provider has verified the address
+      if (!user.emailVerification.isVerified) {
+        user.emailVerification.isVerified = true;
+        user.emailVerification.verifiedAt = new Date();
+      }
+      user.authProviders.push({ provider: identity.provider, subject: identity.subject, email: identity.email });
+      await user.save();
+      return sendLoginResponse(user, req, res);
+    }
+
+    user = await User.create({
+      name: String(name || identity.name || identity.email.split("@")[0]).trim(),
+      email: identity.email,
+      role,
+      emailVerification: { isVerified: true, verifiedAt: new Date() },
+      authProviders: [{ provider: identity.provider, subject: identity.subject, email: identity.email }],
+    });
+    if (role === "professional") {
+      await createProfessionalProfile(user);
+    }
+    return sendLoginResponse(user, req, res, 201);
+  } catch (err) {
+    if (err instanceof OidcError) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+exports.getAuthProviders = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    return res.json({
+      providers: user.authProviders.map((p) => ({ provider: p.provider, email: p.email, linkedAt: p.linkedAt })),
+      hasPassword: !!user.password,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Link a provider to the logged-in account
+exports.linkAuthProvider = async (req, res, next) => {
+  try {
+    const identity = await verifyIdToken(req.params.provider, req.body.idToken, { nonce: req.body.nonce });
+
+    const owner = await User.findOne({ authProviders: { $elemMatch: { provider: identity.provider, subject: identity.subject } } });
+    if (owner) {
+      if (String(owner._id) === String(req.user.id)) return res.status(400).json({ message: "Already linked" });
+      return res.status(409).json({ message: `This ${identity.provider} account is linked to another user` });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.authProviders.some((p) => p.provider === identity.provider)) {
+      return res.status(400).json({ message: `Unlink your current ${identity.provider} account first` });
+    }
+    user.authProviders.push({ provider: identity.provider, subject: identity.subject, email: identity.email });
+    await user.save();
+    return res.json({ message: "Account linked", provider: identity.provider });
+  } catch (err) {
+    if (err instanceof OidcError) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+// Unlink a provider; refused when it is the only way left to sign in
+exports.unlinkAuthProvider = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    if (!PROVIDER_NAMES.includes(provider)) return res.status(400).json({ message: "Unsupported sign-in provider" });
+
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.authProviders.some((p) => p.provider === provider)) {
+      return res.status(404).json({ message: "Provider not linked" });
+    }
+    if (!user.password && user.authProviders.length === 1) {
+      return res.status(400).json({ message: "Set a password before unlinking your only sign-in method" });
+    }
+
+    user.authProviders = user.authProviders.filter((p) => p.provider !== provider);
+    await user.save();
+    return res.json({ message: "Account unlinked", provider });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// First password for an account created through social sign-in
+exports.setPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters long" });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.password) {
+      return res.status(400).json({ message: "A password is already set, use change password instead" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordUpdatedAt = new Date();
+    await user.save();
+    return res.json({ success: true, message: "Password set. You can now also log in with your email." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken required" });
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    return res.json(tokens);
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// Log out of the current session
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.user.id, req.user.sessionId, { reason: "logout", io: req.app.get("io") });
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Log out everywhere, including this device
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { reason: "logout_all", io: req.app.get("io") });
+    return res.json({ message: "Logged out of all sessions", revoked });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    return res.json({
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.user.sessionId),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id, { reason: "revoked", io: req.app.get("io") });
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+    return res.json({ message: "Session revoked" });
   } catch (err) {
     next(err);
   }
@@ -144,8 +424,12 @@ exports.forgotPassword = async (req, res, next) => {
       return res.status(400).json({ message: "Email is required" });
     }
 
+    // Same quota for unknown emails, so a 429 reveals nothing about the account
+    await assertRequestQuota("password_reset_request", email, req);
+
     // Find user by email (don't select password)
     const user = await User.findOne({ email });
+    await recordAttempt("password_reset_request", email, { success: !!user, user: user?._id, req });
 
     // Always return success to prevent email enumeration
     if (!user) {
@@ -305,6 +589,7 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
   } catch (err) {
+    if (err instanceof AuthThrottleError) return sendThrottled(err, res);
     next(err);
   }
 };
@@ -322,6 +607,9 @@ exports.resetPassword = async (req, res, next) => {
       return res.status(400).json({ message: "Password must be at least 6 characters long" });
     }
 
+    // Token guessing is throttled per IP
+    const attempt = await assertNotThrottled("password_reset", req.ip, req);
+
     // Hash the token to compare with stored hash
     const resetTokenHash = crypto.createHash("sha256").update(token).digest("hex");
 
@@ -332,8 +620,10 @@ exports.resetPassword = async (req, res, next) => {
     }).select("+password +resetPasswordToken +resetPasswordExpires");
 
     if (!user) {
+      await recordAttempt("password_reset", req.ip, { success: false, reason: "invalid_token", req, attempt });
       return res.status(400).json({ message: "Invalid or expired reset token" });
     }
+    await recordAttempt("password_reset", req.ip, { success: true, user: user._id, req, attempt });
 
     // Hash the new password
     const salt = await bcrypt.genSalt(10);
@@ -344,13 +634,19 @@ exports.resetPassword = async (req, res, next) => {
     user.passwordUpdatedAt = new Date();
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Proving control of the mailbox lifts a lockout
+    user.lockout = { failedAttempts: 0, lockCount: 0 };
     await user.save();
 
+    // Anyone holding the old credentials is signed out
+    await revokeAllSessions(user._id, { reason: "password_changed", io: req.app.get("io") });
+
     return res.json({ 
       success: true, 
       message: "Password has been reset successfully. You can now login with your new password." 
     });
   } catch (err) {
+    if (err instanceof AuthThrottleError) return sendThrottled(err, res);
     next(err);
   }
 };
@@ -3,15 +3,69 @@ const mongoose = require("mongoose");
 const { sendMail } = require("../utils/mailer");
 const User = require("../models/User");
 const Professional = require("../models/Professional");
+const { RecurrenceError, parseRecurrence, startSeries } = require("../utils/recurrenceService");
+const {
+  ScheduleError,
+  DEFAULT_WEEKLY_HOURS,
+  parseSchedule,
+  parseTimeOff,
+  getEffectiveSchedule,
+  getAvailableSlots,
+  assertWithinSchedule,
+} = require("../utils/scheduleService");
+const {
+  buildBookingInvite,
+  issueFeedToken,
+  revokeFeedToken,
+  findProfessionalByFeedToken,
+  buildProfessionalFeed,
+} = require("../utils/calendarService");
+const {
+  BookingPolicyError,
+  parseCancellationPolicy,
+  getCancellationPolicy,
+  getBookingCancellationPolicy,
+  getCancellationFee,
+  getBookingForUser,
+  changeBookingStatus,
+  rescheduleBooking,
+} = require("../utils/bookingPolicyService");
+const { recordBookingEvent, getBookingTimeline } = require("../utils/bookingTimelineService");
+const {
+  WaitlistError,
+  joinWaitlist,
+  listCustomerEntries,
+  listProfessionalWaitlist,
+  getEntryForCustomer,
+  findActiveHold,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+} = require("../utils/waitlistService");
+
+const handleBookingError = (err, res, next) => {
+  if (err instanceof ScheduleError || err instanceof BookingPolicyError || err instanceof WaitlistError) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+  next(err);
+};
 
 exports.createBooking = async (req, res, next) => {
   try {
-    const { professional, service, date, durationMinutes, price, notes, address, city } = req.body;
+    const { professional, service, date, durationMinutes, price, notes, address, city, recurrence } = req.body;
     if (!professional || !date || !durationMinutes || price == null) {
       return res.status(400).json({ message: "professional, date, durationMinutes, price are required" });
     }
     const start = new Date(date);
+    if (Number.isNaN(start.getTime())) return res.status(400).json({ message: "Invalid date" });
     const end = new Date(start.getTime() + Number(durationMinutes) * 60000);
+    // Optional: repeat the booking (see utils/recurrenceService.js)
+    try {
+      parseRecurrence(recurrence, { startAt: start });
+    } catch (e) {
+      if (e instanceof RecurrenceError) return res.status(e.status).json({ message: e.message });
+      throw e;
+    }
     const data = {
       customer: req.user.id,
       professional,
@@ -29,15 +83,28 @@ exports.createBooking = async (req, res, next) => {
     // Overlap check: existing bookings where (start < newEnd) and (end > newStart)
     const overlapping = await Booking.findOne({
       professional,
-      status: { $in: ["pending", "confirmed"] },
+      status: { $in: ["pending", "confirmed", "disputed"] },
       date: { $lt: end },
       endAt: { $gt: start },
     });
-    if (overlapping) {
-      return res.status(409).json({ message: "Time slot not available" });
+    // Slots held for a waitlisted customer count as taken (see utils/waitlistService.js)
+    if (overlapping || (await findActiveHold(professional, start, end, { customer: req.user.id }))) {
+      return res.status(409).json({ message: "Time slot not available", canJoinWaitlist: true });
+    }
+    // Working hours, breaks, time off and buffer (see utils/scheduleService.js)
+    try {
+      await assertWithinSchedule(professional, start, end);
+    } catch (e) {
+      return handleBookingError(e, res, next);
     }
 
+    const proPolicy = await Professional.findById(professional).select("cancellationPolicy");
+    data.cancellationPolicy = getCancellationPolicy(proPolicy);
     const booking = await Booking.create(data);
+    await recordBookingEvent(booking, "created", { actor: req.user.id, actorRole: "customer", fromStatus: null });
+    if (recurrence) {
+      await startSeries(booking, { kind: "booking", user: req.user, recurrence, io: req.app.get("io") });
+    }
     try {
       const customer = await User.findById(req.user.id);
       const pro = await Professional.findById(professional);
@@ -45,6 +112,7 @@ exports.createBooking = async (req, res, next) => {
         to: customer?.email,
         subject: "Booking Created",
         html: `<p>Your booking with ${pro?.name} on ${start.toISOString()} for ${durationMinutes} minutes was created.</p>`,
+        attachments: [buildBookingInvite(booking, { professional: pro, customer })],
       });
     } catch (e) {}
     res.status(201).json(booking);
@@ -62,21 +130,103 @@ exports.getMyBookings = async (req, res, next) => {
   }
 };
 
+// Free slots of a given duration, in the professional's timezone
 exports.getAvailability = async (req, res, next) => {
   try {
     const { id } = req.params; // professional id
-    const { date } = req.query; // YYYY-MM-DD
-    if (!date) return res.status(400).json({ message: "date query param (YYYY-MM-DD) required" });
-    const dayStart = new Date(`${date}T00:00:00.000Z`);
-    const dayEnd = new Date(`${date}T23:59:59.999Z`);
-    const bookings = await Booking.find({
-      professional: id,
+    const { date, from, to, durationMinutes, step } = req.query; // dates as YYYY-MM-DD
+    if (!date && !from) return res.status(400).json({ message: "date or from query param (YYYY-MM-DD) required" });
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(404).json({ message: "Professional not found" });
+    const availability = await getAvailableSlots(id, {
+      from: from || date,
+      to: from ? to : date,
+      durationMinutes: durationMinutes || 60,
+      stepMinutes: step || undefined,
+    });
+    res.json(date && !from ? { date, ...availability } : availability);
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+// The professional profile of the logged-in user
+const findOwnProfessional = (req) => Professional.findOne({ user: req.user.id });
+
+// Public view of a professional's schedule; time-off reasons stay private
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const pro = mongoose.Types.ObjectId.isValid(req.params.id) ? await Professional.findById(req.params.id) : null;
+    if (!pro) return res.status(404).json({ message: "Professional not found" });
+    const { timeOff, ...schedule } = getEffectiveSchedule(pro);
+    const now = new Date();
+    res.json({
+      ...schedule,
+      timeOff: timeOff.filter((t) => t.end > now).map(({ start, end, kind }) => ({ start, end, kind })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getMySchedule = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    res.json(getEffectiveSchedule(pro));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set working hours, breaks, buffer and timezone; fields left out are kept
+exports.updateMySchedule = async (req, res, next) => {
+  try {
+    const updates = parseSchedule(req.body);
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    // First change to a pro on the default hours starts from those hours
+    if (!pro.schedule.configuredAt && !updates.weeklyHours) updates.weeklyHours = DEFAULT_WEEKLY_HOURS;
+    Object.entries(updates).forEach(([key, value]) => pro.set(`schedule.${key}`, value));
+    pro.set("schedule.configuredAt", new Date());
+    await pro.save();
+    res.json(getEffectiveSchedule(pro));
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+// Block out time off or a holiday; bookings already in it are listed, not cancelled
+exports.addTimeOff = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    const block = parseTimeOff(req.body, getEffectiveSchedule(pro).timezone);
+    // Drop blocks that have ended while we are here
+    const now = new Date();
+    pro.schedule.timeOff = pro.schedule.timeOff.filter((t) => t.end > now);
+    pro.schedule.timeOff.push(block);
+    await pro.save();
+    const affectedBookings = await Booking.find({
+      professional: pro._id,
       status: { $in: ["pending", "confirmed"] },
-      date: { $lte: dayEnd },
-      endAt: { $gte: dayStart },
+      date: { $lt: block.end },
+      endAt: { $gt: block.start },
     }).sort({ date: 1 });
+    res.status(201).json({ timeOff: pro.schedule.timeOff[pro.schedule.timeOff.length - 1], affectedBookings });
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
 
-    res.json({ date, bookings });
+exports.removeTimeOff = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    const block = pro.schedule.timeOff.id(req.params.timeOffId);
+    if (!block) return res.status(404).json({ message: "Time off not found" });
+    block.deleteOne();
+    await pro.save();
+    res.json({ timeOff: pro.schedule.timeOff });
   } catch (err) {
     next(err);
   }
@@ -92,26 +242,182 @@ exports.getProfessionalBookings = async (req, res, next) => {
   }
 };
 
+// Status changes are limited by role (see utils/bookingPolicyService.js)
 exports.updateBookingStatus = async (req, res, next) => {
   try {
-    const { id } = req.params; // booking id
-    const { status } = req.body;
-    const allowed = ["pending", "confirmed", "completed", "cancelled"];
-    if (!allowed.includes(status)) return res.status(400).json({ message: "Invalid status" });
-    const booking = await Booking.findByIdAndUpdate(id, { status }, { new: true });
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
-    try {
-      const customer = await User.findById(booking.customer);
-      await sendMail({
-        to: customer?.email,
-        subject: `Booking ${status}`,
-        html: `<p>Your booking is now ${status}.</p>`,
-      });
-    } catch (e) {}
-    res.json(booking);
+    const { status, reason } = req.body;
+    const { booking, role, professional } = await getBookingForUser(req.params.id, req.user);
+    const result = await changeBookingStatus(booking, {
+      user: req.user,
+      role,
+      professional,
+      status,
+      reason,
+      io: req.app.get("io"),
+    });
+    res.json(result.booking);
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+exports.rescheduleBookingSlot = async (req, res, next) => {
+  try {
+    const { date, durationMinutes, reason } = req.body;
+    const { booking, role, professional } = await getBookingForUser(req.params.id, req.user);
+    const updated = await rescheduleBooking(booking, {
+      user: req.user,
+      role,
+      professional,
+      date,
+      durationMinutes,
+      reason,
+      io: req.app.get("io"),
+    });
+    res.json(updated);
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+exports.getBookingHistory = async (req, res, next) => {
+  try {
+    const { booking } = await getBookingForUser(req.params.id, req.user);
+    res.json({ booking, events: await getBookingTimeline(booking._id) });
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+// What cancelling would cost the caller right now
+exports.getCancellationQuote = async (req, res, next) => {
+  try {
+    const { booking, role, professional } = await getBookingForUser(req.params.id, req.user);
+    const policy = getBookingCancellationPolicy(booking, professional);
+    res.json({ policy, ...getCancellationFee(booking, policy, { role }) });
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+exports.getProfessionalCancellationPolicy = async (req, res, next) => {
+  try {
+    const pro = mongoose.Types.ObjectId.isValid(req.params.id) ? await Professional.findById(req.params.id) : null;
+    if (!pro) return res.status(404).json({ message: "Professional not found" });
+    res.json(getCancellationPolicy(pro));
   } catch (err) {
     next(err);
   }
 };
 
+exports.updateMyCancellationPolicy = async (req, res, next) => {
+  try {
+    const updates = parseCancellationPolicy(req.body);
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    Object.entries(updates).forEach(([key, value]) => pro.set(`cancellationPolicy.${key}`, value));
+    await pro.save();
+    res.json(getCancellationPolicy(pro));
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+// Waitlist for a fully booked professional: { professional, from, to, durationMinutes, price, ... }
+exports.joinBookingWaitlist = async (req, res, next) => {
+  try {
+    const entry = await joinWaitlist(req.user, req.body);
+    res.status(201).json(entry);
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
 
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    res.json(await listCustomerEntries(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getMyProfessionalWaitlist = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    res.json(await listProfessionalWaitlist(pro._id));
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.leaveBookingWaitlist = async (req, res, next) => {
+  try {
+    const entry = await getEntryForCustomer(req.params.id, req.user);
+    res.json(await leaveWaitlist(entry, { io: req.app.get("io") }));
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+// Book the slot held for the customer
+exports.acceptWaitlistOffer = async (req, res, next) => {
+  try {
+    const entry = await getEntryForCustomer(req.params.id, req.user);
+    const result = await acceptOffer(entry, { user: req.user, io: req.app.get("io") });
+    res.status(201).json(result);
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+exports.declineWaitlistOffer = async (req, res, next) => {
+  try {
+    const entry = await getEntryForCustomer(req.params.id, req.user);
+    res.json(await declineOffer(entry, { io: req.app.get("io") }));
+  } catch (err) {
+    handleBookingError(err, res, next);
+  }
+};
+
+const feedUrl = (req, token) => `${process.env.API_URL || `${req.protocol}://${req.get("host")}`}/api/bookings/calendar/${token}.ics`;
+
+// Issue a calendar subscription URL for the logged-in professional; any previous URL stops working
+exports.createCalendarFeed = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    const token = await issueFeedToken(pro);
+    res.status(201).json({ url: feedUrl(req, token) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteCalendarFeed = async (req, res, next) => {
+  try {
+    const pro = await findOwnProfessional(req);
+    if (!pro) return res.status(404).json({ message: "Professional profile not found" });
+    await revokeFeedToken(pro);
+    res.json({ message: "Calendar feed disabled" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ICS feed calendar apps subscribe to; the token in the URL is the only credential
+exports.getCalendarFeed = async (req, res, next) => {
+  try {
+    const pro = await findProfessionalByFeedToken(req.params.token);
+    if (!pro) return res.status(404).json({ message: "Calendar not found" });
+    const calendar = await buildProfessionalFeed(pro);
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="fixfinder.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(calendar);
+  } catch (err) {
+    next(err);
+  }
+};
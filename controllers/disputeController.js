@@ -0,0 +1,160 @@
+const Dispute = require("../models/Dispute");
+const { JobTransitionError } = require("../utils/jobStateMachine");
+const { RefundError } = require("../utils/refundService");
+const {
+  DisputeError,
+  getDisputeForUser,
+  openDispute,
+  addDisputeMessage,
+  addDisputeEvidence,
+  assignDispute,
+  withdrawDispute,
+  resolveDispute,
+  listUserDisputes,
+  listDisputeQueue,
+} = require("../utils/disputeService");
+
+const DISPUTE_STATUSES = Dispute.schema.path("status").enumValues;
+
+const handleDisputeError = (err, res, next) => {
+  if (err instanceof DisputeError || err instanceof JobTransitionError || err instanceof RefundError) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+  if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+  next(err);
+};
+
+const getPaging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100),
+});
+
+// Open a dispute on a job or booking, with optional evidence files
+exports.createDispute = async (req, res, next) => {
+  try {
+    const { jobId, bookingId, category, reason } = req.body;
+    const dispute = await openDispute({
+      user: req.user,
+      jobId,
+      bookingId,
+      category,
+      reason,
+      files: req.files || [],
+      io: req.app.get("io"),
+    });
+    res.status(201).json(dispute);
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+// Disputes the logged-in user is a party to
+exports.getMyDisputes = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status && !DISPUTE_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+    const { page, limit } = getPaging(req.query);
+    const { disputes, total } = await listUserDisputes(req.user, { status, page, limit });
+    res.json({ disputes, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Mediation queue for admins
+exports.getDisputeQueue = async (req, res, next) => {
+  try {
+    const { status, kind, assignedTo } = req.query;
+    if (status && !DISPUTE_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+    if (kind && !["job", "booking"].includes(kind)) return res.status(400).json({ message: "Invalid kind" });
+    const { page, limit } = getPaging(req.query);
+    const { disputes, total } = await listDisputeQueue({
+      status,
+      kind,
+      assignedTo: assignedTo === "me" ? req.user.id : assignedTo,
+      page,
+      limit,
+    });
+    res.json({ disputes, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// A dispute with its evidence and message thread
+exports.getDispute = async (req, res, next) => {
+  try {
+    const { dispute, role } = await getDisputeForUser(req.params.id, req.user);
+    await dispute.populate([
+      { path: "job", select: "title lifecycleState agreedPrice" },
+      { path: "booking", select: "date status price" },
+      { path: "payment", select: "amount currency status refundedAmount escrow" },
+      { path: "professional", select: "name" },
+      { path: "customer", select: "name" },
+      { path: "messages.author", select: "name" },
+      { path: "assignedTo", select: "name" },
+    ]);
+    res.json({ dispute, role });
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+// Post to the dispute thread, with optional attachments
+exports.postDisputeMessage = async (req, res, next) => {
+  try {
+    const { dispute, role } = await getDisputeForUser(req.params.id, req.user);
+    const message = await addDisputeMessage(dispute, {
+      user: req.user,
+      role,
+      body: req.body.body,
+      files: req.files || [],
+      io: req.app.get("io"),
+    });
+    res.status(201).json(message);
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+exports.uploadDisputeEvidence = async (req, res, next) => {
+  try {
+    const { dispute } = await getDisputeForUser(req.params.id, req.user);
+    const updated = await addDisputeEvidence(dispute, { user: req.user, files: req.files || [] });
+    res.json({ evidence: updated.evidence });
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+exports.withdrawDispute = async (req, res, next) => {
+  try {
+    const { dispute } = await getDisputeForUser(req.params.id, req.user);
+    await withdrawDispute(dispute, { user: req.user, io: req.app.get("io") });
+    res.json(dispute);
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+// Take a dispute from the queue
+exports.assignDispute = async (req, res, next) => {
+  try {
+    const { dispute } = await getDisputeForUser(req.params.id, req.user);
+    res.json(await assignDispute(dispute, { user: req.user }));
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
+
+// Settle a dispute: release, refund or split
+exports.resolveDispute = async (req, res, next) => {
+  try {
+    const { outcome, refundAmount, note } = req.body;
+    const { dispute } = await getDisputeForUser(req.params.id, req.user);
+    await resolveDispute(dispute, { user: req.user, outcome, refundAmount, note, io: req.app.get("io") });
+    res.json(dispute);
+  } catch (err) {
+    handleDisputeError(err, res, next);
+  }
+};
@@ -7,6 +7,67 @@ const { uploadToCloudinary, cloudinary } = require('../config/cloudinary');
 const { uploadBufferToCloudinary } = require('../utils');
 const { validationResult } = require('express-validator');
 const { calculateDistance } = require('../utils/locationService');
+const {
+  EscrowError,
+  getJobEscrow,
+  initializeEscrowFunding
+} = require('../utils/escrowService');
+const { getOrCreateJobInvoice, renderInvoicePdf, InvoiceError } = require('../utils/invoiceService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { notifyUser } = require('../utils/notificationService');
+const {
+  JobTransitionError,
+  transitionJob,
+  getAvailableEvents,
+  emitJobUpdate
+} = require('../utils/jobStateMachine');
+const { recordJobEvent, getJobParticipantUserIds, getJobTimeline: loadJobTimeline } = require('../utils/jobTimelineService');
+const JobEvent = require('../models/JobEvent');
+const {
+  MilestoneError,
+  parseMilestones,
+  setJobMilestones,
+  submitMilestone,
+  requestMilestoneChanges,
+  approveMilestone
+} = require('../utils/milestoneService');
+const {
+  NegotiationError,
+  initialOffer,
+  getOffers,
+  counterOffer,
+  acceptOffer,
+  withdrawApplication
+} = require('../utils/negotiationService');
+const { RecurrenceError, parseRecurrence, startSeries } = require('../utils/recurrenceService');
+const {
+  InvitationError,
+  parseVisibility,
+  resolveInvitees,
+  addInvitations,
+  announceInvitations,
+  inviteProfessionals,
+  respondToInvitation,
+  revokeInvitation,
+  setJobVisibility,
+  canProfessionalSeeJob,
+  buildVisibilityFilter,
+  listProfessionalInvitations
+} = require('../utils/jobInvitationService');
+const { QuoteError, parseQuote, uploadQuoteAttachments, assertQuoteAccepted, compareQuotes } = require('../utils/quoteService');
+
+// Invalid transitions carry a code (INVALID_TRANSITION, NOT_AUTHORIZED, ...) for clients to branch on
+const sendJobError = (res, error, label) => {
+  if (error instanceof JobTransitionError) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  if (error instanceof MilestoneError || error instanceof NegotiationError || error instanceof RecurrenceError
+    || error instanceof InvitationError || error instanceof QuoteError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+};
 
 // @desc    Create a new job
 // @route   POST /api/jobs
@@ -32,7 +93,15 @@ const createJob = async (req, res) => {
       preferredDate,
       preferredTime,
       urgency,
-      media
+      media,
+      milestones,
+      recurrence,
+      visibility,
+      invitedProfessionals,
+      inviteConnections,
+      inviteFavorites,
+      requireQuote,
+      quoteDeadline
     } = req.body;
 
     // Normalize multipart dotted fields into nested objects when needed
@@ -50,6 +119,28 @@ const createJob = async (req, res) => {
       max: req.body['budget.max'] != null && req.body['budget.max'] !== '' ? Number(req.body['budget.max']) : undefined
     };
 
+    let finalMilestones;
+    let finalVisibility;
+    let invitees;
+    try {
+      finalMilestones = parseMilestones(milestones, { maxTotal: normalizedBudget.max });
+      // Optional: repeat the job (see utils/recurrenceService.js)
+      parseRecurrence(recurrence, { startAt: preferredDate ? new Date(preferredDate) : undefined });
+      // Optional: private job with invited pros (see utils/jobInvitationService.js)
+      finalVisibility = parseVisibility(visibility);
+      // Optional: request for quotes (see utils/quoteService.js)
+      if (quoteDeadline && !(new Date(quoteDeadline) > new Date())) {
+        throw new QuoteError('The quote deadline must be a future date');
+      }
+      invitees = await resolveInvitees(req.user.id, {
+        professionals: invitedProfessionals,
+        connections: inviteConnections,
+        favorites: inviteFavorites
+      });
+    } catch (error) {
+      return sendJobError(res, error, 'Create job');
+    }
+
     // Create job
     // Handle optional single image upload from multipart
     let finalMedia = [];
@@ -93,17 +184,38 @@ const createJob = async (req, res) => {
       preferredDate,
       preferredTime,
       urgency,
+      milestones: finalMilestones,
+      visibility: finalVisibility,
+      requireQuote: requireQuote === true || requireQuote === 'true',
+      quoteDeadline: quoteDeadline || undefined,
       client: req.user.id,
       media: finalMedia.length ? finalMedia : (Array.isArray(media) ? media : [])
     });
+    try {
+      invitees = addInvitations(job, invitees);
+    } catch (error) {
+      return sendJobError(res, error, 'Create job');
+    }
 
     await job.save();
+    await recordJobEvent(job, 'created', {
+      actor: req.user.id,
+      actorRole: 'client',
+      fromState: null,
+      metadata: { title: job.title, category: job.category, budget: job.budget }
+    });
+    await announceInvitations(job, invitees, { user: req.user, io: req.app.get('io') });
+    if (recurrence) {
+      await startSeries(job, { kind: 'job', user: req.user, recurrence, io: req.app.get('io') });
+    }
 
     // Populate client details
     await job.populate('client', 'name email phone');
 
-    // Notify relevant professionals about new job
-    await notifyRelevantProfessionals(job);
+    // Notify relevant professionals about new job; private jobs only reach invited pros
+    if (job.visibility === 'public') {
+      await notifyRelevantProfessionals(job);
+    }
 
     res.status(201).json({
       success: true,
@@ -204,7 +316,9 @@ const getJobFeed = async (req, res) => {
         { lifecycleState: { $nin: ['in_progress','completed_by_pro','completed_by_user','closed','cancelled'] } },
         { completed: { $ne: true } },
         { isCompleted: { $ne: true } },
-        { completedAt: { $exists: false } }
+        { completedAt: { $exists: false } },
+        // Private jobs only for invited or connected pros
+        await buildVisibilityFilter(professional._id)
       ]
     };
 
@@ -300,7 +414,7 @@ const getJobFeed = async (req, res) => {
 // @access  Private (Professional only)
 const applyToJob = async (req, res) => {
   try {
-    const { proposal, proposedPrice, estimatedDuration, cvUrl } = req.body;
+    const { proposal, proposedPrice, estimatedDuration, cvUrl, milestones, quote } = req.body;
     const jobId = req.params.id;
     const professionalUserId = req.user.id;
 
@@ -317,6 +431,21 @@ const applyToJob = async (req, res) => {
     if (!pro) {
       return res.status(404).json({ success: false, message: 'Professional profile not found' });
     }
+    if (!(await canProfessionalSeeJob(job, pro._id))) {
+      return res.status(403).json({ success: false, message: 'This job is only open to invited professionals' });
+    }
+
+    // Optional staged proposal: milestone amounts must add up to the proposed price
+    // Optional structured quote: line items must add up to the proposed price
+    let proposedMilestones;
+    let structuredQuote;
+    try {
+      proposedMilestones = parseMilestones(milestones, { total: Number(proposedPrice) });
+      structuredQuote = parseQuote(quote, { price: Number(proposedPrice) });
+      assertQuoteAccepted(job, structuredQuote);
+    } catch (error) {
+      return sendJobError(res, error, 'Apply to job');
+    }
 
     // Check if already applied
     const existingApplication = job.applications.find(app => app.professional && app.professional.toString() === pro._id.toString());
@@ -357,6 +486,16 @@ const applyToJob = async (req, res) => {
       console.warn('CV upload skipped:', e?.message || e);
     }
 
+    // Quote attachments (field name: "quoteAttachments")
+    if (structuredQuote) {
+      const quoteFiles = (Array.isArray(req.files) ? req.files : []).filter(f => f.fieldname === 'quoteAttachments');
+      try {
+        structuredQuote.attachments = await uploadQuoteAttachments(quoteFiles);
+      } catch (error) {
+        return sendJobError(res, error, 'Apply to job');
+      }
+    }
+
     // Add application
     job.applications.push({
       professional: pro._id,
@@ -364,10 +503,20 @@ const applyToJob = async (req, res) => {
       proposedPrice,
       estimatedDuration,
       cvUrl: finalCvUrl,
-      cvPublicId: finalCvPublicId
+      cvPublicId: finalCvPublicId,
+      milestones: proposedMilestones,
+      quote: structuredQuote || undefined,
+      // Version 1 of the negotiation thread
+      offers: [initialOffer({ proposedPrice, proposal, estimatedDuration, milestones: proposedMilestones })]
     });
 
     await job.save();
+    const application = job.applications[job.applications.length - 1];
+    await recordJobEvent(job, 'applied', {
+      actor: professionalUserId,
+      actorRole: 'professional',
+      metadata: { applicationId: application._id, professional: pro._id, proposedPrice: application.proposedPrice }
+    });
 
     // Notify client about new application
     await createNotification({
@@ -400,10 +549,9 @@ const applyToJob = async (req, res) => {
 // @access  Private (User only)
 const acceptApplication = async (req, res) => {
   try {
-    const { jobId, applicationId } = req.params;
-    const userId = req.user.id;
+    const { id, applicationId } = req.params;
 
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(id);
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -411,68 +559,8 @@ const acceptApplication = async (req, res) => {
       });
     }
 
-    // Check if user owns the job
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to accept applications for this job'
-      });
-    }
-
-    // Find the application
-    const application = job.applications.id(applicationId);
-    if (!application) {
-      return res.status(404).json({
-        success: false,
-        message: 'Application not found'
-      });
-    }
-
-    // Accept the application and set professional
-    application.status = 'Accepted';
-    job.professional = application.professional;
-    // Do NOT start work yet; move lifecycle to chat_open and keep status Pending
-    job.lifecycleState = 'chat_open';
-
-    // Reject other applications
-    job.applications.forEach(app => {
-      if (app._id.toString() !== applicationId) {
-        app.status = 'Rejected';
-      }
-    });
-
-    await job.save();
-
-    // Notify professional about acceptance
-    await createNotification({
-      recipient: application.professional,
-      type: 'job_accepted',
-      title: 'Job Application Accepted',
-      message: `Your application for "${job.title}" has been accepted! Open chat to proceed.`,
-      data: {
-        jobId: job._id
-      }
-    }, req);
-
-    // Socket: emit job:update to participants
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io) {
-        if (job.conversation) {
-          io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-        }
-        try {
-          const clientUserId = job.client?.toString();
-          let proUserId = null;
-          if (job.professional) {
-            const proDoc = await Professional.findById(job.professional).select('user');
-            proUserId = proDoc?.user ? proDoc.user.toString() : null;
-          }
-          if (clientUserId) io.to(clientUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-          if (proUserId) io.to(proUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-        } catch (_) {}
-      }
-    }
+    // Assigns the professional and rejects the other applications; work starts once the pro accepts in chat
+    await transitionJob(job, 'accept_application', { user: req.user, io: req.app.get('io'), applicationId });
 
     res.json({
       success: true,
@@ -480,12 +568,7 @@ const acceptApplication = async (req, res) => {
       data: job
     });
   } catch (error) {
-    console.error('Accept application error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    sendJobError(res, error, 'Accept application');
   }
 };
 
@@ -494,10 +577,7 @@ const acceptApplication = async (req, res) => {
 // @access  Private
 const completeJob = async (req, res) => {
   try {
-    const jobId = req.params.id;
-    const userId = req.user.id;
-
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(req.params.id);
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -505,57 +585,19 @@ const completeJob = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const isClient = job.client.toString() === userId;
-    const isProfessional = job.professional && job.professional.toString() === userId;
-
-    if (!isClient && !isProfessional) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to complete this job'
-      });
-    }
-
-    job.status = 'Completed';
-    job.completedAt = new Date();
-    // Delete all applications and their CV files from Cloudinary since job is completed
-    if (job.applications && job.applications.length > 0) {
-      for (const app of job.applications) {
-        if (app.cvPublicId) {
-          try {
-            await cloudinary.uploader.destroy(app.cvPublicId, { resource_type: 'raw' });
-          } catch (e) {
-            console.warn('Cloudinary destroy failed for CV during job completion:', e?.message || e);
-          }
-        }
-      }
-    }
-    job.applications = [];
-    await job.save();
-
-    // Notify the other party
-    const recipientId = isClient ? job.professional : job.client;
-    await createNotification({
-      recipient: recipientId,
-      type: 'job_completed',
-      title: 'Job Completed',
-      message: `The job "${job.title}" has been marked as completed`,
-      data: {
-        jobId: job._id
-      }
-    }, req);
+    // Kept for older clients: the client closes the job, the assigned pro marks it done
+    const available = await getAvailableEvents(job, req.user);
+    const event = ['confirm_completion', 'mark_completed_by_pro'].find((e) => available.includes(e))
+      || (job.client.toString() === req.user.id ? 'confirm_completion' : 'mark_completed_by_pro');
+    await transitionJob(job, event, { user: req.user, io: req.app.get('io') });
 
     res.json({
       success: true,
-      message: 'Job marked as completed'
+      message: event === 'confirm_completion' ? 'Job marked as completed' : 'Marked completed by pro, awaiting client confirmation',
+      data: job
     });
   } catch (error) {
-    console.error('Complete job error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    sendJobError(res, error, 'Complete job');
   }
 };
 
@@ -565,10 +607,8 @@ const completeJob = async (req, res) => {
 const cancelJob = async (req, res) => {
   try {
     const { reason } = req.body;
-    const jobId = req.params.id;
-    const userId = req.user.id;
 
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(req.params.id);
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -576,74 +616,8 @@ const cancelJob = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const isClient = job.client.toString() === userId;
-    let isProfessional = false;
-    if (job.professional) {
-      const proByUser = await Professional.findOne({ user: userId }).select('_id');
-      if (proByUser && job.professional.toString() === proByUser._id.toString()) {
-        isProfessional = true;
-      }
-    }
-
-    if (!isClient && !isProfessional) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to cancel this job'
-      });
-    }
-
-    job.status = 'Cancelled';
-    job.cancelledAt = new Date();
-    job.cancellationReason = reason;
-    job.lifecycleState = 'cancelled';
-    // Delete all applications and their CV files from Cloudinary since job is cancelled
-    if (job.applications && job.applications.length > 0) {
-      for (const app of job.applications) {
-        if (app.cvPublicId) {
-          try {
-            await cloudinary.uploader.destroy(app.cvPublicId, { resource_type: 'raw' });
-          } catch (e) {
-            console.warn('Cloudinary destroy failed for CV during job cancellation:', e?.message || e);
-          }
-        }
-      }
-    }
-    job.applications = [];
-    await job.save();
-
-    // Notify the other party
-    const recipientId = isClient ? job.professional : job.client;
-    if (recipientId) {
-      await createNotification({
-        recipient: recipientId,
-        type: 'job_cancelled',
-        title: 'Job Cancelled',
-        message: `The job "${job.title}" has been cancelled`,
-        data: {
-          jobId: job._id
-        }
-      }, req);
-    }
-
-    // Socket: broadcast update to conversation room
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io && job.conversation) {
-        io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-        // Also emit to user-level rooms for both participants
-        try {
-          const clientUserId = job.client?.toString();
-          let proUserId = null;
-          if (job.professional) {
-            const proDoc = await Professional.findById(job.professional).select('user');
-            proUserId = proDoc?.user ? proDoc.user.toString() : null;
-          }
-          if (clientUserId) io.to(clientUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-          if (proUserId) io.to(proUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-        } catch (_) {}
-      }
-    }
+    // Clears applications and CVs, refunds any escrow and tells the other party
+    await transitionJob(job, 'cancel', { user: req.user, io: req.app.get('io'), reason });
 
     res.json({
       success: true,
@@ -651,12 +625,7 @@ const cancelJob = async (req, res) => {
       data: job
     });
   } catch (error) {
-    console.error('Cancel job error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    sendJobError(res, error, 'Cancel job');
   }
 };
 
@@ -687,6 +656,12 @@ const deleteJob = async (req, res) => {
     }
 
     await Job.deleteOne({ _id: jobId });
+    // Participants are kept so the timeline stays readable after the job is gone
+    await recordJobEvent(job, 'deleted', {
+      actor: userId,
+      actorRole: job.client.toString() === userId ? 'client' : 'professional',
+      metadata: { title: job.title, participants: await getJobParticipantUserIds(job) }
+    });
 
     // Emit to conversation and user rooms to clear header chips
     if (req && req.app) {
@@ -742,7 +717,13 @@ const getJobDetails = async (req, res) => {
       app.professional && app.professional._id && app.professional._id.toString() === userId
     );
 
-    if (!isClient && !isProfessional && !hasApplied) {
+    // Pros browsing open jobs can view the ones visible to them
+    const viewerPro = isClient ? null : await Professional.findOne({ user: userId }).select('_id');
+    const canBrowse = !isClient && !isProfessional && !hasApplied && viewerPro
+      && ['posted', 'offer_pending'].includes(job.lifecycleState)
+      && await canProfessionalSeeJob(job, viewerPro._id);
+
+    if (!isClient && !isProfessional && !hasApplied && !canBrowse) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this job'
@@ -766,6 +747,12 @@ const getJobDetails = async (req, res) => {
       }
     }
 
+    // Only the client sees who else was invited
+    if (!isClient) {
+      jobObj.invitations = (jobObj.invitations || []).filter(inv =>
+        viewerPro && String(inv.professional) === String(viewerPro._id));
+    }
+
     res.json({
       success: true,
       data: jobObj
@@ -780,6 +767,46 @@ const getJobDetails = async (req, res) => {
   }
 };
 
+// @desc    Get the audit timeline of a job
+// @route   GET /api/jobs/:id/timeline
+// @access  Private (job client, assigned professional, or admin)
+const getJobTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const isAdmin = hasPermission(req.user, PERMISSIONS.ADMIN_DASHBOARD);
+
+    const job = await Job.findById(id).select('client professional lifecycleState status');
+    let participants;
+    if (job) {
+      participants = await getJobParticipantUserIds(job);
+    } else {
+      // Deleted jobs: participants were recorded with the deletion
+      const deletion = await JobEvent.findOne({ job: id, type: 'deleted' }).select('metadata');
+      if (!deletion) return res.status(404).json({ success: false, message: 'Job not found' });
+      participants = (deletion.metadata?.participants || []).map(String);
+    }
+    if (!isAdmin && !participants.includes(userId)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const events = await loadJobTimeline(id);
+    return res.json({
+      success: true,
+      data: {
+        jobId: id,
+        deleted: !job,
+        lifecycleState: job?.lifecycleState || null,
+        status: job?.status || null,
+        events
+      }
+    });
+  } catch (error) {
+    console.error('getJobTimeline error:', error);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 // ---- Chat-driven lifecycle endpoints ----
 
 // @desc    User creates a job request from inside chat (must specify conversationId)
@@ -828,34 +855,24 @@ const createJobRequestInChat = async (req, res) => {
       lifecycleState: 'job_requested'
     });
     await job.save();
+    await recordJobEvent(job, 'requested_in_chat', {
+      actor: userId,
+      actorRole: 'client',
+      fromState: null,
+      metadata: { conversationId, professional: professional._id }
+    });
 
     // Link conversation to this job (optional early link)
     await Conversation.findByIdAndUpdate(conversationId, { $set: { job: job._id } });
 
-    await createNotification({
-      recipient: professional._id,
+    const io = req.app.get('io');
+    await notifyUser(professional.user, {
       type: 'job_requested',
       title: 'New Job Request',
       message: `Job request: ${title}`,
       data: { jobId: job._id, conversationId }
-    }, req);
-
-    // Socket: broadcast update to conversation room
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io) {
-        if (job.conversation) {
-          io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-        }
-        // Also emit to user-level rooms for both participants
-        try {
-          const clientUserId = userId?.toString();
-          const proUserId = professional.user?.toString();
-          if (clientUserId) io.to(clientUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-          if (proUserId) io.to(proUserId).emit('job:update', { conversationId: job.conversation?.toString(), job });
-        } catch (_) {}
-      }
-    }
+    }, io);
+    await emitJobUpdate(job, io);
 
     return res.status(201).json({ success: true, data: job });
   } catch (error) {
@@ -869,46 +886,15 @@ const createJobRequestInChat = async (req, res) => {
 // @access  Private (Professional only)
 const acceptJobRequest = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const job = await Job.findById(id);
+    const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
 
-    // Ensure this pro owns the professional profile linked on job
-    const proByUser = await Professional.findOne({ user: userId }).select('_id');
-    if (!proByUser || !job.professional || job.professional.toString() !== proByUser._id.toString()) {
-      return res.status(403).json({ success: false, message: 'Not authorized to accept this job' });
-    }
-
-    job.status = 'In Progress';
-    job.lifecycleState = 'in_progress';
-    await job.save();
-
-    // Ensure conversation link exists
-    if (job.conversation) {
-      await Conversation.findByIdAndUpdate(job.conversation, { $set: { job: job._id } });
-    }
-
-    await createNotification({
-      recipient: job.client,
-      type: 'job_accepted',
-      title: 'Job Accepted',
-      message: `Your job "${job.title}" has been accepted and is now in progress`,
-      data: { jobId: job._id }
-    }, req);
-
-    // Socket: broadcast update to conversation room
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io && job.conversation) {
-        io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-      }
-    }
+    // Opens escrow for the agreed price; the client funds it via POST /api/jobs/:id/escrow/fund
+    await transitionJob(job, 'accept_request', { user: req.user, io: req.app.get('io') });
 
     return res.json({ success: true, message: 'Job accepted', data: job });
   } catch (error) {
-    console.error('acceptJobRequest error:', error);
-    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    return sendJobError(res, error, 'acceptJobRequest');
   }
 };
 
@@ -917,39 +903,15 @@ const acceptJobRequest = async (req, res) => {
 // @access  Private (Professional only)
 const proMarkCompleted = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const job = await Job.findById(id);
+    const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
 
-    const proByUser = await Professional.findOne({ user: userId }).select('_id');
-    if (!proByUser || !job.professional || job.professional.toString() !== proByUser._id.toString()) {
-      return res.status(403).json({ success: false, message: 'Not authorized to complete this job' });
-    }
-
-    job.lifecycleState = 'completed_by_pro';
-    await job.save();
-
-    await createNotification({
-      recipient: job.client,
-      type: 'job_completed_by_pro',
-      title: 'Work Completed',
-      message: `Pro marked the job "${job.title}" as completed. Please confirm.`,
-      data: { jobId: job._id }
-    }, req);
-
-    // Socket: broadcast update to conversation room
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io && job.conversation) {
-        io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-      }
-    }
+    // Starts the escrow auto-release countdown
+    await transitionJob(job, 'mark_completed_by_pro', { user: req.user, io: req.app.get('io') });
 
     return res.json({ success: true, message: 'Marked completed by pro', data: job });
   } catch (error) {
-    console.error('proMarkCompleted error:', error);
-    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    return sendJobError(res, error, 'proMarkCompleted');
   }
 };
 
@@ -957,62 +919,130 @@ const proMarkCompleted = async (req, res) => {
 // @route   POST /api/jobs/:id/confirm-completion
 // @access  Private (User only)
 const confirmJobCompletion = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+
+    // Releases escrow to the pro and counts the completed job
+    await transitionJob(job, 'confirm_completion', { user: req.user, io: req.app.get('io') });
+
+    return res.json({ success: true, message: 'Job confirmed and closed', data: job });
+  } catch (error) {
+    return sendJobError(res, error, 'confirmJobCompletion');
+  }
+};
+
+// @desc    Client starts a checkout to fund the job's escrow
+// @route   POST /api/jobs/:id/escrow/fund
+// @access  Private (Job client only)
+const fundJobEscrow = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
     const job = await Job.findById(id);
     if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
     if (job.client.toString() !== userId) return res.status(403).json({ success: false, message: 'Not authorized' });
+    if (job.lifecycleState !== 'in_progress' && job.lifecycleState !== 'completed_by_pro') {
+      return res.status(400).json({ success: false, message: 'Escrow can only be funded once the job is in progress' });
+    }
 
-    job.status = 'Completed';
-    job.lifecycleState = 'closed';
-    job.completedAt = new Date();
-    // Delete all applications and their CV files from Cloudinary since job is completed and closed
-    if (job.applications && job.applications.length > 0) {
-      for (const app of job.applications) {
-        if (app.cvPublicId) {
-          try {
-            await cloudinary.uploader.destroy(app.cvPublicId, { resource_type: 'raw' });
-          } catch (e) {
-            console.warn('Cloudinary destroy failed for CV during job closure:', e?.message || e);
-          }
-        }
+    const customer = await User.findById(userId).select('email');
+    const { payment, transaction } = await initializeEscrowFunding(job, customer);
+
+    return res.json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        reference: transaction.reference,
+        access_code: transaction.accessCode,
+        authorization_url: transaction.authorizationUrl
       }
+    });
+  } catch (error) {
+    if (error instanceof EscrowError) {
+      return res.status(error.status).json({ success: false, message: error.message });
     }
-    job.applications = [];
-    await job.save();
+    console.error('fundJobEscrow error:', error);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the escrow status for a job
+// @route   GET /api/jobs/:id/escrow
+// @access  Private (job client or assigned professional)
+const getJobEscrowStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const job = await Job.findById(id).select('client professional');
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
 
-    // Increment professional completion counter
-    if (job.professional) {
-      await Professional.findByIdAndUpdate(job.professional, { $inc: { completedJobs: 1 } });
+    let authorized = job.client.toString() === userId;
+    if (!authorized && job.professional) {
+      const proByUser = await Professional.findOne({ user: userId }).select('_id');
+      authorized = !!proByUser && job.professional.toString() === proByUser._id.toString();
     }
+    if (!authorized) return res.status(403).json({ success: false, message: 'Not authorized' });
 
-    await createNotification({
-      recipient: job.professional,
-      type: 'job_closed',
-      title: 'Job Closed',
-      message: `The job "${job.title}" has been confirmed completed.`,
-      data: { jobId: job._id }
-    }, req);
+    const payment = await getJobEscrow(job._id);
+    return res.json({
+      success: true,
+      data: payment ? {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        escrow: payment.escrow,
+        platformFee: payment.platformFee,
+        refundedAmount: payment.refundedAmount
+      } : null
+    });
+  } catch (error) {
+    console.error('getJobEscrowStatus error:', error);
+    return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
 
-    // Socket: broadcast update to conversation room
-    if (req && req.app) {
-      const io = req.app.get('io');
-      if (io && job.conversation) {
-        io.to(job.conversation.toString()).emit('job:update', { conversationId: job.conversation.toString(), job });
-      }
-    }
+// @desc    Download the invoice PDF for a completed job
+// @route   GET /api/jobs/:id/invoice.pdf
+// @access  Private (job client, assigned professional, or payment:read_all)
+const getJobInvoicePdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const job = await Job.findById(id);
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
 
-    return res.json({ success: true, message: 'Job confirmed and closed', data: job });
+    let authorized = job.client.toString() === userId;
+    if (!authorized && job.professional) {
+      const proByUser = await Professional.findOne({ user: userId }).select('_id');
+      authorized = !!proByUser && job.professional.toString() === proByUser._id.toString();
+    }
+    if (!authorized) authorized = hasPermission(req.user, PERMISSIONS.PAYMENT_READ_ALL);
+    if (!authorized) return res.status(403).json({ success: false, message: 'Not authorized' });
+
+    const invoice = await getOrCreateJobInvoice(job);
+    const pdf = await renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="invoice-${invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.send(pdf);
   } catch (error) {
-    console.error('confirmJobCompletion error:', error);
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('getJobInvoicePdf error:', error);
     return res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 };
 
 // @desc    Get a signed CV URL for an application (short-lived)
 // @route   GET /api/jobs/:id/applications/:applicationId/cv-url
-// @access  Private (job client, pro applicant, assigned pro, or admin)
+// @access  Private (job client, pro applicant, assigned pro, or moderator)
 const getApplicationCvUrl = async (req, res) => {
   try {
     const { id, applicationId } = req.params;
@@ -1027,7 +1057,7 @@ const getApplicationCvUrl = async (req, res) => {
     const application = job.applications.id(applicationId);
     if (!application) return res.status(404).json({ success: false, message: 'Application not found' });
 
-    // Authorization: job client, assigned professional user, pro who applied, or admin
+    // Authorization: job client, assigned professional user, pro who applied, or moderator
     let isAuthorized = false;
     if (job.client && job.client._id.toString() === userId) isAuthorized = true;
     // Assigned pro user
@@ -1044,13 +1074,8 @@ const getApplicationCvUrl = async (req, res) => {
         if (proApplicant?.user && proApplicant.user.toString() === userId) isAuthorized = true;
       } catch (_) {}
     }
-    // Admin
-    if (!isAuthorized) {
-      try {
-        const adminUser = await User.findById(userId).select('role');
-        if (adminUser && adminUser.role === 'admin') isAuthorized = true;
-      } catch (_) {}
-    }
+    // Moderators
+    if (!isAuthorized && hasPermission(req.user, PERMISSIONS.JOB_MODERATE)) isAuthorized = true;
 
     if (!isAuthorized) return res.status(403).json({ success: false, message: 'Not authorized' });
 
@@ -1132,7 +1157,7 @@ const deleteApplicationCv = async (req, res) => {
 
 // @desc    Delete a job application and its CV (if any)
 // @route   DELETE /api/jobs/:id/applications/:applicationId
-// @access  Private (job client or admin)
+// @access  Private (job client or moderator)
 const deleteJobApplication = async (req, res) => {
   try {
     const { id, applicationId } = req.params;
@@ -1141,14 +1166,9 @@ const deleteJobApplication = async (req, res) => {
     const job = await Job.findById(id).populate('client', '_id');
     if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
 
-    // Authorization: job client or admin
+    // Authorization: job client or moderator
     let isAuthorized = job.client && job.client._id && job.client._id.toString() === userId;
-    if (!isAuthorized) {
-      try {
-        const user = await User.findById(userId).select('role');
-        if (user && user.role === 'admin') isAuthorized = true;
-      } catch (_) {}
-    }
+    if (!isAuthorized && hasPermission(req.user, PERMISSIONS.JOB_MODERATE)) isAuthorized = true;
     if (!isAuthorized) return res.status(403).json({ success: false, message: 'Not authorized' });
 
     const application = job.applications.id(applicationId);
@@ -1166,6 +1186,11 @@ const deleteJobApplication = async (req, res) => {
     // Remove application subdocument and save
     application.deleteOne();
     await job.save();
+    await recordJobEvent(job, 'application_removed', {
+      actor: userId,
+      actorRole: job.client._id.toString() === userId ? 'client' : 'moderator',
+      metadata: { applicationId: application._id, professional: application.professional }
+    });
 
     return res.json({ success: true, message: 'Application deleted' });
   } catch (error) {
@@ -1174,6 +1199,283 @@ const deleteJobApplication = async (req, res) => {
   }
 };
 
+// @desc    Replace a job's milestones before an application is accepted
+// @route   PUT /api/jobs/:id/milestones
+// @access  Private (job client)
+const updateJobMilestones = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    await setJobMilestones(job, { user: req.user, milestones: req.body.milestones });
+    res.json({ success: true, message: 'Milestones updated', data: job.milestones });
+  } catch (error) {
+    sendJobError(res, error, 'Update milestones');
+  }
+};
+
+// @desc    Submit a milestone for the client's approval
+// @route   POST /api/jobs/:id/milestones/:milestoneId/submit
+// @access  Private (assigned professional)
+const submitJobMilestone = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const updated = await submitMilestone(job, req.params.milestoneId, {
+      user: req.user,
+      note: req.body.note,
+      io: req.app.get('io')
+    });
+    res.json({ success: true, message: 'Milestone submitted for approval', data: updated });
+  } catch (error) {
+    sendJobError(res, error, 'Submit milestone');
+  }
+};
+
+// @desc    Send a submitted milestone back with requested changes
+// @route   POST /api/jobs/:id/milestones/:milestoneId/request-changes
+// @access  Private (job client)
+const requestJobMilestoneChanges = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const updated = await requestMilestoneChanges(job, req.params.milestoneId, {
+      user: req.user,
+      note: req.body.note,
+      io: req.app.get('io')
+    });
+    res.json({ success: true, message: 'Changes requested', data: updated });
+  } catch (error) {
+    sendJobError(res, error, 'Request milestone changes');
+  }
+};
+
+// @desc    Approve a submitted milestone and release its payment
+// @route   POST /api/jobs/:id/milestones/:milestoneId/approve
+// @access  Private (job client)
+const approveJobMilestone = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const updated = await approveMilestone(job, req.params.milestoneId, { user: req.user, io: req.app.get('io') });
+    res.json({
+      success: true,
+      message: updated.lifecycleState === 'closed' ? 'Final milestone approved, job completed' : 'Milestone approved',
+      data: updated
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Approve milestone');
+  }
+};
+
+// @desc    Negotiation thread of an application
+// @route   GET /api/jobs/:id/applications/:applicationId/offers
+// @access  Private (job client or the applicant)
+const getApplicationOffers = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const data = await getOffers(job, req.params.applicationId, req.user);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendJobError(res, error, 'Get offers');
+  }
+};
+
+// @desc    Counter the other side's latest offer with a new price, date or scope
+// @route   POST /api/jobs/:id/applications/:applicationId/offers
+// @access  Private (job client or the applicant)
+const counterApplicationOffer = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const { price, date, scope, estimatedDuration, milestones, note } = req.body;
+    const offer = await counterOffer(job, req.params.applicationId, {
+      user: req.user,
+      price,
+      date,
+      scope,
+      estimatedDuration,
+      milestones,
+      note,
+      io: req.app.get('io')
+    });
+    res.status(201).json({ success: true, message: 'Counter-offer sent', data: offer });
+  } catch (error) {
+    sendJobError(res, error, 'Counter offer');
+  }
+};
+
+// @desc    Accept the other side's latest offer; its terms become the agreed price
+// @route   POST /api/jobs/:id/applications/:applicationId/offers/accept
+// @access  Private (job client or the applicant)
+const acceptApplicationOffer = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    await acceptOffer(job, req.params.applicationId, { user: req.user, io: req.app.get('io') });
+    res.json({ success: true, message: 'Offer accepted. Open chat to proceed.', data: job });
+  } catch (error) {
+    sendJobError(res, error, 'Accept offer');
+  }
+};
+
+// @desc    Withdraw an application
+// @route   POST /api/jobs/:id/applications/:applicationId/withdraw
+// @access  Private (the applicant)
+const withdrawJobApplication = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const application = await withdrawApplication(job, req.params.applicationId, {
+      user: req.user,
+      reason: req.body.reason,
+      io: req.app.get('io')
+    });
+    res.json({ success: true, message: 'Application withdrawn', data: application });
+  } catch (error) {
+    sendJobError(res, error, 'Withdraw application');
+  }
+};
+
+// @desc    Jobs the logged-in professional has been invited to
+// @route   GET /api/jobs/invitations
+// @access  Private (Professional only)
+const getMyJobInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['pending', 'accepted', 'declined'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+    const data = await listProfessionalInvitations(req.user, { status });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendJobError(res, error, 'Get job invitations');
+  }
+};
+
+// @desc    Change who can see a job: public, invite_only or connections_only
+// @route   PUT /api/jobs/:id/visibility
+// @access  Private (job client)
+const updateJobVisibility = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    await setJobVisibility(job, { user: req.user, visibility: req.body.visibility });
+    res.json({ success: true, message: 'Visibility updated', data: { visibility: job.visibility } });
+  } catch (error) {
+    sendJobError(res, error, 'Update job visibility');
+  }
+};
+
+// @desc    Invite professionals by direct pick, from connections or from favourites
+// @route   POST /api/jobs/:id/invitations
+// @access  Private (job client)
+const inviteToJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const { professionals, connections, favorites, message } = req.body;
+    const invitations = await inviteProfessionals(job, {
+      user: req.user,
+      professionals,
+      connections,
+      favorites,
+      message,
+      io: req.app.get('io')
+    });
+    res.status(201).json({
+      success: true,
+      message: invitations.length ? `${invitations.length} professional(s) invited` : 'Everyone selected was already invited',
+      data: invitations
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Invite to job');
+  }
+};
+
+// @desc    Accept or decline an invitation to a job
+// @route   POST /api/jobs/:id/invitations/respond
+// @access  Private (invited professional)
+const respondToJobInvitation = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const invitation = await respondToInvitation(job, {
+      user: req.user,
+      decision: req.body.decision,
+      io: req.app.get('io')
+    });
+    res.json({ success: true, message: `Invitation ${invitation.status}`, data: invitation });
+  } catch (error) {
+    sendJobError(res, error, 'Respond to invitation');
+  }
+};
+
+// @desc    Withdraw an invitation
+// @route   DELETE /api/jobs/:id/invitations/:professionalId
+// @access  Private (job client)
+const revokeJobInvitation = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    await revokeInvitation(job, { user: req.user, professionalId: req.params.professionalId });
+    res.json({ success: true, message: 'Invitation withdrawn', data: job.invitations });
+  } catch (error) {
+    sendJobError(res, error, 'Revoke invitation');
+  }
+};
+
+// @desc    Compare the quotes on a job side by side
+// @route   GET /api/jobs/:id/quotes/compare?sort=price|rating|distance|completed|warranty|validity&order=asc|desc
+// @access  Private (job client or moderator)
+const compareJobQuotes = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (String(job.client) !== String(req.user.id) && !hasPermission(req.user, PERMISSIONS.JOB_MODERATE)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to compare quotes on this job' });
+    }
+    const { sort, order, includeClosed } = req.query;
+    const data = await compareQuotes(job, {
+      sort: sort || undefined,
+      order: order || undefined,
+      statuses: includeClosed === 'true' ? ['Pending', 'Accepted', 'Rejected', 'Withdrawn'] : undefined
+    });
+    res.json({
+      success: true,
+      data: { ...data, requireQuote: job.requireQuote, quoteDeadline: job.quoteDeadline }
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Compare quotes');
+  }
+};
+
 // Helper function to notify relevant professionals
 const notifyRelevantProfessionals = async (job) => {
   try {
@@ -1229,14 +1531,32 @@ module.exports = {
   completeJob,
   cancelJob,
   getJobDetails,
+  getJobTimeline,
   createJobRequestInChat,
   acceptJobRequest,
   proMarkCompleted,
   confirmJobCompletion,
+  fundJobEscrow,
+  getJobEscrowStatus,
+  getJobInvoicePdf,
   deleteJob,
   deleteApplicationCv,
   getApplicationCvUrl,
-  deleteJobApplication
+  deleteJobApplication,
+  updateJobMilestones,
+  submitJobMilestone,
+  requestJobMilestoneChanges,
+  approveJobMilestone,
+  getApplicationOffers,
+  counterApplicationOffer,
+  acceptApplicationOffer,
+  withdrawJobApplication,
+  getMyJobInvitations,
+  updateJobVisibility,
+  inviteToJob,
+  respondToJobInvitation,
+  revokeJobInvitation,
+  compareJobQuotes
 };
 
 
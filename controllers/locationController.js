@@ -3,6 +3,7 @@ const Professional = require('../models/Professional');
 const Job = require('../models/Job');
 const { reverseGeocode, calculateDistance, formatDistance } = require('../utils/locationService');
 const { snapToLGA } = require('../utils/geo');
+const { buildVisibilityFilter } = require('../utils/jobInvitationService');
 
 /**
  * Save/update user location
@@ -184,6 +185,12 @@ const findNearbyJobs = async (req, res) => {
       });
     }
 
+    // Private jobs only for invited or connected pros; other callers see public jobs only
+    const pro = await Professional.findOne({ user: userId }).select('_id');
+    const visibilityFilter = pro
+      ? await buildVisibilityFilter(pro._id)
+      : { visibility: { $in: [null, 'public'] } };
+
     // Build query: only show jobs that are actually open for applications
     const query = {
       status: { $in: ['Pending', 'Open'] },
@@ -199,7 +206,8 @@ const findNearbyJobs = async (req, res) => {
         { lifecycleState: { $nin: ['in_progress','completed_by_pro','completed_by_user','closed','cancelled'] } },
         { completed: { $ne: true } },
         { isCompleted: { $ne: true } },
-        { completedAt: { $exists: false } }
+        { completedAt: { $exists: false } },
+        visibilityFilter
       ]
     };
     if (category) {
@@ -1,6 +1,51 @@
 const Payment = require("../models/Payment");
 const Booking = require("../models/Booking");
 const User = require("../models/User");
+const Professional = require("../models/Professional");
+const WebhookEvent = require("../models/WebhookEvent");
+const { getPaymentGateway } = require("../utils/paymentGateway");
+const { markEscrowFunded } = require("../utils/escrowService");
+const { issueRefund, handleRefundWebhook, RefundError, REFUND_WEBHOOK_STATUSES } = require("../utils/refundService");
+const { handlePayoutTransferWebhook, TRANSFER_WEBHOOK_STATUSES } = require("../utils/payoutService");
+const { recordBookingPayment } = require("../utils/ledgerService");
+const { getOrCreatePaymentReceipt, getReceiptAttachment, renderInvoicePdf, InvoiceError } = require("../utils/invoiceService");
+const { sendMail } = require("../utils/mailer");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+// Email the customer their receipt as a PDF attachment. Never fails the caller.
+const emailPaymentReceipt = async (payment) => {
+  try {
+    const customer = await User.findById(payment.customer).select("email name");
+    if (!customer?.email) return;
+    const attachment = await getReceiptAttachment(payment);
+    await sendMail({
+      to: customer.email,
+      subject: "FixFinder - Payment Receipt",
+      html: `<p>Hello ${customer.name || ""},</p><p>We received your payment of ${payment.currency} ${payment.amount.toLocaleString()}. ${attachment ? "Your receipt is attached." : ""}</p>`,
+      attachments: attachment ? [attachment] : undefined,
+    });
+  } catch (e) {
+    console.error("Receipt email failed:", e.message);
+  }
+};
+
+// Side effects of a confirmed charge: bookings get confirmed and credited to the
+// professional's wallet, job escrow becomes held, and the customer is emailed a receipt
+const applySuccessfulPayment = async (payment, io) => {
+  if (payment.purpose === "job_escrow") {
+    await markEscrowFunded(payment, { io });
+  } else {
+    await Booking.findByIdAndUpdate(payment.booking, { status: "confirmed", confirmedAt: new Date() });
+    await recordBookingPayment(payment, { settledToSubaccount: Boolean(payment.paystackData?.split) });
+  }
+  await emailPaymentReceipt(payment);
+};
+
+// Settle a payment that is still in one of `statuses` with one conditional
+// update, so a webhook and a client verify arriving together settle it once.
+// Resolves to null when another request got there first.
+const settlePayment = (payment, statuses, update) =>
+  Payment.findOneAndUpdate({ _id: payment._id, status: { $in: statuses } }, update, { new: true });
 
 exports.initializePayment = async (req, res, next) => {
   try {
@@ -29,34 +74,54 @@ exports.initializePayment = async (req, res, next) => {
       });
     }
 
+    const customer = await User.findById(req.user.id).select("email");
+
     // Split parameters
     const platformPercent = Number(process.env.PLATFORM_FEE_PERCENT || 10); // default 10%
+    const platformFee = Math.round(payment.amount * platformPercent) / 100;
     const subaccount = booking.professional.paystackSubaccount || null;
-    const split = subaccount
-      ? { subaccount, bearer: "subaccount", transaction_charge: 0 }
-      : null;
-
-    // Paystack initialization (mock for now)
-    const paystackData = {
-      reference: `fixfinder_${payment._id}_${Date.now()}`,
-      access_code: `access_${payment._id}`,
-      authorization_url: `https://checkout.paystack.com/${payment._id}`,
-      split,
+
+    const gateway = getPaymentGateway();
+    const reference = `fixfinder_${payment._id}_${Date.now()}`;
+    let transaction;
+    try {
+      transaction = await gateway.initializeTransaction({
+        email: customer?.email,
+        amount: payment.amount,
+        currency: payment.currency,
+        reference,
+        callbackUrl: process.env.PAYSTACK_CALLBACK_URL,
+        metadata: { paymentId: String(payment._id), bookingId: String(bookingId) },
+        subaccount,
+        platformFee,
+      });
+    } catch (gatewayError) {
+      console.error("Payment initialization failed:", gatewayError.message);
+      return res.status(502).json({ message: "Unable to initialize payment with the gateway" });
+    }
+
+    // A retry starts a fresh transaction; earlier ones stay valid until one is paid
+    payment.status = "pending";
+    payment.failureReason = undefined;
+    payment.gateway = gateway.name;
+    payment.platformFee = platformFee;
+    payment.paystackReference = transaction.reference;
+    payment.paystackReferences.push(transaction.reference);
+    payment.paystackAccessCode = transaction.accessCode;
+    payment.paystackData = {
+      ...transaction.raw,
+      split: subaccount ? { subaccount, bearer: "subaccount", transaction_charge: platformFee } : null,
       platform_fee_percent: platformPercent,
     };
-
-    payment.paystackReference = paystackData.reference;
-    payment.paystackAccessCode = paystackData.access_code;
-    payment.paystackData = paystackData;
     await payment.save();
 
     res.json({
       paymentId: payment._id,
       amount: payment.amount,
       currency: payment.currency,
-      reference: paystackData.reference,
-      access_code: paystackData.access_code,
-      authorization_url: paystackData.authorization_url,
+      reference: transaction.reference,
+      access_code: transaction.accessCode,
+      authorization_url: transaction.authorizationUrl,
     });
   } catch (err) {
     next(err);
@@ -68,48 +133,163 @@ exports.verifyPayment = async (req, res, next) => {
     const { reference } = req.body;
     if (!reference) return res.status(400).json({ message: "reference required" });
 
-    const payment = await Payment.findOne({ paystackReference: reference });
+    const payment = await Payment.findByReference(reference);
     if (!payment) return res.status(404).json({ message: "Payment not found" });
+    if (String(payment.customer) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (payment.status !== "pending") {
+      return res.json({ status: payment.status, payment });
+    }
 
-    // Mock verification - replace with actual Paystack verification API call
-    const isSuccessful = Math.random() > 0.3; // 70% success rate for testing
-
-    if (isSuccessful) {
-      payment.status = "success";
-      payment.paidAt = new Date();
-      await payment.save();
+    let transaction;
+    try {
+      transaction = await getPaymentGateway().verifyTransaction(reference);
+    } catch (gatewayError) {
+      console.error("Payment verification failed:", gatewayError.message);
+      return res.status(502).json({ message: "Unable to verify payment with the gateway" });
+    }
 
-      // Update booking status
-      await Booking.findByIdAndUpdate(payment.booking, { status: "confirmed" });
+    const update = { $set: { "paystackData.verification": transaction.raw } };
+    if (transaction.status === "success") {
+      // Never trust a success for less than what was charged
+      if (transaction.amount != null && transaction.amount < payment.amount) {
+        update.$set.status = "failed";
+        update.$set.failureReason = `Amount mismatch: expected ${payment.amount}, gateway reported ${transaction.amount}`;
+      } else {
+        update.$set.status = "success";
+        update.$set.paidAt = transaction.paidAt || new Date();
+        // Refunds go against the checkout that was paid
+        update.$set.paystackReference = reference;
+      }
+    } else if (transaction.status === "failed" && reference === payment.paystackReference) {
+      update.$set.status = "failed";
+      update.$set.failureReason = transaction.gatewayResponse;
+    }
 
-      res.json({ status: "success", payment });
-    } else {
-      payment.status = "failed";
-      await payment.save();
-      res.json({ status: "failed", payment });
+    const settled = await settlePayment(payment, ["pending"], update);
+    if (!settled) {
+      // Settled by the webhook in the meantime
+      const current = await Payment.findById(payment._id);
+      return res.json({ status: current.status, payment: current });
     }
+    if (settled.status === "success") {
+      await applySuccessfulPayment(settled, req.app.get("io"));
+    }
+
+    res.json({ status: settled.status, payment: settled });
   } catch (err) {
     next(err);
   }
 };
 
+// Webhook event handlers. Each one applies a single state transition:
+//   charge.success   -> Payment success, Booking confirmed (or job escrow held)
+//   charge.failed    -> Payment failed, Booking left pending so the customer can retry
+//   refund.*         -> Refund status; once processed, Payment refunded/partially_refunded
+//                       and Booking cancelled on a full refund (see utils/refundService)
+//   transfer.*       -> Payout paid/failed (see utils/payoutService); transfers are
+//                       only ever started for payouts
+// A handler returns false when the event does not apply to any payment we know about.
+const handleChargeSuccess = async (data, io) => {
+  const payment = await Payment.findByReference(data.reference);
+  if (!payment) return false;
+  if (payment.status !== "pending" && payment.status !== "failed") return true;
+
+  const paidAmount = Number(data.amount) / 100;
+  const update = paidAmount < payment.amount
+    ? {
+      $set: {
+        status: "failed",
+        failureReason: `Amount mismatch: expected ${payment.amount}, gateway reported ${paidAmount}`,
+        "paystackData.webhookData": data,
+      },
+    }
+    : {
+      $set: {
+        status: "success",
+        paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
+        paystackReference: data.reference,
+        "paystackData.webhookData": data,
+      },
+      $unset: { failureReason: 1 },
+    };
+  const settled = await settlePayment(payment, ["pending", "failed"], update);
+
+  if (settled?.status === "success") {
+    await applySuccessfulPayment(settled, io);
+  }
+  return true;
+};
+
+const handleChargeFailed = async (data) => {
+  const payment = await Payment.findByReference(data.reference);
+  if (!payment) return false;
+  // A failed earlier checkout does not fail the one still open
+  if (payment.status !== "pending" || data.reference !== payment.paystackReference) return true;
+
+  await Payment.updateOne(
+    { _id: payment._id, status: "pending", paystackReference: data.reference },
+    {
+      $set: {
+        status: "failed",
+        failureReason: data.gateway_response || "Charge failed",
+        "paystackData.webhookData": data,
+      },
+    }
+  );
+  return true;
+};
+
+const processWebhookEvent = async (event, data, io) => {
+  switch (event) {
+    case "charge.success":
+      return handleChargeSuccess(data, io);
+    case "charge.failed":
+      return handleChargeFailed(data);
+    default:
+      if (REFUND_WEBHOOK_STATUSES[event]) return handleRefundWebhook(event, data, { io });
+      if (TRANSFER_WEBHOOK_STATUSES[event]) return handlePayoutTransferWebhook(event, data, { io });
+      return false;
+  }
+};
+
 exports.paystackWebhook = async (req, res, next) => {
   try {
-    const { event, data } = req.body;
-
-    if (event === "charge.success") {
-      const { reference } = data;
-      const payment = await Payment.findOne({ paystackReference: reference });
-      
-      if (payment && payment.status === "pending") {
-        payment.status = "success";
-        payment.paidAt = new Date();
-        payment.paystackData = { ...payment.paystackData, webhookData: data };
-        await payment.save();
-
-        // Update booking status
-        await Booking.findByIdAndUpdate(payment.booking, { status: "confirmed" });
+    const gateway = getPaymentGateway();
+    if (!gateway.verifyWebhookSignature(req.rawBody, req.headers["x-paystack-signature"])) {
+      return res.status(401).json({ message: "Invalid signature" });
+    }
+
+    const { event, data } = req.body || {};
+    const eventId = gateway.getWebhookEventId(req.body);
+    if (!eventId) return res.status(400).json({ message: "Malformed event" });
+
+    // Record the delivery first; the unique index on eventId makes replays a no-op
+    let record;
+    try {
+      record = await WebhookEvent.create({ provider: gateway.name, eventId, event, payload: req.body });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+      record = await WebhookEvent.findOne({ provider: gateway.name, eventId });
+      if (record.status !== "failed") {
+        return res.json({ status: "success", duplicate: true });
       }
+      // A previous delivery failed midway - let the retry process it again
+      record.attempts += 1;
+    }
+
+    try {
+      const applied = await processWebhookEvent(event, data || {}, req.app.get("io"));
+      record.status = applied ? "processed" : "ignored";
+      record.error = undefined;
+      record.processedAt = new Date();
+      await record.save();
+    } catch (processingError) {
+      record.status = "failed";
+      record.error = processingError.message;
+      await record.save();
+      throw processingError;
     }
 
     res.json({ status: "success" });
@@ -118,10 +298,68 @@ exports.paystackWebhook = async (req, res, next) => {
   }
 };
 
+// Admin: refund all or part of a payment (omit amount for a full refund)
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    if (amount != null && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: "amount must be a positive number" });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+
+    const refund = await issueRefund({
+      payment,
+      amount: amount != null ? Number(amount) : undefined,
+      reason,
+      source: "admin",
+      requestedBy: req.user.id,
+      io: req.app.get("io"),
+    });
+    const updated = await Payment.findById(payment._id);
+
+    res.status(201).json({ refund, payment: updated });
+  } catch (err) {
+    if (err instanceof RefundError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// Receipt PDF for a payment: available to the customer, the professional and staff with payment:read_all
+exports.getPaymentReceipt = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+
+    if (String(payment.customer) !== String(req.user.id) && !hasPermission(req.user, PERMISSIONS.PAYMENT_READ_ALL)) {
+      const pro = await Professional.findOne({ _id: payment.professional, user: req.user.id }).select("_id");
+      if (!pro) return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const receipt = await getOrCreatePaymentReceipt(payment);
+    const pdf = await renderInvoicePdf(receipt);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="receipt-${receipt.number}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (err) {
+    if (err instanceof InvoiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
 exports.getPaymentHistory = async (req, res, next) => {
   try {
     const payments = await Payment.find({ customer: req.user.id })
       .populate("booking", "date durationMinutes")
+      .populate("job", "title")
       .populate("professional", "name category")
       .sort({ createdAt: -1 });
     res.json(payments);
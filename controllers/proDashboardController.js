@@ -2,6 +2,7 @@ const Job = require('../models/Job');
 const Connection = require('../models/Connection');
 const Review = require('../models/Review');
 const Professional = require('../models/Professional');
+const { getEarnings, getEarningsPerMonth } = require('../utils/ledgerService');
 
 exports.getOverview = async (req, res) => {
   try {
@@ -13,15 +14,12 @@ exports.getOverview = async (req, res) => {
 
     const [totalJobs, activeJobs, completedJobs] = await Promise.all([
       Job.countDocuments({ professional: professionalId }),
-      Job.countDocuments({ professional: professionalId, status: 'in_progress' }),
-      Job.countDocuments({ professional: professionalId, status: 'completed' })
+      Job.countDocuments({ professional: professionalId, status: 'In Progress' }),
+      Job.countDocuments({ professional: professionalId, status: 'Completed' })
     ]);
 
-    const totalEarningsAgg = await Job.aggregate([
-      { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(String(professionalId)), status: 'completed' } },
-      { $group: { _id: null, total: { $sum: { $ifNull: ['$budget', 0] } } } }
-    ]);
-    const totalEarnings = totalEarningsAgg[0]?.total || 0;
+    // Earnings come from the wallet ledger: payments and released escrow, less fees and refunds
+    const totalEarnings = await getEarnings(professionalId);
 
     const reviewAgg = await Review.aggregate([
       { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(String(professionalId)) } },
@@ -67,6 +65,8 @@ exports.getOverview = async (req, res) => {
 exports.getAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const proDoc = await Professional.findOne({ user: userId }).select('_id');
+    const professionalId = proDoc?._id || userId;
 
     // Jobs per month (last 6 months)
     const since = new Date();
@@ -76,38 +76,30 @@ exports.getAnalytics = async (req, res) => {
     const [jobsPerMonth, earningsPerMonth, connectionsCount, totalJobs, totalEarnings, reviewStats] = await Promise.all([
       // Jobs per month
       Job.aggregate([
-        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(userId), createdAt: { $gte: since } } },
+        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(String(professionalId)), createdAt: { $gte: since } } },
         { $group: { _id: { y: { $year: '$createdAt' }, m: { $month: '$createdAt' } }, count: { $sum: 1 } } },
         { $sort: { '_id.y': 1, '_id.m': 1 } }
       ]),
       
-      // Earnings per month
-      Job.aggregate([
-        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(userId), status: 'completed', updatedAt: { $gte: since } } },
-        { $group: { _id: { y: { $year: '$updatedAt' }, m: { $month: '$updatedAt' } }, total: { $sum: { $ifNull: ['$budget', 0] } } } },
-        { $sort: { '_id.y': 1, '_id.m': 1 } }
-      ]),
+      // Earnings per month (from the wallet ledger)
+      getEarningsPerMonth(professionalId, since),
       
       // Connections count
       Connection.countDocuments({ $or: [ { requester: userId }, { professional: userId } ], status: 'accepted' }),
       
       // Total jobs
-      Job.countDocuments({ professional: userId }),
+      Job.countDocuments({ professional: professionalId }),
       
-      // Total earnings
-      Job.aggregate([
-        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(userId), status: 'completed' } },
-        { $group: { _id: null, total: { $sum: { $ifNull: ['$budget', 0] } } } }
-      ]),
+      // Total earnings (from the wallet ledger)
+      getEarnings(professionalId),
       
       // Review stats
       Review.aggregate([
-        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(userId) } },
+        { $match: { professional: require('mongoose').Types.ObjectId.createFromHexString(String(professionalId)) } },
         { $group: { _id: null, averageRating: { $avg: { $ifNull: ['$rating', 0] } }, reviewCount: { $sum: 1 } } }
       ])
     ]);
 
-    const totalEarningsValue = totalEarnings[0]?.total || 0;
     const averageRating = reviewStats[0]?.averageRating || 0;
     const reviewCount = reviewStats[0]?.reviewCount || 0;
 
@@ -118,7 +110,7 @@ exports.getAnalytics = async (req, res) => {
         earningsPerMonth, 
         connectionsCount,
         totalJobs,
-        totalEarnings: totalEarningsValue,
+        totalEarnings,
         averageRating,
         reviewCount
       } 
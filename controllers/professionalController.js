@@ -99,6 +99,8 @@ exports.getProfessionalByUserId = async (req, res, next) => {
 exports.updateProfessional = async (req, res, next) => {
   try {
     const updates = { ...req.body };
+    // Schedules are validated through /api/bookings/schedule/me
+    delete updates.schedule;
     // Coerce certifications to array of strings if array of objects provided
     if (Array.isArray(updates.certifications)) {
       updates.certifications = updates.certifications.map((c) => {
@@ -0,0 +1,98 @@
+const RecurringSeries = require("../models/RecurringSeries");
+const { JobTransitionError } = require("../utils/jobStateMachine");
+const {
+  RecurrenceError,
+  formatRRule,
+  getSeriesForUser,
+  createSeries,
+  changeOccurrence,
+  cancelSeries,
+  getUpcomingOccurrences,
+  listUserSeries,
+} = require("../utils/recurrenceService");
+
+const SERIES_STATUSES = RecurringSeries.schema.path("status").enumValues;
+
+const handleRecurrenceError = (err, res, next) => {
+  if (err instanceof RecurrenceError || err instanceof JobTransitionError) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+  if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+  next(err);
+};
+
+// Make an existing job or booking recurring
+exports.createRecurringSeries = async (req, res, next) => {
+  try {
+    const { jobId, bookingId, recurrence } = req.body;
+    const series = await createSeries({ user: req.user, jobId, bookingId, recurrence, io: req.app.get("io") });
+    res.status(201).json({ series, rrule: formatRRule(series.rule) });
+  } catch (err) {
+    handleRecurrenceError(err, res, next);
+  }
+};
+
+// Series the logged-in user is the client or professional of
+exports.getMySeries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status && !SERIES_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { series, total } = await listUserSeries(req.user, { status, page, limit });
+    res.json({ series, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// A series with its next occurrences
+exports.getSeries = async (req, res, next) => {
+  try {
+    const { series, role } = await getSeriesForUser(req.params.id, req.user);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const occurrences = await getUpcomingOccurrences(series, { limit });
+    await series.populate([
+      { path: "job", select: "title lifecycleState preferredTime" },
+      { path: "booking", select: "date durationMinutes status price" },
+      { path: "professional", select: "name" },
+    ]);
+    res.json({ series, role, rrule: formatRRule(series.rule), occurrences });
+  } catch (err) {
+    handleRecurrenceError(err, res, next);
+  }
+};
+
+const occurrenceHandler = (action) => async (req, res, next) => {
+  try {
+    const { date, newDate, reason } = req.body;
+    const { series } = await getSeriesForUser(req.params.id, req.user);
+    const { occurrence } = await changeOccurrence(series, {
+      user: req.user,
+      action,
+      date,
+      newDate,
+      reason,
+      io: req.app.get("io"),
+    });
+    res.json({ series, occurrence });
+  } catch (err) {
+    handleRecurrenceError(err, res, next);
+  }
+};
+
+// Single occurrences, identified by the date the rule gave them
+exports.skipOccurrence = occurrenceHandler("skipped");
+exports.cancelOccurrence = occurrenceHandler("cancelled");
+exports.rescheduleOccurrence = occurrenceHandler("rescheduled");
+
+// Stop the series and cancel its upcoming occurrences
+exports.cancelRecurringSeries = async (req, res, next) => {
+  try {
+    const { series } = await getSeriesForUser(req.params.id, req.user);
+    const result = await cancelSeries(series, { user: req.user, reason: req.body.reason, io: req.app.get("io") });
+    res.json(result);
+  } catch (err) {
+    handleRecurrenceError(err, res, next);
+  }
+};
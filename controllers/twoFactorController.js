@@ -0,0 +1,191 @@
+const bcrypt = require("bcryptjs");
+const { createSession, verifyAccessToken, SessionError } = require("../utils/sessionService");
+const {
+  TwoFactorError,
+  loadUserWithSecrets,
+  loadChallenge,
+  completeLoginChallenge,
+  resendLoginSms,
+  sendConfirmationSms,
+  confirmSecondFactor,
+  startTotpSetup,
+  confirmTotpSetup,
+  startSmsSetup,
+  confirmSmsSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../utils/twoFactorService");
+const { AuthThrottleError, sendThrottled } = require("../utils/bruteForceService");
+
+const handleError = (err, res, next) => {
+  if (err instanceof AuthThrottleError) return sendThrottled(err, res);
+  if (err instanceof TwoFactorError || err instanceof SessionError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+// Setup endpoints serve both logged-in users and admins enrolling mid-login,
+// who present the setup challenge token from /login instead of an access token
+const resolveSetupContext = async (req) => {
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("Bearer ")) {
+    const { id } = await verifyAccessToken(authHeader.substring(7));
+    return { user: await loadUserWithSecrets(id) };
+  }
+  const challenge = await loadChallenge(req.body.challengeToken, "setup");
+  return { user: await loadUserWithSecrets(challenge.user), challenge };
+};
+
+// Finishing enrolment from a setup challenge signs the user in
+const finishSetup = async (req, res, { user, challenge }, recoveryCodes) => {
+  if (!challenge) return res.json({ enabled: true, method: user.twoFactor.method, recoveryCodes });
+
+  challenge.consumedAt = new Date();
+  await challenge.save();
+  const tokens = await createSession(user, req);
+  return res.json({ enabled: true, method: user.twoFactor.method, recoveryCodes, user: user.toSafeJSON(), ...tokens });
+};
+
+// Exchange a login challenge and a code (or recovery code) for a session
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) return res.status(400).json({ message: "code or recoveryCode required" });
+
+    const user = await completeLoginChallenge(challengeToken, { code, recoveryCode }, req);
+    const tokens = await createSession(user, req);
+    return res.json({ user: user.toSafeJSON(), ...tokens });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+exports.resendTwoFactorCode = async (req, res, next) => {
+  try {
+    await resendLoginSms(req.body.challengeToken);
+    return res.json({ message: "Verification code sent" });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await loadUserWithSecrets(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    return res.json({
+      enabled: !!user.twoFactor?.enabled,
+      method: user.twoFactor?.method || null,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      required: user.role === "admin",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.setupTotp = async (req, res, next) => {
+  try {
+    const { user } = await resolveSetupContext(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const { secret, otpauthUrl } = await startTotpSetup(user);
+    return res.json({ secret, otpauthUrl });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+exports.enableTotp = async (req, res, next) => {
+  try {
+    const context = await resolveSetupContext(req);
+    if (!context.user) return res.status(404).json({ message: "User not found" });
+    if (context.user.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const recoveryCodes = await confirmTotpSetup(context.user, req.body.code);
+    return finishSetup(req, res, context, recoveryCodes);
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+exports.setupSms = async (req, res, next) => {
+  try {
+    const { user, challenge } = await resolveSetupContext(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    await startSmsSetup(user, { challenge });
+    return res.json({ message: "Verification code sent" });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+exports.enableSms = async (req, res, next) => {
+  try {
+    const context = await resolveSetupContext(req);
+    if (!context.user) return res.status(404).json({ message: "User not found" });
+    if (context.user.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const recoveryCodes = await confirmSmsSetup(context.user, req.body.code, { challenge: context.challenge });
+    return finishSetup(req, res, context, recoveryCodes);
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+// Texts SMS users the code that confirms regenerating recovery codes or disabling 2FA
+exports.sendTwoFactorConfirmationCode = async (req, res, next) => {
+  try {
+    const user = await loadUserWithSecrets(req.user.id);
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    await sendConfirmationSms(user);
+    return res.json({ message: "Verification code sent" });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+// Requires the current code (TOTP, or SMS from /2fa/sms/send) or a recovery code
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = await loadUserWithSecrets(req.user.id);
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    if (!(await confirmSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
+
+// Requires the password plus the current code (TOTP, or SMS from /2fa/sms/send) or a recovery code
+exports.disableTwoFactorAuth = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password) return res.status(400).json({ message: "password required" });
+
+    const user = await loadUserWithSecrets(req.user.id).select("+password");
+    if (!user?.twoFactor?.enabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    if (!user.password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    if (!(await confirmSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await disableTwoFactor(user);
+    return res.json({ enabled: false });
+  } catch (err) {
+    handleError(err, res, next);
+  }
+};
@@ -1,6 +1,7 @@
 const User = require("../models/User");
 const Professional = require("../models/Professional");
 const { uploadBufferToCloudinary } = require("../utils");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
 
 const FACE_PROMPTS = ["blink", "turn_left", "turn_right", "say_1234", "smile", "raise_eyebrows"];
 const FACE_MODEL_VERSION = process.env.FACE_API_MODEL_VERSION || "face-api.js@1";
@@ -132,7 +133,7 @@ exports.setReferenceFace = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "User not found" });
-    if (user.role !== "professional") {
+    if (!hasPermission(req.user, PERMISSIONS.VERIFICATION_SUBMIT)) {
       return res.status(403).json({ message: "Face verification is limited to professional accounts" });
     }
 
@@ -320,7 +321,7 @@ exports.startFace = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "User not found" });
-    if (user.role !== "professional") return res.status(403).json({ message: "Face verification is limited to professional accounts" });
+    if (!hasPermission(req.user, PERMISSIONS.VERIFICATION_SUBMIT)) return res.status(403).json({ message: "Face verification is limited to professional accounts" });
 
     if (user.faceVerification?.status === "verified") {
       return res.json({
@@ -361,7 +362,7 @@ exports.captureFace = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "User not found" });
-    if (user.role !== "professional") return res.status(403).json({ message: "Face verification is limited to professional accounts" });
+    if (!hasPermission(req.user, PERMISSIONS.VERIFICATION_SUBMIT)) return res.status(403).json({ message: "Face verification is limited to professional accounts" });
 
     let descriptor;
     try {
@@ -457,7 +458,7 @@ exports.resetFaceVerification = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "User not found" });
-    if (user.role !== "professional") {
+    if (!hasPermission(req.user, PERMISSIONS.VERIFICATION_SUBMIT)) {
       return res.status(403).json({ message: "Face verification is limited to professional accounts" });
     }
 
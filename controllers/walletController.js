@@ -0,0 +1,128 @@
+const Payout = require("../models/Payout");
+const Professional = require("../models/Professional");
+const { getWalletBalance, getWalletEntries } = require("../utils/ledgerService");
+const { requestPayout, approvePayout, rejectPayout, getPayoutMinimum, PayoutError } = require("../utils/payoutService");
+
+const PAYOUT_STATUSES = ["pending", "processing", "paid", "rejected", "failed"];
+
+const findOwnProfessional = (userId) => Professional.findOne({ user: userId }).select("_id name");
+
+const handlePayoutError = (err, res, next) => {
+  if (err instanceof PayoutError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  next(err);
+};
+
+// Wallet summary for the logged-in professional
+exports.getWallet = async (req, res, next) => {
+  try {
+    const professional = await findOwnProfessional(req.user.id);
+    if (!professional) return res.status(404).json({ message: "Professional profile not found" });
+
+    const [balance, recent, pendingPayouts] = await Promise.all([
+      getWalletBalance(professional._id),
+      getWalletEntries(professional._id, { limit: 10 }),
+      Payout.find({ professional: professional._id, status: { $in: ["pending", "processing"] } }).sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      currency: "NGN",
+      ...balance,
+      minimumPayout: getPayoutMinimum(),
+      pendingPayoutRequests: pendingPayouts,
+      recentEntries: recent.entries,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Paged wallet ledger entries for the logged-in professional
+exports.getWalletEntries = async (req, res, next) => {
+  try {
+    const professional = await findOwnProfessional(req.user.id);
+    if (!professional) return res.status(404).json({ message: "Professional profile not found" });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { entries, total } = await getWalletEntries(professional._id, { page, limit });
+
+    res.json({ entries, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createPayoutRequest = async (req, res, next) => {
+  try {
+    const { amount, note } = req.body;
+    if (!(Number(amount) > 0)) return res.status(400).json({ message: "amount must be a positive number" });
+
+    const professional = await findOwnProfessional(req.user.id);
+    if (!professional) return res.status(404).json({ message: "Professional profile not found" });
+
+    const payout = await requestPayout({
+      professional,
+      requestedBy: req.user.id,
+      amount: Number(amount),
+      note,
+      io: req.app.get("io"),
+    });
+    res.status(201).json(payout);
+  } catch (err) {
+    handlePayoutError(err, res, next);
+  }
+};
+
+exports.getMyPayouts = async (req, res, next) => {
+  try {
+    const professional = await findOwnProfessional(req.user.id);
+    if (!professional) return res.status(404).json({ message: "Professional profile not found" });
+
+    const payouts = await Payout.find({ professional: professional._id }).sort({ createdAt: -1 });
+    res.json(payouts);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: payout approval queue (oldest first), filterable by status
+exports.listPayouts = async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!PAYOUT_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+
+    const payouts = await Payout.find({ status })
+      .populate("professional", "name category")
+      .populate("requestedBy", "name email")
+      .sort({ createdAt: 1 });
+    res.json(payouts);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: approve a payout and send the transfer
+exports.approvePayoutRequest = async (req, res, next) => {
+  try {
+    const payout = await approvePayout(req.params.id, { reviewedBy: req.user.id, io: req.app.get("io") });
+    res.json(payout);
+  } catch (err) {
+    handlePayoutError(err, res, next);
+  }
+};
+
+// Admin: reject a payout; the amount returns to the professional's wallet
+exports.rejectPayoutRequest = async (req, res, next) => {
+  try {
+    const payout = await rejectPayout(req.params.id, {
+      reviewedBy: req.user.id,
+      reason: req.body.reason,
+      io: req.app.get("io"),
+    });
+    res.json(payout);
+  } catch (err) {
+    handlePayoutError(err, res, next);
+  }
+};
@@ -1,28 +1,31 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken, SessionError } = require("../utils/sessionService");
+const { getPermissions } = require("../config/permissions");
 
-exports.protect = (req, res, next) => {
+exports.protect = async (req, res, next) => {
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ") ? authHeader.substring(7) : null;
   if (!token) {
     return res.status(401).json({ message: "Not authorized" });
   }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { id: decoded.id };
-    next();
+    // Also rejects revoked sessions and tokens whose roles no longer match the user
+    const { id, sessionId, role, adminRoles } = await verifyAccessToken(token);
+    req.user = { id, sessionId, role, adminRoles, permissions: getPermissions({ role, adminRoles }) };
+    req.userRole = role;
   } catch (err) {
-    return res.status(401).json({ message: "Token invalid or expired" });
+    if (err instanceof SessionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    return next(err);
   }
+  next();
 };
 
-exports.requireRoles = (...roles) => (req, res, next) => {
-  if (!req.userRole) return next();
-  if (!roles.includes(req.userRole)) {
+// Use after protect; passes when the user has every listed permission (see config/permissions.js)
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+  if (!permissions.every((p) => granted.includes(p))) {
     return res.status(403).json({ message: "Forbidden" });
   }
   next();
 };
-
-
-
-
@@ -1,38 +1,68 @@
-const rateLimitMap = new Map();
+const jwt = require("jsonwebtoken");
+const { RATE_LIMIT_POLICIES } = require("../config/rateLimits");
+const { getDefaultStore } = require("../utils/rateLimitStore");
 
-const rateLimit = (windowMs = 15 * 60 * 1000, max = 100) => (req, res, next) => {
-  const key = req.ip || req.connection.remoteAddress || "unknown";
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  if (!rateLimitMap.has(key)) {
-    rateLimitMap.set(key, []);
+// Authenticated clients are limited per user, everyone else per IP. The token
+// signature is checked but not its session: this only picks a bucket.
+const clientKey = (req) => {
+  if (req.user?.id) return `user:${req.user.id}`;
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("Bearer ")) {
+    try {
+      const { id } = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+      if (id) return `user:${id}`;
+    } catch (e) {}
   }
+  return `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+};
+
+/**
+ * Rate-limit middleware for a named policy from config/rateLimits.js, or an
+ * inline { name, windowMs, max }. Sets RateLimit-* headers and answers 429 with
+ * Retry-After once the limit is reached. Store failures let the request through.
+ * @param {string|{ name: string, windowMs: number, max: number }} policy
+ * @param {{ store?: Object }} [options]
+ */
+const rateLimit = (policy, { store } = {}) => {
+  const config = typeof policy === "string" ? { name: policy, ...RATE_LIMIT_POLICIES[policy] } : policy;
+  if (!config?.windowMs || !config?.max) throw new Error(`Unknown rate limit policy "${policy}"`);
+  const { name, windowMs, max } = config;
+  const windowSeconds = Math.ceil(windowMs / 1000);
 
-  const requests = rateLimitMap.get(key);
-  const validRequests = requests.filter((time) => time > windowStart);
-  rateLimitMap.set(key, validRequests);
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await (store || getDefaultStore()).hit(`${name}:${clientKey(req)}`, windowMs);
+    } catch (error) {
+      console.error(`Rate limiter store error (${name}):`, error.message);
+      return next();
+    }
 
-  if (validRequests.length >= max) {
-    return res.status(429).json({ 
-      message: "Too many requests",
-      limit: max,
-      remaining: 0,
-      resetTime: new Date(now + windowMs).toISOString()
+    const now = Date.now();
+    const elapsed = (now - result.windowStart) / windowMs;
+    // Sliding-window estimate: the previous window counts for the part still inside
+    const used = Math.floor(result.previous * (1 - elapsed) + result.current);
+    const remaining = Math.max(max - used, 0);
+    const resetSeconds = Math.max(Math.ceil((result.windowStart + windowMs - now) / 1000), 1);
+
+    res.set({
+      "RateLimit-Policy": `${max};w=${windowSeconds}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(remaining),
+      "RateLimit-Reset": String(resetSeconds),
     });
-  }
 
-  validRequests.push(now);
-  
-  // Add rate limit headers
-  res.set({
-    'X-RateLimit-Limit': max,
-    'X-RateLimit-Remaining': max - validRequests.length,
-    'X-RateLimit-Reset': new Date(now + windowMs).toISOString()
-  });
-  
-  next();
+    if (used > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        message: "Too many requests",
+        limit: max,
+        remaining: 0,
+        resetTime: new Date(now + resetSeconds * 1000).toISOString(),
+      });
+    }
+    next();
+  };
 };
 
 module.exports = { rateLimit };
-
@@ -11,18 +11,46 @@ const bookingSchema = new mongoose.Schema(
     price: { type: Number, required: true, min: 0 },
     status: {
       type: String,
-      enum: ["pending", "confirmed", "completed", "cancelled"],
+      // disputed: frozen while a Dispute is open
+      enum: ["pending", "confirmed", "completed", "cancelled", "disputed"],
       default: "pending",
     },
     notes: { type: String },
     address: { type: String },
     city: { type: String },
+    // Set on occurrences of a recurring series; occurrenceDate is the date the rule gave it
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "RecurringSeries" },
+    occurrenceDate: { type: Date },
+    // Reminders already sent ("24h", "1h"), cleared when the booking is rescheduled (see utils/backgroundTasks.js)
+    remindersSent: [{ type: String }],
+    // Who cancelled and the late-cancellation fee kept from the refund (see utils/bookingPolicyService.js)
+    cancellation: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      role: { type: String, enum: ["customer", "professional", "moderator"] },
+      reason: { type: String },
+      at: { type: Date },
+      fee: { type: Number, min: 0 },
+      feePercent: { type: Number, min: 0, max: 100 },
+    },
+    rescheduleCount: { type: Number, default: 0 },
+    // The professional's cancellation policy when the booking was made, so later changes do not apply to it
+    cancellationPolicy: {
+      freeCancellationHours: { type: Number },
+      lateCancellationFeePercent: { type: Number },
+    },
+    // When the booking was confirmed; kept when a customer reschedule sends it back to pending
+    confirmedAt: { type: Date },
   },
   { timestamps: true }
 );
 
 // Index to speed up overlap queries
 bookingSchema.index({ professional: 1, date: 1, endAt: 1 });
+// One booking per occurrence, so a sweep that runs twice does not double-book
+bookingSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 module.exports = mongoose.model("Booking", bookingSchema);
 
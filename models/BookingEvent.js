@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const BOOKING_EVENT_TYPES = [
+  'created',
+  'confirmed',
+  'completed',
+  'cancelled',
+  'rescheduled',
+  'dispute_opened',
+  'dispute_closed'
+];
+
+// Append-only audit log of changes to a booking (see utils/bookingTimelineService.js)
+const bookingEventSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: BOOKING_EVENT_TYPES,
+    required: true
+  },
+  // Empty for system actions (e.g. a refund settling)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'professional', 'moderator', 'mediator', 'system']
+  },
+  fromStatus: String,
+  toStatus: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bookingEventSchema.index({ booking: 1, createdAt: 1 });
+
+const appendOnly = function () {
+  throw new Error('Booking events are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((op) => bookingEventSchema.pre(op, appendOnly));
+bookingEventSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Booking events are append-only');
+});
+
+module.exports = mongoose.model('BookingEvent', bookingEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Tasks that failed every attempt, kept until an admin retries or discards them (see utils/taskQueue.js)
+const deadLetterTaskSchema = new mongoose.Schema(
+  {
+    task: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    schedule: { type: String },
+    attempts: { type: Number, default: 0 },
+    failures: [
+      {
+        _id: false,
+        attempt: { type: Number },
+        message: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    failedAt: { type: Date, default: Date.now },
+    retriedAt: { type: Date },
+    retryTask: { type: mongoose.Schema.Types.ObjectId, ref: "Task" },
+  },
+  { timestamps: true }
+);
+
+deadLetterTaskSchema.index({ failedAt: -1 });
+deadLetterTaskSchema.index({ name: 1, failedAt: -1 });
+
+module.exports = mongoose.model("DeadLetterTask", deadLetterTaskSchema);
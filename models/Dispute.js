@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String },
+    resourceType: { type: String },
+    fileName: { type: String },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A contested job or booking, mediated by an admin (see utils/disputeService.js)
+const disputeSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["job", "booking"], required: true },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    // Escrow (job) or booking payment the resolution settles
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", required: true },
+    // The professional's user account, for access checks and notifications
+    professionalUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    openedByRole: { type: String, enum: ["client", "professional"], required: true },
+    category: {
+      type: String,
+      enum: ["work_not_completed", "poor_quality", "no_show", "payment_issue", "other"],
+      default: "other",
+    },
+    reason: { type: String, required: true, trim: true, maxlength: 2000 },
+    evidence: [attachmentSchema],
+    // Job lifecycle state or booking status before the dispute froze it
+    previousState: { type: String },
+    // resolving: claimed by a mediator while the money moves
+    status: {
+      type: String,
+      enum: ["open", "under_review", "resolving", "resolved", "withdrawn"],
+      default: "open",
+    },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    messages: [
+      {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        authorRole: { type: String, enum: ["client", "professional", "mediator"], required: true },
+        body: { type: String, required: true, trim: true, maxlength: 2000 },
+        attachments: [attachmentSchema],
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    resolution: {
+      outcome: { type: String, enum: ["release", "refund", "split"] },
+      refundAmount: { type: Number, min: 0 },
+      refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+      note: { type: String, trim: true },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      resolvedAt: { type: Date },
+    },
+    withdrawnAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ customer: 1, createdAt: -1 });
+disputeSchema.index({ professionalUser: 1, createdAt: -1 });
+// One active dispute per job or booking
+disputeSchema.index(
+  { job: 1 },
+  { unique: true, partialFilterExpression: { job: { $exists: true }, status: { $in: ["open", "under_review"] } } }
+);
+disputeSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true }, status: { $in: ["open", "under_review"] } } }
+);
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String },
+  },
+  { _id: false }
+);
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Issued receipt (for a payment) or invoice (for a completed job). Details are
+// snapshotted at issue time so reprints match what was first sent.
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ["receipt", "invoice"], required: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    payer: partySchema,
+    payee: partySchema,
+    currency: { type: String, default: "NGN" },
+    lineItems: [lineItemSchema],
+    subtotal: { type: Number, required: true },
+    vatRate: { type: Number, default: 0 },
+    vatAmount: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    status: { type: String, enum: ["paid", "unpaid"], default: "paid" },
+    reference: { type: String }, // gateway reference of the payment
+    issuedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// One receipt per payment and one invoice per job
+invoiceSchema.index({ kind: 1, payment: 1 }, { unique: true, partialFilterExpression: { kind: "receipt" } });
+invoiceSchema.index({ kind: 1, job: 1 }, { unique: true, partialFilterExpression: { kind: "invoice" } });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -1,5 +1,150 @@
 const mongoose = require('mongoose');
 
+// Staged work: proposed with an application, or defined by the client when posting
+const proposedMilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true,
+    maxlength: [100, 'Milestone title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Milestone description cannot exceed 500 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Milestone amount is required'],
+    min: [0, 'Milestone amount cannot be negative']
+  },
+  dueDate: Date
+});
+
+// Approval workflow run by utils/milestoneService.js
+const milestoneSchema = proposedMilestoneSchema.clone();
+milestoneSchema.add({
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'changes_requested', 'approved'],
+    default: 'pending'
+  },
+  submittedAt: Date,
+  submissionNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Submission note cannot exceed 1000 characters']
+  },
+  changeRequests: [{
+    _id: false,
+    note: { type: String, trim: true, maxlength: [1000, 'Change request cannot exceed 1000 characters'] },
+    requestedAt: { type: Date, default: Date.now }
+  }],
+  approvedAt: Date,
+  // Escrow paid out to the professional when the milestone was approved
+  releasedAmount: Number
+});
+
+// Structured quote sent with an application, for side-by-side comparison (utils/quoteService.js)
+const quoteLineItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['labour', 'materials', 'transport', 'other'],
+    required: [true, 'Line item kind is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true,
+    maxlength: [200, 'Line item description cannot exceed 200 characters']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity cannot be negative']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  // quantity × unitPrice
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  lineItems: [quoteLineItemSchema],
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Quote total cannot be negative']
+  },
+  // The professional stands by the quote until then
+  validUntil: Date,
+  warranty: {
+    months: {
+      type: Number,
+      min: [0, 'Warranty cannot be negative'],
+      max: [120, 'Warranty cannot exceed 120 months']
+    },
+    terms: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Warranty terms cannot exceed 1000 characters']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Quote notes cannot exceed 1000 characters']
+  },
+  attachments: [{
+    _id: false,
+    url: { type: String, required: true },
+    publicId: String,
+    resourceType: String,
+    fileName: String
+  }],
+  submittedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One version of the terms in an application's negotiation (utils/negotiationService.js).
+// Version 1 is the application itself; each counter-offer adds the next version.
+const offerSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  by: { type: String, enum: ['client', 'professional'], required: true },
+  price: {
+    type: Number,
+    required: [true, 'Offer price is required'],
+    min: [0, 'Offer price cannot be negative']
+  },
+  // Proposed start date
+  date: Date,
+  scope: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Scope cannot exceed 1000 characters']
+  },
+  estimatedDuration: String,
+  milestones: [proposedMilestoneSchema],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'countered', 'accepted', 'withdrawn'],
+    default: 'open'
+  },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -56,6 +201,18 @@ const jobSchema = new mongoose.Schema({
       min: [0, 'Budget cannot be negative']
     }
   },
+  // Price agreed with the assigned professional (accepted proposal); funded into escrow
+  agreedPrice: {
+    type: Number,
+    min: [0, 'Agreed price cannot be negative']
+  },
+  milestones: [milestoneSchema],
+  // Request for quotes: applications must carry a structured quote, sent before the deadline
+  requireQuote: {
+    type: Boolean,
+    default: false
+  },
+  quoteDeadline: Date,
   preferredDate: {
     type: Date,
     required: [true, 'Preferred date is required']
@@ -87,11 +244,24 @@ const jobSchema = new mongoose.Schema({
       'in_progress',
       'completed_by_pro',
       'completed_by_user',
+      'disputed',
       'closed',
       'cancelled'
     ],
     default: 'posted'
   },
+  // Lifecycle history, appended by utils/jobStateMachine.js
+  transitions: [{
+    _id: false,
+    event: { type: String, required: true },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    // Empty for system transitions
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String, enum: ['client', 'professional', 'applicant', 'moderator', 'mediator', 'system'] },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
   conversation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation',
@@ -119,6 +289,41 @@ const jobSchema = new mongoose.Schema({
     },
     publicId: String
   }],
+  // Who can see the job and apply: everyone, only invited pros, or pros the client is
+  // connected with. Invited pros can always see it (see utils/jobInvitationService.js).
+  visibility: {
+    type: String,
+    enum: ['public', 'invite_only', 'connections_only'],
+    default: 'public'
+  },
+  invitations: [{
+    professional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional',
+      required: true
+    },
+    // How the client picked them
+    source: {
+      type: String,
+      enum: ['direct', 'connection', 'favorite'],
+      default: 'direct'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Invitation message cannot exceed 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: Date
+  }],
   applications: [{
     professional: {
       type: mongoose.Schema.Types.ObjectId,
@@ -145,9 +350,14 @@ const jobSchema = new mongoose.Schema({
     cvPublicId: {
       type: String
     },
+    // Replace the job's milestones when this application is accepted
+    milestones: [proposedMilestoneSchema],
+    quote: quoteSchema,
+    // Negotiation thread, oldest first; the last offer holds the current terms
+    offers: [offerSchema],
     status: {
       type: String,
-      enum: ['Pending', 'Accepted', 'Rejected'],
+      enum: ['Pending', 'Accepted', 'Rejected', 'Withdrawn'],
       default: 'Pending'
     },
     appliedAt: {
@@ -190,6 +400,15 @@ const jobSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set on occurrences of a recurring series; occurrenceDate is the date the rule gave it
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringSeries'
+  },
+  occurrenceDate: Date,
+  reminderSentAt: Date,
+  // When the pro last marked the job completed; unanswered ones are auto-confirmed (see utils/backgroundTasks.js)
+  completedByProAt: Date,
   completedAt: Date,
   cancelledAt: Date,
   cancellationReason: String
@@ -203,6 +422,11 @@ jobSchema.index({ professional: 1, status: 1 });
 jobSchema.index({ category: 1, location: 1 });
 jobSchema.index({ status: 1, createdAt: -1 });
 jobSchema.index({ 'location.city': 1, 'location.state': 1 });
+jobSchema.index({ 'invitations.professional': 1 });
+jobSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 // Calculate average rating when reviews are added
 jobSchema.methods.calculateAverageRating = function() {
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const JOB_EVENT_TYPES = [
+  'created',
+  'requested_in_chat',
+  'applied',
+  'application_accepted',
+  'application_rejected',
+  'application_removed',
+  'offer_countered',
+  'application_withdrawn',
+  'accepted',
+  'completed_by_pro',
+  'confirmed',
+  'auto_confirmed',
+  'cancelled',
+  'expired',
+  'milestones_updated',
+  'milestone_submitted',
+  'milestone_changes_requested',
+  'milestone_approved',
+  'dispute_opened',
+  'dispute_withdrawn',
+  'dispute_resolved',
+  'recurrence_started',
+  'visibility_changed',
+  'professionals_invited',
+  'invitation_accepted',
+  'invitation_declined',
+  'invitation_revoked',
+  'rescheduled',
+  'deleted'
+];
+
+// Append-only audit log of everything that happened to a job (see utils/jobTimelineService.js).
+// Events outlive the job itself so deleted jobs can still be reconstructed.
+const jobEventSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: JOB_EVENT_TYPES,
+    required: true
+  },
+  // Empty for system actions (e.g. auto-confirmation)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['client', 'professional', 'applicant', 'moderator', 'mediator', 'system']
+  },
+  fromState: String,
+  toState: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+jobEventSchema.index({ job: 1, createdAt: 1 });
+
+const appendOnly = function () {
+  throw new Error('Job events are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((op) => jobEventSchema.pre(op, appendOnly));
+jobEventSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Job events are append-only');
+});
+
+module.exports = mongoose.model('JobEvent', jobEventSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// One line of a double-entry journal. Every journal's debits equal its credits;
+// entries are append-only and never updated once written.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journal: { type: String, required: true }, // groups the lines of one transaction
+    journalKey: { type: String, required: true }, // idempotency key, e.g. "escrow_release:<paymentId>"
+    line: { type: Number, required: true },
+    account: { type: String, required: true }, // e.g. "pro:<id>:wallet", "platform:revenue"
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    direction: { type: String, enum: ["debit", "credit"], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "NGN" },
+    type: {
+      type: String,
+      enum: [
+        "booking_payment",
+        "escrow_funding",
+        "escrow_release",
+        "platform_fee",
+        "platform_fee_reversal",
+        "refund",
+        "settlement",
+        "payout",
+        "payout_reversal",
+        "payout_settlement",
+      ],
+      required: true,
+    },
+    description: { type: String },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ journalKey: 1, line: 1 }, { unique: true });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ professional: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Authentication attempt log used for throttling, lockout and the admin security view
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: [
+        "password",
+        "two_factor",
+        "phone_otp",
+        "password_reset",
+        // Sends rather than guesses, counted for quotas
+        "password_reset_request",
+        "phone_otp_request",
+      ],
+      required: true,
+    },
+    // What the attempt was made against: a lowercased email, a user id, ...
+    identifier: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    success: { type: Boolean, required: true },
+    reason: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loginAttemptSchema.index({ kind: 1, identifier: 1, createdAt: -1 });
+loginAttemptSchema.index({ kind: 1, ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+// Keep 30 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -15,12 +15,36 @@ const notificationSchema = new mongoose.Schema({
       'job_rejected',
       'job_completed',
       'job_cancelled',
+      'job_requested',
+      'job_invitation',
+      'job_completed_by_pro',
+      'job_closed',
+      'milestone_submitted',
+      'milestone_changes_requested',
+      'milestone_approved',
+      'dispute_opened',
+      'dispute_message',
+      'dispute_resolved',
       'new_message',
       'review_received',
       'profile_verified',
       'payment_received',
+      'payment_refunded',
+      'escrow_funded',
+      'escrow_released',
+      'payout_requested',
+      'payout_paid',
+      'payout_rejected',
+      'payout_failed',
       'system_announcement',
       'reminder',
+      'recurring_occurrence',
+      'booking_confirmed',
+      'booking_completed',
+      'booking_cancelled',
+      'booking_rescheduled',
+      'waitlist_offer',
+      'waitlist_booked',
       'connection_request',
       'connection_accepted',
       'connection_rejected'
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Single-use nonce issued before a social sign-in; the ID token must carry it,
+// so a captured token cannot be replayed (see utils/oidcService.js)
+const oidcNonceSchema = new mongoose.Schema(
+  {
+    nonceHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+oidcNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcNonce", oidcNonceSchema);
@@ -2,26 +2,69 @@ const mongoose = require("mongoose");
 
 const paymentSchema = new mongoose.Schema(
   {
-    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true },
+    // booking: payment for a Booking; job_escrow: client funds held until a Job is completed
+    purpose: { type: String, enum: ["booking", "job_escrow"], default: "booking" },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: function () {
+        return this.purpose === "booking";
+      },
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: function () {
+        return this.purpose === "job_escrow";
+      },
+    },
     customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     professional: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     amount: { type: Number, required: true, min: 0 },
     currency: { type: String, default: "NGN" },
+    platformFee: { type: Number, default: 0, min: 0 },
     status: {
       type: String,
-      enum: ["pending", "success", "failed", "cancelled"],
+      enum: ["pending", "success", "failed", "cancelled", "refunded", "partially_refunded"],
       default: "pending",
     },
-    paystackReference: { type: String },
+    gateway: { type: String, default: "paystack" }, // adapter that processed the charge (paystack | stub)
+    paystackReference: { type: String }, // latest checkout, or the one that was paid
+    // Every checkout reference issued, so paying an earlier checkout is still credited
+    paystackReferences: [{ type: String }],
     paystackAccessCode: { type: String },
     paystackData: { type: mongoose.Schema.Types.Mixed }, // store full Paystack response
     paidAt: { type: Date },
+    failureReason: { type: String },
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    refundedAt: { type: Date },
+    // Refunds issued and not failed, reserved before the gateway is called (see utils/refundService.js)
+    refundReservedAmount: { type: Number, min: 0 },
+    escrow: {
+      status: { type: String, enum: ["awaiting_funding", "held", "released", "refunded", "cancelled"] },
+      heldAt: { type: Date },
+      releaseAfter: { type: Date }, // auto-release deadline once the pro marks the job completed
+      releasedAt: { type: Date },
+      releasedBy: { type: String, enum: ["client", "timeout", "admin"] },
+      platformFeePercent: { type: Number },
+      netAmount: { type: Number }, // amount owed to the professional after the platform fee
+      releasedAmount: { type: Number, default: 0 }, // gross released so far, including milestone releases
+    },
   },
   { timestamps: true }
 );
 
 paymentSchema.index({ booking: 1 });
+paymentSchema.index({ job: 1, purpose: 1 });
+paymentSchema.index({ "escrow.status": 1, "escrow.releaseAfter": 1 });
 paymentSchema.index({ paystackReference: 1 });
+paymentSchema.index({ paystackReferences: 1 });
+
+// The payment a checkout reference was issued for
+paymentSchema.statics.findByReference = async function (reference) {
+  if (!reference) return null;
+  return this.findOne({ $or: [{ paystackReference: reference }, { paystackReferences: reference }] });
+};
 
 module.exports = mongoose.model("Payment", paymentSchema);
 
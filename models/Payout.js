@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const payoutSchema = new mongoose.Schema(
+  {
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "NGN" },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "paid", "rejected", "failed"],
+      default: "pending",
+    },
+    note: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String, trim: true },
+    transfer: {
+      reference: { type: String },
+      transferCode: { type: String },
+      recipient: { type: String },
+    },
+    failureReason: { type: String },
+    paidAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ status: 1, createdAt: 1 });
+payoutSchema.index({ professional: 1, createdAt: -1 });
+payoutSchema.index({ "transfer.reference": 1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -39,11 +39,61 @@ const professionalSchema = new mongoose.Schema(
     ratingAvg: { type: Number, default: 0, min: 0, max: 5 },
     ratingCount: { type: Number, default: 0 },
     completedJobs: { type: Number, default: 0 },
+    // Dispute outcomes from the professional's side (see utils/disputeService.js)
+    disputeStats: {
+      opened: { type: Number, default: 0 },
+      won: { type: Number, default: 0 },
+      lost: { type: Number, default: 0 },
+      split: { type: Number, default: 0 },
+    },
+    // Bookable hours (see utils/scheduleService.js); the default hours apply until configuredAt is set
+    schedule: {
+      timezone: { type: String, default: "Africa/Lagos" },
+      weeklyHours: [
+        {
+          _id: false,
+          day: { type: Number, min: 0, max: 6, required: true },
+          start: { type: String, required: true },
+          end: { type: String, required: true },
+        },
+      ],
+      // Breaks without a day apply to every working day
+      breaks: [
+        {
+          _id: false,
+          day: { type: Number, min: 0, max: 6 },
+          start: { type: String, required: true },
+          end: { type: String, required: true },
+          label: { type: String, trim: true },
+        },
+      ],
+      bufferMinutes: { type: Number, default: 0, min: 0, max: 240 },
+      timeOff: [
+        {
+          start: { type: Date, required: true },
+          end: { type: Date, required: true },
+          kind: { type: String, enum: ["time_off", "holiday"], default: "time_off" },
+          reason: { type: String, trim: true },
+        },
+      ],
+      configuredAt: { type: Date },
+    },
+    // Customers cancelling less than freeCancellationHours before a confirmed booking pay lateCancellationFeePercent of its price
+    cancellationPolicy: {
+      freeCancellationHours: { type: Number, default: 24, min: 0, max: 720 },
+      lateCancellationFeePercent: { type: Number, default: 0, min: 0, max: 100 },
+    },
+    // SHA-256 of the secret token in the pro's calendar feed URL (see utils/calendarService.js)
+    calendarFeedTokenHash: { type: String, select: false, index: { unique: true, sparse: true } },
     likes: { type: Number, default: 0 },
     isVerified: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     // Paystack subaccount code for revenue split (e.g., ACCT_xxxxx)
     paystackSubaccount: { type: String },
+    // Paystack transfer recipient code for wallet payouts (e.g., RCP_xxxxx)
+    paystackRecipientCode: { type: String },
+    // Held while a payout request checks and debits the wallet (see utils/payoutService.js)
+    walletLockedUntil: { type: Date, select: false },
   },
   { timestamps: true }
 );
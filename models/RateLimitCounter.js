@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One fixed-window request counter per rate-limit key, shared by all API instances
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    windowStart: { type: Date, required: true },
+    count: { type: Number, default: 0 },
+    // Kept for two windows so the sliding estimate can weigh the previous one
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// RRULE-style recurrence (see utils/recurrenceService.js)
+const recurrenceRuleSchema = new mongoose.Schema(
+  {
+    frequency: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+    // Every `interval` days/weeks/months, e.g. 3 months for quarterly servicing
+    interval: { type: Number, min: 1, max: 52, default: 1 },
+    // Weekly only: days of the week (0 = Sunday), defaults to the first occurrence's day
+    byWeekday: [{ type: Number, min: 0, max: 6 }],
+    // Ends on a date or after a number of occurrences (including the first); open-ended if neither
+    until: { type: Date },
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// A repeating job or booking. The first occurrence is the template job/booking the
+// series was started from; later ones are materialised as their own jobs/bookings.
+const recurringSeriesSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["job", "booking"], required: true },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Required for bookings; for jobs, taken from the template once a pro is assigned
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    rule: { type: recurrenceRuleSchema, required: true },
+    startAt: { type: Date, required: true },
+    // Occurrences fall on local days of this timezone (the professional's when the series started)
+    timezone: { type: String, default: "Africa/Lagos" },
+    status: { type: String, enum: ["active", "completed", "cancelled"], default: "active" },
+    // Occurrences up to this date have been materialised (or skipped)
+    materializedThrough: { type: Date },
+    // Changes to single occurrences, keyed by the date the rule put them on
+    exceptions: [
+      {
+        _id: false,
+        date: { type: Date, required: true },
+        action: { type: String, enum: ["skipped", "cancelled", "rescheduled"], required: true },
+        newDate: { type: Date },
+        reason: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Occurrences that could not be booked because the professional was already busy
+    conflicts: [
+      {
+        _id: false,
+        date: { type: Date, required: true },
+        conflictingBooking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+        // Set instead of conflictingBooking when the slot is outside the pro's schedule
+        reason: { type: String },
+        detectedAt: { type: Date, default: Date.now },
+      },
+    ],
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+recurringSeriesSchema.index({ status: 1, materializedThrough: 1 });
+recurringSeriesSchema.index({ customer: 1, createdAt: -1 });
+recurringSeriesSchema.index({ professional: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RecurringSeries", recurringSeriesSchema);
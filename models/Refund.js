@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const refundSchema = new mongoose.Schema(
+  {
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "NGN" },
+    reason: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "processed", "failed"],
+      default: "pending",
+    },
+    // admin: issued from the admin endpoint, policy: automatic (e.g. booking cancelled),
+    // gateway: initiated outside the app and reported by webhook, dispute: a dispute resolution
+    source: { type: String, enum: ["admin", "policy", "gateway", "dispute"], required: true },
+    // Paid back out of held escrow rather than the professional's wallet
+    fromEscrow: { type: Boolean },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    gateway: { type: String },
+    gatewayReference: { type: String },
+    gatewayData: { type: mongoose.Schema.Types.Mixed },
+    failureReason: { type: String },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ payment: 1, status: 1 });
+refundSchema.index({ gatewayReference: 1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
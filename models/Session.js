@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. Access tokens carry the session id (sid) so revoking the
+// session cuts them off; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    refreshTokenHash: { type: String, required: true, select: false },
+    // Hashes of already-rotated refresh tokens, kept to detect token reuse
+    previousRefreshTokenHashes: { type: [String], default: [], select: false },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "revoked", "password_changed", "account_deleted", "token_reuse"],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A unit of background work in the persistent queue (see utils/taskQueue.js)
+const taskSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: ["queued", "running", "completed"], default: "queued" },
+    // Not picked up before this time; pushed back after each failed attempt
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5, min: 1 },
+    // Enqueueing the same key twice is a no-op, e.g. one task per scheduler slot
+    uniqueKey: { type: String },
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    // One entry per failed attempt
+    failures: [
+      {
+        _id: false,
+        attempt: { type: Number },
+        message: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    finishedAt: { type: Date },
+    // Set when the task was created by the scheduler
+    schedule: { type: String },
+  },
+  { timestamps: true }
+);
+
+taskSchema.index({ status: 1, runAt: 1 });
+taskSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $type: "string" } } });
+// Completed tasks are kept for a week for inspection
+taskSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Task", taskSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Short-lived step between a correct password and a session. "login" challenges
+// are completed with a second factor; "setup" challenges let a user who must
+// have 2FA (admins) enrol before their first session is issued. "confirm"
+// challenges carry the SMS code a signed-in user confirms a sensitive change with.
+const twoFactorChallengeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    purpose: { type: String, enum: ["login", "setup", "confirm"], required: true },
+    method: { type: String, enum: ["totp", "sms"] },
+    otpHash: { type: String },
+    otpExpiresAt: { type: Date },
+    otpSentAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    userAgent: { type: String },
+    ip: { type: String },
+    consumedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("TwoFactorChallenge", twoFactorChallengeSchema);
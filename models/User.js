@@ -14,9 +14,12 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    // Optional for accounts created through social sign-in until they set one
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.authProviders?.length;
+      },
       minlength: 6,
       select: false,
     },
@@ -37,6 +40,12 @@ const userSchema = new mongoose.Schema(
       enum: ["customer", "professional", "admin"],
       default: "customer",
     },
+    // Admin sub-roles (see config/permissions.js); empty means super admin
+    adminRoles: {
+      type: [String],
+      enum: ["super_admin", "moderator", "finance", "support"],
+      default: undefined,
+    },
     avatarUrl: {
       type: String,
     },
@@ -74,6 +83,37 @@ const userSchema = new mongoose.Schema(
       attempts: { type: Number, default: 0 },
       lastAttempt: { type: Date }
     },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      method: { type: String, enum: ["totp", "sms"] },
+      totpSecret: { type: String, select: false },
+      // Secret awaiting confirmation with a first valid code
+      pendingTotpSecret: { type: String, select: false },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastTotpStep: { type: Number, select: false },
+      // sha256 hashes of unused recovery codes
+      recoveryCodes: { type: [String], select: false },
+      enabledAt: { type: Date },
+    },
+    // Linked social sign-in identities (see utils/oidcService.js)
+    authProviders: [
+      {
+        _id: false,
+        provider: { type: String, enum: ["google", "apple"], required: true },
+        subject: { type: String, required: true },
+        email: { type: String },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Temporary lockout after repeated failed password attempts
+    lockout: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailedAt: { type: Date },
+      lockedUntil: { type: Date },
+      lockCount: { type: Number, default: 0 },
+    },
+    // Professionals the user saved, e.g. to invite to private jobs
+    favoriteProfessionals: [{ type: mongoose.Schema.Types.ObjectId, ref: "Professional" }],
     presence: {
       isOnline: { type: Boolean, default: false },
       lastSeen: { type: Date },
@@ -136,6 +176,12 @@ const userSchema = new mongoose.Schema(
 userSchema.methods.toSafeJSON = function () {
   const obj = this.toObject({ getters: true, virtuals: true });
   delete obj.password;
+  if (obj.twoFactor) {
+    delete obj.twoFactor.totpSecret;
+    delete obj.twoFactor.pendingTotpSecret;
+    delete obj.twoFactor.lastTotpStep;
+    delete obj.twoFactor.recoveryCodes;
+  }
   if (obj.faceVerification?.descriptor) {
     delete obj.faceVerification.descriptor;
   }
@@ -147,6 +193,11 @@ userSchema.methods.toSafeJSON = function () {
 
 // Add 2D sphere index for location queries
 userSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+// A provider identity belongs to one account
+userSchema.index(
+  { 'authProviders.provider': 1, 'authProviders.subject': 1 },
+  { unique: true, partialFilterExpression: { 'authProviders.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model("User", userSchema);
 
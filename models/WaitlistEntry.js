@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A customer waiting for a slot with a fully booked professional (see utils/waitlistService.js)
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", required: true },
+    service: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+    // Any slot of durationMinutes inside this window will do
+    windowStart: { type: Date, required: true },
+    windowEnd: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 15 },
+    price: { type: Number, required: true, min: 0 },
+    notes: { type: String },
+    address: { type: String },
+    city: { type: String },
+    // offered: a slot is held for the customer (the open entry in offers)
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "cancelled", "expired"],
+      default: "waiting",
+    },
+    // Every slot offered, so a slot turned down is not offered again
+    offers: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        // End of the freed slot, which may be longer than this customer needs
+        slotEnd: { type: Date, required: true },
+        expiresAt: { type: Date, required: true },
+        sourceBooking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+        status: {
+          type: String,
+          enum: ["open", "accepted", "declined", "expired", "withdrawn"],
+          default: "open",
+        },
+        offeredAt: { type: Date, default: Date.now },
+        respondedAt: { type: Date },
+      },
+    ],
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+  },
+  { timestamps: true }
+);
+
+// First come, first offered
+waitlistEntrySchema.index({ professional: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ customer: 1, status: 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Log of payment gateway webhook deliveries, keyed by the provider's event id so replays are ignored
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    attempts: { type: Number, default: 1 },
+    error: { type: String },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -1,11 +1,18 @@
 const express = require("express");
-const { protect } = require("../middleware/authMiddleware");
-const { requireAdmin } = require("../middleware/roleMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 const { 
   getPendingVerifications, 
   getPendingBookings, 
   getDashboardStats,
-  getPublicAdminStats 
+  getPublicAdminStats,
+  updateUserRoles,
+  getLoginAttempts,
+  unlockUser,
+  getTaskQueue,
+  getDeadLetterTasks,
+  retryDeadLetterTask,
+  deleteDeadLetterTask,
 } = require("../controllers/adminController");
 
 const router = express.Router();
@@ -13,9 +20,16 @@ const router = express.Router();
 // Public admin stats (no auth required - secret URL)
 router.get("/stats/public", getPublicAdminStats);
 
-router.get("/verifications/pending", protect, requireAdmin, getPendingVerifications);
-router.get("/bookings/pending", protect, requireAdmin, getPendingBookings);
-router.get("/stats", protect, requireAdmin, getDashboardStats);
+router.get("/verifications/pending", protect, requirePermission(PERMISSIONS.VERIFICATION_APPROVE), getPendingVerifications);
+router.get("/bookings/pending", protect, requirePermission(PERMISSIONS.ADMIN_DASHBOARD), getPendingBookings);
+router.get("/stats", protect, requirePermission(PERMISSIONS.ADMIN_DASHBOARD), getDashboardStats);
+router.put("/users/:id/roles", protect, requirePermission(PERMISSIONS.USER_MANAGE_ROLES), updateUserRoles);
+router.get("/login-attempts", protect, requirePermission(PERMISSIONS.SECURITY_READ), getLoginAttempts);
+router.post("/users/:id/unlock", protect, requirePermission(PERMISSIONS.SECURITY_MANAGE), unlockUser);
+router.get("/tasks", protect, requirePermission(PERMISSIONS.TASK_MANAGE), getTaskQueue);
+router.get("/tasks/dead-letter", protect, requirePermission(PERMISSIONS.TASK_MANAGE), getDeadLetterTasks);
+router.post("/tasks/dead-letter/:id/retry", protect, requirePermission(PERMISSIONS.TASK_MANAGE), retryDeadLetterTask);
+router.delete("/tasks/dead-letter/:id", protect, requirePermission(PERMISSIONS.TASK_MANAGE), deleteDeadLetterTask);
 
 module.exports = router;
 
@@ -1,14 +1,75 @@
 const express = require("express");
-const { register, login, me, forgotPassword, resetPassword } = require("../controllers/authController");
+const {
+  register,
+  login,
+  me,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  getOidcNonce,
+  oidcSignIn,
+  getAuthProviders,
+  linkAuthProvider,
+  unlinkAuthProvider,
+  setPassword,
+} = require("../controllers/authController");
+const {
+  verifyTwoFactorLogin,
+  resendTwoFactorCode,
+  getTwoFactorStatus,
+  setupTotp,
+  enableTotp,
+  setupSms,
+  enableSms,
+  sendTwoFactorConfirmationCode,
+  regenerateRecoveryCodes,
+  disableTwoFactorAuth,
+} = require("../controllers/twoFactorController");
 const { protect } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
 
 const router = express.Router();
+const authLimit = rateLimit("auth");
+const otpSendLimit = rateLimit("otpSend");
 
-router.post("/register", register);
-router.post("/login", login);
+router.post("/register", authLimit, register);
+router.post("/login", authLimit, login);
 router.get("/me", protect, me);
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password", resetPassword);
+router.post("/forgot-password", otpSendLimit, forgotPassword);
+router.post("/reset-password", authLimit, resetPassword);
+router.post("/set-password", protect, setPassword);
+
+// Social sign-in (google | apple)
+router.get("/providers", protect, getAuthProviders);
+router.get("/oidc/nonce", authLimit, getOidcNonce);
+router.post("/oidc/:provider", authLimit, oidcSignIn);
+router.post("/oidc/:provider/link", protect, linkAuthProvider);
+router.delete("/oidc/:provider", protect, unlinkAuthProvider);
+
+// Sessions
+router.post("/refresh", authLimit, refresh);
+router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, deleteSession);
+
+// Two-factor authentication
+router.post("/2fa/verify", authLimit, verifyTwoFactorLogin);
+router.post("/2fa/resend", otpSendLimit, resendTwoFactorCode);
+router.get("/2fa", protect, getTwoFactorStatus);
+// Setup accepts an access token or the setup challengeToken returned by /login
+router.post("/2fa/totp/setup", setupTotp);
+router.post("/2fa/totp/enable", enableTotp);
+router.post("/2fa/sms/setup", otpSendLimit, setupSms);
+router.post("/2fa/sms/enable", enableSms);
+// SMS users confirm the two below with a code from /2fa/sms/send
+router.post("/2fa/sms/send", protect, otpSendLimit, sendTwoFactorConfirmationCode);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+router.post("/2fa/disable", protect, disableTwoFactorAuth);
 
 module.exports = router;
 
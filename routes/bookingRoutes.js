@@ -1,6 +1,31 @@
 const express = require("express");
 const { protect } = require("../middleware/authMiddleware");
-const { createBooking, getMyBookings, getProfessionalBookings, updateBookingStatus, getAvailability } = require("../controllers/bookingController");
+const {
+  createBooking,
+  getMyBookings,
+  getProfessionalBookings,
+  updateBookingStatus,
+  getAvailability,
+  getSchedule,
+  getMySchedule,
+  updateMySchedule,
+  addTimeOff,
+  removeTimeOff,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed,
+  rescheduleBookingSlot,
+  getBookingHistory,
+  getCancellationQuote,
+  getProfessionalCancellationPolicy,
+  updateMyCancellationPolicy,
+  joinBookingWaitlist,
+  getMyWaitlist,
+  getMyProfessionalWaitlist,
+  leaveBookingWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+} = require("../controllers/bookingController");
 
 const router = express.Router();
 
@@ -8,7 +33,26 @@ router.post("/", protect, createBooking);
 router.get("/me", protect, getMyBookings);
 router.get("/professional/:id", protect, getProfessionalBookings);
 router.put("/:id/status", protect, updateBookingStatus);
+router.post("/:id/reschedule", protect, rescheduleBookingSlot);
+router.get("/:id/history", protect, getBookingHistory);
+router.get("/:id/cancellation", protect, getCancellationQuote);
 router.get("/availability/:id", getAvailability);
+router.get("/schedule/me", protect, getMySchedule);
+router.put("/schedule/me", protect, updateMySchedule);
+router.post("/schedule/me/time-off", protect, addTimeOff);
+router.delete("/schedule/me/time-off/:timeOffId", protect, removeTimeOff);
+router.get("/schedule/:id", getSchedule);
+router.post("/calendar/me", protect, createCalendarFeed);
+router.delete("/calendar/me", protect, deleteCalendarFeed);
+router.get("/calendar/:token.ics", getCalendarFeed);
+router.put("/policy/me", protect, updateMyCancellationPolicy);
+router.get("/policy/:id", getProfessionalCancellationPolicy);
+router.post("/waitlist", protect, joinBookingWaitlist);
+router.get("/waitlist/me", protect, getMyWaitlist);
+router.get("/waitlist/professional/me", protect, getMyProfessionalWaitlist);
+router.delete("/waitlist/:id", protect, leaveBookingWaitlist);
+router.post("/waitlist/:id/accept", protect, acceptWaitlistOffer);
+router.post("/waitlist/:id/decline", protect, declineWaitlistOffer);
 
 module.exports = router;
 
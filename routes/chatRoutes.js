@@ -1,13 +1,14 @@
 const express = require("express");
 const { protect } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
 const { listConversations, startConversation, getMessages, sendMessage } = require("../controllers/chatController");
 
 const router = express.Router();
 
 router.get("/conversations", protect, listConversations);
-router.post("/conversations", protect, startConversation);
+router.post("/conversations", protect, rateLimit("messaging"), startConversation);
 router.get("/conversations/:id/messages", protect, getMessages);
-router.post("/conversations/:id/messages", protect, sendMessage);
+router.post("/conversations/:id/messages", protect, rateLimit("messaging"), sendMessage);
 
 module.exports = router;
 
@@ -0,0 +1,30 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { upload } = require("../utils");
+const {
+  createDispute,
+  getMyDisputes,
+  getDisputeQueue,
+  getDispute,
+  postDisputeMessage,
+  uploadDisputeEvidence,
+  withdrawDispute,
+  assignDispute,
+  resolveDispute,
+} = require("../controllers/disputeController");
+
+const router = express.Router();
+
+router.post("/", protect, rateLimit("upload"), upload.array("evidence", 5), createDispute);
+router.get("/mine", protect, getMyDisputes);
+router.get("/queue", protect, requirePermission(PERMISSIONS.DISPUTE_RESOLVE), getDisputeQueue);
+router.get("/:id", protect, getDispute);
+router.post("/:id/messages", protect, rateLimit("messaging"), upload.array("attachments", 5), postDisputeMessage);
+router.post("/:id/evidence", protect, rateLimit("upload"), upload.array("evidence", 5), uploadDisputeEvidence);
+router.post("/:id/withdraw", protect, withdrawDispute);
+router.post("/:id/assign", protect, requirePermission(PERMISSIONS.DISPUTE_RESOLVE), assignDispute);
+router.post("/:id/resolve", protect, requirePermission(PERMISSIONS.DISPUTE_RESOLVE), resolveDispute);
+
+module.exports = router;
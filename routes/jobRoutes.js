@@ -9,17 +9,36 @@ const {
   completeJob,
   cancelJob,
   getJobDetails,
+  getJobTimeline,
   createJobRequestInChat,
   acceptJobRequest,
   proMarkCompleted,
   confirmJobCompletion,
+  fundJobEscrow,
+  getJobEscrowStatus,
+  getJobInvoicePdf,
   deleteJob,
   deleteApplicationCv,
   getApplicationCvUrl,
-  deleteJobApplication
+  deleteJobApplication,
+  updateJobMilestones,
+  submitJobMilestone,
+  requestJobMilestoneChanges,
+  approveJobMilestone,
+  getApplicationOffers,
+  counterApplicationOffer,
+  acceptApplicationOffer,
+  withdrawJobApplication,
+  getMyJobInvitations,
+  updateJobVisibility,
+  inviteToJob,
+  respondToJobInvitation,
+  revokeJobInvitation,
+  compareJobQuotes
 } = require('../controllers/jobController');
-const { protect } = require('../middleware/authMiddleware');
-const { requireAdmin } = require('../middleware/roleMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { PERMISSIONS } = require('../config/permissions');
 const { body } = require('express-validator');
 const { upload } = require('../utils');
 
@@ -91,7 +110,7 @@ const applyToJobValidation = [
 // @route   POST /api/jobs
 // @desc    Create a new job
 // @access  Private (User only)
-router.post('/', protect, upload.any(), createJobValidation, createJob);
+router.post('/', protect, rateLimit('jobPost'), upload.any(), createJobValidation, createJob);
 
 // @route   GET /api/jobs/my-jobs
 // @desc    Get all jobs for the authenticated user
@@ -103,21 +122,48 @@ router.get('/my-jobs', protect, getMyJobs);
 // @access  Private (Professional only)
 router.get('/feed', protect, getJobFeed);
 
+// @route   GET /api/jobs/invitations
+// @desc    Jobs the professional has been invited to
+// @access  Private (Professional only)
+router.get('/invitations', protect, getMyJobInvitations);
+
 // @route   GET /api/jobs/:id
 // @desc    Get job details
 // @access  Private
 router.get('/:id', protect, getJobDetails);
 
+// @route   GET /api/jobs/:id/timeline
+// @desc    Audit timeline of everything that happened to a job
+// @access  Private (participants and admins)
+router.get('/:id/timeline', protect, getJobTimeline);
+
 // @route   POST /api/jobs/:id/apply
 // @desc    Apply to a job (supports optional CV file upload as field "cv")
 // @access  Private (Professional only)
-router.post('/:id/apply', protect, upload.any(), applyToJobValidation, applyToJob);
+router.post('/:id/apply', protect, rateLimit('upload'), upload.any(), applyToJobValidation, applyToJob);
+
+// @route   GET /api/jobs/:id/quotes/compare
+// @desc    Quotes on a job side by side, sorted by price, rating, distance, completed jobs, warranty or validity
+// @access  Private (job client)
+router.get('/:id/quotes/compare', protect, compareJobQuotes);
 
 // @route   POST /api/jobs/:id/accept/:applicationId
 // @desc    Accept a job application
 // @access  Private (User only)
 router.post('/:id/accept/:applicationId', protect, acceptApplication);
 
+// Negotiation: client and applicant counter each other's offers until one side accepts
+router.get('/:id/applications/:applicationId/offers', protect, getApplicationOffers);
+router.post('/:id/applications/:applicationId/offers', protect, rateLimit('messaging'), counterApplicationOffer);
+router.post('/:id/applications/:applicationId/offers/accept', protect, acceptApplicationOffer);
+router.post('/:id/applications/:applicationId/withdraw', protect, withdrawJobApplication);
+
+// Private jobs: the client picks who can see the job and invites pros, who accept or decline
+router.put('/:id/visibility', protect, updateJobVisibility);
+router.post('/:id/invitations', protect, inviteToJob);
+router.post('/:id/invitations/respond', protect, respondToJobInvitation);
+router.delete('/:id/invitations/:professionalId', protect, revokeJobInvitation);
+
 // @route   POST /api/jobs/:id/complete
 // @desc    Complete a job
 // @access  Private
@@ -138,15 +184,29 @@ router.post('/:id/complete-by-pro', protect, proMarkCompleted);
 // User confirms completion → closed + stats
 router.post('/:id/confirm-completion', protect, confirmJobCompletion);
 
+// Milestones: the client defines them before work starts, the pro submits each
+// one and the client approves it (releasing its payment) or requests changes
+router.put('/:id/milestones', protect, updateJobMilestones);
+router.post('/:id/milestones/:milestoneId/submit', protect, submitJobMilestone);
+router.post('/:id/milestones/:milestoneId/request-changes', protect, requestJobMilestoneChanges);
+router.post('/:id/milestones/:milestoneId/approve', protect, approveJobMilestone);
+
+// Escrow: client funds the agreed price once the job is in progress
+router.post('/:id/escrow/fund', protect, fundJobEscrow);
+router.get('/:id/escrow', protect, getJobEscrowStatus);
+
+// Invoice PDF for a completed job
+router.get('/:id/invoice.pdf', protect, getJobInvoicePdf);
+
 // @route   DELETE /api/jobs/:id
 // @desc    Delete a cancelled job
 // @access  Private
 router.delete('/:id', protect, deleteJob);
 
-// Admin-only: remove an application's CV asset
+// Moderators: remove an application's CV asset
 // @route   DELETE /api/jobs/:id/applications/:applicationId/cv
-// @access  Private (Admin)
-router.delete('/:id/applications/:applicationId/cv', protect, requireAdmin, deleteApplicationCv);
+// @access  Private (job:moderate)
+router.delete('/:id/applications/:applicationId/cv', protect, requirePermission(PERMISSIONS.JOB_MODERATE), deleteApplicationCv);
 
 // Signed CV URL for authorized viewers
 router.get('/:id/applications/:applicationId/cv-url', protect, getApplicationCvUrl);
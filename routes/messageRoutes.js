@@ -16,6 +16,7 @@ const {
   deleteConversationForMe
 } = require('../controllers/messageController');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
 const { body } = require('express-validator');
 // Media uploads disabled for messaging per requirements
 const Conversation = require('../models/Conversation');
@@ -56,7 +57,7 @@ router.get('/conversations', protect, getConversations);
 // @route   POST /api/messages/conversations
 // @desc    Create or get conversation between two users
 // @access  Private
-router.post('/conversations', protect, createConversationValidation, createOrGetConversation);
+router.post('/conversations', protect, rateLimit('messaging'), createConversationValidation, createOrGetConversation);
 
 // @route   GET /api/messages/conversations/:id
 // @desc    Get messages for a conversation
@@ -66,7 +67,7 @@ router.get('/conversations/:id', protect, getMessages);
 // @route   POST /api/messages/conversations/:id
 // @desc    Send a message to a conversation
 // @access  Private
-router.post('/conversations/:id', protect, sendMessageValidation, sendMessage);
+router.post('/conversations/:id', protect, rateLimit('messaging'), sendMessageValidation, sendMessage);
 
 // @route   POST /api/messages/conversations/:id/read
 // @desc    Mark conversation as read
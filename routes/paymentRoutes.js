@@ -1,16 +1,26 @@
 const express = require("express");
-const { protect } = require("../middleware/authMiddleware");
-const { initializePayment, verifyPayment, paystackWebhook, getPaymentHistory } = require("../controllers/paymentController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  initializePayment,
+  verifyPayment,
+  paystackWebhook,
+  getPaymentHistory,
+  refundPayment,
+  getPaymentReceipt,
+} = require("../controllers/paymentController");
 
 const router = express.Router();
 
-// Webhook (no auth required - Paystack calls this)
+// Webhook (no auth required - Paystack calls this; requests are verified by x-paystack-signature)
 router.post("/webhook", paystackWebhook);
 
 // Protected routes
 router.post("/initialize", protect, initializePayment);
 router.post("/verify", protect, verifyPayment);
 router.get("/history", protect, getPaymentHistory);
+router.get("/:id/receipt.pdf", protect, getPaymentReceipt);
+router.post("/:id/refund", protect, requirePermission(PERMISSIONS.PAYMENT_REFUND), refundPayment);
 
 module.exports = router;
 
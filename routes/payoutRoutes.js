@@ -0,0 +1,23 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  createPayoutRequest,
+  getMyPayouts,
+  listPayouts,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+} = require("../controllers/walletController");
+
+const router = express.Router();
+
+// Professional
+router.post("/", protect, requirePermission(PERMISSIONS.PAYOUT_REQUEST), createPayoutRequest);
+router.get("/me", protect, getMyPayouts);
+
+// Admin approval queue
+router.get("/", protect, requirePermission(PERMISSIONS.PAYOUT_APPROVE), listPayouts);
+router.put("/:id/approve", protect, requirePermission(PERMISSIONS.PAYOUT_APPROVE), approvePayoutRequest);
+router.put("/:id/reject", protect, requirePermission(PERMISSIONS.PAYOUT_APPROVE), rejectPayoutRequest);
+
+module.exports = router;
@@ -15,6 +15,7 @@ const {
   sendProfessionalEmailVerification,
 } = require("../controllers/professionalController");
 const { protect } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
 const { upload } = require("../utils");
 
 const router = express.Router();
@@ -26,6 +27,7 @@ router.post("/", protect, createProfessional);
 router.put(
   "/:id",
   protect,
+  rateLimit("upload"),
   upload.any(),
   updateProfessional
 );
@@ -34,17 +36,17 @@ router.delete("/:id", protect, deleteProfessional);
 // media helpers
 router.get("/:id/media", getProfessionalMedia);
 router.delete("/:id/media", protect, deleteProfessionalMedia);
-router.post("/:id/media", protect, upload.any(), uploadProfessionalMedia);
-router.post("/:id/media/replace", protect, upload.any(), replaceProfessionalMedia);
+router.post("/:id/media", protect, rateLimit("upload"), upload.any(), uploadProfessionalMedia);
+router.post("/:id/media/replace", protect, rateLimit("upload"), upload.any(), replaceProfessionalMedia);
 
 // probe upload to debug file reception
-router.post("/:id/upload-probe", protect, upload.any(), uploadProbe);
+router.post("/:id/upload-probe", protect, rateLimit("upload"), upload.any(), uploadProbe);
 
 // test Cloudinary configuration
 router.get("/test-cloudinary", testCloudinary);
 
 // send email verification for professionals
-router.post("/send-email-verification", protect, sendProfessionalEmailVerification);
+router.post("/send-email-verification", protect, rateLimit("otpSend"), sendProfessionalEmailVerification);
 
 module.exports = router;
 
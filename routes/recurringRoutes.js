@@ -0,0 +1,23 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const {
+  createRecurringSeries,
+  getMySeries,
+  getSeries,
+  skipOccurrence,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  cancelRecurringSeries,
+} = require("../controllers/recurringController");
+
+const router = express.Router();
+
+router.post("/", protect, createRecurringSeries);
+router.get("/mine", protect, getMySeries);
+router.get("/:id", protect, getSeries);
+router.post("/:id/occurrences/skip", protect, skipOccurrence);
+router.post("/:id/occurrences/cancel", protect, cancelOccurrence);
+router.post("/:id/occurrences/reschedule", protect, rescheduleOccurrence);
+router.post("/:id/cancel", protect, cancelRecurringSeries);
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require("express");
 const { createReview, getReviewsForProfessional, uploadReviewMedia, deleteReviewMedia, verifyReview } = require("../controllers/reviewController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { PERMISSIONS } = require("../config/permissions");
 const { upload } = require("../utils");
 
 const router = express.Router();
 
 router.get("/:id", getReviewsForProfessional); // professional id
 router.post("/", protect, createReview);
-router.post("/:id/media", protect, upload.any(), uploadReviewMedia); // review id
+router.post("/:id/media", protect, rateLimit("upload"), upload.any(), uploadReviewMedia); // review id
 router.delete("/:id/media", protect, deleteReviewMedia);
-router.put("/:id/verify", protect, verifyReview); // simple flag; later restrict to admin
+router.put("/:id/verify", protect, requirePermission(PERMISSIONS.REVIEW_VERIFY), verifyReview);
 
 module.exports = router;
 
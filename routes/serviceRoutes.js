@@ -6,17 +6,18 @@ const {
   updateService,
   deleteService,
 } = require("../controllers/serviceController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 router.get("/", getServices);
 router.get("/:id", getServiceById);
 
-// Protected create/update/delete
-router.post("/", protect, createService);
-router.put("/:id", protect, updateService);
-router.delete("/:id", protect, deleteService);
+// Catalog writes are restricted to staff with service:write
+router.post("/", protect, requirePermission(PERMISSIONS.SERVICE_WRITE), createService);
+router.put("/:id", protect, requirePermission(PERMISSIONS.SERVICE_WRITE), updateService);
+router.delete("/:id", protect, requirePermission(PERMISSIONS.SERVICE_WRITE), deleteService);
 
 module.exports = router;
 
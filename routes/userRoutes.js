@@ -1,6 +1,8 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
 const { uploadToCloudinary } = require('../config/cloudinary');
 const upload = require('../config/cloudinary').upload;
 const User = require('../models/User');
@@ -10,6 +12,11 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const { sendEmail } = require('../utils/mailer');
 const { sendSMS } = require('../utils/smsService');
+const { revokeAllSessions } = require('../utils/sessionService');
+const { AuthThrottleError, assertRequestQuota, recordAttempt } = require('../utils/bruteForceService');
+
+// Wrong codes allowed per OTP before a new one must be requested
+const MAX_PHONE_OTP_ATTEMPTS = 5;
 
 // @route   PUT /api/users/profile
 // @desc    Update user profile
@@ -55,7 +62,7 @@ router.put('/profile', protect, async (req, res) => {
 // @route   POST /api/users/profile-picture
 // @desc    Upload profile picture
 // @access  Private
-router.post('/profile-picture', protect, upload.single('profilePicture'), async (req, res) => {
+router.post('/profile-picture', protect, rateLimit('upload'), upload.single('profilePicture'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -182,6 +189,109 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/favorites
+// @desc    Professionals the user saved as favourites
+// @access  Private
+router.get('/favorites', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('favoriteProfessionals')
+      .populate('favoriteProfessionals', 'name category rating location isActive');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user.favoriteProfessionals
+    });
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/users/favorites/:professionalId
+// @desc    Save a professional as a favourite
+// @access  Private
+router.post('/favorites/:professionalId', protect, async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    const Professional = require('../models/Professional');
+    const professional = mongoose.Types.ObjectId.isValid(professionalId)
+      ? await Professional.findById(professionalId).select('_id')
+      : null;
+
+    if (!professional) {
+      return res.status(404).json({
+        success: false,
+        message: 'Professional not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { favoriteProfessionals: professional._id } },
+      { new: true, select: 'favoriteProfessionals' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Added to favourites',
+      data: user?.favoriteProfessionals || []
+    });
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/favorites/:professionalId
+// @desc    Remove a professional from favourites
+// @access  Private
+router.delete('/favorites/:professionalId', protect, async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid professional id'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $pull: { favoriteProfessionals: professionalId } },
+      { new: true, select: 'favoriteProfessionals' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Removed from favourites',
+      data: user?.favoriteProfessionals || []
+    });
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by id (basic public profile for chat/view)
 // @access  Private
@@ -244,6 +354,13 @@ router.post('/change-password', protect, [
       });
     }
 
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'No password set yet. Use set password instead.'
+      });
+    }
+
     // Verify current password
     const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
     if (!isCurrentPasswordValid) {
@@ -263,6 +380,13 @@ router.post('/change-password', protect, [
       passwordUpdatedAt: new Date()
     });
 
+    // Sign out every other device; this one stays logged in
+    await revokeAllSessions(userId, {
+      except: req.user.sessionId,
+      reason: 'password_changed',
+      io: req.app.get('io')
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -280,7 +404,7 @@ router.post('/change-password', protect, [
 // @route   POST /api/users/send-email-verification
 // @desc    Send email verification
 // @access  Private
-router.post('/send-email-verification', protect, async (req, res) => {
+router.post('/send-email-verification', protect, rateLimit('otpSend'), async (req, res) => {
   try {
     const userId = req.user.id;
     const user = await User.findById(userId);
@@ -435,7 +559,7 @@ router.post('/verify-email', protect, [
 // @route   POST /api/users/send-phone-verification
 // @desc    Send phone verification OTP
 // @access  Private
-router.post('/send-phone-verification', protect, [
+router.post('/send-phone-verification', protect, rateLimit('otpSend'), [
   body('phone')
     .isMobilePhone('en-NG')
     .withMessage('Please provide a valid Nigerian phone number')
@@ -469,14 +593,19 @@ router.post('/send-phone-verification', protect, [
       });
     }
 
-    // Check rate limiting (max 3 attempts per hour)
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    if (user.phoneVerification.lastAttempt && user.phoneVerification.lastAttempt > oneHourAgo && user.phoneVerification.attempts >= 3) {
+    // Check rate limiting (max 3 codes per hour)
+    try {
+      await assertRequestQuota('phone_otp_request', userId, req);
+    } catch (quotaError) {
+      if (!(quotaError instanceof AuthThrottleError)) throw quotaError;
+      res.set('Retry-After', String(quotaError.retryAfter));
       return res.status(429).json({
         success: false,
-        message: 'Too many verification attempts. Please try again in an hour.'
+        message: 'Too many verification codes requested. Please try again later.',
+        retryAfter: quotaError.retryAfter
       });
     }
+    await recordAttempt('phone_otp_request', userId, { success: true, user: userId, req });
 
     // Generate 6-digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
@@ -487,7 +616,7 @@ router.post('/send-phone-verification', protect, [
       phone: phone,
       'phoneVerification.otp': otp,
       'phoneVerification.otpExpires': otpExpires,
-      'phoneVerification.attempts': user.phoneVerification.attempts + 1,
+      'phoneVerification.attempts': 0,
       'phoneVerification.lastAttempt': new Date()
     });
 
@@ -563,28 +692,71 @@ router.post('/verify-phone', protect, [
       });
     }
 
-    if (!user.phoneVerification.otp || user.phoneVerification.otp !== otp) {
+    // Each guess uses up one of the code's attempts before it is checked, so
+    // parallel guesses cannot get past the limit
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        'phoneVerification.otp': { $ne: null },
+        'phoneVerification.attempts': { $lt: MAX_PHONE_OTP_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 }, $set: { 'phoneVerification.lastAttempt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification code'
+        message: 'Please request a new verification code'
       });
     }
+    const { otp: currentOtp, otpExpires, attempts } = claimed.phoneVerification;
+
+    if (currentOtp !== otp) {
+      // The code is burned after too many wrong guesses
+      const exhausted = attempts >= MAX_PHONE_OTP_ATTEMPTS;
+      if (exhausted) {
+        await User.updateOne(
+          { _id: userId, 'phoneVerification.otp': currentOtp },
+          { 'phoneVerification.otp': null, 'phoneVerification.otpExpires': null }
+        );
+      }
+      await recordAttempt('phone_otp', userId, { success: false, user: userId, reason: exhausted ? 'attempts_exhausted' : 'invalid_code', req });
 
-    if (user.phoneVerification.otpExpires < new Date()) {
+      if (exhausted) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many incorrect codes. Please request a new verification code.'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        attemptsRemaining: MAX_PHONE_OTP_ATTEMPTS - attempts
+      });
+    }
+
+    if (otpExpires < new Date()) {
       return res.status(400).json({
         success: false,
         message: 'Verification code has expired'
       });
     }
 
-    // Verify phone
-    await User.findByIdAndUpdate(userId, {
+    // Verify phone, unless the code was replaced or burned meanwhile
+    const verified = await User.findOneAndUpdate({ _id: userId, 'phoneVerification.otp': currentOtp }, {
       'phoneVerification.isVerified': true,
       'phoneVerification.verifiedAt': new Date(),
       'phoneVerification.otp': null,
       'phoneVerification.otpExpires': null,
       'phoneVerification.attempts': 0
     });
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please request a new verification code'
+      });
+    }
+    await recordAttempt('phone_otp', userId, { success: true, user: userId, req });
 
     res.json({
       success: true,
@@ -657,8 +829,9 @@ router.delete('/delete-account', protect, async (req, res) => {
       })
     ]);
 
-    // Finally, delete the user account
+    // Finally, delete the user account and end all of its sessions
     await User.findByIdAndDelete(userId);
+    await revokeAllSessions(userId, { reason: 'account_deleted', io: req.app.get('io') });
 
     res.json({
       success: true,
@@ -1,5 +1,6 @@
 const express = require("express");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimiter");
 const { upload } = require("../utils");
 const {
   start,
@@ -14,20 +15,20 @@ const {
   captureFace,
   resetFaceVerification,
 } = require("../controllers/verificationController");
-const { requireAdmin } = require("../middleware/roleMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 router.get("/start", protect, start);
-router.post("/upload", protect, upload.any(), uploadCtrl);
+router.post("/upload", protect, rateLimit("upload"), upload.any(), uploadCtrl);
 router.get("/status", protect, status);
 router.post("/auto-evaluate", protect, autoEvaluate);
-router.put("/approve/:id", protect, requireAdmin, approve);
-router.put("/reject/:id", protect, requireAdmin, reject);
+router.put("/approve/:id", protect, requirePermission(PERMISSIONS.VERIFICATION_APPROVE), approve);
+router.put("/reject/:id", protect, requirePermission(PERMISSIONS.VERIFICATION_APPROVE), reject);
 router.get("/face/status", protect, faceStatus);
 router.post("/face/start", protect, startFace);
 router.post("/face/reference", protect, setReferenceFace);
-router.post("/face/capture", protect, upload.single("faceImage"), captureFace);
+router.post("/face/capture", protect, rateLimit("upload"), upload.single("faceImage"), captureFace);
 router.post("/face/reset", protect, resetFaceVerification);
 
 module.exports = router;
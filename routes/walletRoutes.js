@@ -0,0 +1,10 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const { getWallet, getWalletEntries } = require("../controllers/walletController");
+
+const router = express.Router();
+
+router.get("/", protect, getWallet);
+router.get("/entries", protect, getWalletEntries);
+
+module.exports = router;
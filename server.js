@@ -19,14 +19,18 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw bytes for gateway webhooks - signatures are computed over the exact body
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) req.rawBody = buf;
+    },
+  })
+);
 
-// Rate limiting
+// Rate limiting - policies in config/rateLimits.js, stricter ones are set per route
 const { rateLimit } = require("./middleware/rateLimiter");
-// Rate limiting - more lenient in development
-const isDevelopment = process.env.NODE_ENV !== 'production';
-const rateLimitMax = isDevelopment ? 1000 : 100; // 1000 in dev, 100 in production
-app.use(rateLimit(15 * 60 * 1000, rateLimitMax));
+app.use(rateLimit("global"));
 
 // Basic request logger for debugging
 app.use((req, res, next) => {
@@ -45,10 +49,14 @@ app.use("/api/services", require("./routes/serviceRoutes"));
 app.use("/api/professionals", require("./routes/professionalRoutes"));
 app.use("/api/reviews", require("./routes/reviewRoutes"));
 app.use("/api/bookings", require("./routes/bookingRoutes"));
+app.use("/api/disputes", require("./routes/disputeRoutes"));
+app.use("/api/recurring", require("./routes/recurringRoutes"));
 app.use("/api/verify", require("./routes/verificationRoutes"));
 app.use("/api/chat", require("./routes/chatRoutes"));
 app.use("/api/admin", require("./routes/adminRoutes"));
 app.use("/api/payments", require("./routes/paymentRoutes"));
+app.use("/api/wallet", require("./routes/walletRoutes"));
+app.use("/api/payouts", require("./routes/payoutRoutes"));
 app.use("/api/jobs", require("./routes/jobRoutes"));
 app.use("/api/messages", require("./routes/messageRoutes"));
 app.use("/api/notifications", require("./routes/notificationRoutes"));
@@ -80,8 +88,14 @@ if (!process.env.MAIL_HOST && !process.env.RESEND_API_KEY) {
 if (process.env.RESEND_API_KEY) {
   console.log("✅ Using Resend email service");
 }
-if (!process.env.PAYSTACK_SECRET_KEY) {
-  console.warn("⚠️  PAYSTACK_SECRET_KEY not set - payments will use mock mode");
+if (process.env.PAYMENT_GATEWAY === "stub") {
+  if (process.env.NODE_ENV === "production") {
+    console.error("❌ PAYMENT_GATEWAY=stub is not allowed in production - payments will fail");
+  } else {
+    console.warn("⚠️  PAYMENT_GATEWAY=stub - payments use the local stub gateway");
+  }
+} else if (!process.env.PAYSTACK_SECRET_KEY) {
+  console.warn("⚠️  PAYSTACK_SECRET_KEY not set - payments will fail");
 }
 
 const PORT = process.env.PORT || 3000;
@@ -100,14 +114,16 @@ try {
       credentials: true
     },
   });
-  const jwt = require("jsonwebtoken");
+  const { verifyAccessToken } = require("./utils/sessionService");
   const User = require('./models/User');
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.split(" ")[1];
     if (!token) return next(new Error("unauthorized"));
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.id;
+      // Revoked sessions are refused; their live sockets are dropped on revocation
+      const { id, sessionId } = await verifyAccessToken(token);
+      socket.userId = id;
+      socket.data.sessionId = sessionId;
       next();
     } catch (e) {
       next(new Error("unauthorized"));
@@ -342,4 +358,16 @@ try {
   console.log("Socket.IO init skipped", e?.message);
 }
 
+// Background work (escrow auto-release, recurrence sweep, reminders, expiry, cleanup)
+// runs as persistent queued tasks on cron schedules; see utils/backgroundTasks.js
+const { registerBackgroundTasks } = require("./utils/backgroundTasks");
+const { startTaskWorker } = require("./utils/taskQueue");
+const { startScheduler } = require("./utils/scheduler");
+registerBackgroundTasks();
+// Instances that only serve requests can leave the tasks to others
+if (process.env.TASK_WORKER_DISABLED !== "true") {
+  startTaskWorker({ io });
+  startScheduler();
+}
+
 module.exports = app;
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  BookingPolicyError,
+  parseCancellationPolicy,
+  getCancellationPolicy,
+  getBookingCancellationPolicy,
+  getCancellationFee,
+} = require('../utils/bookingPolicyService');
+
+const policy = { freeCancellationHours: 24, lateCancellationFeePercent: 50 };
+const booking = (fields = {}) => ({ date: new Date('2026-11-10T09:00:00Z'), price: 15000, status: 'confirmed', ...fields });
+
+test('customers cancelling a confirmed booking inside the window pay the late fee', () => {
+  const cost = getCancellationFee(booking(), policy, { role: 'customer', now: new Date('2026-11-09T10:00:00Z') });
+  assert.deepStrictEqual(cost, { fee: 7500, feePercent: 50, freeUntil: new Date('2026-11-09T09:00:00Z') });
+});
+
+test('cancelling before the window closes is free', () => {
+  const cost = getCancellationFee(booking(), policy, { role: 'customer', now: new Date('2026-11-09T09:00:00Z') });
+  assert.strictEqual(cost.fee, 0);
+  assert.strictEqual(cost.feePercent, 0);
+});
+
+test('only customers pay, and only for bookings that were confirmed', () => {
+  const now = new Date('2026-11-10T08:00:00Z');
+  assert.strictEqual(getCancellationFee(booking(), policy, { role: 'professional', now }).fee, 0);
+  assert.strictEqual(getCancellationFee(booking(), policy, { role: 'moderator', now }).fee, 0);
+  assert.strictEqual(getCancellationFee(booking({ status: 'pending' }), policy, { role: 'customer', now }).fee, 0);
+  // Moved back to pending by a customer reschedule
+  assert.strictEqual(getCancellationFee(booking({ status: 'pending', confirmedAt: new Date() }), policy, { role: 'customer', now }).fee, 7500);
+});
+
+test('the fee is rounded to the kobo', () => {
+  const cost = getCancellationFee(booking({ price: 999.99 }), { freeCancellationHours: 1, lateCancellationFeePercent: 33 }, {
+    role: 'customer',
+    now: new Date('2026-11-10T08:30:00Z'),
+  });
+  assert.strictEqual(cost.fee, 330);
+});
+
+test('a booking keeps the policy it was made under', () => {
+  const professional = { cancellationPolicy: { freeCancellationHours: 48, lateCancellationFeePercent: 100 } };
+  assert.deepStrictEqual(getBookingCancellationPolicy(booking({ cancellationPolicy: policy }), professional), policy);
+  assert.deepStrictEqual(getBookingCancellationPolicy(booking(), professional), professional.cancellationPolicy);
+  assert.deepStrictEqual(getCancellationPolicy(null), { freeCancellationHours: 24, lateCancellationFeePercent: 0 });
+});
+
+test('parseCancellationPolicy validates each field it is given', () => {
+  assert.deepStrictEqual(parseCancellationPolicy({ freeCancellationHours: '12' }), { freeCancellationHours: 12 });
+  assert.deepStrictEqual(parseCancellationPolicy({ lateCancellationFeePercent: 25 }), { lateCancellationFeePercent: 25 });
+  const invalid = [{}, { freeCancellationHours: 1.5 }, { freeCancellationHours: -1 }, { freeCancellationHours: 721 }, { lateCancellationFeePercent: 101 }, { lateCancellationFeePercent: 'x' }];
+  for (const input of invalid) assert.throws(() => parseCancellationPolicy(input), BookingPolicyError, JSON.stringify(input));
+});
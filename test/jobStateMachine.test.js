@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  JobTransitionError,
+  STATUS_BY_STATE,
+  OPEN_STATES,
+  EXPIRABLE_STATES,
+  TERMINAL_STATES,
+  EVENTS,
+  getAvailableEvents,
+  transitionJob,
+} = require('../utils/jobStateMachine');
+
+const STATES = Object.keys(STATUS_BY_STATE);
+const targets = (event, params = {}) => {
+  const { to } = EVENTS[event];
+  return typeof to === 'function' ? to({}, params) : to;
+};
+
+test('every event leaves from and leads to known states', () => {
+  for (const [event, def] of Object.entries(EVENTS)) {
+    assert.ok(def.from.length, event);
+    for (const state of def.from) assert.ok(STATES.includes(state), `${event} from ${state}`);
+    if (typeof def.to === 'string') assert.ok(STATES.includes(def.to), `${event} to ${def.to}`);
+    assert.ok(def.actors.length, event);
+  }
+});
+
+test('no event leaves a terminal state', () => {
+  for (const [event, def] of Object.entries(EVENTS)) {
+    for (const state of TERMINAL_STATES) assert.ok(!def.from.includes(state), `${event} from ${state}`);
+  }
+});
+
+test('status follows the lifecycle state', () => {
+  for (const state of OPEN_STATES) assert.strictEqual(STATUS_BY_STATE[state], 'Pending', state);
+  assert.strictEqual(STATUS_BY_STATE.in_progress, 'In Progress');
+  assert.strictEqual(STATUS_BY_STATE.disputed, 'In Progress');
+  assert.strictEqual(STATUS_BY_STATE.closed, 'Completed');
+  assert.strictEqual(STATUS_BY_STATE.cancelled, 'Cancelled');
+});
+
+test('only jobs still looking for a professional expire', () => {
+  assert.deepStrictEqual(EVENTS.expire.from, EXPIRABLE_STATES);
+  assert.deepStrictEqual(EXPIRABLE_STATES, ['posted', 'offer_pending']);
+  assert.deepStrictEqual(EVENTS.expire.actors, ['system']);
+  assert.strictEqual(targets('expire'), 'cancelled');
+});
+
+test('completion is confirmed by the client, or by the system once the pro marked it', () => {
+  assert.deepStrictEqual(EVENTS.mark_completed_by_pro.actors, ['professional']);
+  assert.deepStrictEqual(EVENTS.confirm_completion.actors, ['client']);
+  assert.deepStrictEqual(EVENTS.auto_confirm.from, ['completed_by_pro']);
+  assert.deepStrictEqual(EVENTS.auto_confirm.actors, ['system']);
+  assert.strictEqual(targets('auto_confirm'), 'closed');
+});
+
+test('disputes are resolved by a mediator and withdrawn back to where they started', () => {
+  assert.deepStrictEqual(EVENTS.resolve_dispute.actors, ['mediator']);
+  assert.strictEqual(targets('resolve_dispute', { outcome: 'refund' }), 'cancelled');
+  assert.strictEqual(targets('resolve_dispute', { outcome: 'release' }), 'closed');
+  assert.strictEqual(targets('withdraw_dispute', { restoreState: 'completed_by_pro' }), 'completed_by_pro');
+});
+
+test('getAvailableEvents lists the events the actor may trigger from the current state', async () => {
+  const job = { client: 'client-1', lifecycleState: 'posted' };
+  assert.deepStrictEqual((await getAvailableEvents(job, { id: 'client-1', role: 'customer' })).sort(), ['accept_application', 'cancel']);
+  assert.deepStrictEqual(await getAvailableEvents(job, 'system'), ['expire']);
+  assert.deepStrictEqual(await getAvailableEvents(job, { id: 'someone-else', role: 'customer' }), []);
+  assert.deepStrictEqual(await getAvailableEvents({ ...job, lifecycleState: 'closed' }, 'system'), []);
+});
+
+test('transitionJob rejects unknown events, wrong actors and wrong states before saving', async () => {
+  const job = { client: 'client-1', lifecycleState: 'posted' };
+  const client = { id: 'client-1', role: 'customer' };
+  await assert.rejects(transitionJob(job, 'teleport', { user: client }), { name: 'JobTransitionError', code: 'UNKNOWN_EVENT' });
+  await assert.rejects(transitionJob(job, 'auto_confirm', { user: client }), { code: 'NOT_AUTHORIZED' });
+  await assert.rejects(transitionJob(job, 'auto_confirm', { user: 'system' }), (error) => {
+    assert.ok(error instanceof JobTransitionError);
+    assert.strictEqual(error.code, 'INVALID_TRANSITION');
+    return true;
+  });
+  assert.strictEqual(job.lifecycleState, 'posted');
+});
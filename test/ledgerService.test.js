@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LedgerError, postJournal } = require('../utils/ledgerService');
+
+test('postJournal rejects an unbalanced journal before writing anything', async () => {
+  await assert.rejects(
+    postJournal({
+      journalKey: 'test:unbalanced',
+      type: 'escrow_funding',
+      lines: [
+        { account: 'gateway:clearing', direction: 'debit', amount: 100 },
+        { account: 'platform:escrow', direction: 'credit', amount: 99.99 },
+      ],
+    }),
+    LedgerError
+  );
+});
+
+test('postJournal balances on rounded amounts', async () => {
+  await assert.rejects(
+    postJournal({
+      journalKey: 'test:rounding',
+      type: 'escrow_release',
+      lines: [
+        { account: 'platform:escrow', direction: 'debit', amount: 10.006 },
+        { account: 'platform:revenue', direction: 'credit', amount: 5.004 },
+        { account: 'platform:revenue', direction: 'credit', amount: 5.004 },
+      ],
+    }),
+    /debits 10\.01 != credits 10/
+  );
+});
+
+test('postJournal posts nothing when every line is zero', async () => {
+  const result = await postJournal({
+    journalKey: 'test:empty',
+    type: 'platform_fee',
+    lines: [
+      { account: 'pro:1:wallet', direction: 'debit', amount: 0 },
+      { account: 'platform:revenue', direction: 'credit', amount: 0.004 },
+    ],
+  });
+  assert.strictEqual(result, null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { PaymentGatewayError, createPaystackGateway, createStubGateway } = require('../utils/paymentGateway');
+
+const body = JSON.stringify({ event: 'charge.success', data: { id: 42, reference: 'ref_1' } });
+const sign = (secret, rawBody) => crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+
+test('the stub accepts its own signature over the raw body', () => {
+  const gateway = createStubGateway({ webhookSecret: 'whsec' });
+  const signature = gateway.signWebhookPayload(body);
+  assert.strictEqual(signature, sign('whsec', body));
+  assert.strictEqual(gateway.verifyWebhookSignature(Buffer.from(body), signature), true);
+  assert.strictEqual(gateway.verifyWebhookSignature(body, ` ${signature.toUpperCase()} `), true);
+});
+
+test('the stub rejects a tampered body, a wrong secret or a missing signature', () => {
+  const gateway = createStubGateway({ webhookSecret: 'whsec' });
+  const signature = gateway.signWebhookPayload(body);
+  assert.strictEqual(gateway.verifyWebhookSignature(body.replace('42', '43'), signature), false);
+  assert.strictEqual(gateway.verifyWebhookSignature(body, sign('other', body)), false);
+  assert.strictEqual(gateway.verifyWebhookSignature(body, signature.slice(1)), false);
+  assert.strictEqual(gateway.verifyWebhookSignature(body, undefined), false);
+  assert.strictEqual(gateway.verifyWebhookSignature('', signature), false);
+});
+
+test('the stub refuses every webhook without a secret', () => {
+  const gateway = createStubGateway({ webhookSecret: '' });
+  assert.strictEqual(gateway.verifyWebhookSignature(body, sign('', body)), false);
+  assert.throws(() => gateway.signWebhookPayload(body), PaymentGatewayError);
+});
+
+test('Paystack signatures use the secret key', () => {
+  const gateway = createPaystackGateway({ secretKey: 'sk_test_1' });
+  assert.strictEqual(gateway.verifyWebhookSignature(body, sign('sk_test_1', body)), true);
+  assert.strictEqual(gateway.verifyWebhookSignature(body, sign('sk_test_2', body)), false);
+  assert.throws(() => createPaystackGateway({ secretKey: '' }), PaymentGatewayError);
+});
+
+test('webhook event ids combine the event with the object id', () => {
+  const gateway = createStubGateway();
+  assert.strictEqual(gateway.getWebhookEventId(JSON.parse(body)), 'charge.success:42');
+  assert.strictEqual(gateway.getWebhookEventId({ event: 'refund.processed', data: { refund_reference: 'rf_1' } }), 'refund.processed:rf_1');
+  assert.strictEqual(gateway.getWebhookEventId({ event: 'charge.success', data: {} }), null);
+  assert.strictEqual(gateway.getWebhookEventId({ data: { id: 1 } }), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_ROLES, PERMISSIONS, ADMIN_ROLE_PERMISSIONS, getAdminRoles, getPermissions, hasPermission } = require('../config/permissions');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+test('only admins have admin roles; an admin with none is a super admin', () => {
+  assert.deepStrictEqual(getAdminRoles({ role: 'customer', adminRoles: ['finance'] }), []);
+  assert.deepStrictEqual(getAdminRoles({ role: 'admin' }), ['super_admin']);
+  assert.deepStrictEqual(getAdminRoles({ role: 'admin', adminRoles: [] }), ['super_admin']);
+  assert.deepStrictEqual(getAdminRoles({ role: 'admin', adminRoles: ['finance', 'support'] }), ['finance', 'support']);
+  assert.deepStrictEqual(getAdminRoles(null), []);
+});
+
+test('a super admin has every permission', () => {
+  assert.deepStrictEqual(getPermissions({ role: 'admin' }).sort(), [...ALL_PERMISSIONS].sort());
+});
+
+test('base roles grant their own permissions', () => {
+  assert.deepStrictEqual(getPermissions({ role: 'customer' }), []);
+  assert.deepStrictEqual(getPermissions({ role: 'professional' }).sort(), [PERMISSIONS.PAYOUT_REQUEST, PERMISSIONS.VERIFICATION_SUBMIT].sort());
+  assert.deepStrictEqual(getPermissions({ role: 'nobody' }), []);
+  assert.deepStrictEqual(getPermissions(undefined), []);
+});
+
+test('admin sub-roles add to the admin dashboard permission', () => {
+  const finance = { role: 'admin', adminRoles: ['finance'] };
+  assert.ok(hasPermission(finance, PERMISSIONS.ADMIN_DASHBOARD));
+  assert.ok(hasPermission(finance, PERMISSIONS.PAYMENT_REFUND));
+  assert.ok(!hasPermission(finance, PERMISSIONS.DISPUTE_RESOLVE));
+  assert.ok(!hasPermission(finance, PERMISSIONS.USER_MANAGE_ROLES));
+
+  const both = { role: 'admin', adminRoles: ['moderator', 'support'] };
+  assert.ok(hasPermission(both, PERMISSIONS.JOB_MODERATE));
+  assert.ok(hasPermission(both, PERMISSIONS.TASK_MANAGE));
+  assert.strictEqual(getPermissions(both).filter((p) => p === PERMISSIONS.DISPUTE_RESOLVE).length, 1);
+});
+
+test('sub-roles are ignored on non-admins and unknown sub-roles grant nothing', () => {
+  assert.ok(!hasPermission({ role: 'professional', adminRoles: ['super_admin'] }, PERMISSIONS.PAYOUT_APPROVE));
+  assert.deepStrictEqual(getPermissions({ role: 'admin', adminRoles: ['janitor'] }), [PERMISSIONS.ADMIN_DASHBOARD]);
+});
+
+test('every admin role maps to known permissions', () => {
+  for (const adminRole of ADMIN_ROLES) {
+    for (const permission of ADMIN_ROLE_PERMISSIONS[adminRole]) assert.ok(ALL_PERMISSIONS.includes(permission), `${adminRole}: ${permission}`);
+  }
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RecurrenceError, parseRecurrence, formatRRule, listOccurrences } = require('../utils/recurrenceService');
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+test('parseRecurrence reads an RRULE string', () => {
+  const rule = parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,MO;COUNT=10');
+  assert.deepStrictEqual(rule, { frequency: 'weekly', interval: 2, byWeekday: [1, 4], count: 10 });
+  assert.strictEqual(formatRRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10');
+});
+
+test('parseRecurrence reads an object or its JSON string', () => {
+  const expected = { frequency: 'daily', interval: 3, byWeekday: [], count: 5 };
+  assert.deepStrictEqual(parseRecurrence({ frequency: 'DAILY', interval: '3', count: '5' }), expected);
+  assert.deepStrictEqual(parseRecurrence('{"frequency":"daily","interval":3,"count":5}'), expected);
+  assert.strictEqual(parseRecurrence(''), null);
+  assert.strictEqual(parseRecurrence(undefined), null);
+});
+
+test('parseRecurrence ends a bare UNTIL date at the end of that day', () => {
+  assert.strictEqual(parseRecurrence('FREQ=DAILY;UNTIL=20261231').until.toISOString(), '2026-12-31T23:59:59.000Z');
+  assert.strictEqual(parseRecurrence({ frequency: 'daily', until: '2026-12-31' }).until.toISOString(), '2026-12-31T23:59:59.000Z');
+});
+
+test('parseRecurrence rejects invalid rules', () => {
+  const invalid = [
+    'FREQ=YEARLY',
+    'FREQ=DAILY;BYHOUR=9',
+    'FREQ=MONTHLY;BYDAY=MO',
+    'FREQ=WEEKLY;BYDAY=XX',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=DAILY;COUNT=1',
+    'FREQ=DAILY;COUNT=3;UNTIL=20261231',
+    '{not json',
+  ];
+  for (const input of invalid) assert.throws(() => parseRecurrence(input), RecurrenceError, input);
+  assert.throws(
+    () => parseRecurrence('FREQ=DAILY;UNTIL=20261101', { startAt: new Date('2026-11-02T09:00:00Z') }),
+    RecurrenceError
+  );
+});
+
+test('listOccurrences repeats on the BYDAY weekdays', () => {
+  const rule = parseRecurrence('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=5');
+  // Monday 09:00 in Lagos
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2026-11-02T08:00:00Z'), { timeZone: 'Africa/Lagos' })), [
+    '2026-11-02T08:00:00.000Z',
+    '2026-11-05T08:00:00.000Z',
+    '2026-11-09T08:00:00.000Z',
+    '2026-11-12T08:00:00.000Z',
+    '2026-11-16T08:00:00.000Z',
+  ]);
+});
+
+test('listOccurrences keeps the local weekday of a late-evening occurrence', () => {
+  // Tuesday 00:30 in Lagos is still Monday in UTC
+  const rule = parseRecurrence('FREQ=WEEKLY;BYDAY=TU,FR;COUNT=3');
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2026-11-02T23:30:00Z'), { timeZone: 'Africa/Lagos' })), [
+    '2026-11-02T23:30:00.000Z',
+    '2026-11-05T23:30:00.000Z',
+    '2026-11-09T23:30:00.000Z',
+  ]);
+});
+
+test('listOccurrences keeps the local time of day across a DST change', () => {
+  const rule = parseRecurrence({ frequency: 'weekly', count: 3 });
+  // 09:00 in New York, before and after clocks go back on 1 November
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2026-10-26T13:00:00Z'), { timeZone: 'America/New_York' })), [
+    '2026-10-26T13:00:00.000Z',
+    '2026-11-02T14:00:00.000Z',
+    '2026-11-09T14:00:00.000Z',
+  ]);
+});
+
+test('listOccurrences falls back to the last day of shorter months', () => {
+  const rule = parseRecurrence({ frequency: 'monthly', count: 5 });
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2027-01-31T08:00:00Z'))), [
+    '2027-01-31T08:00:00.000Z',
+    '2027-02-28T08:00:00.000Z',
+    '2027-03-31T08:00:00.000Z',
+    '2027-04-30T08:00:00.000Z',
+    '2027-05-31T08:00:00.000Z',
+  ]);
+});
+
+test('listOccurrences stops after COUNT occurrences, the first included', () => {
+  const rule = parseRecurrence('FREQ=DAILY;INTERVAL=2;COUNT=3');
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2026-11-02T08:00:00Z'))), [
+    '2026-11-02T08:00:00.000Z',
+    '2026-11-04T08:00:00.000Z',
+    '2026-11-06T08:00:00.000Z',
+  ]);
+});
+
+test('listOccurrences stops at UNTIL, inclusive', () => {
+  const rule = parseRecurrence('FREQ=DAILY;UNTIL=20261105T080000Z');
+  assert.deepStrictEqual(iso(listOccurrences(rule, new Date('2026-11-02T08:00:00Z'))), [
+    '2026-11-02T08:00:00.000Z',
+    '2026-11-03T08:00:00.000Z',
+    '2026-11-04T08:00:00.000Z',
+    '2026-11-05T08:00:00.000Z',
+  ]);
+});
+
+test('listOccurrences honours after, through and limit', () => {
+  const rule = parseRecurrence({ frequency: 'daily' });
+  const startAt = new Date('2026-11-02T08:00:00Z');
+  assert.deepStrictEqual(iso(listOccurrences(rule, startAt, {
+    after: new Date('2026-11-03T08:00:00Z'),
+    through: new Date('2026-11-06T08:00:00Z'),
+  })), ['2026-11-04T08:00:00.000Z', '2026-11-05T08:00:00.000Z', '2026-11-06T08:00:00.000Z']);
+  assert.strictEqual(listOccurrences(rule, startAt, { limit: 7 }).length, 7);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CronError, parseCron, cronMatches } = require('../utils/scheduler');
+
+const values = (set) => [...set].sort((a, b) => a - b);
+
+test('parseCron expands wildcards, steps, ranges and lists', () => {
+  const cron = parseCron('*/15 9-17 1,15 */3 1-5');
+  assert.deepStrictEqual(values(cron.minute), [0, 15, 30, 45]);
+  assert.deepStrictEqual(values(cron.hour), [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual(values(cron.dayOfMonth), [1, 15]);
+  assert.deepStrictEqual(values(cron.month), [1, 4, 7, 10]);
+  assert.deepStrictEqual(values(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.strictEqual(cron.anyDayOfMonth, false);
+  assert.strictEqual(cron.anyDayOfWeek, false);
+});
+
+test('parseCron reads stepped ranges and a step from a start value', () => {
+  assert.deepStrictEqual(values(parseCron('1-10/3 * * * *').minute), [1, 4, 7, 10]);
+  assert.deepStrictEqual(values(parseCron('5/15 * * * *').minute), [5, 20, 35, 50]);
+});
+
+test('parseCron treats 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+});
+
+test('parseCron rejects invalid expressions', () => {
+  const invalid = ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '5-1 * * * *', '*/0 * * * *', 'a * * * *'];
+  for (const expression of invalid) assert.throws(() => parseCron(expression), CronError, expression);
+});
+
+test('cronMatches checks the UTC minute, hour and month', () => {
+  const cron = parseCron('30 3 * * *');
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-02T03:30:00Z')), true);
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-02T03:31:00Z')), false);
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-02T04:30:00Z')), false);
+  assert.strictEqual(cronMatches(parseCron('0 0 1 1 *'), new Date('2026-02-01T00:00:00Z')), false);
+});
+
+test('cronMatches needs both day fields when only one is restricted', () => {
+  // 2 November 2026 is a Monday
+  assert.strictEqual(cronMatches(parseCron('0 9 * * 1'), new Date('2026-11-02T09:00:00Z')), true);
+  assert.strictEqual(cronMatches(parseCron('0 9 * * 2'), new Date('2026-11-02T09:00:00Z')), false);
+  assert.strictEqual(cronMatches(parseCron('0 9 2 * *'), new Date('2026-11-02T09:00:00Z')), true);
+});
+
+test('cronMatches takes either day field when both are restricted', () => {
+  const cron = parseCron('0 9 15 * 1');
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-02T09:00:00Z')), true); // a Monday
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-15T09:00:00Z')), true); // the 15th, a Sunday
+  assert.strictEqual(cronMatches(cron, new Date('2026-11-03T09:00:00Z')), false);
+});
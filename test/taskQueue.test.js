@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { backoffDelay } = require('../utils/taskQueue');
+
+const SECOND = 1000;
+
+test('backoffDelay doubles from 30 seconds, within 20% jitter', () => {
+  for (const [attempt, base] of [[1, 30 * SECOND], [2, 60 * SECOND], [3, 120 * SECOND], [5, 480 * SECOND]]) {
+    for (let i = 0; i < 50; i += 1) {
+      const delay = backoffDelay(attempt);
+      assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempt}: ${delay}`);
+    }
+  }
+});
+
+test('backoffDelay is capped at an hour', () => {
+  for (const attempt of [8, 20, 100]) {
+    const delay = backoffDelay(attempt);
+    assert.ok(delay >= 3600 * SECOND * 0.8 && delay <= 3600 * SECOND * 1.2, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test('backoffDelay spreads retries out', () => {
+  const delays = new Set(Array.from({ length: 20 }, () => backoffDelay(4)));
+  assert.ok(delays.size > 1);
+});
@@ -0,0 +1,233 @@
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { notifyUser } = require('./notificationService');
+const { DEFAULT_TIMEZONE, formatLocalDateTime } = require('./scheduleService');
+const { EXPIRABLE_STATES, transitionJob } = require('./jobStateMachine');
+const { releaseDueEscrows } = require('./escrowService');
+const { runRecurrenceSweep } = require('./recurrenceService');
+const { expireOffer, runWaitlistSweep } = require('./waitlistService');
+const { registerTaskHandler } = require('./taskQueue');
+const { registerSchedule } = require('./scheduler');
+
+/**
+ * Recurring background work, run as queued tasks on cron schedules (see
+ * utils/taskQueue.js and utils/scheduler.js):
+ *
+ * - escrow auto-release and the recurrence sweep (formerly in-process timers);
+ * - booking reminders to both sides 24 hours and 1 hour before the start;
+ * - auto-confirming jobs the client has not confirmed JOB_AUTO_CONFIRM_DAYS
+ *   after the pro marked them completed;
+ * - expiring jobs still looking for a professional (posted or with offers
+ *   pending), JOB_EXPIRY_GRACE_DAYS after their preferred date;
+ * - clearing expired email, phone and password reset tokens;
+ * - expiring waitlist offers and waitlist entries whose window has ended.
+ *
+ * Every task is safe to run twice: each item is claimed or moved on with a
+ * conditional update, so a retry or an overlapping run does nothing twice.
+ * Cron expressions are in UTC and can be overridden with the *_CRON variables.
+ */
+
+const AUTO_CONFIRM_DAYS = Number(process.env.JOB_AUTO_CONFIRM_DAYS || 7);
+const EXPIRY_GRACE_DAYS = Number(process.env.JOB_EXPIRY_GRACE_DAYS || 1);
+// Items handled per run; the rest wait for the next one
+const BATCH_SIZE = 200;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Closest first: a booking made less than a day ahead only gets the 1h reminder
+const BOOKING_REMINDERS = [
+  { key: '1h', hours: 1 },
+  { key: '24h', hours: 24 },
+];
+
+async function remindBookingParticipants(booking, io) {
+  const professional = booking.professional;
+  const when = formatLocalDateTime(booking.date, professional?.schedule?.timezone || DEFAULT_TIMEZONE);
+  const data = { professionalId: professional?._id, metadata: { bookingId: booking._id } };
+  const [customer, proUser] = await Promise.all([
+    User.findById(booking.customer).select('name email'),
+    professional?.user ? User.findById(professional.user).select('name email') : null,
+  ]);
+  const recipients = [
+    customer && {
+      user: customer,
+      message: `Reminder: your booking${professional?.name ? ` with ${professional.name}` : ''} is coming up on ${when}.`,
+    },
+    proUser && {
+      user: proUser,
+      message: `Reminder: you have a booking${customer?.name ? ` with ${customer.name}` : ''} on ${when}.`,
+    },
+  ].filter(Boolean);
+
+  for (const { user, message } of recipients) {
+    await notifyUser(user._id, { type: 'reminder', title: 'Upcoming Booking', message, data }, io);
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'FixFinder - Upcoming Booking',
+        html: `<p>Hello ${user.name || ''},</p><p>${message}</p>`,
+      });
+    } catch (e) {}
+  }
+}
+
+/**
+ * Remind both sides of pending and confirmed bookings 24 hours and 1 hour before they start
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<number>} - Reminders sent
+ */
+async function sendBookingReminders({ io, now = new Date() } = {}) {
+  let sent = 0;
+  for (const [index, { key, hours }] of BOOKING_REMINDERS.entries()) {
+    // Bookings inside the closer reminder's window get that one instead
+    const after = index ? new Date(now.getTime() + BOOKING_REMINDERS[index - 1].hours * HOUR_MS) : now;
+    const bookings = await Booking.find({
+      status: { $in: ['pending', 'confirmed'] },
+      remindersSent: { $ne: key },
+      date: { $gt: after, $lte: new Date(now.getTime() + hours * HOUR_MS) },
+    })
+      .populate('professional', 'name user schedule.timezone')
+      .sort({ date: 1 })
+      .limit(BATCH_SIZE);
+    for (const booking of bookings) {
+      // Claimed first so overlapping runs remind once
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, remindersSent: { $ne: key } },
+        { $addToSet: { remindersSent: key } }
+      );
+      if (!claimed) continue;
+      await remindBookingParticipants(booking, io);
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Close jobs the client has not confirmed JOB_AUTO_CONFIRM_DAYS after the pro
+ * marked them completed, releasing any escrow still held
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<number>} - Jobs confirmed
+ */
+async function autoConfirmStaleCompletions({ io, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - AUTO_CONFIRM_DAYS * DAY_MS);
+  const jobs = await Job.find({
+    lifecycleState: 'completed_by_pro',
+    $or: [
+      { completedByProAt: { $lte: cutoff } },
+      // Completed before completedByProAt was recorded
+      { completedByProAt: null, updatedAt: { $lte: cutoff } },
+    ],
+  }).limit(BATCH_SIZE);
+  const funded = new Set((await Payment.distinct('job', {
+    purpose: 'job_escrow',
+    'escrow.status': 'held',
+    job: { $in: jobs.map((job) => job._id) },
+  })).map(String));
+
+  let confirmed = 0;
+  for (const job of jobs) {
+    try {
+      await transitionJob(job, 'auto_confirm', {
+        user: 'system',
+        io,
+        autoReleaseHours: AUTO_CONFIRM_DAYS * 24,
+        paymentReleased: funded.has(String(job._id)),
+      });
+      confirmed += 1;
+    } catch (error) {
+      console.error('Auto-confirm failed for job', String(job._id), error.message);
+    }
+  }
+  return confirmed;
+}
+
+/**
+ * Cancel jobs still looking for a professional whose preferred date passed
+ * JOB_EXPIRY_GRACE_DAYS ago
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<number>} - Jobs expired
+ */
+async function expireStaleJobs({ io, now = new Date() } = {}) {
+  const jobs = await Job.find({
+    lifecycleState: { $in: EXPIRABLE_STATES },
+    preferredDate: { $lt: new Date(now.getTime() - EXPIRY_GRACE_DAYS * DAY_MS) },
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const job of jobs) {
+    try {
+      await transitionJob(job, 'expire', { user: 'system', io, reason: 'Preferred date passed' });
+      expired += 1;
+    } catch (error) {
+      console.error('Expiry failed for job', String(job._id), error.message);
+    }
+  }
+  return expired;
+}
+
+/**
+ * Clear expired email verification tokens, phone OTPs and password reset tokens
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ emailTokens: number, phoneOtps: number, resetTokens: number }>}
+ */
+async function purgeExpiredTokens({ now = new Date() } = {}) {
+  const [email, phone, reset] = await Promise.all([
+    User.updateMany(
+      { 'emailVerification.tokenExpires': { $lt: now } },
+      { $set: { 'emailVerification.token': null, 'emailVerification.tokenExpires': null } }
+    ),
+    User.updateMany(
+      { 'phoneVerification.otpExpires': { $lt: now } },
+      { $set: { 'phoneVerification.otp': null, 'phoneVerification.otpExpires': null } }
+    ),
+    User.updateMany(
+      { resetPasswordExpires: { $lt: now } },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } }
+    ),
+  ]);
+  return { emailTokens: email.modifiedCount, phoneOtps: phone.modifiedCount, resetTokens: reset.modifiedCount };
+}
+
+const TASK_HANDLERS = {
+  'escrow.release_due': (payload, { io }) => releaseDueEscrows({ io }),
+  'recurrence.sweep': (payload, { io }) => runRecurrenceSweep({ io }),
+  'bookings.send_reminders': (payload, { io }) => sendBookingReminders({ io }),
+  'jobs.auto_confirm': (payload, { io }) => autoConfirmStaleCompletions({ io }),
+  'jobs.expire': (payload, { io }) => expireStaleJobs({ io }),
+  'users.purge_expired_tokens': () => purgeExpiredTokens(),
+  // Enqueued per offer by utils/waitlistService.js, to run when the hold ends
+  'waitlist.expire_offer': (payload, { io }) => expireOffer(payload, { io }),
+  'waitlist.sweep': (payload, { io }) => runWaitlistSweep({ io }),
+};
+
+const SCHEDULES = [
+  { name: 'escrow-release', task: 'escrow.release_due', cron: process.env.ESCROW_SWEEP_CRON || '*/15 * * * *' },
+  { name: 'recurrence-sweep', task: 'recurrence.sweep', cron: process.env.RECURRENCE_SWEEP_CRON || '0 * * * *' },
+  { name: 'booking-reminders', task: 'bookings.send_reminders', cron: process.env.BOOKING_REMINDER_CRON || '*/5 * * * *' },
+  { name: 'job-auto-confirm', task: 'jobs.auto_confirm', cron: process.env.JOB_AUTO_CONFIRM_CRON || '20 * * * *' },
+  { name: 'job-expiry', task: 'jobs.expire', cron: process.env.JOB_EXPIRY_CRON || '40 * * * *' },
+  { name: 'waitlist-sweep', task: 'waitlist.sweep', cron: process.env.WAITLIST_SWEEP_CRON || '*/10 * * * *' },
+  { name: 'token-purge', task: 'users.purge_expired_tokens', cron: process.env.TOKEN_PURGE_CRON || '30 3 * * *' },
+];
+
+/**
+ * Register the task handlers and their schedules; call once at startup
+ * @throws {CronError} - When a *_CRON override is not a valid expression
+ */
+function registerBackgroundTasks() {
+  for (const [name, handler] of Object.entries(TASK_HANDLERS)) registerTaskHandler(name, handler);
+  // A missed run is made up by the next one, so scheduled tasks are only retried a couple of times
+  for (const schedule of SCHEDULES) registerSchedule({ ...schedule, maxAttempts: 3 });
+}
+
+module.exports = {
+  sendBookingReminders,
+  autoConfirmStaleCompletions,
+  expireStaleJobs,
+  purgeExpiredTokens,
+  registerBackgroundTasks,
+};
@@ -0,0 +1,327 @@
+const Booking = require('../models/Booking');
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { sendMail } = require('./mailer');
+const { notifyUser } = require('./notificationService');
+const { refundCancelledBooking } = require('./refundService');
+const { recordBookingEvent } = require('./bookingTimelineService');
+const { assertWithinSchedule } = require('./scheduleService');
+const { buildBookingInvite } = require('./calendarService');
+const { findActiveHold, offerFreedSlot } = require('./waitlistService');
+
+/**
+ * Who may change a booking, and what cancelling costs. Only the customer, the
+ * professional and booking moderators can touch a booking, and each status
+ * change is limited to the parties in STATUS_TRANSITIONS. Either party can
+ * reschedule before the booking starts; the new time is re-checked for
+ * overlaps and against the pro's schedule.
+ *
+ * Each professional sets a cancellation policy: customers cancelling a
+ * confirmed booking less than freeCancellationHours before it starts pay
+ * lateCancellationFeePercent of the price, kept back from their refund. The
+ * policy is copied onto each booking when it is made, and a booking that was
+ * confirmed once stays chargeable after a customer reschedule, which is not
+ * allowed inside the late window.
+ * Every change is recorded on the booking's timeline and the other party is
+ * notified in-app and by email. A cancelled slot is offered to the
+ * professional's waitlist (see utils/waitlistService.js).
+ */
+
+class BookingPolicyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BookingPolicyError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_CANCELLATION_POLICY = { freeCancellationHours: 24, lateCancellationFeePercent: 0 };
+const MAX_FREE_CANCELLATION_HOURS = 720;
+
+// Status a booking may be moved to: from which statuses, and by whom
+const STATUS_TRANSITIONS = {
+  confirmed: { from: ['pending'], roles: ['professional', 'moderator'] },
+  completed: { from: ['confirmed'], roles: ['professional', 'moderator'] },
+  cancelled: { from: ['pending', 'confirmed'], roles: ['customer', 'professional', 'moderator'] },
+};
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+const BLOCKING_BOOKING_STATUSES = ['pending', 'confirmed', 'disputed'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Validate a cancellation policy update; fields left out are not returned
+ * @param {Object} input - { freeCancellationHours?, lateCancellationFeePercent? }
+ * @returns {Object}
+ * @throws {BookingPolicyError}
+ */
+function parseCancellationPolicy(input) {
+  const policy = {};
+  if (input?.freeCancellationHours !== undefined) {
+    const hours = Number(input.freeCancellationHours);
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_FREE_CANCELLATION_HOURS) {
+      throw new BookingPolicyError(`freeCancellationHours must be a whole number of hours, up to ${MAX_FREE_CANCELLATION_HOURS}`);
+    }
+    policy.freeCancellationHours = hours;
+  }
+  if (input?.lateCancellationFeePercent !== undefined) {
+    const percent = Number(input.lateCancellationFeePercent);
+    if (!(percent >= 0 && percent <= 100)) throw new BookingPolicyError('lateCancellationFeePercent must be between 0 and 100');
+    policy.lateCancellationFeePercent = percent;
+  }
+  if (!Object.keys(policy).length) throw new BookingPolicyError('Nothing to update');
+  return policy;
+}
+
+/**
+ * A professional's cancellation policy with defaults filled in
+ * @param {Object|null} professional
+ */
+function getCancellationPolicy(professional) {
+  const policy = professional?.cancellationPolicy || {};
+  return {
+    freeCancellationHours: policy.freeCancellationHours ?? DEFAULT_CANCELLATION_POLICY.freeCancellationHours,
+    lateCancellationFeePercent: policy.lateCancellationFeePercent ?? DEFAULT_CANCELLATION_POLICY.lateCancellationFeePercent,
+  };
+}
+
+/**
+ * The policy a booking was made under. Bookings made before policies were
+ * copied onto them fall back to the professional's current one.
+ * @param {Object} booking
+ * @param {Object|null} professional
+ */
+function getBookingCancellationPolicy(booking, professional) {
+  if (booking.cancellationPolicy?.freeCancellationHours != null) {
+    return getCancellationPolicy({ cancellationPolicy: booking.cancellationPolicy });
+  }
+  return getCancellationPolicy(professional);
+}
+
+/**
+ * What cancelling a booking now would cost. Only customers pay, and only for
+ * bookings the professional has confirmed, inside the policy's late window.
+ * @param {Object} booking
+ * @param {Object} policy - From getCancellationPolicy
+ * @param {{ role: string, now?: Date }} options
+ * @returns {{ fee: number, feePercent: number, freeUntil: Date }}
+ */
+function getCancellationFee(booking, policy, { role, now = new Date() }) {
+  const freeUntil = new Date(booking.date.getTime() - policy.freeCancellationHours * HOUR_MS);
+  const confirmed = booking.status === 'confirmed' || (booking.status === 'pending' && !!booking.confirmedAt);
+  const late = role === 'customer' && confirmed && now > freeUntil;
+  const feePercent = late ? policy.lateCancellationFeePercent : 0;
+  return { fee: roundAmount((booking.price * feePercent) / 100), feePercent, freeUntil };
+}
+
+/**
+ * Load a booking the user is the customer or professional of, or may moderate
+ * @returns {Promise<{ booking: Object, role: 'customer'|'professional'|'moderator', professional: Object|null }>}
+ */
+async function getBookingForUser(bookingId, user) {
+  const booking = await Booking.findById(bookingId).catch(() => null);
+  if (!booking) throw new BookingPolicyError('Booking not found', 404);
+  const professional = await Professional.findById(booking.professional).select('user name cancellationPolicy');
+  if (String(booking.customer) === String(user.id)) return { booking, role: 'customer', professional };
+  if (professional && String(professional.user) === String(user.id)) return { booking, role: 'professional', professional };
+  if (hasPermission(user, PERMISSIONS.BOOKING_MODERATE)) return { booking, role: 'moderator', professional };
+  throw new BookingPolicyError('Not authorized to access this booking', 403);
+}
+
+// In-app notification and email for the party that did not make the change (both, for moderators)
+async function notifyCounterparty(booking, { role, professional, type, title, message, io }) {
+  const data = { professionalId: booking.professional, metadata: { bookingId: booking._id } };
+  const [customer, proUser] = await Promise.all([
+    User.findById(booking.customer).select('name email'),
+    professional?.user ? User.findById(professional.user).select('name email') : null,
+  ]);
+  const recipients = [
+    role !== 'customer' && customer && { user: customer, invite: true },
+    role !== 'professional' && proUser && { user: proUser, invite: false },
+  ].filter(Boolean);
+
+  for (const { user, invite } of recipients) {
+    await notifyUser(user._id, { type, title, message, data }, io);
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `FixFinder - ${title}`,
+        html: `<p>Hello ${user.name || ''},</p><p>${message}</p>`,
+        // The customer's calendar invite is updated in place; pros see the change in their calendar feed
+        attachments: invite ? [buildBookingInvite(booking, { professional, customer })] : undefined,
+      });
+    } catch (e) {}
+  }
+}
+
+const describeBooking = (booking, professional) =>
+  `The booking${professional?.name ? ` with ${professional.name}` : ''} on ${booking.date.toISOString()}`;
+
+const STATUS_NOTIFICATIONS = {
+  confirmed: { type: 'booking_confirmed', title: 'Booking Confirmed', verb: 'was confirmed' },
+  completed: { type: 'booking_completed', title: 'Booking Completed', verb: 'was marked completed' },
+  cancelled: { type: 'booking_cancelled', title: 'Booking Cancelled', verb: 'was cancelled' },
+};
+
+/**
+ * Move a booking to a new status. Cancellations refund the payment less any
+ * late-cancellation fee.
+ * @param {Object} booking
+ * @param {{ user: Object, role: string, professional?: Object, status: string, reason?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<{ booking: Object, fee: number }>}
+ * @throws {BookingPolicyError}
+ */
+async function changeBookingStatus(booking, { user, role, professional, status, reason, io }) {
+  const transition = Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status) && STATUS_TRANSITIONS[status];
+  if (!transition) throw new BookingPolicyError('Invalid status');
+  // Frozen until the dispute is resolved (see utils/disputeService.js)
+  if (booking.status === 'disputed') throw new BookingPolicyError('Booking is under dispute', 409);
+  if (!transition.from.includes(booking.status)) {
+    throw new BookingPolicyError(`A ${booking.status} booking cannot be marked ${status}`, 409);
+  }
+  if (!transition.roles.includes(role)) {
+    throw new BookingPolicyError(`Only the ${transition.roles.filter((r) => r !== 'moderator').join(' or ')} can mark a booking ${status}`, 403);
+  }
+  const fromStatus = booking.status;
+  const now = new Date();
+  if (status === 'completed' && booking.date > now) {
+    throw new BookingPolicyError('A booking cannot be completed before it starts', 409);
+  }
+
+  const update = { status };
+  if (status === 'confirmed' && !booking.confirmedAt) update.confirmedAt = now;
+  let fee = 0;
+  if (status === 'cancelled') {
+    const cost = getCancellationFee(booking, getBookingCancellationPolicy(booking, professional), { role, now });
+    fee = cost.fee;
+    update.cancellation = { by: user.id, role, reason, at: now, fee, feePercent: cost.feePercent };
+  }
+  const updated = await Booking.findOneAndUpdate({ _id: booking._id, status: fromStatus }, update, { new: true });
+  if (!updated) throw new BookingPolicyError('The booking was changed in the meantime; reload and try again', 409);
+
+  await recordBookingEvent(updated, status, {
+    actor: user.id,
+    actorRole: role,
+    fromStatus,
+    metadata: { reason, fee: fee || undefined },
+  });
+  if (status === 'cancelled') {
+    try {
+      await refundCancelledBooking(updated, { io, fee });
+    } catch (refundError) {
+      console.error('Automatic refund failed for booking', String(updated._id), refundError.message);
+    }
+    try {
+      await offerFreedSlot(updated, { io });
+    } catch (waitlistError) {
+      console.error('Waitlist offer failed for booking', String(updated._id), waitlistError.message);
+    }
+  }
+
+  const { type, title, verb } = STATUS_NOTIFICATIONS[status];
+  const byWhom = role === 'moderator' ? ' by FixFinder support' : ` by the ${role}`;
+  await notifyCounterparty(updated, {
+    role,
+    professional,
+    type,
+    title,
+    message: `${describeBooking(booking, professional)} ${verb}${byWhom}${reason ? `: ${reason}` : ''}.`,
+    io,
+  });
+  return { booking: updated, fee };
+}
+
+/**
+ * Move a booking to a new time (and optionally duration) before it starts.
+ * A customer moving a confirmed booking sends it back to pending for the pro
+ * to confirm again; inside the late-cancellation window they cannot move it
+ * at all, so a reschedule cannot dodge the fee.
+ * @param {Object} booking
+ * @param {{ user: Object, role: string, professional?: Object, date: string, durationMinutes?: number, reason?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The updated booking
+ * @throws {BookingPolicyError|import('./scheduleService').ScheduleError}
+ */
+async function rescheduleBooking(booking, { user, role, professional, date, durationMinutes, reason, io }) {
+  if (booking.status === 'disputed') throw new BookingPolicyError('Booking is under dispute', 409);
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    throw new BookingPolicyError(`A ${booking.status} booking cannot be rescheduled`, 409);
+  }
+  const { status: fromStatus, date: fromDate } = booking;
+  const now = new Date();
+  if (fromDate <= now) throw new BookingPolicyError('Bookings can only be rescheduled before they start', 409);
+
+  if (role === 'customer') {
+    const { fee, freeUntil } = getCancellationFee(booking, getBookingCancellationPolicy(booking, professional), { role, now });
+    if (fee > 0) {
+      throw new BookingPolicyError(`This booking can no longer be rescheduled; changes were free until ${freeUntil.toISOString()}`, 409);
+    }
+  }
+
+  const start = new Date(date);
+  if (!date || Number.isNaN(start.getTime())) throw new BookingPolicyError('A valid new date is required');
+  if (start <= now) throw new BookingPolicyError('The new date must be in the future');
+  const duration = durationMinutes == null || durationMinutes === '' ? booking.durationMinutes : Number(durationMinutes);
+  if (!Number.isInteger(duration) || duration < 15) throw new BookingPolicyError('durationMinutes must be a whole number of at least 15');
+  const end = new Date(start.getTime() + duration * 60000);
+  if (start.getTime() === fromDate.getTime() && duration === booking.durationMinutes) {
+    throw new BookingPolicyError('The booking is already at that time');
+  }
+
+  const overlapping = await Booking.findOne({
+    _id: { $ne: booking._id },
+    professional: booking.professional,
+    status: { $in: BLOCKING_BOOKING_STATUSES },
+    date: { $lt: end },
+    endAt: { $gt: start },
+  });
+  // Slots held for a waitlisted customer count as taken
+  if (overlapping || (await findActiveHold(booking.professional, start, end, { customer: booking.customer }))) {
+    throw new BookingPolicyError('Time slot not available', 409);
+  }
+  await assertWithinSchedule(booking.professional, start, end, { excludeId: booking._id });
+
+  const status = role === 'customer' && fromStatus === 'confirmed' ? 'pending' : fromStatus;
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: fromStatus, date: fromDate },
+    {
+      $set: { date: start, endAt: end, durationMinutes: duration, status },
+      $inc: { rescheduleCount: 1 },
+      $unset: { remindersSent: 1 },
+    },
+    { new: true }
+  );
+  if (!updated) throw new BookingPolicyError('The booking was changed in the meantime; reload and try again', 409);
+
+  await recordBookingEvent(updated, 'rescheduled', {
+    actor: user.id,
+    actorRole: role,
+    fromStatus,
+    metadata: { from: fromDate, to: start, durationMinutes: duration, reason },
+  });
+  const byWhom = role === 'moderator' ? 'FixFinder support' : `the ${role}`;
+  await notifyCounterparty(updated, {
+    role,
+    professional,
+    type: 'booking_rescheduled',
+    title: 'Booking Rescheduled',
+    message: `${describeBooking({ date: fromDate }, professional)} was moved by ${byWhom} to ${start.toISOString()}${
+      status !== fromStatus ? ' and needs to be confirmed again' : ''}${reason ? `: ${reason}` : ''}.`,
+    io,
+  });
+  return updated;
+}
+
+module.exports = {
+  BookingPolicyError,
+  DEFAULT_CANCELLATION_POLICY,
+  STATUS_TRANSITIONS,
+  parseCancellationPolicy,
+  getCancellationPolicy,
+  getBookingCancellationPolicy,
+  getCancellationFee,
+  getBookingForUser,
+  changeBookingStatus,
+  rescheduleBooking,
+};
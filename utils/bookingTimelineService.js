@@ -0,0 +1,41 @@
+const BookingEvent = require('../models/BookingEvent');
+
+/**
+ * Booking audit timeline: status changes, reschedules and dispute freezes are
+ * appended to BookingEvent with the actor and the status before and after.
+ */
+
+/**
+ * Append an event to a booking's timeline. Never throws: the audit log must
+ * not break the action it describes.
+ * @param {Object} booking - Booking document (or { _id, status })
+ * @param {string} type - BookingEvent type
+ * @param {{ actor?: string, actorRole?: string, fromStatus?: string|null, toStatus?: string, metadata?: Object }} [details]
+ * @returns {Promise<Object|null>}
+ */
+async function recordBookingEvent(booking, type, { actor, actorRole, fromStatus, toStatus, metadata } = {}) {
+  try {
+    return await BookingEvent.create({
+      booking: booking._id,
+      type,
+      actor,
+      actorRole,
+      // null for the event that created the booking
+      fromStatus: fromStatus !== undefined ? fromStatus : booking.status,
+      toStatus: toStatus ?? booking.status,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Record booking event "${type}" failed for booking ${booking._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Timeline of a booking, oldest first
+ * @param {string} bookingId
+ */
+const getBookingTimeline = (bookingId) =>
+  BookingEvent.find({ booking: bookingId }).populate('actor', 'name role').sort({ createdAt: 1, _id: 1 });
+
+module.exports = { recordBookingEvent, getBookingTimeline };
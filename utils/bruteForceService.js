@@ -0,0 +1,290 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+/**
+ * Brute-force protection for password, OTP and password reset flows.
+ *
+ * Every attempt is logged in LoginAttempt. Per identifier (email, user id, ...)
+ * consecutive failures inside the window add a growing delay before the next
+ * try is accepted; per IP a hard cap stops credential stuffing across many
+ * accounts. Password failures also count towards a per-account lockout that
+ * emails the owner.
+ */
+
+class AuthThrottleError extends Error {
+  constructor(message, retryAfterSeconds, status = 429) {
+    super(message);
+    this.name = 'AuthThrottleError';
+    this.status = status;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  }
+}
+
+const WINDOW_MS = Number(process.env.AUTH_FAILURE_WINDOW_MINUTES || 15) * 60 * 1000;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES || 15);
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+// Guessing: delayAfter failures are free, then each try waits longer; ipMaxFailures caps one IP per window
+const POLICIES = {
+  password: { delayAfter: 2, ipMaxFailures: 50 },
+  two_factor: { delayAfter: 2, ipMaxFailures: 50 },
+  password_reset: { delayAfter: 3, ipMaxFailures: 20 },
+};
+
+// Code and link sends: a fixed number per identifier and per IP each hour
+const REQUEST_QUOTAS = {
+  password_reset_request: { max: 3, ipMax: 20, windowMs: 60 * 60 * 1000 },
+  phone_otp_request: { max: 3, ipMax: 20, windowMs: 60 * 60 * 1000 },
+};
+
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+/**
+ * Seconds to wait after `failures` consecutive failures
+ * @param {number} failures
+ * @param {number} delayAfter
+ */
+const progressiveDelaySeconds = (failures, delayAfter) =>
+  failures <= delayAfter ? 0 : Math.min(2 ** (failures - delayAfter - 1), MAX_DELAY_SECONDS);
+
+/**
+ * Claim an attempt, or reject it if the identifier or IP has failed too often
+ * recently. The attempt is logged as a failure before the check, so parallel
+ * guesses see each other and cannot all slip through the same gap; settle it
+ * with recordAttempt once the outcome is known.
+ * @param {string} kind - LoginAttempt kind
+ * @param {string} identifier
+ * @param {import('express').Request} [req]
+ * @returns {Promise<Object>} - The pending LoginAttempt
+ */
+async function assertNotThrottled(kind, identifier, req) {
+  const policy = POLICIES[kind];
+  const since = new Date(Date.now() - WINDOW_MS);
+  const attempt = await LoginAttempt.create({
+    kind,
+    identifier: normalizeIdentifier(identifier),
+    success: false,
+    reason: 'pending',
+    ip: req?.ip,
+    userAgent: req?.headers?.['user-agent']?.slice(0, 300),
+  });
+
+  try {
+    const recent = await LoginAttempt.find({
+      _id: { $ne: attempt._id },
+      kind,
+      identifier: attempt.identifier,
+      createdAt: { $gte: since },
+    })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('success createdAt');
+    // Only failures since the last success count; attempts still in flight count as failures
+    const streak = [];
+    for (const previous of recent) {
+      if (previous.success) break;
+      streak.push(previous);
+    }
+
+    const delay = progressiveDelaySeconds(streak.length, policy.delayAfter);
+    if (delay > 0) {
+      const waitMs = streak[0].createdAt.getTime() + delay * 1000 - Date.now();
+      if (waitMs > 0) throw new AuthThrottleError('Too many attempts. Please wait before trying again.', waitMs / 1000);
+    }
+
+    if (req?.ip) {
+      const ipFailures = await LoginAttempt.countDocuments({
+        _id: { $ne: attempt._id },
+        kind,
+        ip: req.ip,
+        success: false,
+        createdAt: { $gte: since },
+      });
+      if (ipFailures >= policy.ipMaxFailures) {
+        throw new AuthThrottleError('Too many attempts from this network. Please try again later.', WINDOW_MS / 1000);
+      }
+    }
+  } catch (error) {
+    // A rejected attempt never reached the check, so it does not extend the delay
+    await LoginAttempt.deleteOne({ _id: attempt._id }).catch(() => {});
+    throw error;
+  }
+  return attempt;
+}
+
+/**
+ * Reject a send request (reset email, SMS code) once the hourly quota is used up
+ * @param {string} kind - A REQUEST_QUOTAS kind
+ * @param {string} identifier
+ * @param {import('express').Request} [req]
+ */
+async function assertRequestQuota(kind, identifier, req) {
+  const { max, ipMax, windowMs } = REQUEST_QUOTAS[kind];
+  const since = new Date(Date.now() - windowMs);
+
+  const recent = await LoginAttempt.find({ kind, identifier: normalizeIdentifier(identifier), createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .limit(max)
+    .select('createdAt');
+  if (recent.length >= max) {
+    const waitMs = recent[recent.length - 1].createdAt.getTime() + windowMs - Date.now();
+    throw new AuthThrottleError('Too many requests. Please try again later.', waitMs / 1000);
+  }
+
+  if (req?.ip && (await LoginAttempt.countDocuments({ kind, ip: req.ip, createdAt: { $gte: since } })) >= ipMax) {
+    throw new AuthThrottleError('Too many requests from this network. Please try again later.', windowMs / 1000);
+  }
+}
+
+/**
+ * Log an attempt, or settle the one claimed by assertNotThrottled. Never throws.
+ * @param {string} kind
+ * @param {string} identifier
+ * @param {{ success: boolean, user?: string, reason?: string, req?: import('express').Request, attempt?: Object }} details
+ */
+async function recordAttempt(kind, identifier, { success, user, reason, req, attempt } = {}) {
+  try {
+    if (attempt) {
+      await LoginAttempt.updateOne({ _id: attempt._id }, { $set: { success, user, reason } });
+      return;
+    }
+    await LoginAttempt.create({
+      kind,
+      identifier: normalizeIdentifier(identifier),
+      user,
+      success,
+      reason,
+      ip: req?.ip,
+      userAgent: req?.headers?.['user-agent']?.slice(0, 300),
+    });
+  } catch (error) {
+    console.error('Record login attempt error:', error.message);
+  }
+}
+
+/**
+ * Active lockout expiry for a user, or null
+ * @param {Object} user
+ * @returns {Date|null}
+ */
+const getActiveLockout = (user) =>
+  user.lockout?.lockedUntil && user.lockout.lockedUntil > new Date() ? user.lockout.lockedUntil : null;
+
+async function sendLockoutAlert(user, lockedUntil, req) {
+  try {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim();
+    await sendMail({
+      to: user.email,
+      subject: 'FixFinder - Account temporarily locked',
+      html: `<p>Hello ${user.name || ''},</p>
+        <p>We locked your FixFinder account after ${LOGIN_MAX_FAILURES} failed sign-in attempts${req?.ip ? ` from IP ${req.ip}` : ''}.</p>
+        <p>You can sign in again after ${lockedUntil.toUTCString()}.</p>
+        <p>If this wasn't you, we recommend <a href="${frontendUrl}/forgot-password">resetting your password</a> and turning on two-factor authentication.</p>`,
+    });
+  } catch (error) {
+    console.error('Lockout alert email failed:', error.message);
+  }
+}
+
+// Counts one failure atomically, starting a new count when the window has passed
+async function incrementFailedAttempts(userId, now) {
+  const windowStart = new Date(now.getTime() - WINDOW_MS);
+  for (;;) {
+    const counted = await User.findOneAndUpdate(
+      { _id: userId, 'lockout.lastFailedAt': { $gte: windowStart } },
+      { $inc: { 'lockout.failedAttempts': 1 }, $set: { 'lockout.lastFailedAt': now } },
+      { new: true }
+    );
+    if (counted) return counted;
+    const restarted = await User.findOneAndUpdate(
+      { _id: userId, $or: [{ 'lockout.lastFailedAt': null }, { 'lockout.lastFailedAt': { $lt: windowStart } }] },
+      { $set: { 'lockout.failedAttempts': 1, 'lockout.lastFailedAt': now } },
+      { new: true }
+    );
+    if (restarted) return restarted;
+    // Another failure restarted the window in between; count on top of it
+    if (!(await User.exists({ _id: userId }))) return null;
+  }
+}
+
+/**
+ * Count a failed password attempt against the account, locking it once the limit
+ * is reached. Each further lockout doubles in length, up to 24 hours. The count
+ * and the lock are conditional updates, so parallel failures are all counted
+ * and exactly one of them locks the account.
+ * @param {Object} user - User document
+ * @param {import('express').Request} [req]
+ * @returns {Promise<Date|null>} - lockedUntil when the account is locked (by this failure or a parallel one)
+ */
+async function registerFailedLogin(user, req) {
+  const now = new Date();
+  const counted = await incrementFailedAttempts(user._id, now);
+  if (!counted) return null;
+  const activeLockout = getActiveLockout(counted);
+  if (counted.lockout.failedAttempts < LOGIN_MAX_FAILURES) return activeLockout;
+
+  const lockCount = (counted.lockout.lockCount || 0) + 1;
+  const lockedUntil = new Date(now.getTime() + Math.min(LOCKOUT_MINUTES * 60 * 1000 * 2 ** (lockCount - 1), MAX_LOCKOUT_MS));
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, 'lockout.failedAttempts': { $gte: LOGIN_MAX_FAILURES } },
+    { $set: { 'lockout.failedAttempts': 0, 'lockout.lockedUntil': lockedUntil }, $inc: { 'lockout.lockCount': 1 } },
+    { new: true }
+  );
+  if (!locked) {
+    // A parallel failure took the lock
+    const current = await User.findById(user._id).select('lockout');
+    return current ? getActiveLockout(current) : null;
+  }
+
+  await sendLockoutAlert(user, lockedUntil, req);
+  return lockedUntil;
+}
+
+/**
+ * Reset the failure counter after a successful sign-in
+ * @param {Object} user
+ */
+async function clearFailedLogins(user) {
+  if (!user.lockout?.failedAttempts && !user.lockout?.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { 'lockout.failedAttempts': 0, 'lockout.lockedUntil': null } });
+}
+
+/**
+ * Lift a lockout early (admin action)
+ * @param {string} userId
+ * @returns {Promise<boolean>} - false when the user does not exist
+ */
+async function unlockAccount(userId) {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { 'lockout.failedAttempts': 0, 'lockout.lockedUntil': null, 'lockout.lockCount': 0 } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Send an AuthThrottleError as a 429/423 with a Retry-After header
+ * @param {AuthThrottleError} err
+ * @param {import('express').Response} res
+ * @param {Object} [extra] - Merged into the JSON body
+ */
+const sendThrottled = (err, res, extra = {}) => {
+  res.set('Retry-After', String(err.retryAfter));
+  return res.status(err.status).json({ message: err.message, retryAfter: err.retryAfter, ...extra });
+};
+
+module.exports = {
+  AuthThrottleError,
+  LOGIN_MAX_FAILURES,
+  assertNotThrottled,
+  assertRequestQuota,
+  recordAttempt,
+  getActiveLockout,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  sendThrottled,
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Professional = require('../models/Professional');
+const { DEFAULT_TIMEZONE, TIME_WINDOWS, zonedTimeToUtc, localDateKey } = require('./scheduleService');
+
+/**
+ * iCalendar (RFC 5545) output: invites attached to booking emails, and a
+ * subscription feed per professional covering their bookings and assigned
+ * jobs. Each booking/job keeps one UID for life and its SEQUENCE grows with
+ * every change, so calendars update the same event when it is rescheduled
+ * and mark it cancelled instead of leaving a stale copy.
+ *
+ * Feed URLs carry a secret token; only its SHA-256 hash is stored, so a
+ * lost URL is replaced by issuing a new token.
+ */
+
+const PRODID = '-//FixFinder//Bookings//EN';
+const UID_DOMAIN = 'fixfinder';
+// Past events kept in the feed, so recent history stays visible
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS || 30);
+const FEED_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BOOKING_EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  disputed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+// Jobs with the pro assigned; cancelled ones stay so calendars drop the event
+const JOB_EVENT_STATUS = {
+  job_accepted: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed_by_pro: 'CONFIRMED',
+  completed_by_user: 'CONFIRMED',
+  disputed: 'CONFIRMED',
+  closed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines are folded at 75 octets, continuing with a leading space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Seconds since creation of the last change: starts at 0 and grows with every update
+const sequenceOf = (doc) => Math.max(0, Math.floor((new Date(doc.updatedAt || 0) - new Date(doc.createdAt || 0)) / 1000));
+
+// The address calendar invites come from, taken from the mail sender
+const organizerEmail = () => {
+  const from = process.env.RESEND_FROM || process.env.MAIL_FROM || 'FixFinder <onboarding@resend.dev>';
+  const match = /<([^>]+)>/.exec(from);
+  return (match ? match[1] : from).trim();
+};
+
+function buildEvent({ uid, sequence, start, end, allDay, summary, description, location, status, attendees = [] }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    allDay ? `DTSTART;VALUE=DATE:${formatDate(start)}` : `DTSTART:${formatDateTime(start)}`,
+    allDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push(`STATUS:${status}`);
+  if (attendees.length) {
+    lines.push(`ORGANIZER;CN=FixFinder:mailto:${organizerEmail()}`);
+    for (const attendee of attendees.filter((a) => a?.email)) {
+      lines.push(`ATTENDEE;CN="${String(attendee.name || attendee.email).replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Calendar event for a booking
+ * @param {Object} booking
+ * @param {{ professional?: Object, customer?: Object, attendees?: Array<{ name?: string, email: string }> }} [options]
+ * @returns {string[]} - Unfolded VEVENT lines
+ */
+function buildBookingEvent(booking, { professional, customer, attendees } = {}) {
+  const who = [professional?.name && `Professional: ${professional.name}`, customer?.name && `Customer: ${customer.name}`];
+  return buildEvent({
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    sequence: sequenceOf(booking),
+    start: booking.date,
+    end: booking.endAt,
+    summary: professional?.name ? `FixFinder booking with ${professional.name}` : 'FixFinder booking',
+    description: [...who, booking.notes].filter(Boolean).join('\n'),
+    location: [booking.address, booking.city].filter(Boolean).join(', '),
+    status: BOOKING_EVENT_STATUS[booking.status] || 'CONFIRMED',
+    attendees,
+  });
+}
+
+/**
+ * Calendar event for a job on its preferred date: timed over the preferred
+ * time window in the pro's timezone, or all day when the time is flexible
+ * @param {Object} job
+ * @param {{ timeZone?: string, customer?: Object }} [options]
+ * @returns {string[]} - Unfolded VEVENT lines
+ */
+function buildJobEvent(job, { timeZone = DEFAULT_TIMEZONE, customer } = {}) {
+  const dateKey = localDateKey(job.preferredDate, timeZone);
+  const window = TIME_WINDOWS[job.preferredTime];
+  const nextDay = new Date(Date.parse(`${dateKey}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+  return buildEvent({
+    uid: `job-${job._id}@${UID_DOMAIN}`,
+    sequence: sequenceOf(job),
+    allDay: !window,
+    start: window ? zonedTimeToUtc(dateKey, window[0] * 60, timeZone) : dateKey,
+    end: window ? zonedTimeToUtc(dateKey, window[1] * 60, timeZone) : nextDay,
+    summary: `FixFinder job: ${job.title}`,
+    description: [customer?.name && `Customer: ${customer.name}`, job.preferredTime, job.description].filter(Boolean).join('\n'),
+    location: [job.location?.address, job.location?.city, job.location?.state].filter(Boolean).join(', '),
+    status: JOB_EVENT_STATUS[job.lifecycleState] || 'CONFIRMED',
+  });
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ * @param {Array<string[]>} events - From buildBookingEvent/buildJobEvent
+ * @param {{ method?: 'PUBLISH'|'REQUEST'|'CANCEL', name?: string }} [options]
+ * @returns {string}
+ */
+function buildCalendar(events, { method, name } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) lines.push(...event);
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * An invite for a booking email, as a mailer attachment. Cancelled bookings
+ * get a cancellation for the same UID, which removes the event.
+ * @param {Object} booking
+ * @param {{ professional?: Object, customer?: Object }} [options]
+ * @returns {{ filename: string, content: string, contentType: string }}
+ */
+function buildBookingInvite(booking, { professional, customer } = {}) {
+  const method = booking.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+  const attendees = customer?.email ? [{ name: customer.name, email: customer.email }] : [];
+  return {
+    filename: 'booking.ics',
+    content: buildCalendar([buildBookingEvent(booking, { professional, customer, attendees })], { method }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Give a professional a new feed token, replacing (and invalidating) the old one
+ * @param {Object} professional
+ * @returns {Promise<string>} - The token; only its hash is stored
+ */
+async function issueFeedToken(professional) {
+  const token = crypto.randomBytes(24).toString('hex');
+  professional.calendarFeedTokenHash = hashToken(token);
+  await professional.save();
+  return token;
+}
+
+async function revokeFeedToken(professional) {
+  professional.calendarFeedTokenHash = undefined;
+  await professional.save();
+}
+
+function findProfessionalByFeedToken(token) {
+  if (!/^[a-f0-9]{48}$/.test(String(token))) return null;
+  return Professional.findOne({ calendarFeedTokenHash: hashToken(token) });
+}
+
+/**
+ * A professional's subscription feed: bookings and assigned jobs from
+ * FEED_PAST_DAYS ago onwards, cancelled ones included as cancelled events
+ * @param {Object} professional
+ * @returns {Promise<string>}
+ */
+async function buildProfessionalFeed(professional) {
+  const since = new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+  const timeZone = professional.schedule?.timezone || DEFAULT_TIMEZONE;
+  const [bookings, jobs] = await Promise.all([
+    Booking.find({ professional: professional._id, endAt: { $gte: since } })
+      .populate('customer', 'name')
+      .sort({ date: 1 })
+      .limit(FEED_LIMIT),
+    Job.find({
+      professional: professional._id,
+      lifecycleState: { $in: Object.keys(JOB_EVENT_STATUS) },
+      preferredDate: { $gte: since },
+    })
+      .populate('client', 'name')
+      .sort({ preferredDate: 1 })
+      .limit(FEED_LIMIT),
+  ]);
+  const events = [
+    ...bookings.map((booking) => buildBookingEvent(booking, { professional, customer: booking.customer })),
+    ...jobs.map((job) => buildJobEvent(job, { timeZone, customer: job.client })),
+  ];
+  return buildCalendar(events, { method: 'PUBLISH', name: `FixFinder – ${professional.name}` });
+}
+
+module.exports = {
+  buildBookingEvent,
+  buildJobEvent,
+  buildCalendar,
+  buildBookingInvite,
+  issueFeedToken,
+  revokeFeedToken,
+  findProfessionalByFeedToken,
+  buildProfessionalFeed,
+};
@@ -0,0 +1,515 @@
+const Dispute = require('../models/Dispute');
+const Job = require('../models/Job');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Professional = require('../models/Professional');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { cloudinary } = require('../config/cloudinary');
+const { uploadBufferToCloudinary } = require('./index');
+const { notifyUser } = require('./notificationService');
+const { transitionJob, DISPUTABLE_STATES } = require('./jobStateMachine');
+const { getJobEscrow, getHeldEscrowAmount, releaseJobEscrow, refundJobEscrow } = require('./escrowService');
+const { issueRefund, getRefundableAmount } = require('./refundService');
+const { recordBookingEvent } = require('./bookingTimelineService');
+
+/**
+ * Disputes: either party to a job or booking opens one with a reason and
+ * evidence, which freezes the job (lifecycle state `disputed`, escrow held and
+ * its auto-release paused) or the booking (status `disputed`). Parties and the
+ * mediating admin talk in the dispute thread, and the mediator resolves it by
+ * releasing the funds to the professional, refunding the client, or splitting
+ * the amount. The outcome is counted in the professional's disputeStats.
+ */
+
+class DisputeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DisputeError';
+    this.status = status;
+  }
+}
+
+const ACTIVE_STATUSES = ['open', 'under_review'];
+const DISPUTABLE_BOOKING_STATUSES = ['confirmed', 'completed'];
+const REFUNDABLE_PAYMENT_STATUSES = ['success', 'partially_refunded'];
+const OUTCOMES = ['release', 'refund', 'split'];
+const MAX_ATTACHMENTS = 5;
+
+// How each outcome counts for the professional
+const STAT_BY_OUTCOME = { release: 'won', refund: 'lost', split: 'split' };
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Upload evidence or message attachments (multer memory files) to Cloudinary
+ * @param {Array<{ buffer: Buffer, originalname?: string }>} files
+ * @param {string} userId
+ */
+async function uploadAttachments(files = [], userId) {
+  if (files.length > MAX_ATTACHMENTS) throw new DisputeError(`At most ${MAX_ATTACHMENTS} files can be attached`);
+  const attachments = [];
+  for (const file of files) {
+    let result;
+    try {
+      result = await uploadBufferToCloudinary(file.buffer, {
+        folder: 'fixfinder/disputes',
+        resource_type: 'auto',
+        timeout: 60000,
+      });
+    } catch (error) {
+      await deleteAttachments(attachments);
+      throw new DisputeError(`File upload failed: ${error.message}`, 502);
+    }
+    attachments.push({
+      url: result.secure_url,
+      publicId: result.public_id,
+      resourceType: result.resource_type,
+      fileName: file.originalname,
+      uploadedBy: userId,
+    });
+  }
+  return attachments;
+}
+
+// Remove uploaded attachments that will not be kept. Never throws.
+async function deleteAttachments(attachments = []) {
+  for (const { publicId, resourceType } of attachments) {
+    try {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'image' });
+    } catch (error) {
+      console.error('Dispute attachment cleanup failed:', publicId, error.message);
+    }
+  }
+}
+
+/**
+ * The role a user holds on a dispute, or null when they may not see it
+ * @param {Object} dispute
+ * @param {{ id: string, role?: string, adminRoles?: string[] }} user
+ * @returns {'client'|'professional'|'mediator'|null}
+ */
+function getDisputeRole(dispute, user) {
+  if (String(dispute.customer) === String(user.id)) return 'client';
+  if (dispute.professionalUser && String(dispute.professionalUser) === String(user.id)) return 'professional';
+  if (hasPermission(user, PERMISSIONS.DISPUTE_RESOLVE)) return 'mediator';
+  return null;
+}
+
+/**
+ * Load a dispute the user is a party to or may mediate
+ * @param {string} disputeId
+ * @param {Object} user - req.user
+ * @returns {Promise<{ dispute: Object, role: string }>}
+ */
+async function getDisputeForUser(disputeId, user) {
+  const dispute = await Dispute.findById(disputeId).catch(() => null);
+  if (!dispute) throw new DisputeError('Dispute not found', 404);
+  const role = getDisputeRole(dispute, user);
+  if (!role) throw new DisputeError('Not authorized to access this dispute', 403);
+  return { dispute, role };
+}
+
+const assertActive = (dispute) => {
+  if (!ACTIVE_STATUSES.includes(dispute.status)) throw new DisputeError(`Dispute is already ${dispute.status}`, 409);
+};
+
+// Everyone following the dispute except the given user
+const getOtherParticipants = (dispute, userId) =>
+  [dispute.customer, dispute.professionalUser, dispute.assignedTo]
+    .filter(Boolean)
+    .map(String)
+    .filter((id, index, ids) => id !== String(userId) && ids.indexOf(id) === index);
+
+const notifyParticipants = (dispute, exceptUserId, payload, io) =>
+  Promise.all(getOtherParticipants(dispute, exceptUserId).map((recipient) => notifyUser(recipient, {
+    ...payload,
+    data: { jobId: dispute.job, professionalId: dispute.professional, metadata: { disputeId: dispute._id, bookingId: dispute.booking } },
+  }, io)));
+
+/**
+ * Open a dispute on a job or booking the user is a party to
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {string} [params.jobId]
+ * @param {string} [params.bookingId]
+ * @param {string} [params.category]
+ * @param {string} params.reason
+ * @param {Array} [params.files] - Evidence uploads (multer memory files)
+ * @param {import('socket.io').Server} [params.io]
+ * @returns {Promise<Object>} - The Dispute document
+ */
+async function openDispute({ user, jobId, bookingId, category, reason, files = [], io }) {
+  if (!reason || !String(reason).trim()) throw new DisputeError('A reason is required');
+  if (!jobId === !bookingId) throw new DisputeError('Provide either a jobId or a bookingId');
+
+  const subject = jobId ? await Job.findById(jobId).catch(() => null) : await Booking.findById(bookingId).catch(() => null);
+  if (!subject) throw new DisputeError(jobId ? 'Job not found' : 'Booking not found', 404);
+  if (!subject.professional) throw new DisputeError('Only jobs with an assigned professional can be disputed');
+
+  const customer = jobId ? subject.client : subject.customer;
+  const pro = await Professional.findById(subject.professional).select('user');
+  let openedByRole = null;
+  if (String(customer) === String(user.id)) openedByRole = 'client';
+  else if (pro?.user && String(pro.user) === String(user.id)) openedByRole = 'professional';
+  if (!openedByRole) throw new DisputeError('Not authorized to dispute this ' + (jobId ? 'job' : 'booking'), 403);
+
+  const previousState = jobId ? subject.lifecycleState : subject.status;
+  if (jobId && !DISPUTABLE_STATES.includes(previousState)) {
+    throw new DisputeError('Only jobs in progress or awaiting confirmation can be disputed', 409);
+  }
+  if (bookingId && !DISPUTABLE_BOOKING_STATUSES.includes(previousState)) {
+    throw new DisputeError('Only confirmed or completed bookings can be disputed', 409);
+  }
+  const subjectFilter = jobId ? { job: subject._id } : { booking: subject._id };
+  if (await Dispute.exists({ ...subjectFilter, status: { $in: ACTIVE_STATUSES } })) {
+    throw new DisputeError('There is already an open dispute for this ' + (jobId ? 'job' : 'booking'), 409);
+  }
+
+  const payment = jobId
+    ? await getJobEscrow(subject._id)
+    : await Payment.findOne({ booking: subject._id, status: { $in: REFUNDABLE_PAYMENT_STATUSES } }).sort({ createdAt: -1 });
+
+  const dispute = new Dispute({
+    kind: jobId ? 'job' : 'booking',
+    ...subjectFilter,
+    payment: payment?._id,
+    customer,
+    professional: subject.professional,
+    professionalUser: pro?.user,
+    openedBy: user.id,
+    openedByRole,
+    category,
+    reason,
+    previousState,
+  });
+  await dispute.validate();
+  dispute.evidence = await uploadAttachments(files, user.id);
+
+  // Freeze the subject before the dispute becomes visible; the uploads go if it cannot be frozen
+  try {
+    if (jobId) {
+      await transitionJob(subject, 'open_dispute', { user, io, reason: dispute.reason, disputeId: String(dispute._id) });
+    } else {
+      const frozen = await Booking.findOneAndUpdate({ _id: subject._id, status: previousState }, { status: 'disputed' });
+      if (!frozen) throw new DisputeError('The booking was updated by someone else, please reload', 409);
+      await recordBookingEvent(frozen, 'dispute_opened', {
+        actor: user.id,
+        actorRole: openedByRole === 'client' ? 'customer' : openedByRole,
+        toStatus: 'disputed',
+        metadata: { disputeId: dispute._id },
+      });
+    }
+  } catch (error) {
+    await deleteAttachments(dispute.evidence);
+    throw error;
+  }
+  await dispute.save();
+  await Professional.updateOne({ _id: subject.professional }, { $inc: { 'disputeStats.opened': 1 } });
+
+  await notifyParticipants(dispute, user.id, {
+    type: 'dispute_opened',
+    title: 'Dispute Opened',
+    message: jobId
+      ? `A dispute was opened on the job "${subject.title}". Payment is on hold until it is resolved.`
+      : 'A dispute was opened on your booking. It is on hold until the dispute is resolved.',
+  }, io);
+  return dispute;
+}
+
+/**
+ * Append to the dispute only while it is still active, so a message or evidence
+ * cannot land on a dispute resolved since it was loaded. The uploads are
+ * deleted when the update does not go through.
+ * @param {Object} dispute
+ * @param {Object} push - $push update
+ * @param {Array} attachments - Uploads referenced by the update
+ * @returns {Promise<Object>} - The updated dispute
+ */
+async function pushWhileActive(dispute, push, attachments) {
+  let updated;
+  try {
+    updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: ACTIVE_STATUSES } },
+      { $push: push },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    await deleteAttachments(attachments);
+    throw error;
+  }
+  if (!updated) {
+    await deleteAttachments(attachments);
+    throw new DisputeError('Dispute is no longer open', 409);
+  }
+  return updated;
+}
+
+/**
+ * Post to the dispute thread
+ * @param {Object} dispute
+ * @param {{ user: Object, role: string, body: string, files?: Array, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The new message
+ */
+async function addDisputeMessage(dispute, { user, role, body, files = [], io }) {
+  assertActive(dispute);
+  if (!body || !String(body).trim()) throw new DisputeError('Message body is required');
+
+  const attachments = await uploadAttachments(files, user.id);
+  const updated = await pushWhileActive(dispute, { messages: { author: user.id, authorRole: role, body, attachments } }, attachments);
+
+  await notifyParticipants(updated, user.id, {
+    type: 'dispute_message',
+    title: 'New Dispute Message',
+    message: role === 'mediator' ? 'The mediator posted a message on your dispute.' : 'There is a new message on a dispute.',
+  }, io);
+  return updated.messages[updated.messages.length - 1];
+}
+
+/**
+ * Attach more evidence to an active dispute
+ * @param {Object} dispute
+ * @param {{ user: Object, files: Array }} params
+ * @returns {Promise<Object>} - The updated dispute
+ */
+async function addDisputeEvidence(dispute, { user, files = [] }) {
+  assertActive(dispute);
+  if (!files.length) throw new DisputeError('No files were uploaded');
+  const attachments = await uploadAttachments(files, user.id);
+  return pushWhileActive(dispute, { evidence: { $each: attachments } }, attachments);
+}
+
+/**
+ * Take a dispute from the mediation queue
+ * @param {Object} dispute
+ * @param {{ user: Object }} params - The mediating admin
+ */
+async function assignDispute(dispute, { user }) {
+  assertActive(dispute);
+  // Conditional, so a dispute being resolved is not put back in the queue
+  const assigned = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: ACTIVE_STATUSES } },
+    { $set: { assignedTo: user.id, status: 'under_review' } },
+    { new: true }
+  );
+  if (!assigned) throw new DisputeError('Dispute is no longer open', 409);
+  return assigned;
+}
+
+/**
+ * The party who opened the dispute drops it; the job or booking carries on
+ * from where it was
+ * @param {Object} dispute
+ * @param {{ user: Object, io?: import('socket.io').Server }} params
+ */
+async function withdrawDispute(dispute, { user, io }) {
+  assertActive(dispute);
+  if (String(dispute.openedBy) !== String(user.id)) {
+    throw new DisputeError('Only the party who opened the dispute can withdraw it', 403);
+  }
+
+  if (dispute.kind === 'job') {
+    const job = await Job.findById(dispute.job);
+    if (!job) throw new DisputeError('Job not found', 404);
+    await transitionJob(job, 'withdraw_dispute', {
+      user,
+      io,
+      restoreState: dispute.previousState,
+      disputeId: String(dispute._id),
+    });
+  } else {
+    const unfrozen = await Booking.findOneAndUpdate({ _id: dispute.booking, status: 'disputed' }, { status: dispute.previousState });
+    if (unfrozen) {
+      await recordBookingEvent(unfrozen, 'dispute_closed', {
+        actor: user.id,
+        actorRole: dispute.openedByRole === 'client' ? 'customer' : dispute.openedByRole,
+        toStatus: dispute.previousState,
+        metadata: { disputeId: dispute._id, withdrawn: true },
+      });
+    }
+  }
+
+  dispute.status = 'withdrawn';
+  dispute.withdrawnAt = new Date();
+  await dispute.save();
+
+  await notifyParticipants(dispute, user.id, {
+    type: 'dispute_resolved',
+    title: 'Dispute Withdrawn',
+    message: 'A dispute you were part of was withdrawn.',
+  }, io);
+  return dispute;
+}
+
+/**
+ * Settle a dispute. The money moves first: a refund or split goes back to the
+ * client through the gateway, and for jobs whatever is left in escrow is then
+ * released to the professional. A fully refunded job is cancelled, otherwise
+ * it is closed as completed.
+ * @param {Object} dispute
+ * @param {Object} params
+ * @param {Object} params.user - The mediating admin
+ * @param {'release'|'refund'|'split'} params.outcome
+ * @param {number} [params.refundAmount] - Required for a split
+ * @param {string} [params.note]
+ * @param {import('socket.io').Server} [params.io]
+ * @returns {Promise<Object>} - The resolved Dispute
+ */
+async function resolveDispute(dispute, { user, outcome, refundAmount, note, io }) {
+  assertActive(dispute);
+  if (!OUTCOMES.includes(outcome)) throw new DisputeError(`Outcome must be one of: ${OUTCOMES.join(', ')}`);
+
+  // Claimed before any money moves, so two mediators cannot both settle it
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'resolving' } }
+  );
+  if (!claimed) throw new DisputeError('Dispute is already being resolved', 409);
+  try {
+    return await settleDispute(dispute, { user, outcome, refundAmount, note, io });
+  } catch (error) {
+    await Dispute.updateOne({ _id: dispute._id, status: 'resolving' }, { $set: { status: claimed.status } });
+    throw error;
+  }
+}
+
+// The money and state changes of resolveDispute, once it holds the claim
+async function settleDispute(dispute, { user, outcome, refundAmount, note, io }) {
+  const job = dispute.kind === 'job' ? await Job.findById(dispute.job) : null;
+  if (dispute.kind === 'job') {
+    if (!job) throw new DisputeError('Job not found', 404);
+    if (job.lifecycleState !== 'disputed') throw new DisputeError(`Job is ${job.lifecycleState}, not disputed`, 409);
+  }
+
+  // Escrow may have been funded after the dispute was opened
+  const payment = job ? await getJobEscrow(job._id) : dispute.payment && (await Payment.findById(dispute.payment));
+  let refundable = 0;
+  if (payment && REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    // Milestones already released to the professional are not part of the dispute
+    refundable = job ? await getHeldEscrowAmount(payment) : await getRefundableAmount(payment);
+  }
+
+  let amount = outcome === 'refund' ? refundable : null;
+  if (outcome === 'split') {
+    amount = roundAmount(refundAmount);
+    if (!(amount > 0 && amount < refundable)) {
+      throw new DisputeError(`A split refund must be more than 0 and less than ${refundable}`);
+    }
+  }
+
+  const reason = `Dispute resolution${note ? `: ${note}` : ''}`;
+  let refund = null;
+  if ((outcome === 'refund' && refundable > 0) || outcome === 'split') {
+    refund = await issueRefund({ payment, amount, reason, source: 'dispute', requestedBy: user.id, io });
+  } else if (outcome === 'refund' && job) {
+    // Unfunded escrow is simply cancelled
+    await refundJobEscrow(job, { reason, io });
+  }
+
+  if (job) {
+    if (outcome !== 'refund') await releaseJobEscrow(job._id, { releasedBy: 'admin', io });
+    await transitionJob(job, 'resolve_dispute', {
+      user,
+      io,
+      outcome,
+      refundAmount: refund?.amount || 0,
+      reason: note,
+      disputeId: String(dispute._id),
+    });
+  } else {
+    const status = outcome === 'refund' ? 'cancelled' : dispute.previousState;
+    const unfrozen = await Booking.findOneAndUpdate({ _id: dispute.booking, status: 'disputed' }, { status });
+    if (unfrozen) {
+      await recordBookingEvent(unfrozen, 'dispute_closed', {
+        actor: user.id,
+        actorRole: 'mediator',
+        toStatus: status,
+        metadata: { disputeId: dispute._id, outcome },
+      });
+    }
+  }
+
+  dispute.status = 'resolved';
+  dispute.resolution = {
+    outcome,
+    refundAmount: refund?.amount || 0,
+    refund: refund?._id,
+    note,
+    resolvedBy: user.id,
+    resolvedAt: new Date(),
+  };
+  if (!dispute.assignedTo) dispute.assignedTo = user.id;
+  await dispute.save();
+  await Professional.updateOne({ _id: dispute.professional }, { $inc: { [`disputeStats.${STAT_BY_OUTCOME[outcome]}`]: 1 } });
+
+  const summary = {
+    release: 'the payment was released to the professional',
+    refund: 'the client is refunded in full',
+    split: `the client is refunded ${refund?.currency || 'NGN'} ${(refund?.amount || 0).toLocaleString()} and the rest goes to the professional`,
+  }[outcome];
+  await notifyParticipants(dispute, user.id, {
+    type: 'dispute_resolved',
+    title: 'Dispute Resolved',
+    message: `Your dispute was resolved: ${summary}.`,
+  }, io);
+  return dispute;
+}
+
+/**
+ * Disputes the user is a party to, newest first
+ * @param {Object} user - req.user
+ * @param {{ status?: string, page?: number, limit?: number }} [options]
+ */
+async function listUserDisputes(user, { status, page = 1, limit = 20 } = {}) {
+  const filter = { $or: [{ customer: user.id }, { professionalUser: user.id }] };
+  if (status) filter.status = status;
+  const [disputes, total] = await Promise.all([
+    Dispute.find(filter)
+      .select('-messages')
+      .populate('job', 'title lifecycleState')
+      .populate('booking', 'date status')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Dispute.countDocuments(filter),
+  ]);
+  return { disputes, total };
+}
+
+/**
+ * Mediation queue: active disputes by default, oldest first
+ * @param {{ status?: string, kind?: string, assignedTo?: string, page?: number, limit?: number }} [options]
+ */
+async function listDisputeQueue({ status, kind, assignedTo, page = 1, limit = 20 } = {}) {
+  const filter = { status: status || { $in: ACTIVE_STATUSES } };
+  if (kind) filter.kind = kind;
+  if (assignedTo === 'none') filter.assignedTo = { $exists: false };
+  else if (assignedTo) filter.assignedTo = assignedTo;
+  const [disputes, total] = await Promise.all([
+    Dispute.find(filter)
+      .select('-messages')
+      .populate('customer', 'name email')
+      .populate('professional', 'name')
+      .populate('assignedTo', 'name email')
+      .populate('job', 'title lifecycleState agreedPrice')
+      .populate('booking', 'date status price')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Dispute.countDocuments(filter),
+  ]);
+  return { disputes, total };
+}
+
+module.exports = {
+  DisputeError,
+  ACTIVE_STATUSES,
+  getDisputeForUser,
+  openDispute,
+  addDisputeMessage,
+  addDisputeEvidence,
+  assignDispute,
+  withdrawDispute,
+  resolveDispute,
+  listUserDisputes,
+  listDisputeQueue,
+};
@@ -0,0 +1,341 @@
+const Job = require('../models/Job');
+const Payment = require('../models/Payment');
+const { getPaymentGateway } = require('./paymentGateway');
+const { issueRefund, getRefundableAmount } = require('./refundService');
+const { notifyProfessional } = require('./notificationService');
+const { recordEscrowFunded, recordEscrowRelease } = require('./ledgerService');
+
+/**
+ * Job escrow: the client funds the agreed price when a job goes in_progress, the
+ * platform holds it, and it is released to the professional (minus the platform
+ * fee) when the client confirms completion - or automatically once
+ * ESCROW_AUTO_RELEASE_HOURS pass after the pro marks the job completed.
+ */
+
+class EscrowError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EscrowError';
+    this.status = status;
+  }
+}
+
+// Tolerance for rounding when comparing summed amounts
+const AMOUNT_EPSILON = 0.001;
+const AUTO_RELEASE_HOURS = Number(process.env.ESCROW_AUTO_RELEASE_HOURS || 72);
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+const getPlatformFeePercent = () => Number(process.env.PLATFORM_FEE_PERCENT || 10);
+
+/**
+ * Latest escrow payment for a job
+ * @param {string|ObjectId} jobId
+ */
+const getJobEscrow = (jobId) => Payment.findOne({ job: jobId, purpose: 'job_escrow' }).sort({ createdAt: -1 });
+
+/**
+ * Create the escrow record for a job that has started. Safe to call more than once.
+ * @param {Object} job - Job document with client, professional and agreedPrice/budget
+ * @returns {Promise<Object>} - Payment document
+ */
+async function openJobEscrow(job) {
+  const existing = await getJobEscrow(job._id);
+  if (existing && existing.escrow?.status !== 'cancelled') return existing;
+
+  const amount = job.agreedPrice != null ? job.agreedPrice : job.budget?.max;
+  if (amount == null) throw new EscrowError('Job has no agreed price to fund');
+
+  return Payment.create({
+    purpose: 'job_escrow',
+    job: job._id,
+    customer: job.client,
+    professional: job.professional,
+    amount,
+    currency: 'NGN',
+    escrow: { status: 'awaiting_funding', platformFeePercent: getPlatformFeePercent() },
+  });
+}
+
+/**
+ * Start a gateway checkout for the client to fund a job's escrow.
+ * No split is applied: the platform holds the funds until release.
+ * @param {Object} job - Job document
+ * @param {{ email: string }} customer
+ * @returns {Promise<{ payment: Object, transaction: Object }>}
+ */
+async function initializeEscrowFunding(job, customer) {
+  const payment = await openJobEscrow(job);
+  if (payment.escrow.status !== 'awaiting_funding') {
+    throw new EscrowError(`Escrow is already ${payment.escrow.status}`);
+  }
+
+  const gateway = getPaymentGateway();
+  const reference = `fixfinder_escrow_${payment._id}_${Date.now()}`;
+  const transaction = await gateway.initializeTransaction({
+    email: customer.email,
+    amount: payment.amount,
+    currency: payment.currency,
+    reference,
+    callbackUrl: process.env.PAYSTACK_CALLBACK_URL,
+    metadata: { paymentId: String(payment._id), jobId: String(job._id) },
+  });
+
+  payment.status = 'pending';
+  payment.failureReason = undefined;
+  payment.gateway = gateway.name;
+  payment.paystackReference = transaction.reference;
+  payment.paystackReferences.push(transaction.reference);
+  payment.paystackAccessCode = transaction.accessCode;
+  payment.paystackData = { ...transaction.raw, platform_fee_percent: payment.escrow.platformFeePercent };
+  await payment.save();
+
+  return { payment, transaction };
+}
+
+/**
+ * Move a successfully charged escrow payment into the held state
+ * @param {Object} payment - Payment document (status already success)
+ * @param {{ io?: import('socket.io').Server }} options
+ */
+async function markEscrowFunded(payment, { io } = {}) {
+  if (payment.escrow?.status !== 'awaiting_funding') return;
+
+  const job = await Job.findById(payment.job).select('title professional lifecycleState');
+  payment.escrow.status = 'held';
+  payment.escrow.heldAt = payment.paidAt || new Date();
+  // Work already marked done before funding: the auto-release countdown starts now
+  if (job?.lifecycleState === 'completed_by_pro') {
+    payment.escrow.releaseAfter = new Date(Date.now() + AUTO_RELEASE_HOURS * 60 * 60 * 1000);
+  }
+  await payment.save();
+  await recordEscrowFunded(payment);
+
+  if (job) {
+    await notifyProfessional(job.professional, {
+      type: 'escrow_funded',
+      title: 'Job Funded',
+      message: `The client funded ${payment.currency} ${payment.amount.toLocaleString()} into escrow for "${job.title}".`,
+      data: { jobId: job._id, metadata: { paymentId: payment._id } },
+    }, io);
+  }
+}
+
+/**
+ * Begin the auto-release countdown once the pro marks the job completed
+ * @param {string|ObjectId} jobId
+ */
+async function startEscrowReleaseCountdown(jobId) {
+  await Payment.updateOne(
+    { job: jobId, purpose: 'job_escrow', 'escrow.status': 'held' },
+    { $set: { 'escrow.releaseAfter': new Date(Date.now() + AUTO_RELEASE_HOURS * 60 * 60 * 1000) } }
+  );
+}
+
+/**
+ * Stop the auto-release countdown, e.g. while the job is disputed
+ * @param {string|ObjectId} jobId
+ */
+async function pauseEscrowReleaseCountdown(jobId) {
+  await Payment.updateOne(
+    { job: jobId, purpose: 'job_escrow', 'escrow.status': 'held' },
+    { $unset: { 'escrow.releaseAfter': 1 } }
+  );
+}
+
+/**
+ * Escrow still held for the job: what was paid, minus refunds (processed or in
+ * flight, e.g. a dispute split) and milestone releases
+ * @param {Object} payment - Escrow Payment document
+ * @returns {Promise<number>}
+ */
+async function getHeldEscrowAmount(payment) {
+  return roundAmount((await getRefundableAmount(payment)) - (payment.escrow?.releasedAmount || 0));
+}
+
+/**
+ * Add a release to the payment's running totals; the last one marks the escrow
+ * released. The check against what is held and the update are one conditional
+ * update, so concurrent releases cannot together pay out more than was paid.
+ * @returns {Promise<{ payment: Object, fee: number }|null>} - null when the escrow is no longer held or the amount no longer available
+ */
+async function applyRelease(payment, { gross, releasedBy, final }) {
+  const percent = payment.escrow.platformFeePercent != null ? payment.escrow.platformFeePercent : getPlatformFeePercent();
+  const fee = roundAmount((gross * percent) / 100);
+  const update = { $inc: { 'escrow.releasedAmount': gross, 'escrow.netAmount': roundAmount(gross - fee), platformFee: fee } };
+  if (final) {
+    update.$set = { 'escrow.status': 'released', 'escrow.releasedAt': new Date(), 'escrow.releasedBy': releasedBy };
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      'escrow.status': 'held',
+      // Released so far plus this release stays within what was paid less refunds reserved
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$escrow.releasedAmount', 0] }, gross] },
+          {
+            $add: [
+              { $subtract: ['$amount', { $ifNull: ['$refundReservedAmount', { $ifNull: ['$refundedAmount', 0] }] }] },
+              AMOUNT_EPSILON,
+            ],
+          },
+        ],
+      },
+    },
+    update,
+    { new: true }
+  );
+  return updated && { payment: updated, fee };
+}
+
+/**
+ * Release held escrow to the professional's wallet, deducting and recording the platform fee
+ * @param {string|ObjectId} jobId
+ * @param {{ releasedBy: 'client'|'timeout'|'admin', io?: import('socket.io').Server }} options
+ * @returns {Promise<Object|null>} - The released Payment, or null if nothing was held
+ */
+async function releaseJobEscrow(jobId, { releasedBy, io } = {}) {
+  const payment = await Payment.findOne({ job: jobId, purpose: 'job_escrow', 'escrow.status': 'held' });
+  if (!payment) return null;
+
+  // Refunds still in flight (e.g. a dispute split) stay in escrow
+  const gross = Math.max(await getHeldEscrowAmount(payment), 0);
+  const release = await applyRelease(payment, { gross, releasedBy, final: true });
+  // Released or refunded by someone else in the meantime
+  if (!release) return null;
+  const { fee } = release;
+  await recordEscrowRelease(release.payment, { gross, fee });
+
+  const job = await Job.findById(jobId).select('title');
+  await notifyProfessional(payment.professional, {
+    type: 'escrow_released',
+    title: 'Payment Released',
+    message: `${payment.currency} ${roundAmount(gross - fee).toLocaleString()} for "${job?.title || 'your job'}" was released to you (platform fee ${payment.currency} ${fee.toLocaleString()}).`,
+    data: { jobId, metadata: { paymentId: payment._id } },
+  }, io);
+
+  return release.payment;
+}
+
+/**
+ * Release an approved milestone's amount from held escrow
+ * @param {Object} job - Job document
+ * @param {Object} milestone - The approved milestone subdocument
+ * @param {{ io?: import('socket.io').Server }} options
+ * @returns {Promise<{ payment: Object, gross: number, fee: number }|null>} - null when nothing is held
+ */
+async function releaseMilestoneEscrow(job, milestone, { io } = {}) {
+  const payment = await Payment.findOne({ job: job._id, purpose: 'job_escrow', 'escrow.status': 'held' });
+  if (!payment) return null;
+
+  const held = await getHeldEscrowAmount(payment);
+  const gross = Math.min(roundAmount(milestone.amount), held);
+  if (!(gross > 0)) return null;
+  const release = await applyRelease(payment, { gross, releasedBy: 'client', final: gross >= held });
+  if (!release) return null;
+  const { fee } = release;
+  await recordEscrowRelease(release.payment, {
+    key: `milestone:${milestone._id}`,
+    gross,
+    fee,
+    description: 'Job milestone released',
+  });
+
+  await notifyProfessional(payment.professional, {
+    type: 'escrow_released',
+    title: 'Milestone Payment Released',
+    message: `${payment.currency} ${roundAmount(gross - fee).toLocaleString()} for the milestone "${milestone.title}" of "${job.title}" was released to you (platform fee ${payment.currency} ${fee.toLocaleString()}).`,
+    data: { jobId: job._id, metadata: { paymentId: payment._id, milestoneId: milestone._id } },
+  }, io);
+
+  return { payment: release.payment, gross, fee };
+}
+
+/**
+ * Return escrowed funds to the client when a job is cancelled.
+ * Unfunded escrow is simply cancelled.
+ * @param {Object} job - Job document
+ * @param {{ reason?: string, io?: import('socket.io').Server }} options
+ * @returns {Promise<Object|null>} - The Refund, or null when nothing was held
+ */
+async function refundJobEscrow(job, { reason, io } = {}) {
+  const payment = await getJobEscrow(job._id);
+  if (!payment) return null;
+
+  if (payment.escrow.status === 'awaiting_funding') {
+    payment.escrow.status = 'cancelled';
+    if (payment.status === 'pending') payment.status = 'cancelled';
+    await payment.save();
+    return null;
+  }
+  if (payment.escrow.status !== 'held') return null;
+
+  // Milestones already released stay with the professional
+  const held = await getHeldEscrowAmount(payment);
+  if (!(held > 0)) return null;
+  return issueRefund({ payment, amount: held, source: 'policy', reason: reason || 'Job cancelled', io });
+}
+
+/**
+ * Auto-release escrow for jobs the client never confirmed. Closes the job as
+ * completed and pays out the professional.
+ * @param {{ io?: import('socket.io').Server }} options
+ * @returns {Promise<number>} - Number of escrows released
+ */
+async function releaseDueEscrows({ io } = {}) {
+  const due = await Payment.find({
+    purpose: 'job_escrow',
+    'escrow.status': 'held',
+    'escrow.releaseAfter': { $lte: new Date() },
+  });
+
+  // Required here: the state machine depends on this module
+  const { transitionJob } = require('./jobStateMachine');
+
+  let released = 0;
+  for (const payment of due) {
+    const releaseAfter = payment.escrow.releaseAfter;
+    // Claim the countdown while the escrow is still held, so a concurrent
+    // worker that loaded the same payment skips it
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'escrow.status': 'held', 'escrow.releaseAfter': releaseAfter },
+      { $unset: { 'escrow.releaseAfter': 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const job = await Job.findById(payment.job);
+      // The job moved on (e.g. reopened); wait for the next completion
+      if (!job || job.lifecycleState !== 'completed_by_pro') continue;
+
+      // Closes the job, releases the escrow and tells the client
+      await transitionJob(job, 'auto_confirm', { user: 'system', io, autoReleaseHours: AUTO_RELEASE_HOURS });
+      released += 1;
+    } catch (error) {
+      console.error('Escrow auto-release failed for payment', String(payment._id), error.message);
+      // Put the countdown back so the next run retries
+      await Payment.updateOne(
+        { _id: payment._id, 'escrow.status': 'held', 'escrow.releaseAfter': { $exists: false } },
+        { $set: { 'escrow.releaseAfter': releaseAfter } }
+      ).catch(() => {});
+    }
+  }
+  return released;
+}
+
+module.exports = {
+  EscrowError,
+  getJobEscrow,
+  getHeldEscrowAmount,
+  openJobEscrow,
+  initializeEscrowFunding,
+  markEscrowFunded,
+  startEscrowReleaseCountdown,
+  pauseEscrowReleaseCountdown,
+  releaseJobEscrow,
+  releaseMilestoneEscrow,
+  refundJobEscrow,
+  releaseDueEscrows,
+};
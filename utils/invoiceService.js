@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Professional = require('../models/Professional');
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Payment = require('../models/Payment');
+
+/**
+ * Receipts (one per successful payment) and invoices (one per completed job).
+ *
+ * Prices on the platform are VAT-inclusive, so the VAT line is carved out of
+ * the amount paid: vat = total * rate / (100 + rate). The platform fee is
+ * shown as its own line and the service line is what remains.
+ * Numbers are sequential per year: <INVOICE_PREFIX>-<year>-<000001>.
+ */
+
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+// Numbers of documents inserted but not numbered yet, unique per document
+const PENDING_NUMBER_PREFIX = 'pending:';
+// How long a reader waits for the request that inserted a document to number it,
+// and when a document left unnumbered (e.g. by a crash) is numbered by a reader
+const NUMBER_WAIT_MS = 2000;
+const NUMBER_POLL_MS = 100;
+const STALE_PENDING_MS = 60 * 1000;
+const PAID_PAYMENT_STATUSES = ['success', 'partially_refunded', 'refunded'];
+const INVOICEABLE_JOB_STATES = ['completed_by_pro', 'completed_by_user', 'closed'];
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+const getVatRate = () => Number(process.env.VAT_RATE_PERCENT ?? 7.5);
+const getPlatformFeePercent = () => Number(process.env.PLATFORM_FEE_PERCENT || 10);
+
+async function nextInvoiceNumber(date = new Date()) {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`invoice:${year}`);
+  return `${process.env.INVOICE_PREFIX || 'FF'}-${year}-${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Split a VAT-inclusive total into service, platform fee and VAT lines
+ * @param {{ total: number, platformFee: number, description: string }} params
+ */
+function buildLineItems({ total, platformFee, description }) {
+  const vatRate = getVatRate();
+  const vatAmount = roundAmount((total * vatRate) / (100 + vatRate));
+  const subtotal = roundAmount(total - vatAmount);
+  const fee = Math.min(roundAmount(platformFee || 0), subtotal);
+  const service = roundAmount(subtotal - fee);
+
+  const lineItems = [{ description, quantity: 1, unitPrice: service, amount: service }];
+  if (fee > 0) {
+    lineItems.push({ description: 'Platform service fee', quantity: 1, unitPrice: fee, amount: fee });
+  }
+  return { lineItems, subtotal, vatRate, vatAmount, total: roundAmount(total) };
+}
+
+async function getParties(customerId, professionalId) {
+  const [customer, professional] = await Promise.all([
+    User.findById(customerId).select('name email phone location'),
+    Professional.findById(professionalId).populate('user', 'email phone'),
+  ]);
+  const payer = customer
+    ? { name: customer.name, email: customer.email, phone: customer.phone, address: customer.location?.address }
+    : {};
+  const payee = professional
+    ? {
+      name: professional.name,
+      email: professional.user?.email,
+      phone: professional.user?.phone,
+      address: [professional.location?.address, professional.city, professional.state].filter(Boolean).join(', '),
+    }
+    : {};
+  return { payer, payee };
+}
+
+const isPending = (invoice) => invoice?.number.startsWith(PENDING_NUMBER_PREFIX);
+
+// Give a pending document its number; the conditional update keeps a number already set
+async function assignNumber(invoice) {
+  const number = await nextInvoiceNumber(invoice.issuedAt);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: invoice.number },
+    { $set: { number } },
+    { new: true }
+  );
+  return numbered || Invoice.findById(invoice._id);
+}
+
+// Wait for the request that inserted a document to number it
+async function waitForNumber(invoice) {
+  let current = invoice;
+  for (let waited = 0; isPending(current) && waited < NUMBER_WAIT_MS; waited += NUMBER_POLL_MS) {
+    await new Promise((resolve) => setTimeout(resolve, NUMBER_POLL_MS));
+    current = await Invoice.findById(invoice._id);
+  }
+  if (isPending(current) && Date.now() - current.createdAt.getTime() > STALE_PENDING_MS) return assignNumber(current);
+  return current;
+}
+
+// Concurrent requests for the same document race on the unique index with an
+// unnumbered document; only the winner takes a number, so the sequence has no
+// gaps, and the loser reads the winner's
+async function createOnce(filter, build) {
+  const existing = await Invoice.findOne(filter);
+  if (existing) return waitForNumber(existing);
+  let invoice;
+  try {
+    invoice = await Invoice.create({ ...(await build()), number: `${PENDING_NUMBER_PREFIX}${crypto.randomUUID()}` });
+  } catch (error) {
+    if (error.code === 11000) return waitForNumber(await Invoice.findOne(filter));
+    throw error;
+  }
+  return assignNumber(invoice);
+}
+
+/**
+ * Get or issue the receipt for a successful payment
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} - Invoice document (kind receipt)
+ */
+async function getOrCreatePaymentReceipt(payment) {
+  if (!PAID_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new InvoiceError('A receipt is only available for completed payments');
+  }
+
+  return createOnce({ kind: 'receipt', payment: payment._id }, async () => {
+    let description = 'Service payment';
+    if (payment.purpose === 'job_escrow') {
+      const job = await Job.findById(payment.job).select('title');
+      description = `Job: ${job?.title || 'Service job'} (held in escrow)`;
+    } else if (payment.booking) {
+      const booking = await Booking.findById(payment.booking).populate('service', 'name');
+      description = `Booking: ${booking?.service?.name || 'Service'}${booking?.date ? ` on ${booking.date.toDateString()}` : ''}`;
+    }
+
+    const issuedAt = payment.paidAt || new Date();
+    const platformFee = payment.purpose === 'job_escrow'
+      ? payment.platformFee || roundAmount((payment.amount * (payment.escrow?.platformFeePercent ?? getPlatformFeePercent())) / 100)
+      : payment.platformFee;
+    return {
+      kind: 'receipt',
+      payment: payment._id,
+      job: payment.job,
+      booking: payment.booking,
+      customer: payment.customer,
+      professional: payment.professional,
+      ...(await getParties(payment.customer, payment.professional)),
+      currency: payment.currency,
+      ...buildLineItems({ total: payment.amount, platformFee, description }),
+      status: 'paid',
+      reference: payment.paystackReference,
+      issuedAt,
+    };
+  });
+}
+
+/**
+ * Get or issue the invoice for a completed job
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} - Invoice document (kind invoice)
+ */
+async function getOrCreateJobInvoice(job) {
+  if (!INVOICEABLE_JOB_STATES.includes(job.lifecycleState) && job.status !== 'Completed') {
+    throw new InvoiceError('An invoice is only available once the job is completed');
+  }
+  if (!job.professional) throw new InvoiceError('Job has no assigned professional');
+
+  const escrow = await Payment.findOne({ job: job._id, purpose: 'job_escrow' }).sort({ createdAt: -1 });
+  const total = escrow ? escrow.amount : job.agreedPrice ?? job.budget?.max;
+  if (total == null) throw new InvoiceError('Job has no agreed price');
+
+  return createOnce({ kind: 'invoice', job: job._id }, async () => {
+    const feePercent = escrow?.escrow?.platformFeePercent ?? getPlatformFeePercent();
+    const platformFee = escrow?.escrow?.status === 'released' ? escrow.platformFee : roundAmount((total * feePercent) / 100);
+    const paid = ['held', 'released'].includes(escrow?.escrow?.status);
+    const issuedAt = job.completedAt || new Date();
+
+    return {
+      kind: 'invoice',
+      job: job._id,
+      payment: escrow?._id,
+      customer: job.client,
+      professional: job.professional,
+      ...(await getParties(job.client, job.professional)),
+      currency: escrow?.currency || 'NGN',
+      ...buildLineItems({ total, platformFee, description: `Job: ${job.title}` }),
+      status: paid ? 'paid' : 'unpaid',
+      reference: escrow?.paystackReference,
+      issuedAt,
+    };
+  });
+}
+
+const formatMoney = (currency, amount) =>
+  `${currency} ${Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Render an invoice or receipt as a PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const title = invoice.kind === 'receipt' ? 'RECEIPT' : 'INVOICE';
+    const money = (amount) => formatMoney(invoice.currency, amount);
+
+    doc.fontSize(20).text('FixFinder', 50, 50);
+    doc.fontSize(16).text(title, 50, 50, { align: 'right' });
+    doc.fontSize(10)
+      .text(`No. ${invoice.number}`, { align: 'right' })
+      .text(`Date: ${new Date(invoice.issuedAt).toDateString()}`, { align: 'right' })
+      .text(`Status: ${invoice.status.toUpperCase()}`, { align: 'right' });
+    if (invoice.reference) doc.text(`Reference: ${invoice.reference}`, { align: 'right' });
+
+    const partyTop = 150;
+    const writeParty = (label, party, x) => {
+      doc.fontSize(11).font('Helvetica-Bold').text(label, x, partyTop);
+      doc.font('Helvetica').fontSize(10);
+      [party?.name, party?.address, party?.email, party?.phone].filter(Boolean).forEach((line) => doc.text(line, x, undefined, { width: 230 }));
+    };
+    writeParty('Billed to', invoice.payer, 50);
+    writeParty('Service provider', invoice.payee, 310);
+
+    let y = 260;
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Description', 50, y).text('Qty', 330, y, { width: 40, align: 'right' })
+      .text('Unit price', 380, y, { width: 80, align: 'right' })
+      .text('Amount', 465, y, { width: 80, align: 'right' });
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+    doc.font('Helvetica');
+    y += 25;
+    invoice.lineItems.forEach((item) => {
+      doc.text(item.description, 50, y, { width: 270 })
+        .text(String(item.quantity), 330, y, { width: 40, align: 'right' })
+        .text(money(item.unitPrice), 380, y, { width: 80, align: 'right' })
+        .text(money(item.amount), 465, y, { width: 80, align: 'right' });
+      y = Math.max(doc.y, y + 15) + 5;
+    });
+
+    doc.moveTo(330, y).lineTo(545, y).stroke();
+    y += 10;
+    const totalRow = (label, amount, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 330, y, { width: 130, align: 'right' })
+        .text(money(amount), 465, y, { width: 80, align: 'right' });
+      y += 18;
+    };
+    totalRow('Subtotal', invoice.subtotal);
+    totalRow(`VAT (${invoice.vatRate}%)`, invoice.vatAmount);
+    totalRow(invoice.kind === 'receipt' ? 'Total paid' : 'Total due', invoice.total, true);
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('Prices include VAT. Thank you for using FixFinder.', 50, 760, { align: 'center', width: 495 });
+    doc.end();
+  });
+}
+
+/**
+ * Receipt for a payment as an email attachment, or null if it cannot be produced
+ * @param {Object} payment - Payment document
+ * @returns {Promise<{ filename: string, content: Buffer, contentType: string }|null>}
+ */
+async function getReceiptAttachment(payment) {
+  try {
+    const receipt = await getOrCreatePaymentReceipt(payment);
+    return { filename: `receipt-${receipt.number}.pdf`, content: await renderInvoicePdf(receipt), contentType: 'application/pdf' };
+  } catch (error) {
+    console.error('Receipt generation failed for payment', String(payment._id), error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  InvoiceError,
+  nextInvoiceNumber,
+  getOrCreatePaymentReceipt,
+  getOrCreateJobInvoice,
+  renderInvoicePdf,
+  getReceiptAttachment,
+};
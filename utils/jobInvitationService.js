@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Professional = require('../models/Professional');
+const Connection = require('../models/Connection');
+const { notifyUser } = require('./notificationService');
+const { recordJobEvent } = require('./jobTimelineService');
+
+/**
+ * Private job posts. A job is public (everyone's feed), invite_only (only invited
+ * pros) or connections_only (pros with an accepted Connection to the client).
+ * Clients invite pros by direct pick, from their connections or from their
+ * favourites; invited pros can see and apply to the job whatever its visibility,
+ * and accept or decline the invitation. Declining hides a private job again.
+ */
+
+class InvitationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvitationError';
+    this.status = status;
+  }
+}
+
+const VISIBILITIES = Job.schema.path('visibility').enumValues;
+const MAX_INVITATIONS = 50;
+// Invitations and visibility only matter while the job takes applications
+const INVITABLE_STATES = ['posted', 'offer_pending'];
+
+// Multipart forms send flags as strings
+const isSet = (value) => value === true || value === 'true' || value === '1';
+
+// Ids from an array, a JSON array string or a comma-separated list
+function parseIdList(input) {
+  if (input == null || input === '') return [];
+  let list = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('[')) {
+      try {
+        list = JSON.parse(text);
+      } catch (_) {
+        throw new InvitationError('Professionals must be a list of ids');
+      }
+    } else {
+      list = text.split(',');
+    }
+  }
+  if (!Array.isArray(list)) throw new InvitationError('Professionals must be a list of ids');
+  return list.map((id) => String(id).trim()).filter(Boolean).map((id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new InvitationError(`Invalid professional id: ${id}`);
+    return id;
+  });
+}
+
+/**
+ * Validate a visibility from a request body
+ * @param {string|undefined} visibility
+ * @returns {string|undefined}
+ * @throws {InvitationError}
+ */
+function parseVisibility(visibility) {
+  if (visibility == null || visibility === '') return undefined;
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new InvitationError(`Visibility must be one of ${VISIBILITIES.join(', ')}`);
+  }
+  return visibility;
+}
+
+const getConnectedProfessionalIds = (clientId) =>
+  Connection.find({ requester: clientId, status: 'accepted' }).distinct('professional');
+
+const getConnectedClientIds = (professionalId) =>
+  Connection.find({ professional: professionalId, status: 'accepted' }).distinct('requester');
+
+/**
+ * Professionals to invite: a direct pick and/or the client's accepted connections
+ * and favourites. Unknown or inactive professionals, and the client's own profile, are left out.
+ * @param {string|ObjectId} clientId
+ * @param {{ professionals?: Array|string, connections?: boolean|string, favorites?: boolean|string }} picks
+ * @returns {Promise<Array<{ professional: ObjectId, source: string, user: ObjectId }>>}
+ */
+async function resolveInvitees(clientId, { professionals, connections, favorites }) {
+  const sources = new Map();
+  const add = (ids, source) => ids.forEach((id) => {
+    if (!sources.has(String(id))) sources.set(String(id), source);
+  });
+
+  const picked = parseIdList(professionals);
+  add(picked, 'direct');
+  if (isSet(connections)) add(await getConnectedProfessionalIds(clientId), 'connection');
+  if (isSet(favorites)) {
+    const client = await User.findById(clientId).select('favoriteProfessionals');
+    add(client?.favoriteProfessionals || [], 'favorite');
+  }
+  if (!sources.size) return [];
+
+  const pros = await Professional.find({ _id: { $in: [...sources.keys()] }, isActive: { $ne: false } }).select('_id user');
+  const missing = picked.find((id) => !pros.some((pro) => String(pro._id) === id));
+  if (missing) throw new InvitationError(`Professional ${missing} not found`, 404);
+
+  return pros
+    .filter((pro) => String(pro.user) !== String(clientId))
+    .map((pro) => ({ professional: pro._id, source: sources.get(String(pro._id)), user: pro.user }));
+}
+
+/**
+ * Add invitations for pros not invited yet to an unsaved or loaded job
+ * @param {Object} job
+ * @param {Array<{ professional: ObjectId, source: string }>} invitees - from resolveInvitees
+ * @param {{ message?: string }} [options]
+ * @returns {Array<Object>} - The new invitations
+ */
+function addInvitations(job, invitees, { message } = {}) {
+  const fresh = invitees.filter((invitee) =>
+    !job.invitations.some((inv) => String(inv.professional) === String(invitee.professional)));
+  if (job.invitations.length + fresh.length > MAX_INVITATIONS) {
+    throw new InvitationError(`A job can have at most ${MAX_INVITATIONS} invitations`);
+  }
+  fresh.forEach(({ professional, source }) => job.invitations.push({ professional, source, message }));
+  return fresh;
+}
+
+/**
+ * Log new invitations and notify the invited pros
+ * @param {Object} job - Saved job
+ * @param {Array<{ professional: ObjectId, source: string, user: ObjectId }>} invitees
+ * @param {{ user: Object, io?: import('socket.io').Server }} params
+ */
+async function announceInvitations(job, invitees, { user, io }) {
+  if (!invitees.length) return;
+  await recordJobEvent(job, 'professionals_invited', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { invitations: invitees.map(({ professional, source }) => ({ professional, source })) },
+  });
+  await Promise.all(invitees.map(({ professional, user: proUser }) => notifyUser(proUser, {
+    type: 'job_invitation',
+    title: 'Job Invitation',
+    message: `You have been invited to apply for "${job.title}".`,
+    data: { jobId: job._id, professionalId: professional },
+  }, io)));
+}
+
+function assertClient(job, user) {
+  if (String(job.client) !== String(user.id)) throw new InvitationError('Only the client can do this', 403);
+}
+
+function assertInvitable(job) {
+  if (!INVITABLE_STATES.includes(job.lifecycleState)) {
+    throw new InvitationError('This job is no longer taking applications', 409);
+  }
+}
+
+// Save only if the given invitation condition still holds
+async function saveInvitations(job, where) {
+  job.$where = where;
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new InvitationError('The invitations were updated by someone else, please reload', 409);
+    }
+    if (error.name === 'ValidationError') throw new InvitationError(error.message);
+    throw error;
+  } finally {
+    job.$where = undefined;
+  }
+}
+
+/**
+ * Invite more professionals to a job
+ * @param {Object} job
+ * @param {{ user: Object, professionals?: Array|string, connections?: boolean|string, favorites?: boolean|string, message?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Array<Object>>} - The new invitations (already-invited pros are skipped)
+ */
+async function inviteProfessionals(job, { user, professionals, connections, favorites, message, io }) {
+  assertClient(job, user);
+  assertInvitable(job);
+  const invitees = await resolveInvitees(job.client, { professionals, connections, favorites });
+  if (!invitees.length) throw new InvitationError('No professionals to invite');
+
+  const fresh = addInvitations(job, invitees, { message });
+  if (!fresh.length) return [];
+  await saveInvitations(job, { 'invitations.professional': { $nin: fresh.map((i) => i.professional) } });
+  await announceInvitations(job, fresh, { user, io });
+  return job.invitations.filter((inv) => fresh.some((i) => String(i.professional) === String(inv.professional)));
+}
+
+/**
+ * The invited professional accepts or declines
+ * @param {Object} job
+ * @param {{ user: Object, decision: 'accept'|'decline', io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The invitation
+ */
+async function respondToInvitation(job, { user, decision, io }) {
+  if (!['accept', 'decline'].includes(decision)) throw new InvitationError('Decision must be accept or decline');
+  const pro = await Professional.findOne({ user: user.id }).select('_id name');
+  const invitation = pro && job.invitations.find((inv) => String(inv.professional) === String(pro._id));
+  if (!invitation) throw new InvitationError('Invitation not found', 404);
+  if (invitation.status !== 'pending') throw new InvitationError(`Invitation already ${invitation.status}`, 409);
+  if (decision === 'accept') assertInvitable(job);
+
+  invitation.status = decision === 'accept' ? 'accepted' : 'declined';
+  invitation.respondedAt = new Date();
+  await saveInvitations(job, { invitations: { $elemMatch: { professional: pro._id, status: 'pending' } } });
+
+  await recordJobEvent(job, `invitation_${invitation.status}`, {
+    actor: user.id,
+    actorRole: 'professional',
+    metadata: { professional: pro._id },
+  });
+  await notifyUser(job.client, {
+    type: 'job_invitation',
+    title: decision === 'accept' ? 'Invitation Accepted' : 'Invitation Declined',
+    message: `${pro.name || 'A professional'} ${invitation.status} your invitation to "${job.title}".`,
+    data: { jobId: job._id, professionalId: pro._id },
+  }, io);
+  return invitation;
+}
+
+/**
+ * The client withdraws an invitation. Applications already sent are kept.
+ * @param {Object} job
+ * @param {{ user: Object, professionalId: string }} params
+ */
+async function revokeInvitation(job, { user, professionalId }) {
+  assertClient(job, user);
+  const invitation = job.invitations.find((inv) => String(inv.professional) === String(professionalId));
+  if (!invitation) throw new InvitationError('Invitation not found', 404);
+  invitation.deleteOne();
+  await saveInvitations(job, { 'invitations.professional': invitation.professional });
+  await recordJobEvent(job, 'invitation_revoked', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { professional: invitation.professional },
+  });
+  return job;
+}
+
+/**
+ * Change who can see a job that is still taking applications
+ * @param {Object} job
+ * @param {{ user: Object, visibility: string }} params
+ */
+async function setJobVisibility(job, { user, visibility }) {
+  assertClient(job, user);
+  assertInvitable(job);
+  const next = parseVisibility(visibility);
+  if (!next) throw new InvitationError('Visibility is required');
+  const previous = job.visibility || 'public';
+  if (next === previous) return job;
+
+  job.visibility = next;
+  await job.save();
+  await recordJobEvent(job, 'visibility_changed', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { from: previous, to: next },
+  });
+  return job;
+}
+
+/**
+ * Whether a professional may see a job in their feed, open it and apply
+ * @param {Object} job
+ * @param {string|ObjectId} professionalId
+ * @returns {Promise<boolean>}
+ */
+async function canProfessionalSeeJob(job, professionalId) {
+  if (!professionalId) return false;
+  if (!job.visibility || job.visibility === 'public') return true;
+  const invitation = job.invitations.find((inv) => String(inv.professional) === String(professionalId));
+  if (invitation) return invitation.status !== 'declined';
+  if (job.visibility !== 'connections_only') return false;
+  const clientId = job.client?._id || job.client;
+  return Boolean(await Connection.exists({ requester: clientId, professional: professionalId, status: 'accepted' }));
+}
+
+/**
+ * Query condition matching the jobs a professional may see, for feeds
+ * @param {string|ObjectId} professionalId
+ * @returns {Promise<Object>}
+ */
+async function buildVisibilityFilter(professionalId) {
+  const connectedClients = await getConnectedClientIds(professionalId);
+  return {
+    $or: [
+      { visibility: { $in: [null, 'public'] } },
+      { invitations: { $elemMatch: { professional: professionalId, status: { $ne: 'declined' } } } },
+      { visibility: 'connections_only', client: { $in: connectedClients }, 'invitations.professional': { $ne: professionalId } },
+    ],
+  };
+}
+
+/**
+ * Jobs the professional has been invited to, newest invitation first
+ * @param {Object} user - req.user
+ * @param {{ status?: string }} [options]
+ */
+async function listProfessionalInvitations(user, { status } = {}) {
+  const pro = await Professional.findOne({ user: user.id }).select('_id');
+  if (!pro) throw new InvitationError('Professional profile not found', 404);
+  const match = { professional: pro._id, ...(status ? { status } : {}) };
+  const jobs = await Job.find({ invitations: { $elemMatch: match }, lifecycleState: { $in: INVITABLE_STATES } })
+    .select('title category location budget preferredDate preferredTime urgency visibility client invitations lifecycleState createdAt')
+    .populate('client', 'name');
+  return jobs
+    .map((job) => {
+      const { invitations, ...rest } = job.toObject();
+      return { ...rest, invitation: invitations.find((inv) => String(inv.professional) === String(pro._id)) };
+    })
+    .sort((a, b) => new Date(b.invitation.invitedAt) - new Date(a.invitation.invitedAt));
+}
+
+module.exports = {
+  InvitationError,
+  VISIBILITIES,
+  parseVisibility,
+  resolveInvitees,
+  addInvitations,
+  announceInvitations,
+  inviteProfessionals,
+  respondToInvitation,
+  revokeInvitation,
+  setJobVisibility,
+  canProfessionalSeeJob,
+  buildVisibilityFilter,
+  listProfessionalInvitations,
+};
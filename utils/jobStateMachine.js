@@ -0,0 +1,476 @@
+const Job = require('../models/Job');
+const Professional = require('../models/Professional');
+const Conversation = require('../models/Conversation');
+const { cloudinary } = require('../config/cloudinary');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { notifyUser, notifyProfessional } = require('./notificationService');
+const {
+  openJobEscrow,
+  startEscrowReleaseCountdown,
+  pauseEscrowReleaseCountdown,
+  releaseJobEscrow,
+  refundJobEscrow,
+} = require('./escrowService');
+
+/**
+ * Job lifecycle state machine.
+ *
+ * `lifecycleState` is the source of truth; the coarse `status` field is derived
+ * from it on every transition. Each event declares the states it may leave from,
+ * the state it leads to (or a function of the job and params), who may trigger it, field changes applied before the
+ * save, and side effects run after it. Every transition is appended to
+ * `job.transitions`. Other modules can observe transitions with
+ * registerTransitionHook().
+ */
+
+class JobTransitionError extends Error {
+  constructor(message, code, status = 409) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const STATUS_BY_STATE = {
+  posted: 'Pending',
+  offer_pending: 'Pending',
+  chat_open: 'Pending',
+  job_requested: 'Pending',
+  job_accepted: 'Pending',
+  in_progress: 'In Progress',
+  completed_by_pro: 'In Progress',
+  completed_by_user: 'In Progress',
+  disputed: 'In Progress',
+  closed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+const OPEN_STATES = ['posted', 'offer_pending', 'chat_open', 'job_requested', 'job_accepted'];
+// Still looking for a professional; jobs a pro is talking about or has taken on never expire
+const EXPIRABLE_STATES = ['posted', 'offer_pending'];
+const DISPUTABLE_STATES = ['in_progress', 'completed_by_pro', 'completed_by_user'];
+const TERMINAL_STATES = ['closed', 'cancelled'];
+
+// Users reach professionals through their Professional document
+const getProUserId = async (job) => {
+  if (!job.professional) return null;
+  const pro = await Professional.findById(job.professional).select('user');
+  return pro?.user ? String(pro.user) : null;
+};
+
+/**
+ * Push `job:update` to the conversation room and to both participants
+ * @param {Object} job
+ * @param {import('socket.io').Server} [io]
+ */
+async function emitJobUpdate(job, io) {
+  if (!io) return;
+  const payload = { conversationId: job.conversation?.toString(), job };
+  if (job.conversation) io.to(job.conversation.toString()).emit('job:update', payload);
+  try {
+    const proUserId = await getProUserId(job);
+    if (job.client) io.to(job.client.toString()).emit('job:update', payload);
+    if (proUserId) io.to(proUserId).emit('job:update', payload);
+  } catch (_) {}
+}
+
+// Applications (and their CV files) are dropped once a job is over. Run as an
+// effect, so nothing is deleted unless the state change was saved.
+async function dropApplications({ job }) {
+  for (const app of job.applications || []) {
+    if (!app.cvPublicId) continue;
+    try {
+      await cloudinary.uploader.destroy(app.cvPublicId, { resource_type: 'raw' });
+    } catch (e) {
+      console.warn(`Cloudinary destroy failed for CV (job ${job._id}):`, e?.message || e);
+    }
+  }
+  await Job.updateOne({ _id: job._id }, { $set: { applications: [] } });
+  job.applications = [];
+}
+
+const closeJob = (job) => {
+  job.completedAt = new Date();
+};
+
+// An effect: receives the transition context
+const countCompletedJob = async ({ job }) => {
+  if (job.professional) await Professional.findByIdAndUpdate(job.professional, { $inc: { completedJobs: 1 } });
+};
+
+// Accept the latest offer in an application's negotiation: the side that did
+// not make it agrees, and its terms become the application's
+function acceptLatestOffer(job, application, actorRole) {
+  const offer = application.offers[application.offers.length - 1];
+  // Applications from before negotiation: only the client can accept them as they are
+  if (!offer && actorRole !== 'applicant') return;
+  if (!offer || offer.by === (actorRole === 'client' ? 'client' : 'professional')) {
+    throw new JobTransitionError('Waiting for the other side to respond to your offer', 'OFFER_PENDING');
+  }
+  if (offer.status !== 'open') {
+    throw new JobTransitionError('There is no open offer to accept', 'INVALID_TRANSITION');
+  }
+  // The original quote only holds while it is valid; a counter-offer from the pro renews it
+  if (offer.version === 1 && application.quote?.validUntil && application.quote.validUntil < new Date()) {
+    throw new JobTransitionError('This quote has expired; ask the professional for a new offer', 'QUOTE_EXPIRED');
+  }
+  offer.status = 'accepted';
+  offer.respondedAt = new Date();
+  application.proposedPrice = offer.price;
+  if (offer.estimatedDuration) application.estimatedDuration = offer.estimatedDuration;
+  if (offer.date) job.preferredDate = offer.date;
+  if (offer.milestones?.length) {
+    application.milestones = offer.milestones;
+  } else if (Math.round(application.milestones.reduce((sum, m) => sum + m.amount, 0) * 100) !== Math.round(offer.price * 100)) {
+    // Staged terms that no longer match the agreed price are dropped
+    application.milestones = [];
+  }
+}
+
+const EVENTS = {
+  // Client picks an application (or the applicant accepts the client's counter-offer);
+  // work starts once the pro accepts in chat
+  accept_application: {
+    from: ['posted', 'offer_pending'],
+    to: 'chat_open',
+    actors: ['client', 'applicant'],
+    apply: (job, params, { actorRole }) => {
+      const application = job.applications.id(params.applicationId);
+      if (!application) throw new JobTransitionError('Application not found', 'APPLICATION_NOT_FOUND', 404);
+      if (application.status !== 'Pending') {
+        throw new JobTransitionError(`Application is ${application.status.toLowerCase()}`, 'INVALID_TRANSITION');
+      }
+      acceptLatestOffer(job, application, actorRole);
+      application.status = 'Accepted';
+      job.professional = application.professional;
+      job.agreedPrice = application.proposedPrice;
+      // A staged proposal replaces the milestones the client posted
+      if (application.milestones?.length) {
+        job.milestones = application.milestones.map(({ title, description, amount, dueDate }) => ({ title, description, amount, dueDate }));
+      }
+      // Passed on to effects and hooks
+      params.rejectedApplicationIds = [];
+      job.applications.forEach((app) => {
+        if (String(app._id) === String(params.applicationId) || ['Rejected', 'Withdrawn'].includes(app.status)) return;
+        app.status = 'Rejected';
+        params.rejectedApplicationIds.push(String(app._id));
+      });
+    },
+    effects: [
+      ({ job, io, actorRole }) => (actorRole === 'applicant'
+        ? notifyUser(job.client, {
+          type: 'job_accepted',
+          title: 'Counter-offer Accepted',
+          message: `The professional accepted your offer for "${job.title}". Open chat to proceed.`,
+          data: { jobId: job._id, professionalId: job.professional },
+        }, io)
+        : notifyProfessional(job.professional, {
+          type: 'job_accepted',
+          title: 'Job Application Accepted',
+          message: `Your application for "${job.title}" has been accepted! Open chat to proceed.`,
+          data: { jobId: job._id },
+        }, io)),
+    ],
+  },
+
+  accept_request: {
+    from: ['chat_open', 'job_requested', 'job_accepted'],
+    to: 'in_progress',
+    actors: ['professional'],
+    apply: (job) => {
+      if (job.agreedPrice == null) job.agreedPrice = job.budget?.max;
+    },
+    effects: [
+      // The client funds it via POST /api/jobs/:id/escrow/fund
+      async ({ job }) => {
+        try {
+          await openJobEscrow(job);
+        } catch (e) {
+          console.warn('Escrow not opened for job', String(job._id), e?.message || e);
+        }
+      },
+      async ({ job }) => {
+        if (job.conversation) await Conversation.findByIdAndUpdate(job.conversation, { $set: { job: job._id } });
+      },
+      ({ job, io }) => notifyUser(job.client, {
+        type: 'job_accepted',
+        title: 'Job Accepted',
+        message: `Your job "${job.title}" has been accepted and is now in progress. Please fund the agreed price into escrow.`,
+        data: { jobId: job._id },
+      }, io),
+    ],
+  },
+
+  mark_completed_by_pro: {
+    from: ['in_progress'],
+    to: 'completed_by_pro',
+    actors: ['professional'],
+    apply: (job) => {
+      job.completedByProAt = new Date();
+    },
+    effects: [
+      // Funds are released automatically if the client does not respond in time
+      ({ job }) => startEscrowReleaseCountdown(job._id),
+      ({ job, io }) => notifyUser(job.client, {
+        type: 'job_completed_by_pro',
+        title: 'Work Completed',
+        message: `Pro marked the job "${job.title}" as completed. Please confirm.`,
+        data: { jobId: job._id },
+      }, io),
+    ],
+  },
+
+  confirm_completion: {
+    from: ['in_progress', 'completed_by_pro', 'completed_by_user'],
+    to: 'closed',
+    actors: ['client'],
+    apply: closeJob,
+    effects: [
+      countCompletedJob,
+      dropApplications,
+      ({ job, io }) => releaseJobEscrow(job._id, { releasedBy: 'client', io }),
+      ({ job, io }) => notifyProfessional(job.professional, {
+        type: 'job_closed',
+        title: 'Job Closed',
+        message: `The job "${job.title}" has been confirmed completed.`,
+        data: { jobId: job._id },
+      }, io),
+    ],
+  },
+
+  // The client never answered the pro's completion: escrowService.releaseDueEscrows for
+  // funded jobs, backgroundTasks.autoConfirmStaleCompletions for any job after JOB_AUTO_CONFIRM_DAYS
+  auto_confirm: {
+    from: ['completed_by_pro'],
+    to: 'closed',
+    actors: ['system'],
+    apply: closeJob,
+    effects: [
+      countCompletedJob,
+      dropApplications,
+      ({ job, io }) => releaseJobEscrow(job._id, { releasedBy: 'timeout', io }),
+      ({ job, io, autoReleaseHours, paymentReleased = true }) => notifyUser(job.client, {
+        type: 'job_completed',
+        title: 'Job Auto-Confirmed',
+        message: `"${job.title}" was confirmed automatically after ${autoReleaseHours} hours${paymentReleased ? ' and the payment was released' : ''}.`,
+        data: { jobId: job._id },
+      }, io),
+    ],
+  },
+
+  cancel: {
+    from: [...OPEN_STATES, 'in_progress'],
+    to: 'cancelled',
+    actors: ['client', 'professional', 'moderator'],
+    apply: (job, { reason }) => {
+      job.cancelledAt = new Date();
+      job.cancellationReason = reason;
+    },
+    effects: [
+      dropApplications,
+      // Return any escrowed funds to the client
+      async ({ job, io, reason }) => {
+        try {
+          await refundJobEscrow(job, { reason: reason ? `Job cancelled: ${reason}` : 'Job cancelled', io });
+        } catch (e) {
+          console.error('Escrow refund failed for cancelled job', String(job._id), e?.message || e);
+        }
+      },
+      ({ job, io, actorRole }) => {
+        const payload = {
+          type: 'job_cancelled',
+          title: 'Job Cancelled',
+          message: `The job "${job.title}" has been cancelled`,
+          data: { jobId: job._id },
+        };
+        // Tell whoever did not cancel; a moderator cancelling tells both sides
+        return Promise.all([
+          actorRole !== 'client' && notifyUser(job.client, payload, io),
+          actorRole !== 'professional' && notifyProfessional(job.professional, payload, io),
+        ]);
+      },
+    ],
+  },
+
+  // Nobody took the job on before its preferred date (see backgroundTasks.expireStaleJobs)
+  expire: {
+    from: EXPIRABLE_STATES,
+    to: 'cancelled',
+    actors: ['system'],
+    apply: (job, { reason }) => {
+      job.cancelledAt = new Date();
+      job.cancellationReason = reason;
+    },
+    effects: [
+      dropApplications,
+      ({ job, io }) => Promise.all([
+        notifyUser(job.client, {
+          type: 'job_cancelled',
+          title: 'Job Expired',
+          message: `"${job.title}" expired because its preferred date passed before the work started. Post it again to find a professional.`,
+          data: { jobId: job._id },
+        }, io),
+        job.professional && notifyProfessional(job.professional, {
+          type: 'job_cancelled',
+          title: 'Job Expired',
+          message: `"${job.title}" expired because its preferred date passed before the work started.`,
+          data: { jobId: job._id },
+        }, io),
+      ]),
+    ],
+  },
+
+  // Disputes are opened, withdrawn and resolved through utils/disputeService.js,
+  // which moves the money before resolving. Escrow stays held while disputed.
+  open_dispute: {
+    from: DISPUTABLE_STATES,
+    to: 'disputed',
+    actors: ['client', 'professional'],
+    effects: [({ job }) => pauseEscrowReleaseCountdown(job._id)],
+  },
+
+  withdraw_dispute: {
+    from: ['disputed'],
+    to: (job, { restoreState }) => restoreState,
+    actors: ['client', 'professional'],
+    apply: (job, { restoreState }) => {
+      if (!DISPUTABLE_STATES.includes(restoreState)) {
+        throw new JobTransitionError(`Cannot return a disputed job to "${restoreState}"`, 'INVALID_TRANSITION');
+      }
+      // The client gets a fresh window to confirm, as with the escrow countdown
+      if (restoreState === 'completed_by_pro') job.completedByProAt = new Date();
+    },
+    effects: [
+      ({ job, to }) => to === 'completed_by_pro' && startEscrowReleaseCountdown(job._id),
+    ],
+  },
+
+  resolve_dispute: {
+    from: ['disputed'],
+    // A full refund cancels the job; a release or split closes it as completed
+    to: (job, { outcome }) => (outcome === 'refund' ? 'cancelled' : 'closed'),
+    actors: ['mediator'],
+    apply: (job, { outcome }) => {
+      if (outcome !== 'refund') return closeJob(job);
+      job.cancelledAt = new Date();
+      job.cancellationReason = 'Dispute resolved with a full refund';
+    },
+    effects: [
+      (ctx) => ctx.to === 'closed' && countCompletedJob(ctx),
+      dropApplications,
+    ],
+  },
+};
+
+const transitionHooks = [];
+
+/**
+ * Run a hook after every successful transition, e.g. to keep a timeline
+ * @param {(ctx: { job: Object, event: string, from: string, to: string, actor: Object, io?: Object }) => any} hook
+ */
+const registerTransitionHook = (hook) => {
+  transitionHooks.push(hook);
+};
+
+/**
+ * The roles a user holds on a job. `applicant` is the professional behind the
+ * application named in params.applicationId.
+ * @param {Object} job
+ * @param {{ id: string, role?: string, adminRoles?: string[] } | 'system'} user - req.user, or 'system'
+ * @param {{ applicationId?: string }} [params]
+ * @returns {Promise<{ userId: string|null, roles: string[] }>}
+ */
+async function resolveActor(job, user, params = {}) {
+  if (user === 'system') return { userId: null, roles: ['system'] };
+  const roles = [];
+  if (String(job.client) === String(user.id)) roles.push('client');
+  if (job.professional && (await getProUserId(job)) === String(user.id)) roles.push('professional');
+  const application = params.applicationId && job.applications?.id(params.applicationId);
+  if (application && (await getProUserId({ professional: application.professional })) === String(user.id)) {
+    roles.push('applicant');
+  }
+  if (hasPermission(user, PERMISSIONS.JOB_MODERATE)) roles.push('moderator');
+  if (hasPermission(user, PERMISSIONS.DISPUTE_RESOLVE)) roles.push('mediator');
+  return { userId: user.id, roles };
+}
+
+/**
+ * Events the user may currently trigger on a job
+ * @param {Object} job
+ * @param {Object|'system'} user
+ * @returns {Promise<string[]>}
+ */
+async function getAvailableEvents(job, user) {
+  const { roles } = await resolveActor(job, user);
+  return Object.entries(EVENTS)
+    .filter(([, def]) => def.from.includes(job.lifecycleState) && def.actors.some((r) => roles.includes(r)))
+    .map(([name]) => name);
+}
+
+/**
+ * Apply an event to a job: check the current state and the actor, update fields,
+ * record the transition, save, then run side effects (which never fail the call).
+ * @param {Object} job - Job document
+ * @param {string} event - Key of EVENTS
+ * @param {{ user: Object|'system', io?: import('socket.io').Server, reason?: string, [key: string]: any }} context
+ * @returns {Promise<Object>} - The saved job
+ * @throws {JobTransitionError} UNKNOWN_EVENT, NOT_AUTHORIZED, INVALID_TRANSITION, OFFER_PENDING, QUOTE_EXPIRED or CONCURRENT_UPDATE
+ */
+async function transitionJob(job, event, { user, io, ...params } = {}) {
+  const def = EVENTS[event];
+  if (!def) throw new JobTransitionError(`Unknown job event "${event}"`, 'UNKNOWN_EVENT', 400);
+
+  const actor = await resolveActor(job, user, params);
+  const actorRole = def.actors.find((r) => actor.roles.includes(r));
+  if (!actorRole) throw new JobTransitionError('Not authorized to perform this action on the job', 'NOT_AUTHORIZED', 403);
+
+  const from = job.lifecycleState;
+  if (!def.from.includes(from)) {
+    throw new JobTransitionError(`Cannot apply "${event}" to a job in state "${from}"`, 'INVALID_TRANSITION');
+  }
+
+  const to = typeof def.to === 'function' ? def.to(job, params) : def.to;
+  if (def.apply) await def.apply(job, params, { actor, actorRole });
+  job.lifecycleState = to;
+  job.status = STATUS_BY_STATE[to];
+  job.transitions.push({ event, from, to, actor: actor.userId, actorRole, reason: params.reason, at: new Date() });
+
+  // Only save if nobody moved the job on since it was loaded
+  job.$where = { lifecycleState: from };
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new JobTransitionError('The job was updated by someone else, please reload', 'CONCURRENT_UPDATE');
+    }
+    throw error;
+  } finally {
+    job.$where = undefined;
+  }
+
+  const ctx = { job, event, from, to, actor, actorRole, io, ...params };
+  for (const effect of [...(def.effects || []), ...transitionHooks]) {
+    try {
+      await effect(ctx);
+    } catch (error) {
+      console.error(`Job ${event} side effect failed for job ${job._id}:`, error?.message || error);
+    }
+  }
+  await emitJobUpdate(job, io);
+  return job;
+}
+
+module.exports = {
+  JobTransitionError,
+  STATUS_BY_STATE,
+  OPEN_STATES,
+  EXPIRABLE_STATES,
+  TERMINAL_STATES,
+  DISPUTABLE_STATES,
+  EVENTS,
+  registerTransitionHook,
+  getAvailableEvents,
+  transitionJob,
+  emitJobUpdate,
+};
@@ -0,0 +1,112 @@
+const JobEvent = require('../models/JobEvent');
+const Professional = require('../models/Professional');
+const { registerTransitionHook } = require('./jobStateMachine');
+
+/**
+ * Job audit timeline. Every action on a job is appended to JobEvent with the
+ * actor, the lifecycle state before and after, and event-specific metadata.
+ * State-machine transitions are recorded through a transition hook; actions
+ * outside the machine (creation, applications, deletion) call recordJobEvent.
+ */
+
+const EVENT_TYPE_BY_TRANSITION = {
+  accept_application: 'application_accepted',
+  accept_request: 'accepted',
+  mark_completed_by_pro: 'completed_by_pro',
+  confirm_completion: 'confirmed',
+  auto_confirm: 'auto_confirmed',
+  cancel: 'cancelled',
+  expire: 'expired',
+  open_dispute: 'dispute_opened',
+  withdraw_dispute: 'dispute_withdrawn',
+  resolve_dispute: 'dispute_resolved',
+};
+
+/**
+ * Append an event to a job's timeline. Never throws: the audit log must not
+ * break the action it describes.
+ * @param {Object} job - Job document (or { _id, lifecycleState })
+ * @param {string} type - JobEvent type
+ * @param {{ actor?: string, actorRole?: string, fromState?: string|null, toState?: string, metadata?: Object }} [details]
+ * @returns {Promise<Object|null>}
+ */
+async function recordJobEvent(job, type, { actor, actorRole, fromState, toState, metadata } = {}) {
+  try {
+    return await JobEvent.create({
+      job: job._id,
+      type,
+      actor,
+      actorRole,
+      // null for the event that created the job
+      fromState: fromState !== undefined ? fromState : job.lifecycleState,
+      toState: toState ?? job.lifecycleState,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Record job event "${type}" failed for job ${job._id}:`, error.message);
+    return null;
+  }
+}
+
+registerTransitionHook(async ({
+  job, event, from, to, actor, actorRole, reason, applicationId, rejectedApplicationIds, disputeId, outcome, refundAmount,
+}) => {
+  const type = EVENT_TYPE_BY_TRANSITION[event];
+  if (!type) return;
+  const base = { actor: actor.userId, actorRole, fromState: from, toState: to };
+
+  if (event === 'accept_application') {
+    const accepted = job.applications.id(applicationId);
+    await recordJobEvent(job, type, {
+      ...base,
+      metadata: {
+        applicationId,
+        professional: accepted?.professional,
+        agreedPrice: job.agreedPrice,
+        offerVersion: accepted?.offers.length ? accepted.offers[accepted.offers.length - 1].version : undefined,
+      },
+    });
+    // Accepting one application rejects the rest
+    for (const rejected of job.applications.filter((a) => (rejectedApplicationIds || []).includes(String(a._id)))) {
+      await recordJobEvent(job, 'application_rejected', {
+        ...base,
+        metadata: { applicationId: rejected._id, professional: rejected.professional, automatic: true },
+      });
+    }
+    return;
+  }
+
+  const metadata = { transition: event };
+  if (reason) metadata.reason = reason;
+  if (event === 'accept_request') metadata.agreedPrice = job.agreedPrice;
+  if (disputeId) metadata.disputeId = disputeId;
+  if (outcome) Object.assign(metadata, { outcome, refundAmount });
+  await recordJobEvent(job, type, { ...base, metadata });
+});
+
+/**
+ * User ids allowed to read a job's timeline besides admins
+ * @param {Object} job
+ * @returns {Promise<string[]>}
+ */
+async function getJobParticipantUserIds(job) {
+  const ids = [String(job.client)];
+  if (job.professional) {
+    const pro = await Professional.findById(job.professional).select('user');
+    if (pro?.user) ids.push(String(pro.user));
+  }
+  return ids;
+}
+
+/**
+ * Timeline of a job, oldest first
+ * @param {string} jobId
+ */
+const getJobTimeline = (jobId) =>
+  JobEvent.find({ job: jobId }).populate('actor', 'name role').sort({ createdAt: 1, _id: 1 });
+
+module.exports = {
+  recordJobEvent,
+  getJobParticipantUserIds,
+  getJobTimeline,
+};
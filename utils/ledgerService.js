@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+
+/**
+ * Double-entry ledger for money moving through the platform.
+ *
+ * Accounts:
+ *   gateway:clearing             funds received from / sent back through the payment gateway
+ *   platform:escrow              job funds held until release
+ *   platform:revenue             platform fees
+ *   pro:<id>:wallet              what the platform owes a professional
+ *   pro:<id>:payouts_pending     wallet funds requested for payout, awaiting transfer
+ *
+ * Professional accounts are liabilities, so their balance is credits minus debits.
+ */
+
+class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LedgerError';
+  }
+}
+
+const ACCOUNTS = {
+  GATEWAY: 'gateway:clearing',
+  ESCROW: 'platform:escrow',
+  REVENUE: 'platform:revenue',
+};
+
+const walletAccount = (professionalId) => `pro:${professionalId}:wallet`;
+const payoutsPendingAccount = (professionalId) => `pro:${professionalId}:payouts_pending`;
+
+// Wallet movements that count towards a professional's earnings
+const EARNING_CREDIT_TYPES = ['booking_payment', 'escrow_release', 'platform_fee_reversal'];
+const EARNING_DEBIT_TYPES = ['platform_fee', 'refund'];
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Post a balanced journal. All its lines are written in one transaction, and
+ * posting the same journalKey twice is a no-op.
+ * @param {Object} params
+ * @param {string} params.journalKey - Idempotency key for this transaction
+ * @param {string} params.type - LedgerEntry type applied to every line
+ * @param {Array<{ account: string, direction: 'debit'|'credit', amount: number, professional?: string }>} params.lines
+ * @param {string} [params.description]
+ * @param {string} [params.currency]
+ * @param {{ payment?: string, refund?: string, payout?: string }} [params.refs]
+ * @returns {Promise<Array|null>} - Inserted entries, or null if already posted
+ */
+async function postJournal({ journalKey, type, lines, description, currency = 'NGN', refs = {} }) {
+  const nonZero = lines.filter((l) => roundAmount(l.amount) > 0);
+  if (!nonZero.length) return null;
+
+  const debits = roundAmount(nonZero.filter((l) => l.direction === 'debit').reduce((sum, l) => sum + roundAmount(l.amount), 0));
+  const credits = roundAmount(nonZero.filter((l) => l.direction === 'credit').reduce((sum, l) => sum + roundAmount(l.amount), 0));
+  if (debits !== credits) {
+    throw new LedgerError(`Unbalanced journal ${journalKey}: debits ${debits} != credits ${credits}`);
+  }
+
+  const journal = crypto.randomUUID();
+  const entries = nonZero.map((l, index) => ({
+    journal,
+    journalKey,
+    line: index,
+    account: l.account,
+    professional: l.professional,
+    direction: l.direction,
+    amount: roundAmount(l.amount),
+    currency,
+    type: l.type || type,
+    description,
+    ...refs,
+  }));
+
+  // One transaction per journal, so a crash mid-insert never leaves it one-sided
+  const session = await mongoose.startSession();
+  try {
+    let inserted = null;
+    await session.withTransaction(async () => {
+      inserted = null;
+      if (await LedgerEntry.exists({ journalKey }).session(session)) return;
+      inserted = await LedgerEntry.insertMany(entries, { session, ordered: true });
+    });
+    return inserted;
+  } catch (error) {
+    // Lost a race with a concurrent post of the same journal
+    if (error.code === 11000) return null;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Customer paid a booking. The professional is credited the price less the
+ * platform fee; when the charge was split to their Paystack subaccount their
+ * share has already been settled by the gateway.
+ * @param {Object} payment - Payment document (purpose booking)
+ * @param {{ settledToSubaccount?: boolean }} options
+ */
+async function recordBookingPayment(payment, { settledToSubaccount = false } = {}) {
+  const wallet = walletAccount(payment.professional);
+  const fee = roundAmount(payment.platformFee || 0);
+  const professional = payment.professional;
+  const lines = [
+    { account: ACCOUNTS.GATEWAY, direction: 'debit', amount: payment.amount },
+    { account: wallet, direction: 'credit', amount: payment.amount, professional },
+    { account: wallet, direction: 'debit', amount: fee, professional, type: 'platform_fee' },
+    { account: ACCOUNTS.REVENUE, direction: 'credit', amount: fee, type: 'platform_fee' },
+  ];
+  if (settledToSubaccount) {
+    const net = roundAmount(payment.amount - fee);
+    lines.push(
+      { account: wallet, direction: 'debit', amount: net, professional, type: 'settlement' },
+      { account: ACCOUNTS.GATEWAY, direction: 'credit', amount: net, type: 'settlement' }
+    );
+  }
+  return postJournal({
+    journalKey: `booking_payment:${payment._id}`,
+    type: 'booking_payment',
+    lines,
+    description: 'Booking payment received',
+    currency: payment.currency,
+    refs: { payment: payment._id },
+  });
+}
+
+/**
+ * Client funded a job's escrow
+ * @param {Object} payment - Payment document (purpose job_escrow)
+ */
+async function recordEscrowFunded(payment) {
+  return postJournal({
+    journalKey: `escrow_funding:${payment._id}`,
+    type: 'escrow_funding',
+    lines: [
+      { account: ACCOUNTS.GATEWAY, direction: 'debit', amount: payment.amount },
+      { account: ACCOUNTS.ESCROW, direction: 'credit', amount: payment.amount },
+    ],
+    description: 'Job escrow funded',
+    currency: payment.currency,
+    refs: { payment: payment._id },
+  });
+}
+
+/**
+ * Escrow released to the professional, with the platform fee deducted.
+ * Partial releases (e.g. an approved milestone) pass their own key and amounts.
+ * @param {Object} payment - Released Payment document (escrow.netAmount and platformFee set)
+ * @param {{ key?: string, gross?: number, fee?: number, description?: string }} [release]
+ */
+async function recordEscrowRelease(payment, { key, gross, fee, description } = {}) {
+  const wallet = walletAccount(payment.professional);
+  const professional = payment.professional;
+  const platformFee = fee != null ? fee : payment.platformFee;
+  const amount = gross != null ? gross : roundAmount(payment.escrow.netAmount + payment.platformFee);
+  return postJournal({
+    journalKey: key ? `escrow_release:${payment._id}:${key}` : `escrow_release:${payment._id}`,
+    type: 'escrow_release',
+    lines: [
+      { account: ACCOUNTS.ESCROW, direction: 'debit', amount },
+      { account: wallet, direction: 'credit', amount, professional },
+      { account: wallet, direction: 'debit', amount: platformFee, professional, type: 'platform_fee' },
+      { account: ACCOUNTS.REVENUE, direction: 'credit', amount: platformFee, type: 'platform_fee' },
+    ],
+    description: description || 'Job escrow released',
+    currency: payment.currency,
+    refs: { payment: payment._id },
+  });
+}
+
+/**
+ * A processed refund. Escrow that was never released is returned straight from
+ * escrow; otherwise it comes out of the professional's wallet and the matching
+ * share of the platform fee is given back to them.
+ * @param {Object} refund - Refund document
+ * @param {Object} payment - Its Payment document
+ * @param {{ fromEscrow?: boolean }} options
+ */
+async function recordRefund(refund, payment, { fromEscrow = false } = {}) {
+  const refs = { payment: payment._id, refund: refund._id };
+  const journalKey = `refund:${refund._id}`;
+
+  if (fromEscrow) {
+    return postJournal({
+      journalKey,
+      type: 'refund',
+      lines: [
+        { account: ACCOUNTS.ESCROW, direction: 'debit', amount: refund.amount },
+        { account: ACCOUNTS.GATEWAY, direction: 'credit', amount: refund.amount },
+      ],
+      description: 'Escrow refunded to client',
+      currency: refund.currency,
+      refs,
+    });
+  }
+
+  const wallet = walletAccount(payment.professional);
+  const professional = payment.professional;
+  const feeShare = payment.amount > 0 ? roundAmount(((payment.platformFee || 0) * refund.amount) / payment.amount) : 0;
+  return postJournal({
+    journalKey,
+    type: 'refund',
+    lines: [
+      { account: wallet, direction: 'debit', amount: refund.amount, professional },
+      { account: ACCOUNTS.GATEWAY, direction: 'credit', amount: refund.amount },
+      { account: ACCOUNTS.REVENUE, direction: 'debit', amount: feeShare, type: 'platform_fee_reversal' },
+      { account: wallet, direction: 'credit', amount: feeShare, professional, type: 'platform_fee_reversal' },
+    ],
+    description: 'Payment refunded to customer',
+    currency: refund.currency,
+    refs,
+  });
+}
+
+/**
+ * Move requested funds out of the wallet while the payout awaits approval
+ * @param {Object} payout - Payout document
+ */
+async function recordPayoutRequested(payout) {
+  return postJournal({
+    journalKey: `payout:${payout._id}`,
+    type: 'payout',
+    lines: [
+      { account: walletAccount(payout.professional), direction: 'debit', amount: payout.amount, professional: payout.professional },
+      { account: payoutsPendingAccount(payout.professional), direction: 'credit', amount: payout.amount, professional: payout.professional },
+    ],
+    description: 'Payout requested',
+    currency: payout.currency,
+    refs: { payout: payout._id },
+  });
+}
+
+/**
+ * Return a rejected or failed payout to the wallet
+ * @param {Object} payout - Payout document
+ */
+async function recordPayoutReversed(payout) {
+  return postJournal({
+    journalKey: `payout_reversal:${payout._id}`,
+    type: 'payout_reversal',
+    lines: [
+      { account: payoutsPendingAccount(payout.professional), direction: 'debit', amount: payout.amount, professional: payout.professional },
+      { account: walletAccount(payout.professional), direction: 'credit', amount: payout.amount, professional: payout.professional },
+    ],
+    description: `Payout ${payout.status}`,
+    currency: payout.currency,
+    refs: { payout: payout._id },
+  });
+}
+
+/**
+ * Transfer for a payout completed
+ * @param {Object} payout - Payout document
+ */
+async function recordPayoutPaid(payout) {
+  return postJournal({
+    journalKey: `payout_settlement:${payout._id}`,
+    type: 'payout_settlement',
+    lines: [
+      { account: payoutsPendingAccount(payout.professional), direction: 'debit', amount: payout.amount, professional: payout.professional },
+      { account: ACCOUNTS.GATEWAY, direction: 'credit', amount: payout.amount },
+    ],
+    description: 'Payout transferred',
+    currency: payout.currency,
+    refs: { payout: payout._id },
+  });
+}
+
+/**
+ * Credits minus debits for an account
+ * @param {string} account
+ * @returns {Promise<number>}
+ */
+async function getAccountBalance(account) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { account } },
+    { $group: { _id: '$direction', total: { $sum: '$amount' } } },
+  ]);
+  const totals = rows.reduce((acc, r) => ({ ...acc, [r._id]: r.total }), {});
+  return roundAmount((totals.credit || 0) - (totals.debit || 0));
+}
+
+/**
+ * Wallet summary for a professional
+ * @param {string|ObjectId} professionalId
+ * @returns {Promise<{ available: number, pendingPayouts: number, totalEarnings: number }>}
+ */
+async function getWalletBalance(professionalId) {
+  const [available, pendingPayouts, totalEarnings] = await Promise.all([
+    getAccountBalance(walletAccount(professionalId)),
+    getAccountBalance(payoutsPendingAccount(professionalId)),
+    getEarnings(professionalId),
+  ]);
+  return { available, pendingPayouts, totalEarnings };
+}
+
+const earningsMatch = (professionalId, since) => ({
+  account: walletAccount(professionalId),
+  type: { $in: [...EARNING_CREDIT_TYPES, ...EARNING_DEBIT_TYPES] },
+  ...(since ? { createdAt: { $gte: since } } : {}),
+});
+
+const signedAmount = {
+  $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }],
+};
+
+/**
+ * Net earnings: payments and released escrow, less platform fees and refunds
+ * @param {string|ObjectId} professionalId
+ * @param {{ since?: Date }} options
+ * @returns {Promise<number>}
+ */
+async function getEarnings(professionalId, { since } = {}) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: earningsMatch(professionalId, since) },
+    { $group: { _id: null, total: { $sum: signedAmount } } },
+  ]);
+  return roundAmount(rows[0]?.total || 0);
+}
+
+/**
+ * Net earnings grouped by calendar month, shaped like the dashboard's other per-month series
+ * @param {string|ObjectId} professionalId
+ * @param {Date} since
+ */
+async function getEarningsPerMonth(professionalId, since) {
+  return LedgerEntry.aggregate([
+    { $match: earningsMatch(professionalId, since) },
+    { $group: { _id: { y: { $year: '$createdAt' }, m: { $month: '$createdAt' } }, total: { $sum: signedAmount } } },
+    { $sort: { '_id.y': 1, '_id.m': 1 } },
+  ]);
+}
+
+/**
+ * Paged wallet history for a professional (newest first)
+ * @param {string|ObjectId} professionalId
+ * @param {{ page?: number, limit?: number }} options
+ */
+async function getWalletEntries(professionalId, { page = 1, limit = 20 } = {}) {
+  const query = { account: walletAccount(professionalId) };
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(query).sort({ createdAt: -1, line: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    LedgerEntry.countDocuments(query),
+  ]);
+  return { entries, total };
+}
+
+module.exports = {
+  LedgerError,
+  ACCOUNTS,
+  walletAccount,
+  payoutsPendingAccount,
+  postJournal,
+  recordBookingPayment,
+  recordEscrowFunded,
+  recordEscrowRelease,
+  recordRefund,
+  recordPayoutRequested,
+  recordPayoutReversed,
+  recordPayoutPaid,
+  getAccountBalance,
+  getWalletBalance,
+  getEarnings,
+  getEarningsPerMonth,
+  getWalletEntries,
+};
@@ -61,7 +61,8 @@ const getTransporter = () => {
 
 const transporter = getTransporter();
 
-async function sendMail({ to, subject, html, text }) {
+// attachments: [{ filename, content: Buffer|string, contentType? }] - accepted by both Resend and nodemailer
+async function sendMail({ to, subject, html, text, attachments }) {
   const hasResendKey = !!process.env.RESEND_API_KEY;
   const canUseResendSdk = hasResendKey && !!ResendClient;
 
@@ -78,7 +79,10 @@ async function sendMail({ to, subject, html, text }) {
     console.log('📧 Attempting to send email:', { to, from, subject, service: 'Resend-HTTP' });
 
     try {
-      const result = await resend.emails.send({ from, to, subject, html, text });
+      const result = await resend.emails.send({
+        from, to, subject, html, text,
+        attachments: attachments?.map(({ filename, content }) => ({ filename, content })),
+      });
       if (result?.error) {
         throw new Error(result.error?.message || 'Resend API error');
       }
@@ -120,7 +124,7 @@ async function sendMail({ to, subject, html, text }) {
       console.warn('⚠️ SMTP verification failed, but will attempt to send anyway:', verifyError.message);
     }
 
-    const result = await transporter.sendMail({ from, to, subject, text, html });
+    const result = await transporter.sendMail({ from, to, subject, text, html, attachments });
     console.log('✅ Email sent successfully to:', to);
     return result;
   } catch (error) {
@@ -0,0 +1,261 @@
+const Job = require('../models/Job');
+const Professional = require('../models/Professional');
+const { notifyUser, notifyProfessional } = require('./notificationService');
+const { transitionJob, emitJobUpdate, EVENTS } = require('./jobStateMachine');
+const { releaseMilestoneEscrow } = require('./escrowService');
+const { recordJobEvent } = require('./jobTimelineService');
+
+/**
+ * Milestone jobs: larger jobs are split into stages, each with a title, amount
+ * and due date. The pro submits a milestone, the client approves it or asks
+ * for changes, and every approval releases that milestone's amount from held
+ * escrow. Approving the last milestone confirms the whole job.
+ */
+
+class MilestoneError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MilestoneError';
+    this.status = status;
+  }
+}
+
+const MAX_MILESTONES = 20;
+// Milestones can only be edited before work starts, and worked on while it runs
+const EDITABLE_STATES = ['posted', 'offer_pending'];
+const WORKING_STATES = ['in_progress', 'completed_by_pro', 'completed_by_user'];
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Validate milestones from a request body. Multipart forms send them as a JSON string.
+ * @param {Array|string|undefined} input
+ * @param {{ total?: number, maxTotal?: number }} [limits] - Amounts must add up to `total`, or stay within `maxTotal`
+ * @returns {Array<{ title: string, description?: string, amount: number, dueDate?: Date }>}
+ * @throws {MilestoneError}
+ */
+function parseMilestones(input, { total, maxTotal } = {}) {
+  if (input == null || input === '') return [];
+  let list = input;
+  if (typeof input === 'string') {
+    try {
+      list = JSON.parse(input);
+    } catch (_) {
+      throw new MilestoneError('Milestones must be a JSON array');
+    }
+  }
+  if (!Array.isArray(list)) throw new MilestoneError('Milestones must be an array');
+  if (list.length > MAX_MILESTONES) throw new MilestoneError(`A job can have at most ${MAX_MILESTONES} milestones`);
+
+  const milestones = list.map((item, index) => {
+    const title = String(item?.title || '').trim();
+    const amount = roundAmount(item?.amount);
+    if (!title) throw new MilestoneError(`Milestone ${index + 1} needs a title`);
+    if (!(amount > 0)) throw new MilestoneError(`Milestone ${index + 1} needs an amount greater than zero`);
+    let dueDate;
+    if (item.dueDate) {
+      dueDate = new Date(item.dueDate);
+      if (Number.isNaN(dueDate.getTime())) throw new MilestoneError(`Milestone ${index + 1} has an invalid due date`);
+    }
+    return { title, description: item.description ? String(item.description).trim() : undefined, amount, dueDate };
+  });
+
+  const sum = roundAmount(milestones.reduce((acc, m) => acc + m.amount, 0));
+  if (milestones.length && total != null && sum !== roundAmount(total)) {
+    throw new MilestoneError(`Milestone amounts add up to ${sum} but the price is ${roundAmount(total)}`);
+  }
+  if (milestones.length && maxTotal != null && sum > roundAmount(maxTotal)) {
+    throw new MilestoneError(`Milestone amounts add up to ${sum}, above the budget of ${roundAmount(maxTotal)}`);
+  }
+  return milestones;
+}
+
+function assertClient(job, user) {
+  if (String(job.client) !== String(user.id)) throw new MilestoneError('Only the client can do this', 403);
+}
+
+async function assertProfessional(job, user) {
+  const pro = job.professional ? await Professional.findById(job.professional).select('user') : null;
+  if (!pro?.user || String(pro.user) !== String(user.id)) {
+    throw new MilestoneError('Only the assigned professional can do this', 403);
+  }
+}
+
+const findMilestone = (job, milestoneId) => {
+  const milestone = job.milestones.id(milestoneId);
+  if (!milestone) throw new MilestoneError('Milestone not found', 404);
+  return milestone;
+};
+
+/**
+ * Move one milestone between statuses in a single conditional update, so two
+ * concurrent approvals cannot both release escrow
+ * @returns {Promise<Object>} - The updated job
+ */
+async function updateMilestone(job, milestoneId, fromStatuses, update) {
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      lifecycleState: { $in: WORKING_STATES },
+      milestones: { $elemMatch: { _id: milestoneId, status: { $in: fromStatuses } } },
+    },
+    update,
+    { new: true }
+  );
+  if (updated) return updated;
+
+  const current = await Job.findById(job._id);
+  if (!current) throw new MilestoneError('Job not found', 404);
+  if (!WORKING_STATES.includes(current.lifecycleState)) {
+    throw new MilestoneError(`Milestones cannot be changed while the job is ${current.lifecycleState}`, 409);
+  }
+  throw new MilestoneError(`Milestone is ${findMilestone(current, milestoneId).status}`, 409);
+}
+
+/**
+ * Replace a job's milestones before any professional is engaged
+ * @param {Object} job
+ * @param {{ user: Object, milestones: Array|string }} params
+ */
+async function setJobMilestones(job, { user, milestones }) {
+  assertClient(job, user);
+  if (!EDITABLE_STATES.includes(job.lifecycleState)) {
+    throw new MilestoneError('Milestones can only be changed before an application is accepted', 409);
+  }
+  job.milestones = parseMilestones(milestones, { maxTotal: job.budget?.max });
+  await job.save();
+  await recordJobEvent(job, 'milestones_updated', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { milestones: job.milestones.map((m) => ({ milestoneId: m._id, title: m.title, amount: m.amount })) },
+  });
+  return job;
+}
+
+/**
+ * The pro submits a milestone's work for approval
+ * @param {Object} job
+ * @param {string} milestoneId
+ * @param {{ user: Object, note?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The updated job
+ */
+async function submitMilestone(job, milestoneId, { user, note, io }) {
+  await assertProfessional(job, user);
+  findMilestone(job, milestoneId);
+
+  const updated = await updateMilestone(job, milestoneId, ['pending', 'changes_requested'], {
+    $set: {
+      'milestones.$.status': 'submitted',
+      'milestones.$.submittedAt': new Date(),
+      'milestones.$.submissionNote': note,
+    },
+  });
+  const milestone = updated.milestones.id(milestoneId);
+
+  await recordJobEvent(updated, 'milestone_submitted', {
+    actor: user.id,
+    actorRole: 'professional',
+    metadata: { milestoneId: milestone._id, title: milestone.title, amount: milestone.amount, note },
+  });
+  await notifyUser(updated.client, {
+    type: 'milestone_submitted',
+    title: 'Milestone Submitted',
+    message: `The milestone "${milestone.title}" of "${updated.title}" is ready for your approval.`,
+    data: { jobId: updated._id, metadata: { milestoneId: milestone._id } },
+  }, io);
+  await emitJobUpdate(updated, io);
+  return updated;
+}
+
+/**
+ * The client sends a submitted milestone back to the pro
+ * @param {Object} job
+ * @param {string} milestoneId
+ * @param {{ user: Object, note: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The updated job
+ */
+async function requestMilestoneChanges(job, milestoneId, { user, note, io }) {
+  assertClient(job, user);
+  findMilestone(job, milestoneId);
+  if (!note || !String(note).trim()) throw new MilestoneError('Describe the changes you need');
+
+  const updated = await updateMilestone(job, milestoneId, ['submitted'], {
+    $set: { 'milestones.$.status': 'changes_requested' },
+    $push: { 'milestones.$.changeRequests': { note, requestedAt: new Date() } },
+  });
+  const milestone = updated.milestones.id(milestoneId);
+
+  await recordJobEvent(updated, 'milestone_changes_requested', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { milestoneId: milestone._id, title: milestone.title, note },
+  });
+  await notifyProfessional(updated.professional, {
+    type: 'milestone_changes_requested',
+    title: 'Changes Requested',
+    message: `The client asked for changes to the milestone "${milestone.title}" of "${updated.title}".`,
+    data: { jobId: updated._id, metadata: { milestoneId: milestone._id } },
+  }, io);
+  await emitJobUpdate(updated, io);
+  return updated;
+}
+
+/**
+ * The client approves a submitted milestone. Its amount is released from held
+ * escrow; approving the last one confirms the job.
+ * @param {Object} job
+ * @param {string} milestoneId
+ * @param {{ user: Object, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The updated job
+ */
+async function approveMilestone(job, milestoneId, { user, io }) {
+  assertClient(job, user);
+  findMilestone(job, milestoneId);
+
+  let updated = await updateMilestone(job, milestoneId, ['submitted'], {
+    $set: { 'milestones.$.status': 'approved', 'milestones.$.approvedAt': new Date() },
+  });
+  const milestone = updated.milestones.id(milestoneId);
+
+  let release = null;
+  try {
+    release = await releaseMilestoneEscrow(updated, milestone, { io });
+  } catch (error) {
+    console.error('Milestone escrow release failed for job', String(updated._id), error?.message || error);
+  }
+  if (release) {
+    updated = await Job.findOneAndUpdate(
+      { _id: updated._id, 'milestones._id': milestone._id },
+      { $set: { 'milestones.$.releasedAmount': release.gross } },
+      { new: true }
+    );
+  }
+
+  await recordJobEvent(updated, 'milestone_approved', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { milestoneId: milestone._id, title: milestone.title, amount: milestone.amount, releasedAmount: release?.gross || 0 },
+  });
+  await notifyProfessional(updated.professional, {
+    type: 'milestone_approved',
+    title: 'Milestone Approved',
+    message: `The client approved the milestone "${milestone.title}" of "${updated.title}".`,
+    data: { jobId: updated._id, metadata: { milestoneId: milestone._id } },
+  }, io);
+
+  const allApproved = updated.milestones.every((m) => m.status === 'approved');
+  if (allApproved && EVENTS.confirm_completion.from.includes(updated.lifecycleState)) {
+    return transitionJob(updated, 'confirm_completion', { user, io });
+  }
+  await emitJobUpdate(updated, io);
+  return updated;
+}
+
+module.exports = {
+  MilestoneError,
+  parseMilestones,
+  setJobMilestones,
+  submitMilestone,
+  requestMilestoneChanges,
+  approveMilestone,
+};
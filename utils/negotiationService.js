@@ -0,0 +1,271 @@
+const Professional = require('../models/Professional');
+const { notifyUser } = require('./notificationService');
+const { transitionJob } = require('./jobStateMachine');
+const { recordJobEvent } = require('./jobTimelineService');
+const { parseMilestones } = require('./milestoneService');
+
+/**
+ * Negotiation on job applications. Every application carries a versioned
+ * thread of offers: version 1 is the application itself, and the client and
+ * the professional take turns countering with a new price, start date, scope
+ * or milestones. Either side accepts the other's latest offer through the
+ * accept_application transition (see jobStateMachine.acceptLatestOffer); the
+ * professional can also withdraw. Each step notifies the other side and emits
+ * `job:negotiation` to both.
+ */
+
+class NegotiationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NegotiationError';
+    this.status = status;
+  }
+}
+
+// Applications can only be negotiated while nobody has been picked
+const NEGOTIABLE_STATES = ['posted', 'offer_pending'];
+const MAX_OFFERS = 20;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * The first offer, built from the application's own terms
+ * @param {Object} application - Application subdocument or plain object
+ */
+const initialOffer = (application) => ({
+  version: 1,
+  by: 'professional',
+  price: application.proposedPrice,
+  scope: application.proposal,
+  estimatedDuration: application.estimatedDuration,
+  milestones: application.milestones?.length ? application.milestones : undefined,
+  status: 'open',
+  createdAt: application.appliedAt || new Date(),
+});
+
+/**
+ * Load an application and work out which side of it the user is on
+ * @returns {Promise<{ application: Object, side: 'client'|'professional', proUserId: string|null }>}
+ */
+async function getNegotiationParty(job, applicationId, user) {
+  const application = job.applications.id(applicationId);
+  if (!application) throw new NegotiationError('Application not found', 404);
+  const pro = await Professional.findById(application.professional).select('user');
+  const proUserId = pro?.user ? String(pro.user) : null;
+
+  let side = null;
+  if (String(job.client) === String(user.id)) side = 'client';
+  else if (proUserId && proUserId === String(user.id)) side = 'professional';
+  if (!side) throw new NegotiationError('Not authorized to negotiate on this application', 403);
+  return { application, side, proUserId };
+}
+
+/**
+ * Save a new offers thread (and application status) only if nobody changed the
+ * thread since the job was loaded
+ * @param {Object} job
+ * @param {Object} application - Subdocument of job
+ * @param {Array<Object>} offers
+ * @param {string} [status]
+ */
+async function saveOffers(job, application, offers, status) {
+  job.$where = {
+    lifecycleState: { $in: NEGOTIABLE_STATES },
+    applications: { $elemMatch: { _id: application._id, status: 'Pending', offers: { $size: application.offers.length } } },
+  };
+  application.offers = offers;
+  if (status) application.status = status;
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new NegotiationError('The negotiation was updated by someone else, please reload', 409);
+    }
+    if (error.name === 'ValidationError') throw new NegotiationError(error.message);
+    throw error;
+  } finally {
+    job.$where = undefined;
+  }
+}
+
+function assertNegotiable(job, application) {
+  if (!NEGOTIABLE_STATES.includes(job.lifecycleState)) {
+    throw new NegotiationError('This job is no longer open for negotiation', 409);
+  }
+  if (application.status !== 'Pending') {
+    throw new NegotiationError(`Application is ${application.status.toLowerCase()}`, 409);
+  }
+}
+
+// Push the step to both sides
+async function emitNegotiation(job, application, offer, io) {
+  if (!io) return;
+  const payload = { jobId: String(job._id), applicationId: String(application._id), status: application.status, offer };
+  const pro = await Professional.findById(application.professional).select('user').catch(() => null);
+  [job.client, pro?.user].filter(Boolean).forEach((userId) => io.to(String(userId)).emit('job:negotiation', payload));
+}
+
+// Tell the other side by notification, and both sides over the socket
+async function announce(job, application, { recipient, title, message, offer }, io) {
+  await notifyUser(recipient, {
+    type: 'job_application',
+    title,
+    message,
+    data: { jobId: job._id, professionalId: application.professional, metadata: { applicationId: application._id, version: offer?.version } },
+  }, io);
+  await emitNegotiation(job, application, offer, io);
+}
+
+/**
+ * Offers on an application, oldest first (version 1 is the application itself)
+ * @param {Object} job
+ * @param {string} applicationId
+ * @param {Object} user - req.user
+ */
+async function getOffers(job, applicationId, user) {
+  const { application, side } = await getNegotiationParty(job, applicationId, user);
+  const offers = application.offers.length ? application.offers : [initialOffer(application)];
+  const latest = offers[offers.length - 1];
+  return {
+    applicationId: application._id,
+    status: application.status,
+    offers,
+    // Whether the user can respond to the latest offer right now
+    awaitingResponse: application.status === 'Pending' && latest.status === 'open' && latest.by !== side,
+  };
+}
+
+/**
+ * Counter the other side's latest offer. Unspecified terms carry over.
+ * @param {Object} job
+ * @param {string} applicationId
+ * @param {{ user: Object, price?: number, date?: string, scope?: string, estimatedDuration?: string, milestones?: Array|string, note?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The new offer
+ */
+async function counterOffer(job, applicationId, { user, price, date, scope, estimatedDuration, milestones, note, io }) {
+  const { application, side, proUserId } = await getNegotiationParty(job, applicationId, user);
+  assertNegotiable(job, application);
+
+  const offers = application.offers.length
+    ? application.offers.map((o) => o.toObject())
+    : [initialOffer(application.toObject())];
+  const latest = offers[offers.length - 1];
+  if (latest.status !== 'open' || latest.by === side) {
+    throw new NegotiationError('You can only counter an open offer from the other side', 409);
+  }
+  if (offers.length >= MAX_OFFERS) throw new NegotiationError(`Negotiations are limited to ${MAX_OFFERS} offers`, 409);
+
+  const offer = {
+    version: latest.version + 1,
+    by: side,
+    price: price != null && price !== '' ? roundAmount(price) : latest.price,
+    date: latest.date,
+    scope: scope != null ? String(scope).trim() : latest.scope,
+    estimatedDuration: estimatedDuration || latest.estimatedDuration,
+    note,
+    status: 'open',
+    createdAt: new Date(),
+  };
+  if (!(offer.price >= 0)) throw new NegotiationError('Price must be a positive number');
+  if (date) {
+    offer.date = new Date(date);
+    if (Number.isNaN(offer.date.getTime())) throw new NegotiationError('Invalid date');
+  }
+  try {
+    const staged = parseMilestones(milestones, { total: offer.price });
+    if (staged.length) offer.milestones = staged;
+  } catch (error) {
+    throw new NegotiationError(error.message);
+  }
+  if (offer.price === latest.price && String(offer.date || '') === String(latest.date || '')
+    && offer.scope === latest.scope && offer.estimatedDuration === latest.estimatedDuration && !offer.milestones) {
+    throw new NegotiationError('A counter-offer must change the price, date, scope, duration or milestones');
+  }
+
+  latest.status = 'countered';
+  latest.respondedAt = offer.createdAt;
+  await saveOffers(job, application, [...offers, offer]);
+  const savedOffer = application.offers[application.offers.length - 1];
+
+  await recordJobEvent(job, 'offer_countered', {
+    actor: user.id,
+    actorRole: side === 'client' ? 'client' : 'applicant',
+    metadata: {
+      applicationId: application._id,
+      professional: application.professional,
+      version: savedOffer.version,
+      price: savedOffer.price,
+      date: savedOffer.date,
+    },
+  });
+  await announce(job, application, {
+    recipient: side === 'client' ? proUserId : job.client,
+    title: 'New Counter-offer',
+    message: `${side === 'client' ? 'The client' : 'The professional'} countered on "${job.title}" with ${savedOffer.price.toLocaleString()}.`,
+    offer: savedOffer,
+  }, io);
+  return savedOffer;
+}
+
+/**
+ * Accept the other side's latest offer: its terms become the job's agreed
+ * price and the job moves on as an accepted application
+ * @param {Object} job
+ * @param {string} applicationId
+ * @param {{ user: Object, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The updated job
+ */
+async function acceptOffer(job, applicationId, { user, io }) {
+  const { application } = await getNegotiationParty(job, applicationId, user);
+  assertNegotiable(job, application);
+  // Notifies whoever made the offer (see accept_application)
+  await transitionJob(job, 'accept_application', { user, io, applicationId });
+  const accepted = job.applications.id(applicationId);
+  await emitNegotiation(job, accepted, accepted.offers[accepted.offers.length - 1], io);
+  return job;
+}
+
+/**
+ * The professional withdraws their application and any open offer
+ * @param {Object} job
+ * @param {string} applicationId
+ * @param {{ user: Object, reason?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - The withdrawn application
+ */
+async function withdrawApplication(job, applicationId, { user, reason, io }) {
+  const { application, side } = await getNegotiationParty(job, applicationId, user);
+  if (side !== 'professional') throw new NegotiationError('Only the professional can withdraw an application', 403);
+  assertNegotiable(job, application);
+
+  const offers = application.offers.length
+    ? application.offers.map((o) => o.toObject())
+    : [initialOffer(application.toObject())];
+  const latest = offers[offers.length - 1];
+  if (latest.status === 'open') {
+    latest.status = 'withdrawn';
+    latest.respondedAt = new Date();
+  }
+  await saveOffers(job, application, offers, 'Withdrawn');
+
+  await recordJobEvent(job, 'application_withdrawn', {
+    actor: user.id,
+    actorRole: 'applicant',
+    metadata: { applicationId: application._id, professional: application.professional, reason },
+  });
+  await announce(job, application, {
+    recipient: job.client,
+    title: 'Application Withdrawn',
+    message: `A professional withdrew their application for "${job.title}".`,
+    offer: application.offers[application.offers.length - 1],
+  }, io);
+  return application;
+}
+
+module.exports = {
+  NegotiationError,
+  initialOffer,
+  getOffers,
+  counterOffer,
+  acceptOffer,
+  withdrawApplication,
+};
@@ -0,0 +1,38 @@
+const Notification = require('../models/Notification');
+const Professional = require('../models/Professional');
+
+/**
+ * Create an in-app notification and push it over Socket.IO when available
+ * @param {string|ObjectId} recipient - User id
+ * @param {{ type: string, title: string, message: string, data?: Object, priority?: string }} payload
+ * @param {import('socket.io').Server} [io]
+ * @returns {Promise<Object|null>} - The saved notification, or null if it could not be created
+ */
+async function notifyUser(recipient, payload, io) {
+  if (!recipient) return null;
+  try {
+    const notification = await Notification.create({ recipient, ...payload });
+    if (io) {
+      io.to(String(recipient)).emit('notification:new', notification);
+    }
+    return notification;
+  } catch (error) {
+    console.error('Create notification error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the user account behind a Professional id and notify it.
+ * Older records sometimes store the professional's user id directly, so that is accepted too.
+ * @param {string|ObjectId} professionalId
+ * @param {Object} payload - see notifyUser
+ * @param {import('socket.io').Server} [io]
+ */
+async function notifyProfessional(professionalId, payload, io) {
+  if (!professionalId) return null;
+  const pro = await Professional.findById(professionalId).select('user').catch(() => null);
+  return notifyUser(pro?.user || professionalId, payload, io);
+}
+
+module.exports = { notifyUser, notifyProfessional };
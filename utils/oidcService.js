@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const jwt = require('jsonwebtoken');
+const OidcNonce = require('../models/OidcNonce');
+
+/**
+ * Social sign-in: verification of OpenID Connect ID tokens from Google and Apple.
+ *
+ * Each provider is configured from the environment. Signing keys come from a JWKS
+ * location that may be an https URL, a file:// path or inline JSON, so a local
+ * stand-in issuer can be used outside production:
+ *   GOOGLE_CLIENT_ID / APPLE_CLIENT_ID   accepted audiences (comma-separated)
+ *   GOOGLE_OIDC_ISSUER / APPLE_OIDC_ISSUER
+ *   GOOGLE_JWKS_URI / APPLE_JWKS_URI     URL, file:// path or JSON key set
+ *
+ * Every sign-in starts with a nonce from issueNonce that the client passes to the
+ * provider; the ID token must carry it and it can be used once.
+ */
+
+class OidcError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+const PROVIDERS = {
+  google: {
+    issuers: (process.env.GOOGLE_OIDC_ISSUER || 'https://accounts.google.com,accounts.google.com').split(','),
+    jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    clientIds: process.env.GOOGLE_CLIENT_ID,
+  },
+  apple: {
+    issuers: (process.env.APPLE_OIDC_ISSUER || 'https://appleid.apple.com').split(','),
+    jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    clientIds: process.env.APPLE_CLIENT_ID,
+  },
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// An unknown kid triggers a refetch at most this often (key rotation)
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+const jwksCache = new Map();
+
+const splitList = (value) => String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+async function loadJwks(location) {
+  const source = location.trim();
+  if (source.startsWith('{')) return JSON.parse(source);
+  if (source.startsWith('file://')) return JSON.parse(await fs.readFile(new URL(source), 'utf8'));
+
+  const response = await fetch(source, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) throw new Error(`JWKS request failed with ${response.status}`);
+  return response.json();
+}
+
+// Signing keys of a provider, refetched when the kid is unknown
+async function getSigningKey(providerName, kid) {
+  const { jwksUri } = PROVIDERS[providerName];
+  const cached = jwksCache.get(providerName);
+  const now = Date.now();
+  const stale = !cached || now - cached.fetchedAt > JWKS_CACHE_TTL_MS;
+  const missing = cached && !cached.keys.has(kid) && now - cached.fetchedAt > JWKS_REFETCH_INTERVAL_MS;
+
+  let entry = cached;
+  if (stale || missing) {
+    try {
+      const jwks = await loadJwks(jwksUri);
+      const keys = new Map();
+      (jwks.keys || []).forEach((jwk) => {
+        if (jwk.kid && (!jwk.use || jwk.use === 'sig')) keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      });
+      entry = { keys, fetchedAt: now };
+      jwksCache.set(providerName, entry);
+    } catch (error) {
+      console.error(`${providerName} JWKS fetch failed:`, error.message);
+      if (!cached) throw new OidcError(`Unable to verify ${providerName} sign-in right now`, 503);
+    }
+  }
+  return entry.keys.get(kid);
+}
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Issue a single-use nonce for the next sign-in
+ * @returns {Promise<{ nonce: string, expiresIn: number }>}
+ */
+async function issueNonce() {
+  const nonce = crypto.randomBytes(24).toString('hex');
+  await OidcNonce.create({ nonceHash: sha256Hex(nonce), expiresAt: new Date(Date.now() + NONCE_TTL_MS) });
+  return { nonce, expiresIn: NONCE_TTL_MS / 1000 };
+}
+
+/**
+ * Verify an ID token and return the identity it asserts
+ * @param {string} providerName - 'google' | 'apple'
+ * @param {string} idToken
+ * @param {{ nonce: string }} options - Raw nonce from issueNonce; Apple tokens carry its SHA-256
+ * @returns {Promise<{ provider: string, subject: string, email?: string, emailVerified: boolean, name?: string }>}
+ */
+async function verifyIdToken(providerName, idToken, { nonce } = {}) {
+  const provider = PROVIDERS[providerName];
+  if (!provider) throw new OidcError('Unsupported sign-in provider', 400);
+  const audience = splitList(provider.clientIds);
+  if (!audience.length) throw new OidcError(`${providerName} sign-in is not configured`, 503);
+  if (!idToken) throw new OidcError('idToken required', 400);
+  if (!nonce) throw new OidcError('nonce required', 400);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) throw new OidcError('Invalid ID token');
+  const key = await getSigningKey(providerName, decoded.header.kid);
+  if (!key) throw new OidcError('Invalid ID token');
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      audience,
+      issuer: provider.issuers.map((i) => i.trim()),
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw new OidcError('Invalid or expired ID token');
+  }
+  if (!claims.sub) throw new OidcError('Invalid ID token');
+  if (claims.nonce !== nonce && claims.nonce !== sha256Hex(String(nonce))) {
+    throw new OidcError('ID token nonce mismatch');
+  }
+  // Used up here, so the same token is refused the second time
+  const issued = await OidcNonce.findOneAndDelete({ nonceHash: sha256Hex(String(nonce)), expiresAt: { $gt: new Date() } });
+  if (!issued) throw new OidcError('Sign-in nonce expired or already used');
+
+  return {
+    provider: providerName,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : undefined,
+    // Apple sends the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name,
+  };
+}
+
+module.exports = {
+  OidcError,
+  PROVIDER_NAMES,
+  issueNonce,
+  verifyIdToken,
+};
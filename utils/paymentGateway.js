@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+
+/**
+ * Payment gateway abstraction.
+ *
+ * Every adapter exposes the same async interface and returns amounts in major
+ * units (naira), so controllers never deal with provider specifics:
+ *   - initializeTransaction({ email, amount, currency, reference, callbackUrl, metadata, subaccount, platformFee })
+ *   - verifyTransaction(reference)
+ *   - refundTransaction({ reference, amount, reason })
+ *   - initiateTransfer({ amount, currency, recipient, reference, reason })
+ *   - verifyWebhookSignature(rawBody, signature)
+ *   - getWebhookEventId(payload)
+ *
+ * Paystack is used unless PAYMENT_GATEWAY=stub is set explicitly; without
+ * PAYSTACK_SECRET_KEY payments fail rather than falling back to the stub. The
+ * stub is refused when NODE_ENV=production.
+ */
+
+class PaymentGatewayError extends Error {
+  constructor(message, { status, response } = {}) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+const fromMinorUnits = (amount) => (amount == null ? undefined : Number(amount) / 100);
+
+/**
+ * Map a provider transaction status onto the statuses we act on.
+ * Anything that is not a definitive success/failure stays pending so the
+ * payment is left untouched until the gateway reports a final outcome.
+ * @param {string} status
+ * @returns {'success'|'failed'|'pending'}
+ */
+const normalizeStatus = (status) => {
+  if (status === 'success') return 'success';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+/**
+ * Map a provider refund status onto Refund.status
+ * @param {string} status
+ * @returns {'pending'|'processing'|'processed'|'failed'}
+ */
+const normalizeRefundStatus = (status) => {
+  if (['processing', 'processed', 'failed'].includes(status)) return status;
+  return 'pending';
+};
+
+/**
+ * Map a provider transfer status onto Payout transfer statuses
+ * @param {string} status
+ * @returns {'pending'|'success'|'failed'|'reversed'}
+ */
+const normalizeTransferStatus = (status) => {
+  if (['success', 'failed', 'reversed'].includes(status)) return status;
+  return 'pending';
+};
+
+/**
+ * Constant-time comparison of an HMAC-SHA512 hex signature over the raw request body
+ * @param {string} secret
+ * @param {Buffer|string} rawBody
+ * @param {string} signature
+ * @returns {boolean}
+ */
+const hmacSignatureMatches = (secret, rawBody, signature) => {
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+  const expected = crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+  const received = signature.trim().toLowerCase();
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Stable id for a webhook delivery. Paystack has no top-level event id, so the
+ * event name is combined with the id of the object it concerns.
+ */
+const webhookEventId = (payload) => {
+  const data = payload?.data || {};
+  const objectId = data.id ?? data.refund_reference ?? data.reference ?? data.transaction_reference ?? data.transfer_code;
+  if (!payload?.event || objectId == null) return null;
+  return `${payload.event}:${objectId}`;
+};
+
+/**
+ * Paystack adapter (https://paystack.com/docs/api/transaction)
+ * @param {{ secretKey?: string, baseUrl?: string }} options
+ */
+function createPaystackGateway({
+  secretKey = process.env.PAYSTACK_SECRET_KEY,
+  baseUrl = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+} = {}) {
+  if (!secretKey) {
+    throw new PaymentGatewayError('Paystack not configured. Please add PAYSTACK_SECRET_KEY to .env');
+  }
+
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${secretKey}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      throw new PaymentGatewayError(`Paystack request failed: ${error.message}`);
+    }
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result || result.status === false) {
+      throw new PaymentGatewayError(result?.message || `Paystack responded with ${response.status}`, {
+        status: response.status,
+        response: result,
+      });
+    }
+    return result.data;
+  };
+
+  return {
+    name: 'paystack',
+
+    async initializeTransaction({ email, amount, currency = 'NGN', reference, callbackUrl, metadata, subaccount, platformFee }) {
+      const payload = {
+        email,
+        amount: toMinorUnits(amount),
+        currency,
+        reference,
+        callback_url: callbackUrl,
+        metadata,
+      };
+      if (subaccount) {
+        // The platform keeps a flat fee and the professional's subaccount receives the rest
+        payload.subaccount = subaccount;
+        payload.transaction_charge = toMinorUnits(platformFee || 0);
+        payload.bearer = 'subaccount';
+      }
+
+      const data = await request('POST', '/transaction/initialize', payload);
+      return {
+        reference: data.reference,
+        accessCode: data.access_code,
+        authorizationUrl: data.authorization_url,
+        raw: data,
+      };
+    },
+
+    async verifyTransaction(reference) {
+      const data = await request('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+      return {
+        reference: data.reference,
+        status: normalizeStatus(data.status),
+        gatewayStatus: data.status,
+        amount: fromMinorUnits(data.amount),
+        currency: data.currency,
+        paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+        gatewayResponse: data.gateway_response,
+        raw: data,
+      };
+    },
+
+    async refundTransaction({ reference, amount, reason }) {
+      const data = await request('POST', '/refund', {
+        transaction: reference,
+        amount: amount != null ? toMinorUnits(amount) : undefined,
+        merchant_note: reason,
+      });
+      return {
+        reference: data.refund_reference || (data.id != null ? String(data.id) : undefined),
+        status: normalizeRefundStatus(data.status),
+        amount: fromMinorUnits(data.amount),
+        raw: data,
+      };
+    },
+
+    async initiateTransfer({ amount, currency = 'NGN', recipient, reference, reason }) {
+      const data = await request('POST', '/transfer', {
+        source: 'balance',
+        amount: toMinorUnits(amount),
+        currency,
+        recipient,
+        reference,
+        reason,
+      });
+      return {
+        reference: data.reference || reference,
+        transferCode: data.transfer_code,
+        status: normalizeTransferStatus(data.status),
+        raw: data,
+      };
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      // Paystack signs webhooks with the secret key (header: x-paystack-signature)
+      return hmacSignatureMatches(secretKey, rawBody, signature);
+    },
+
+    getWebhookEventId: webhookEventId,
+  };
+}
+
+/**
+ * Deterministic in-process adapter for tests and local development.
+ * Transactions succeed by default; set PAYMENT_STUB_OUTCOME=failed (or call
+ * setTransactionStatus) to exercise other outcomes. No network access is used.
+ * Webhooks are only accepted once PAYMENT_STUB_WEBHOOK_SECRET is set.
+ */
+function createStubGateway({
+  outcome = process.env.PAYMENT_STUB_OUTCOME || 'success',
+  webhookSecret = process.env.PAYMENT_STUB_WEBHOOK_SECRET,
+} = {}) {
+  const transactions = new Map();
+  let refundCount = 0;
+  let transferCount = 0;
+
+  return {
+    name: 'stub',
+
+    async initializeTransaction({ email, amount, currency = 'NGN', reference, metadata, subaccount, platformFee }) {
+      const transaction = {
+        reference,
+        email,
+        amount: Number(amount),
+        currency,
+        metadata,
+        subaccount,
+        platformFee,
+        status: outcome,
+        createdAt: new Date(),
+      };
+      transactions.set(reference, transaction);
+
+      const accessCode = `stub_${crypto.createHash('sha1').update(reference).digest('hex').slice(0, 12)}`;
+      return {
+        reference,
+        accessCode,
+        authorizationUrl: `${process.env.PAYMENT_STUB_CHECKOUT_URL || 'http://localhost:3000/stub-checkout'}/${accessCode}`,
+        raw: { ...transaction, access_code: accessCode },
+      };
+    },
+
+    async verifyTransaction(reference) {
+      const transaction = transactions.get(reference);
+      if (!transaction) {
+        throw new PaymentGatewayError('Transaction reference not found', { status: 404 });
+      }
+      const status = normalizeStatus(transaction.status);
+      return {
+        reference,
+        status,
+        gatewayStatus: transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        paidAt: status === 'success' ? transaction.createdAt : undefined,
+        gatewayResponse: status === 'success' ? 'Approved' : 'Declined',
+        raw: transaction,
+      };
+    },
+
+    async refundTransaction({ reference, amount, reason }) {
+      // Refunds settle immediately so flows can be exercised without webhooks
+      refundCount += 1;
+      const refund = {
+        reference: `stub_refund_${refundCount}`,
+        transaction_reference: reference,
+        amount: amount != null ? Number(amount) : transactions.get(reference)?.amount,
+        reason,
+        status: 'processed',
+      };
+      return { reference: refund.reference, status: 'processed', amount: refund.amount, raw: refund };
+    },
+
+    async initiateTransfer({ amount, currency = 'NGN', recipient, reference, reason }) {
+      // Transfers complete immediately, like refunds
+      transferCount += 1;
+      const transfer = {
+        reference,
+        transfer_code: `stub_transfer_${transferCount}`,
+        amount: Number(amount),
+        currency,
+        recipient,
+        reason,
+        status: 'success',
+      };
+      return { reference, transferCode: transfer.transfer_code, status: 'success', raw: transfer };
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      return hmacSignatureMatches(webhookSecret, rawBody, signature);
+    },
+
+    getWebhookEventId: webhookEventId,
+
+    /**
+     * Sign a payload the way the stub expects, for simulating webhooks locally
+     */
+    signWebhookPayload(rawBody) {
+      if (!webhookSecret) throw new PaymentGatewayError('PAYMENT_STUB_WEBHOOK_SECRET is not set');
+      return crypto.createHmac('sha512', webhookSecret).update(rawBody).digest('hex');
+    },
+
+    setTransactionStatus(reference, status) {
+      const transaction = transactions.get(reference);
+      if (transaction) transaction.status = status;
+    },
+  };
+}
+
+let gateway = null;
+
+/**
+ * Get the configured payment gateway (created once per process)
+ */
+function getPaymentGateway() {
+  if (!gateway) {
+    const useStub = (process.env.PAYMENT_GATEWAY || '').toLowerCase() === 'stub';
+    if (useStub && process.env.NODE_ENV === 'production') {
+      throw new PaymentGatewayError('The stub payment gateway cannot be used in production');
+    }
+    gateway = useStub ? createStubGateway() : createPaystackGateway();
+  }
+  return gateway;
+}
+
+/**
+ * Override the gateway used by the app (e.g. inject a stub in tests)
+ */
+function setPaymentGateway(nextGateway) {
+  gateway = nextGateway;
+}
+
+module.exports = {
+  PaymentGatewayError,
+  getPaymentGateway,
+  setPaymentGateway,
+  createPaystackGateway,
+  createStubGateway,
+};
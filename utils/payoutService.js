@@ -0,0 +1,249 @@
+const Payout = require('../models/Payout');
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const { getPaymentGateway } = require('./paymentGateway');
+const { getWalletBalance, recordPayoutRequested, recordPayoutReversed, recordPayoutPaid } = require('./ledgerService');
+const { notifyUser, notifyProfessional } = require('./notificationService');
+
+/**
+ * Wallet payouts: a professional requests a withdrawal of their available
+ * balance, the funds are set aside in the ledger, and an admin approves
+ * (transfer through the gateway) or rejects (funds returned) the request.
+ */
+
+class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.status = status;
+  }
+}
+
+const TRANSFER_WEBHOOK_STATUSES = {
+  'transfer.success': 'success',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed',
+};
+
+// Long enough for a balance check and a ledger post; a crashed request frees it by expiry
+const WALLET_LOCK_MS = 30 * 1000;
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+const getPayoutMinimum = () => Number(process.env.PAYOUT_MIN_AMOUNT || 1000);
+
+const formatAmount = (payout) => `${payout.currency} ${payout.amount.toLocaleString()}`;
+
+/**
+ * Request a payout of part of a professional's available wallet balance
+ * @param {Object} params
+ * @param {Object} params.professional - Professional document
+ * @param {string} params.requestedBy - User id of the professional
+ * @param {number} params.amount
+ * @param {string} [params.note]
+ * @param {import('socket.io').Server} [params.io]
+ * @returns {Promise<Object>} - The Payout document
+ */
+async function requestPayout({ professional, requestedBy, amount, note, io }) {
+  const payoutAmount = roundAmount(amount);
+  const minimum = getPayoutMinimum();
+  if (!(payoutAmount >= minimum)) {
+    throw new PayoutError(`Minimum payout amount is ${minimum}`);
+  }
+
+  // One request per wallet at a time, so two requests cannot both spend the same balance
+  const lockedUntil = new Date(Date.now() + WALLET_LOCK_MS);
+  const locked = await Professional.updateOne(
+    { _id: professional._id, $or: [{ walletLockedUntil: null }, { walletLockedUntil: { $lte: new Date() } }] },
+    { $set: { walletLockedUntil: lockedUntil } }
+  );
+  if (!locked.modifiedCount) {
+    throw new PayoutError('Another payout request is being processed, please try again', 409);
+  }
+
+  let payout;
+  try {
+    const { available } = await getWalletBalance(professional._id);
+    if (payoutAmount > available) {
+      throw new PayoutError(`Payout amount exceeds your available balance of ${available}`);
+    }
+
+    payout = await Payout.create({
+      professional: professional._id,
+      requestedBy,
+      amount: payoutAmount,
+      note,
+    });
+    await recordPayoutRequested(payout);
+  } finally {
+    await Professional.updateOne(
+      { _id: professional._id, walletLockedUntil: lockedUntil },
+      { $unset: { walletLockedUntil: 1 } }
+    );
+  }
+
+  const admins = await User.find({ role: 'admin' }).select('_id');
+  for (const admin of admins) {
+    await notifyUser(admin._id, {
+      type: 'payout_requested',
+      title: 'Payout Requested',
+      message: `${professional.name || 'A professional'} requested a payout of ${formatAmount(payout)}.`,
+      data: { professionalId: professional._id, metadata: { payoutId: payout._id } },
+    }, io);
+  }
+
+  return payout;
+}
+
+async function markPayoutPaid(payout, io) {
+  payout.status = 'paid';
+  payout.paidAt = new Date();
+  await payout.save();
+  await recordPayoutPaid(payout);
+
+  await notifyProfessional(payout.professional, {
+    type: 'payout_paid',
+    title: 'Payout Sent',
+    message: `Your payout of ${formatAmount(payout)} has been sent to your bank account.`,
+    data: { professionalId: payout.professional, metadata: { payoutId: payout._id } },
+  }, io);
+}
+
+async function markPayoutFailed(payout, reason, io) {
+  payout.status = 'failed';
+  payout.failureReason = reason;
+  await payout.save();
+  await recordPayoutReversed(payout);
+
+  await notifyProfessional(payout.professional, {
+    type: 'payout_failed',
+    title: 'Payout Failed',
+    message: `Your payout of ${formatAmount(payout)} could not be completed and was returned to your wallet.`,
+    data: { professionalId: payout.professional, metadata: { payoutId: payout._id } },
+  }, io);
+}
+
+const findPayout = async (payoutId) => {
+  const payout = await Payout.findById(payoutId);
+  if (!payout) throw new PayoutError('Payout not found', 404);
+  return payout;
+};
+
+/**
+ * Move a pending payout on to its review outcome. The status change is the
+ * claim, so of two concurrent reviews only one goes ahead.
+ * @returns {Promise<Object>} - The updated Payout
+ * @throws {PayoutError} - When the payout does not exist or is no longer pending
+ */
+async function claimPendingPayout(payoutId, update) {
+  const payout = await Payout.findOneAndUpdate({ _id: payoutId, status: 'pending' }, { $set: update }, { new: true });
+  if (payout) return payout;
+  const current = await findPayout(payoutId);
+  throw new PayoutError(`Payout is already ${current.status}`);
+}
+
+/**
+ * Approve a pending payout and send the transfer through the gateway
+ * @param {string} payoutId
+ * @param {{ reviewedBy: string, io?: import('socket.io').Server }} options
+ * @returns {Promise<Object>} - The updated Payout
+ */
+async function approvePayout(payoutId, { reviewedBy, io } = {}) {
+  const pending = await findPayout(payoutId);
+  if (pending.status !== 'pending') throw new PayoutError(`Payout is already ${pending.status}`);
+  const gateway = getPaymentGateway();
+
+  const professional = await Professional.findById(pending.professional).select('paystackRecipientCode');
+  const recipient = professional?.paystackRecipientCode;
+  if (!recipient && gateway.name !== 'stub') {
+    throw new PayoutError('Professional has no transfer recipient configured');
+  }
+
+  const payout = await claimPendingPayout(payoutId, {
+    status: 'processing',
+    reviewedBy,
+    reviewedAt: new Date(),
+    transfer: { reference: `fixfinder_payout_${pending._id}`, recipient },
+  });
+
+  let transfer;
+  try {
+    transfer = await gateway.initiateTransfer({
+      amount: payout.amount,
+      currency: payout.currency,
+      recipient,
+      reference: payout.transfer.reference,
+      reason: 'FixFinder wallet payout',
+    });
+  } catch (error) {
+    await markPayoutFailed(payout, error.message, io);
+    throw new PayoutError(`Transfer could not be initiated: ${error.message}`, 502);
+  }
+
+  payout.transfer.transferCode = transfer.transferCode;
+  if (transfer.status === 'success') {
+    await markPayoutPaid(payout, io);
+  } else if (transfer.status === 'failed' || transfer.status === 'reversed') {
+    await markPayoutFailed(payout, `Transfer ${transfer.status}`, io);
+  } else {
+    // Final outcome arrives with the transfer.* webhook
+    await payout.save();
+  }
+  return payout;
+}
+
+/**
+ * Reject a pending payout and return the funds to the wallet
+ * @param {string} payoutId
+ * @param {{ reviewedBy: string, reason?: string, io?: import('socket.io').Server }} options
+ * @returns {Promise<Object>} - The updated Payout
+ */
+async function rejectPayout(payoutId, { reviewedBy, reason, io } = {}) {
+  const payout = await claimPendingPayout(payoutId, {
+    status: 'rejected',
+    reviewedBy,
+    reviewedAt: new Date(),
+    rejectionReason: reason,
+  });
+  await recordPayoutReversed(payout);
+
+  await notifyProfessional(payout.professional, {
+    type: 'payout_rejected',
+    title: 'Payout Rejected',
+    message: `Your payout request of ${formatAmount(payout)} was rejected${reason ? `: ${reason}` : ''}. The funds are back in your wallet.`,
+    data: { professionalId: payout.professional, metadata: { payoutId: payout._id } },
+  }, io);
+  return payout;
+}
+
+/**
+ * Apply a transfer.* webhook event to the payout it belongs to.
+ * Returns false when the transfer is not a payout.
+ * @param {string} event
+ * @param {Object} data - Webhook payload data
+ * @param {{ io?: import('socket.io').Server }} options
+ */
+async function handlePayoutTransferWebhook(event, data, { io } = {}) {
+  const payout = await Payout.findOne({ 'transfer.reference': data.reference });
+  if (!payout) return false;
+  // Paid, failed and rejected payouts are final
+  if (payout.status !== 'processing') return true;
+
+  if (data.transfer_code) payout.transfer.transferCode = data.transfer_code;
+  const status = TRANSFER_WEBHOOK_STATUSES[event];
+  if (status === 'success') {
+    await markPayoutPaid(payout, io);
+  } else {
+    await markPayoutFailed(payout, data.reason || `Transfer ${status}`, io);
+  }
+  return true;
+}
+
+module.exports = {
+  PayoutError,
+  TRANSFER_WEBHOOK_STATUSES,
+  getPayoutMinimum,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  handlePayoutTransferWebhook,
+};
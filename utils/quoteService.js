@@ -0,0 +1,234 @@
+const Professional = require('../models/Professional');
+const { uploadBufferToCloudinary } = require('./index');
+const { calculateDistance } = require('./locationService');
+
+/**
+ * Structured quotes (RFQ). A client can post a job that requires quotes, with
+ * an optional deadline; professionals then apply with line items (labour,
+ * materials, transport, other), a validity period, warranty terms and
+ * attachments. compareQuotes lines the applications up side by side with
+ * normalised totals, each pro's rating, distance and completed jobs.
+ */
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+const LINE_ITEM_KINDS = ['labour', 'materials', 'transport', 'other'];
+const MAX_LINE_ITEMS = 30;
+const MAX_VALIDITY_DAYS = 180;
+const MAX_ATTACHMENTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort criteria: the field compared and its natural order
+const SORTS = {
+  price: { key: 'price', order: 'asc' },
+  rating: { key: 'rating', order: 'desc' },
+  distance: { key: 'distanceKm', order: 'asc' },
+  completed: { key: 'completedJobs', order: 'desc' },
+  warranty: { key: 'warrantyMonths', order: 'desc' },
+  validity: { key: 'validUntil', order: 'desc' },
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Validate a quote from a request body. Multipart forms send it as a JSON string.
+ * Validity is given as `validUntil` or `validForDays`.
+ * @param {Object|string|undefined} input
+ * @param {{ price?: number }} [options] - The line items must add up to `price`
+ * @returns {Object|null} - Quote for applications[].quote (without attachments), or null when there is none
+ * @throws {QuoteError}
+ */
+function parseQuote(input, { price } = {}) {
+  if (input == null || input === '') return null;
+  let spec = input;
+  if (typeof input === 'string') {
+    try {
+      spec = JSON.parse(input);
+    } catch (_) {
+      throw new QuoteError('Quote must be a JSON object');
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new QuoteError('Quote must be an object');
+
+  const items = spec.lineItems;
+  if (!Array.isArray(items) || !items.length) throw new QuoteError('A quote needs at least one line item');
+  if (items.length > MAX_LINE_ITEMS) throw new QuoteError(`A quote can have at most ${MAX_LINE_ITEMS} line items`);
+  const lineItems = items.map((item, index) => {
+    const kind = String(item?.kind || '').toLowerCase();
+    const description = String(item?.description || '').trim();
+    const quantity = item?.quantity == null || item.quantity === '' ? 1 : Number(item.quantity);
+    const unitPrice = roundAmount(item?.unitPrice);
+    if (!LINE_ITEM_KINDS.includes(kind)) {
+      throw new QuoteError(`Line item ${index + 1} must be one of ${LINE_ITEM_KINDS.join(', ')}`);
+    }
+    if (!description) throw new QuoteError(`Line item ${index + 1} needs a description`);
+    if (!(quantity > 0)) throw new QuoteError(`Line item ${index + 1} needs a quantity greater than zero`);
+    if (!(unitPrice >= 0)) throw new QuoteError(`Line item ${index + 1} needs a unit price`);
+    return { kind, description, quantity, unitPrice, amount: roundAmount(quantity * unitPrice) };
+  });
+  const total = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  if (price != null && total !== roundAmount(price)) {
+    throw new QuoteError(`Quote line items add up to ${total} but the proposed price is ${roundAmount(price)}`);
+  }
+
+  const quote = { lineItems, total, notes: spec.notes ? String(spec.notes).trim() : undefined };
+  if (spec.validUntil) {
+    quote.validUntil = new Date(spec.validUntil);
+    if (Number.isNaN(quote.validUntil.getTime())) throw new QuoteError('Invalid quote validity date');
+  } else if (spec.validForDays != null && spec.validForDays !== '') {
+    const days = Number(spec.validForDays);
+    if (!Number.isInteger(days) || days < 1) throw new QuoteError('validForDays must be a whole number of days');
+    quote.validUntil = new Date(Date.now() + days * DAY_MS);
+  }
+  if (quote.validUntil) {
+    if (quote.validUntil <= new Date()) throw new QuoteError('A quote must be valid until a future date');
+    if (quote.validUntil > new Date(Date.now() + MAX_VALIDITY_DAYS * DAY_MS)) {
+      throw new QuoteError(`A quote can be valid for at most ${MAX_VALIDITY_DAYS} days`);
+    }
+  }
+  if (spec.warranty) {
+    const months = spec.warranty.months == null || spec.warranty.months === '' ? undefined : Number(spec.warranty.months);
+    if (months != null && !(Number.isInteger(months) && months >= 0 && months <= 120)) {
+      throw new QuoteError('Warranty must be a whole number of months, up to 120');
+    }
+    quote.warranty = { months, terms: spec.warranty.terms ? String(spec.warranty.terms).trim() : undefined };
+  }
+  return quote;
+}
+
+/**
+ * Upload quote attachments (photos, PDFs) to Cloudinary
+ * @param {Array<Object>} files - multer files
+ * @returns {Promise<Array<Object>>}
+ */
+async function uploadQuoteAttachments(files = []) {
+  if (files.length > MAX_ATTACHMENTS) throw new QuoteError(`At most ${MAX_ATTACHMENTS} files can be attached to a quote`);
+  const attachments = [];
+  for (const file of files) {
+    let result;
+    try {
+      result = await uploadBufferToCloudinary(file.buffer, {
+        folder: 'fixfinder/quotes',
+        resource_type: 'auto',
+        timeout: 60000,
+      });
+    } catch (error) {
+      throw new QuoteError(`File upload failed: ${error.message}`, 502);
+    }
+    attachments.push({
+      url: result.secure_url,
+      publicId: result.public_id,
+      resourceType: result.resource_type,
+      fileName: file.originalname,
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Check a job still takes applications under its request for quotes
+ * @param {Object} job
+ * @param {Object|null} quote - parsed quote, if any
+ * @throws {QuoteError}
+ */
+function assertQuoteAccepted(job, quote) {
+  if (job.quoteDeadline && job.quoteDeadline < new Date()) {
+    throw new QuoteError('The deadline for quotes on this job has passed', 409);
+  }
+  if (job.requireQuote && !quote) throw new QuoteError('This job asks for a structured quote with line items');
+}
+
+// Quote amounts per line item kind
+const totalsByKind = (quote) => LINE_ITEM_KINDS.reduce((totals, kind) => {
+  totals[kind] = roundAmount(quote.lineItems.filter((item) => item.kind === kind).reduce((sum, item) => sum + item.amount, 0));
+  return totals;
+}, {});
+
+function compareValues(a, b, order) {
+  // Missing values (no rating, no location, ...) always go last
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return order === 'asc' ? a - b : b - a;
+}
+
+/**
+ * Applications on a job lined up for comparison. Each row carries the current
+ * price (the latest offer when negotiated), the quote broken down by line item
+ * kind, the quote's validity and warranty, and the pro's rating, distance from
+ * the job and completed job count.
+ * @param {Object} job
+ * @param {{ sort?: string, order?: 'asc'|'desc', statuses?: string[] }} [options]
+ * @returns {Promise<{ sort: string, order: string, quotes: Array<Object> }>}
+ */
+async function compareQuotes(job, { sort = 'price', order, statuses = ['Pending', 'Accepted'] } = {}) {
+  const criterion = Object.prototype.hasOwnProperty.call(SORTS, sort) && SORTS[sort];
+  if (!criterion) throw new QuoteError(`Sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  if (order && !['asc', 'desc'].includes(order)) throw new QuoteError('Order must be asc or desc');
+  const direction = order || criterion.order;
+
+  const applications = job.applications.filter((app) => statuses.includes(app.status));
+  const pros = await Professional.find({ _id: { $in: applications.map((app) => app.professional) } })
+    .select('name category ratingAvg ratingCount completedJobs isVerified location city');
+  const jobCoords = job.location?.coordinates;
+  const now = new Date();
+
+  const quotes = applications.map((app) => {
+    const pro = pros.find((p) => String(p._id) === String(app.professional));
+    const latest = app.offers?.length ? app.offers[app.offers.length - 1] : null;
+    const proCoords = pro?.location?.coordinates;
+    const distanceKm = jobCoords?.lat != null && jobCoords?.lng != null && proCoords?.lat != null && proCoords?.lng != null
+      ? Math.round(calculateDistance(jobCoords.lat, jobCoords.lng, proCoords.lat, proCoords.lng) * 10) / 10
+      : null;
+    const quote = app.quote;
+    return {
+      applicationId: app._id,
+      status: app.status,
+      professional: pro
+        ? { _id: pro._id, name: pro.name, category: pro.category, city: pro.city, isVerified: pro.isVerified }
+        : { _id: app.professional },
+      // What the client would pay now; differs from the quote after counter-offers
+      price: latest ? latest.price : app.proposedPrice,
+      negotiated: Boolean(latest && latest.version > 1),
+      quote: quote
+        ? {
+          total: quote.total,
+          totals: totalsByKind(quote),
+          lineItems: quote.lineItems,
+          validUntil: quote.validUntil,
+          expired: Boolean(quote.validUntil && quote.validUntil < now),
+          warranty: quote.warranty,
+          notes: quote.notes,
+          attachments: quote.attachments,
+        }
+        : null,
+      estimatedDuration: app.estimatedDuration,
+      rating: pro?.ratingCount ? pro.ratingAvg : null,
+      ratingCount: pro?.ratingCount || 0,
+      completedJobs: pro?.completedJobs || 0,
+      distanceKm,
+      warrantyMonths: quote?.warranty?.months ?? null,
+      validUntil: quote?.validUntil || null,
+      appliedAt: app.appliedAt,
+    };
+  });
+
+  quotes.sort((a, b) => compareValues(a[criterion.key], b[criterion.key], direction)
+    || new Date(a.appliedAt) - new Date(b.appliedAt));
+  return { sort, order: direction, quotes };
+}
+
+module.exports = {
+  QuoteError,
+  LINE_ITEM_KINDS,
+  parseQuote,
+  uploadQuoteAttachments,
+  assertQuoteAccepted,
+  compareQuotes,
+};
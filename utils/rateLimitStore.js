@@ -0,0 +1,105 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Counter stores for the rate limiter (middleware/rateLimiter.js).
+ *
+ * Limits use a sliding-window counter: requests are counted in fixed windows and
+ * the previous window is weighted by how much of it still overlaps the sliding
+ * one. A store only has to implement
+ *   hit(key, windowMs) -> { current, previous, windowStart }
+ *   reset(key)
+ * so a Redis adapter is an INCR + PEXPIRE on "<key>:<windowStart>" plus a GET of
+ * the previous window. RATE_LIMIT_STORE selects the store (memory | mongo).
+ */
+
+const windowStartFor = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+// Process-local counters. Fine for a single instance and for development.
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref?.();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const windowStart = windowStartFor(now, windowMs);
+    let entry = this.counters.get(key);
+
+    if (!entry || entry.windowStart < windowStart - windowMs) {
+      entry = { windowStart, current: 0, previous: 0, windowMs };
+    } else if (entry.windowStart < windowStart) {
+      entry = { windowStart, current: 0, previous: entry.current, windowMs };
+    }
+    entry.current += 1;
+    this.counters.set(key, entry);
+    return { current: entry.current, previous: entry.previous, windowStart };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  // Drop counters that can no longer affect a decision
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.counters) {
+      if (entry.windowStart + 2 * entry.windowMs <= now) this.counters.delete(key);
+    }
+  }
+}
+
+// Counters in MongoDB, shared across instances and surviving restarts
+class MongoStore {
+  async hit(key, windowMs) {
+    const windowStart = windowStartFor(Date.now(), windowMs);
+    const update = {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) },
+    };
+    const filter = { key, windowStart: new Date(windowStart) };
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two instances upserting the same new window: the loser retries as an update
+      if (error.code !== 11000) throw error;
+      counter = await RateLimitCounter.findOneAndUpdate(filter, update, { new: true });
+    }
+    const previous = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart - windowMs) })
+      .select('count')
+      .lean();
+    return { current: counter.count, previous: previous?.count || 0, windowStart };
+  }
+
+  async reset(key) {
+    await RateLimitCounter.deleteMany({ key });
+  }
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore(),
+};
+
+let defaultStore;
+
+/**
+ * The store selected by RATE_LIMIT_STORE (default memory)
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    defaultStore = STORES[name]();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  getDefaultStore,
+};
@@ -0,0 +1,847 @@
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Professional = require('../models/Professional');
+const RecurringSeries = require('../models/RecurringSeries');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { notifyUser, notifyProfessional } = require('./notificationService');
+const { transitionJob, emitJobUpdate, OPEN_STATES, TERMINAL_STATES } = require('./jobStateMachine');
+const { recordJobEvent } = require('./jobTimelineService');
+const { refundCancelledBooking } = require('./refundService');
+const { DEFAULT_TIMEZONE, TIME_WINDOWS, checkSchedule, zonedTimeToUtc, localDateKey, localMinutes } = require('./scheduleService');
+const { recordBookingEvent } = require('./bookingTimelineService');
+const { getCancellationPolicy, getBookingCancellationPolicy, getCancellationFee } = require('./bookingPolicyService');
+
+/**
+ * Recurring jobs and bookings (weekly cleaning, quarterly servicing). A series
+ * starts from an existing job or booking and an RRULE-style rule: daily, weekly
+ * (optionally on set weekdays) or monthly, every `interval` periods, ending on a
+ * date, after a number of occurrences, or never. Dates are computed on local
+ * days of the series' timezone at the first occurrence's local time of day.
+ *
+ * The sweep (runRecurrenceSweep) materialises occurrences RECURRENCE_HORIZON_DAYS
+ * ahead as their own jobs/bookings, skipping any that clash with the
+ * professional's bookings or schedule, and reminds both sides of job
+ * occurrences RECURRENCE_REMINDER_HOURS before each one (booking occurrences
+ * get the same reminders as any booking, see utils/backgroundTasks.js).
+ * Clients can skip, reschedule or cancel a single occurrence, or cancel the
+ * whole series.
+ */
+
+class RecurrenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecurrenceError';
+    this.status = status;
+  }
+}
+
+const HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS || 14);
+const REMINDER_HOURS = Number(process.env.RECURRENCE_REMINDER_HOURS || 24);
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 52;
+const MAX_OCCURRENCES = 366;
+// Upper bound on rule periods walked, so an open-ended rule cannot loop forever
+const MAX_PERIODS = 5000;
+// Occurrences materialised per series per sweep
+const MAX_PER_SWEEP = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bookings that hold the professional's time
+const BLOCKING_BOOKING_STATUSES = ['pending', 'confirmed', 'disputed'];
+const CHANGEABLE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const parseWeekday = (value) => {
+  const text = String(value).trim().toUpperCase();
+  const index = /^\d$/.test(text) ? Number(text) : WEEKDAYS.indexOf(text.slice(0, 2));
+  if (!(index >= 0 && index <= 6)) throw new RecurrenceError(`Invalid day of the week: ${value}`);
+  return index;
+};
+
+// 20271231T090000Z or 20271231 → ISO; anything else is left to Date to parse
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) return value;
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return `${y}-${m}-${d}T${hh}:${mm}:${ss}Z`;
+};
+
+const formatRRuleDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function parseRRuleString(text) {
+  const spec = {};
+  text.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value = ''] = part.split('=');
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ': spec.frequency = value; break;
+      case 'INTERVAL': spec.interval = value; break;
+      case 'BYDAY': spec.byWeekday = value; break;
+      case 'COUNT': spec.count = value; break;
+      case 'UNTIL': spec.until = parseRRuleDate(value); break;
+      default: throw new RecurrenceError(`Unsupported recurrence part: ${key}`);
+    }
+  });
+  return spec;
+}
+
+/**
+ * Validate a recurrence from a request body: either an RRULE string
+ * (FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10) or an object
+ * { frequency, interval, byWeekday, until, count }. Multipart forms send the object as a JSON string.
+ * @param {Object|string|undefined} input
+ * @param {{ startAt?: Date }} [options] - First occurrence, to check `until` against
+ * @returns {Object|null} - Rule for RecurringSeries.rule, or null when there is none
+ * @throws {RecurrenceError}
+ */
+function parseRecurrence(input, { startAt } = {}) {
+  if (input == null || input === '') return null;
+  let spec = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('{')) {
+      try {
+        spec = JSON.parse(text);
+      } catch (_) {
+        throw new RecurrenceError('Recurrence must be an RRULE string or an object');
+      }
+    } else {
+      spec = parseRRuleString(text);
+    }
+  }
+  if (!spec || typeof spec !== 'object') throw new RecurrenceError('Recurrence must be an RRULE string or an object');
+
+  const frequency = String(spec.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new RecurrenceError(`Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  const interval = spec.interval == null || spec.interval === '' ? 1 : Number(spec.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new RecurrenceError(`Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+  }
+  const rule = { frequency, interval, byWeekday: [] };
+
+  if (spec.byWeekday != null && spec.byWeekday !== '') {
+    if (frequency !== 'weekly') throw new RecurrenceError('Days of the week can only be set on weekly recurrences');
+    const days = Array.isArray(spec.byWeekday) ? spec.byWeekday : String(spec.byWeekday).split(',');
+    rule.byWeekday = [...new Set(days.map(parseWeekday))].sort((a, b) => a - b);
+  }
+  if (spec.until) {
+    // A bare date ends the recurrence at the end of that day, as in RRULE
+    rule.until = new Date(/^\d{4}-\d{2}-\d{2}$/.test(spec.until) ? `${spec.until}T23:59:59Z` : spec.until);
+    if (Number.isNaN(rule.until.getTime())) throw new RecurrenceError('Invalid recurrence end date');
+    if (startAt && rule.until <= new Date(startAt)) {
+      throw new RecurrenceError('The recurrence must end after the first occurrence');
+    }
+  }
+  if (spec.count != null && spec.count !== '') {
+    const count = Number(spec.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES) {
+      throw new RecurrenceError(`Recurrence count must be a whole number from 2 to ${MAX_OCCURRENCES}`);
+    }
+    rule.count = count;
+  }
+  if (rule.until && rule.count) {
+    throw new RecurrenceError('A recurrence ends on a date or after a number of occurrences, not both');
+  }
+  return rule;
+}
+
+/**
+ * The rule as an RRULE string
+ * @param {Object} rule
+ */
+const formatRRule = (rule) => [
+  `FREQ=${rule.frequency.toUpperCase()}`,
+  rule.interval > 1 && `INTERVAL=${rule.interval}`,
+  rule.byWeekday?.length && `BYDAY=${rule.byWeekday.map((day) => WEEKDAYS[day]).join(',')}`,
+  rule.count && `COUNT=${rule.count}`,
+  rule.until && `UNTIL=${formatRRuleDate(rule.until)}`,
+].filter(Boolean).join(';');
+
+// Candidate dates in the `period`-th step of the rule. Days are counted on the
+// local calendar, so an evening occurrence keeps its local weekday and time
+// whatever the UTC date is.
+function periodDates(rule, start, period, timeZone) {
+  const step = period * (rule.interval || 1);
+  const [year, month, day] = localDateKey(start, timeZone).split('-').map(Number);
+  const minutes = localMinutes(start, timeZone);
+  // Date.UTC rolls day and month overflow into the next month and year
+  const at = (y, m, d) => zonedTimeToUtc(new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10), minutes, timeZone);
+
+  if (rule.frequency === 'daily') return [at(year, month - 1, day + step)];
+  if (rule.frequency === 'weekly') {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const days = rule.byWeekday?.length ? rule.byWeekday : [weekday];
+    return days.map((target) => at(year, month - 1, day - weekday + step * 7 + target));
+  }
+  // Monthly on the first occurrence's day, or the last day of shorter months
+  const lastDay = new Date(Date.UTC(year, month + step, 0)).getUTCDate();
+  return [at(year, month - 1 + step, Math.min(day, lastDay))];
+}
+
+// Occurrence dates in order; like RRULE's DTSTART, the first occurrence is always startAt itself
+function* iterateOccurrences(rule, startAt, timeZone = DEFAULT_TIMEZONE) {
+  const start = new Date(startAt);
+  yield start;
+  let emitted = 1;
+  for (let period = 0; period < MAX_PERIODS; period += 1) {
+    for (const date of periodDates(rule, start, period, timeZone)) {
+      if (date <= start) continue;
+      if (rule.until && date > rule.until) return;
+      if (rule.count && emitted >= rule.count) return;
+      yield date;
+      emitted += 1;
+    }
+  }
+}
+
+/**
+ * Occurrence dates of a rule
+ * @param {Object} rule
+ * @param {Date} startAt - First occurrence
+ * @param {{ after?: Date, through?: Date, limit?: number, timeZone?: string }} [options] - `after` is exclusive, `through` inclusive
+ * @returns {Date[]}
+ */
+function listOccurrences(rule, startAt, { after, through, limit = 100, timeZone = DEFAULT_TIMEZONE } = {}) {
+  const dates = [];
+  for (const date of iterateOccurrences(rule, startAt, timeZone)) {
+    if (through && date > through) break;
+    if (after && date <= after) continue;
+    dates.push(date);
+    if (dates.length >= limit) break;
+  }
+  return dates;
+}
+
+const seriesTimeZone = (series) => series.timezone || DEFAULT_TIMEZONE;
+
+function isOccurrence(series, date) {
+  for (const candidate of iterateOccurrences(series.rule, series.startAt, seriesTimeZone(series))) {
+    if (candidate.getTime() === date.getTime()) return true;
+    if (candidate > date) return false;
+  }
+  return false;
+}
+
+const occurrenceModel = (series) => (series.kind === 'job' ? Job : Booking);
+const findException = (series, date) => series.exceptions.find((e) => e.date.getTime() === date.getTime());
+
+const parseDate = (value, field) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) throw new RecurrenceError(`A valid ${field} is required`);
+  return date;
+};
+
+const describeDate = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 16);
+
+const findOverlappingBooking = (professional, start, end, excludeId) => Booking.findOne({
+  professional,
+  status: { $in: BLOCKING_BOOKING_STATUSES },
+  date: { $lt: end },
+  endAt: { $gt: start },
+  ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+});
+
+/**
+ * A booking of the professional's that clashes with an occurrence at `scheduledAt`.
+ * Booking occurrences also clash with the pro's schedule (working hours, time
+ * off, buffer), returned as { code, message } rather than a booking.
+ * Jobs are checked over their preferred time window on their local day; flexible ones never clash.
+ * @param {Object} source - The occurrence itself, or the series template
+ */
+async function findConflict(series, source, scheduledAt, excludeId) {
+  if (series.kind === 'booking') {
+    const end = new Date(scheduledAt.getTime() + source.durationMinutes * 60000);
+    return (await findOverlappingBooking(source.professional, scheduledAt, end, excludeId))
+      || checkSchedule(source.professional, scheduledAt, end, { excludeId });
+  }
+  const window = TIME_WINDOWS[source.preferredTime];
+  if (!source.professional || !window) return null;
+  const timeZone = seriesTimeZone(series);
+  const dateKey = localDateKey(scheduledAt, timeZone);
+  return findOverlappingBooking(
+    source.professional,
+    zonedTimeToUtc(dateKey, window[0] * 60, timeZone),
+    zonedTimeToUtc(dateKey, window[1] * 60, timeZone)
+  );
+}
+
+// The professional's user account, for access checks
+async function getProfessionalUserId(series) {
+  if (!series.professional) return null;
+  const pro = await Professional.findById(series.professional).select('user');
+  return pro?.user ? String(pro.user) : null;
+}
+
+/**
+ * Load a series the user is the client or professional of
+ * @returns {Promise<{ series: Object, role: 'client'|'professional' }>}
+ */
+async function getSeriesForUser(seriesId, user) {
+  const series = await RecurringSeries.findById(seriesId).catch(() => null);
+  if (!series) throw new RecurrenceError('Recurring series not found', 404);
+  if (String(series.customer) === String(user.id)) return { series, role: 'client' };
+  if ((await getProfessionalUserId(series)) === String(user.id)) return { series, role: 'professional' };
+  throw new RecurrenceError('Not authorized to access this series', 403);
+}
+
+function assertCustomer(series, user) {
+  if (String(series.customer) !== String(user.id)) throw new RecurrenceError('Only the client can change this series', 403);
+}
+
+const notifySeriesProfessional = (series, payload, io) => series.professional && notifyProfessional(series.professional, {
+  type: 'recurring_occurrence',
+  ...payload,
+  data: { jobId: series.kind === 'job' ? series.job : undefined, professionalId: series.professional, metadata: { seriesId: series._id, ...payload.metadata } },
+}, io);
+
+/**
+ * Make an existing job or booking the first occurrence of a recurring series
+ * @param {Object} params
+ * @param {Object} params.user - req.user; must be the client
+ * @param {string} [params.jobId]
+ * @param {string} [params.bookingId]
+ * @param {Object|string} params.recurrence - see parseRecurrence
+ * @param {import('socket.io').Server} [params.io]
+ * @returns {Promise<Object>} - RecurringSeries document
+ */
+async function createSeries({ user, jobId, bookingId, recurrence, io }) {
+  if (!jobId === !bookingId) throw new RecurrenceError('Provide either jobId or bookingId');
+  const template = jobId
+    ? await Job.findById(jobId).catch(() => null)
+    : await Booking.findById(bookingId).catch(() => null);
+  if (!template) throw new RecurrenceError(`${jobId ? 'Job' : 'Booking'} not found`, 404);
+  return startSeries(template, { kind: jobId ? 'job' : 'booking', user, recurrence, io });
+}
+
+/**
+ * Start a series from a job or booking document, e.g. one that was just created
+ * @param {Object} template - Job or Booking document
+ * @param {{ kind: 'job'|'booking', user: Object, recurrence: Object|string, io?: import('socket.io').Server }} params
+ * @returns {Promise<Object>} - RecurringSeries document
+ */
+async function startSeries(template, { kind, user, recurrence, io }) {
+  const customer = kind === 'job' ? template.client : template.customer;
+  if (String(customer) !== String(user.id)) throw new RecurrenceError('Only the client can make this recurring', 403);
+  if (template.series) throw new RecurrenceError('This is already part of a recurring series', 409);
+  const upcoming = kind === 'job'
+    ? !TERMINAL_STATES.includes(template.lifecycleState)
+    : CHANGEABLE_BOOKING_STATUSES.includes(template.status);
+  if (!upcoming) throw new RecurrenceError('Only upcoming jobs and bookings can be made recurring', 409);
+
+  const startAt = kind === 'job' ? template.preferredDate : template.date;
+  const rule = parseRecurrence(recurrence, { startAt });
+  if (!rule) throw new RecurrenceError('A recurrence rule is required');
+
+  const professional = template.professional && await Professional.findById(template.professional).select('schedule.timezone');
+  const series = await RecurringSeries.create({
+    kind,
+    job: kind === 'job' ? template._id : undefined,
+    booking: kind === 'booking' ? template._id : undefined,
+    customer,
+    professional: template.professional || undefined,
+    rule,
+    startAt,
+    timezone: professional?.schedule?.timezone || DEFAULT_TIMEZONE,
+    materializedThrough: startAt,
+  });
+  // Claim the template, unless a concurrent request made it recurring first
+  const claimed = await occurrenceModel(series).findOneAndUpdate(
+    { _id: template._id, series: null },
+    { $set: { series: series._id, occurrenceDate: startAt } },
+    { new: true }
+  );
+  if (!claimed) {
+    await series.deleteOne();
+    throw new RecurrenceError('This is already part of a recurring series', 409);
+  }
+  template.set({ series: series._id, occurrenceDate: startAt });
+
+  if (kind === 'job') {
+    await recordJobEvent(claimed, 'recurrence_started', {
+      actor: user.id,
+      actorRole: 'client',
+      metadata: { seriesId: series._id, rrule: formatRRule(rule) },
+    });
+  }
+  await materializeSeries(series, { io });
+  return series;
+}
+
+// Create the job or booking for one occurrence
+async function createOccurrence(series, template, occurrenceDate, scheduledAt, io) {
+  const source = template.toObject();
+  if (series.kind === 'booking') {
+    const professional = await Professional.findById(source.professional).select('cancellationPolicy');
+    const booking = await Booking.create({
+      customer: source.customer,
+      professional: source.professional,
+      service: source.service,
+      date: scheduledAt,
+      endAt: new Date(scheduledAt.getTime() + source.durationMinutes * 60000),
+      durationMinutes: source.durationMinutes,
+      price: source.price,
+      notes: source.notes,
+      address: source.address,
+      city: source.city,
+      series: series._id,
+      occurrenceDate,
+      cancellationPolicy: getCancellationPolicy(professional),
+    });
+    await notifySeriesProfessional(series, {
+      title: 'Recurring Booking Scheduled',
+      message: `A recurring booking was scheduled for ${describeDate(scheduledAt)}.`,
+      metadata: { bookingId: booking._id },
+    }, io);
+    return booking;
+  }
+
+  const job = new Job({
+    title: source.title,
+    description: source.description,
+    requirements: source.requirements,
+    category: source.category,
+    location: source.location,
+    budget: source.budget,
+    preferredDate: scheduledAt,
+    preferredTime: source.preferredTime,
+    urgency: source.urgency,
+    media: (source.media || []).map(({ type, url, publicId }) => ({ type, url, publicId })),
+    milestones: (source.milestones || []).map(({ title, description, amount }) => ({ title, description, amount })),
+    client: source.client,
+    series: series._id,
+    occurrenceDate,
+  });
+  // With a professional on the series, each occurrence is a direct request for them to accept;
+  // otherwise it is posted again to the same audience
+  if (!source.professional) {
+    job.set({
+      visibility: source.visibility,
+      invitations: (source.invitations || [])
+        .filter((inv) => inv.status !== 'declined')
+        .map(({ professional, source: picked }) => ({ professional, source: picked })),
+    });
+  } else {
+    job.set({
+      professional: source.professional,
+      agreedPrice: source.agreedPrice,
+      conversation: source.conversation,
+      status: 'Pending',
+      lifecycleState: 'job_requested',
+    });
+  }
+  await job.save();
+  await recordJobEvent(job, 'created', {
+    actorRole: 'system',
+    fromState: null,
+    metadata: { title: job.title, seriesId: series._id, occurrenceDate },
+  });
+  if (job.professional) {
+    await notifyProfessional(job.professional, {
+      type: 'job_requested',
+      title: 'Recurring Job Scheduled',
+      message: `"${job.title}" is scheduled again for ${describeDate(scheduledAt)}.`,
+      data: { jobId: job._id, metadata: { seriesId: series._id } },
+    }, io);
+  }
+  await emitJobUpdate(job, io);
+  return job;
+}
+
+// Record an occurrence the professional cannot take; saved with the series
+function recordConflict(series, date, conflict) {
+  const outsideSchedule = !(conflict instanceof Booking);
+  series.conflicts.push({ date, conflictingBooking: outsideSchedule ? undefined : conflict._id, reason: outsideSchedule ? conflict.code : undefined });
+}
+
+// Tell both sides about a recorded conflict
+async function notifyConflict(series, date, conflict, io) {
+  const outsideSchedule = !(conflict instanceof Booking);
+  const clash = outsideSchedule ? "falls outside the professional's schedule" : 'clashes with another booking';
+  const payload = {
+    type: 'recurring_occurrence',
+    title: 'Recurring Occurrence Clashes',
+    message: `The occurrence on ${describeDate(date)} ${clash} and was not scheduled. Reschedule it to keep it.`,
+    data: { jobId: series.kind === 'job' ? series.job : undefined, professionalId: series.professional, metadata: { seriesId: series._id, date } },
+  };
+  await Promise.all([
+    notifyUser(series.customer, payload, io),
+    series.professional && notifyProfessional(series.professional, payload, io),
+  ]);
+}
+
+/**
+ * Create the series' occurrences up to RECURRENCE_HORIZON_DAYS ahead. Skipped and
+ * cancelled occurrences are left out, rescheduled ones created at their new date,
+ * and clashing ones recorded as conflicts instead. Safe to run concurrently.
+ * @param {Object} series
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<{ created: number, conflicts: number }>}
+ */
+async function materializeSeries(series, { io, now = new Date() } = {}) {
+  const result = { created: 0, conflicts: 0 };
+  if (series.status !== 'active') return result;
+
+  const template = await occurrenceModel(series).findById(series.kind === 'job' ? series.job : series.booking);
+  if (!template) {
+    series.status = 'cancelled';
+    series.cancelledAt = now;
+    series.cancellationReason = `The original ${series.kind} was deleted`;
+    await series.save();
+    return result;
+  }
+  // A job series picks up the professional once the first job has one
+  if (!series.professional && template.professional) series.professional = template.professional;
+
+  const previous = series.materializedThrough || series.startAt;
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const timeZone = seriesTimeZone(series);
+  const dates = listOccurrences(series.rule, series.startAt, { after: previous, through: horizon, limit: MAX_PER_SWEEP, timeZone });
+
+  const clashes = [];
+  for (const date of dates) {
+    const exception = findException(series, date);
+    if (exception && exception.action !== 'rescheduled') continue;
+    const scheduledAt = exception?.newDate || date;
+
+    const conflict = await findConflict(series, template, scheduledAt);
+    if (conflict) {
+      recordConflict(series, date, conflict);
+      clashes.push({ date, conflict });
+      result.conflicts += 1;
+      continue;
+    }
+    try {
+      await createOccurrence(series, template, date, scheduledAt, io);
+      result.created += 1;
+    } catch (error) {
+      // Already created by a concurrent sweep
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Up to the horizon, or only as far as this batch got
+  const reached = dates.length >= MAX_PER_SWEEP ? dates[dates.length - 1] : horizon;
+  if (reached > previous) series.materializedThrough = reached;
+  if (!listOccurrences(series.rule, series.startAt, { after: series.materializedThrough, limit: 1, timeZone }).length) {
+    series.status = 'completed';
+  }
+
+  series.$where = { materializedThrough: previous, status: 'active' };
+  try {
+    await series.save();
+  } catch (error) {
+    // Another sweep got there first and told both sides about its conflicts
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    return result;
+  } finally {
+    series.$where = undefined;
+  }
+  for (const { date, conflict } of clashes) await notifyConflict(series, date, conflict, io);
+  return result;
+}
+
+async function remind(recipients, { title, message, data }, email, io) {
+  await Promise.all([
+    notifyUser(recipients.customer, { type: 'reminder', title, message, data }, io),
+    recipients.professional && notifyProfessional(recipients.professional, { type: 'reminder', title, message, data }, io),
+  ]);
+  try {
+    const customer = await User.findById(recipients.customer).select('email');
+    await sendMail({ to: customer?.email, subject: title, html: `<p>${email}</p>` });
+  } catch (e) {}
+}
+
+/**
+ * Remind both sides of recurring job occurrences starting within RECURRENCE_REMINDER_HOURS
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<number>} - Reminders sent
+ */
+async function sendOccurrenceReminders({ io, now = new Date() } = {}) {
+  const until = new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000);
+  let sent = 0;
+
+  const jobs = await Job.find({
+    series: { $ne: null },
+    reminderSentAt: null,
+    lifecycleState: { $in: [...OPEN_STATES, 'in_progress'] },
+    preferredDate: { $gt: now, $lte: until },
+  });
+  for (const job of jobs) {
+    const claimed = await Job.findOneAndUpdate({ _id: job._id, reminderSentAt: null }, { $set: { reminderSentAt: now } });
+    if (!claimed) continue;
+    const when = `${describeDate(job.preferredDate).slice(0, 10)} (${job.preferredTime})`;
+    await remind({ customer: job.client, professional: job.professional }, {
+      title: 'Upcoming Job',
+      message: `Reminder: "${job.title}" is scheduled for ${when}.`,
+      data: { jobId: job._id, professionalId: job.professional, metadata: { seriesId: job.series } },
+    }, `Your recurring job "${job.title}" is scheduled for ${when}.`, io);
+    sent += 1;
+  }
+  return sent;
+}
+
+/**
+ * Materialise every active series that is behind the horizon, then send reminders
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<{ created: number, conflicts: number, reminded: number }>}
+ */
+async function runRecurrenceSweep({ io, now = new Date() } = {}) {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const due = await RecurringSeries.find({ status: 'active', materializedThrough: { $lt: horizon } });
+  const totals = { created: 0, conflicts: 0, reminded: 0 };
+  for (const series of due) {
+    try {
+      const { created, conflicts } = await materializeSeries(series, { io, now });
+      totals.created += created;
+      totals.conflicts += conflicts;
+    } catch (error) {
+      console.error('Recurring series sweep failed for', String(series._id), error.message);
+    }
+  }
+  totals.reminded = await sendOccurrenceReminders({ io, now });
+  return totals;
+}
+
+async function cancelOccurrenceDoc(series, occurrence, { user, reason, io }) {
+  if (series.kind === 'job') {
+    await transitionJob(occurrence, 'cancel', { user, io, reason: reason || 'Recurring occurrence cancelled' });
+    return occurrence;
+  }
+  // Same cancellation policy as a one-off booking
+  const professional = await Professional.findById(occurrence.professional).select('cancellationPolicy');
+  const { fee, feePercent } = getCancellationFee(occurrence, getBookingCancellationPolicy(occurrence, professional), { role: 'customer' });
+  const booking = await Booking.findOneAndUpdate(
+    { _id: occurrence._id, status: occurrence.status },
+    { status: 'cancelled', cancellation: { by: user.id, role: 'customer', reason, at: new Date(), fee, feePercent } },
+    { new: true }
+  );
+  if (!booking) throw new RecurrenceError('This booking was changed in the meantime; reload and try again', 409);
+  await recordBookingEvent(booking, 'cancelled', {
+    actor: user.id,
+    actorRole: 'customer',
+    fromStatus: occurrence.status,
+    metadata: { seriesId: series._id, reason, fee: fee || undefined },
+  });
+  try {
+    await refundCancelledBooking(booking, { io, fee });
+  } catch (refundError) {
+    console.error('Automatic refund failed for booking', String(booking._id), refundError.message);
+  }
+  return booking;
+}
+
+async function rescheduleOccurrenceDoc(series, occurrence, newDate, { user, io }) {
+  const conflict = await findConflict(series, occurrence, newDate, occurrence._id);
+  if (conflict) throw new RecurrenceError(conflict instanceof Booking ? 'The professional is not available at that time' : conflict.message, 409);
+
+  if (series.kind === 'booking') {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: occurrence._id, status: { $in: CHANGEABLE_BOOKING_STATUSES } },
+      {
+        $set: { date: newDate, endAt: new Date(newDate.getTime() + occurrence.durationMinutes * 60000) },
+        $inc: { rescheduleCount: 1 },
+        $unset: { remindersSent: 1 },
+      },
+      { new: true }
+    );
+    if (!booking) throw new RecurrenceError(`This booking is ${occurrence.status}`, 409);
+    await recordBookingEvent(booking, 'rescheduled', {
+      actor: user.id,
+      actorRole: 'customer',
+      fromStatus: occurrence.status,
+      metadata: { seriesId: series._id, from: occurrence.date, to: newDate },
+    });
+    return booking;
+  }
+
+  const job = await Job.findOneAndUpdate(
+    { _id: occurrence._id, lifecycleState: { $in: OPEN_STATES } },
+    { $set: { preferredDate: newDate }, $unset: { reminderSentAt: 1 } },
+    { new: true }
+  );
+  if (!job) throw new RecurrenceError('Only jobs that have not started can be rescheduled', 409);
+  await recordJobEvent(job, 'rescheduled', {
+    actor: user.id,
+    actorRole: 'client',
+    metadata: { seriesId: series._id, from: occurrence.preferredDate, to: newDate },
+  });
+  await emitJobUpdate(job, io);
+  return job;
+}
+
+const OCCURRENCE_ACTIONS = ['skipped', 'cancelled', 'rescheduled'];
+
+/**
+ * Skip, cancel or reschedule one occurrence, identified by the date the rule gave
+ * it. Materialised occurrences are changed in place (cancelled bookings are
+ * refunded); later ones are recorded as exceptions the sweep honours.
+ * @param {Object} series
+ * @param {{ user: Object, action: 'skipped'|'cancelled'|'rescheduled', date: string, newDate?: string, reason?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<{ series: Object, occurrence: Object|null }>}
+ */
+async function changeOccurrence(series, { user, action, date, newDate, reason, io }) {
+  assertCustomer(series, user);
+  if (!OCCURRENCE_ACTIONS.includes(action)) throw new RecurrenceError('Invalid action');
+  if (series.status === 'cancelled') throw new RecurrenceError('This series has been cancelled', 409);
+
+  const original = parseDate(date, 'occurrence date');
+  if (!isOccurrence(series, original)) throw new RecurrenceError('The series has no occurrence on that date', 404);
+  const existing = findException(series, original);
+  if (existing && existing.action !== 'rescheduled') {
+    throw new RecurrenceError(`That occurrence was already ${existing.action}`, 409);
+  }
+  let target;
+  if (action === 'rescheduled') {
+    target = parseDate(newDate, 'new date');
+    if (target <= new Date()) throw new RecurrenceError('Occurrences can only be moved to a future date');
+  }
+
+  let occurrence = await occurrenceModel(series).findOne({ series: series._id, occurrenceDate: original });
+  if (occurrence) {
+    occurrence = action === 'rescheduled'
+      ? await rescheduleOccurrenceDoc(series, occurrence, target, { user, io })
+      : await cancelOccurrenceDoc(series, occurrence, { user, reason, io });
+  } else if (original <= series.materializedThrough) {
+    // Passed over by the sweep: either it clashed, or it is in the past
+    const clashed = series.conflicts.some((c) => c.date.getTime() === original.getTime());
+    if (!clashed || original <= new Date()) throw new RecurrenceError('That occurrence has already passed', 409);
+    if (action === 'rescheduled') {
+      const template = await occurrenceModel(series).findById(series.kind === 'job' ? series.job : series.booking);
+      if (!template) throw new RecurrenceError(`The original ${series.kind} no longer exists`, 409);
+      if (await findConflict(series, template, target)) {
+        throw new RecurrenceError('The professional is not available at that time', 409);
+      }
+      occurrence = await createOccurrence(series, template, original, target, io);
+    }
+    series.conflicts = series.conflicts.filter((c) => c.date.getTime() !== original.getTime());
+  } else if (action === 'rescheduled') {
+    // Checked now so the client hears about a clash straight away; the sweep checks again
+    const template = await occurrenceModel(series).findById(series.kind === 'job' ? series.job : series.booking);
+    if (template && await findConflict(series, template, target)) {
+      throw new RecurrenceError('The professional is not available at that time', 409);
+    }
+  }
+
+  if (existing) {
+    existing.set({ action, newDate: target, reason, at: new Date() });
+  } else {
+    series.exceptions.push({ date: original, action, newDate: target, reason });
+  }
+  await series.save();
+
+  await notifySeriesProfessional(series, {
+    title: `Recurring Occurrence ${action.charAt(0).toUpperCase()}${action.slice(1)}`,
+    message: target
+      ? `The client moved the occurrence on ${describeDate(original)} to ${describeDate(target)}.`
+      : `The client ${action} the occurrence on ${describeDate(original)}.`,
+    metadata: { date: original, newDate: target },
+  }, io);
+  return { series, occurrence };
+}
+
+/**
+ * Cancel the whole series: no more occurrences are created, and upcoming ones
+ * that have not started are cancelled (paid bookings are refunded)
+ * @param {Object} series
+ * @param {{ user: Object, reason?: string, io?: import('socket.io').Server }} params
+ * @returns {Promise<{ series: Object, cancelled: number }>}
+ */
+async function cancelSeries(series, { user, reason, io }) {
+  assertCustomer(series, user);
+  if (series.status === 'cancelled') throw new RecurrenceError('This series has already been cancelled', 409);
+  const now = new Date();
+  series.status = 'cancelled';
+  series.cancelledAt = now;
+  series.cancellationReason = reason;
+  await series.save();
+
+  const upcoming = series.kind === 'job'
+    ? await Job.find({ series: series._id, lifecycleState: { $in: OPEN_STATES } })
+    : await Booking.find({ series: series._id, status: { $in: CHANGEABLE_BOOKING_STATUSES }, date: { $gte: now } });
+  let cancelled = 0;
+  for (const occurrence of upcoming) {
+    try {
+      await cancelOccurrenceDoc(series, occurrence, { user, reason: reason || 'Recurring series cancelled', io });
+      cancelled += 1;
+    } catch (error) {
+      console.error('Could not cancel occurrence', String(occurrence._id), 'of series', String(series._id), error.message);
+    }
+  }
+
+  await notifySeriesProfessional(series, {
+    title: 'Recurring Series Cancelled',
+    message: `The client cancelled a recurring ${series.kind}${reason ? `: ${reason}` : ''}.`,
+  }, io);
+  return { series, cancelled };
+}
+
+/**
+ * The next occurrences of a series with what will happen to each
+ * @param {Object} series
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<Array<{ date: Date, scheduledAt: Date, status: string, occurrence: Object|null }>>}
+ */
+async function getUpcomingOccurrences(series, { limit = 10 } = {}) {
+  if (series.status === 'cancelled') return [];
+  const dates = listOccurrences(series.rule, series.startAt, { after: new Date(), limit, timeZone: seriesTimeZone(series) });
+  const docs = await occurrenceModel(series).find({ series: series._id, occurrenceDate: { $in: dates } })
+    .select(series.kind === 'job' ? 'title lifecycleState preferredDate preferredTime occurrenceDate' : 'date endAt status occurrenceDate');
+  return dates.map((date) => {
+    const occurrence = docs.find((doc) => doc.occurrenceDate.getTime() === date.getTime()) || null;
+    const exception = findException(series, date);
+    const conflict = series.conflicts.some((c) => c.date.getTime() === date.getTime());
+    let status = 'upcoming';
+    if (occurrence) status = 'scheduled';
+    else if (exception && exception.action !== 'rescheduled') status = exception.action;
+    else if (conflict) status = 'conflict';
+    else if (exception) status = 'rescheduled';
+    return {
+      date,
+      scheduledAt: occurrence ? (occurrence.date || occurrence.preferredDate) : exception?.newDate || date,
+      status,
+      occurrence,
+    };
+  });
+}
+
+/**
+ * Series the user is the client or professional of, newest first
+ * @param {Object} user - req.user
+ * @param {{ status?: string, page?: number, limit?: number }} [options]
+ */
+async function listUserSeries(user, { status, page = 1, limit = 20 } = {}) {
+  const pro = await Professional.findOne({ user: user.id }).select('_id');
+  const filter = { $or: [{ customer: user.id }, ...(pro ? [{ professional: pro._id }] : [])] };
+  if (status) filter.status = status;
+  const [series, total] = await Promise.all([
+    RecurringSeries.find(filter)
+      .populate('job', 'title lifecycleState')
+      .populate('booking', 'date status')
+      .populate('professional', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    RecurringSeries.countDocuments(filter),
+  ]);
+  return { series, total };
+}
+
+module.exports = {
+  RecurrenceError,
+  parseRecurrence,
+  formatRRule,
+  listOccurrences,
+  getSeriesForUser,
+  createSeries,
+  startSeries,
+  materializeSeries,
+  sendOccurrenceReminders,
+  runRecurrenceSweep,
+  changeOccurrence,
+  cancelSeries,
+  getUpcomingOccurrences,
+  listUserSeries,
+};
@@ -0,0 +1,327 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { getPaymentGateway } = require('./paymentGateway');
+const { notifyUser, notifyProfessional } = require('./notificationService');
+const { sendMail } = require('./mailer');
+const { recordRefund } = require('./ledgerService');
+const { recordBookingEvent } = require('./bookingTimelineService');
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded'];
+
+const REFUND_WEBHOOK_STATUSES = {
+  'refund.pending': 'pending',
+  'refund.processing': 'processing',
+  'refund.processed': 'processed',
+  'refund.failed': 'failed',
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+// Slack for rounding when adding up amounts in cents
+const AMOUNT_EPSILON = 0.001;
+
+async function sumRefundsInFlight(payment) {
+  const inFlight = await Refund.aggregate([
+    { $match: { payment: payment._id, status: { $in: ['pending', 'processing'] } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return inFlight[0]?.total || 0;
+}
+
+/**
+ * Amount that can still be refunded: what was paid, minus refunds already
+ * processed and refunds still in flight with the gateway
+ * @param {Object} payment - Payment document
+ * @returns {Promise<number>}
+ */
+async function getRefundableAmount(payment) {
+  if (payment.refundReservedAmount != null) return roundAmount(payment.amount - payment.refundReservedAmount);
+  return roundAmount(payment.amount - (payment.refundedAmount || 0) - (await sumRefundsInFlight(payment)));
+}
+
+/**
+ * Set aside `amount` of a payment for a refund. The check and the reservation
+ * are one conditional update, so concurrent refunds cannot together exceed
+ * what was paid.
+ * @returns {Promise<Object|null>} - The updated Payment, or null when the amount is no longer available
+ */
+async function reserveRefundAmount(payment, amount) {
+  // Payments from before reservations were tracked start from their refunds so far
+  if (payment.refundReservedAmount == null) {
+    const reserved = roundAmount((payment.refundedAmount || 0) + (await sumRefundsInFlight(payment)));
+    await Payment.updateOne({ _id: payment._id, refundReservedAmount: null }, { $set: { refundReservedAmount: reserved } });
+  }
+  return Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: { $lte: [{ $add: ['$refundReservedAmount', amount] }, { $add: ['$amount', AMOUNT_EPSILON] }] },
+    },
+    { $inc: { refundReservedAmount: amount } },
+    { new: true }
+  );
+}
+
+// Give back the reservation of a refund that failed
+const releaseRefundAmount = (refund) =>
+  Payment.updateOne({ _id: refund.payment, refundReservedAmount: { $ne: null } }, { $inc: { refundReservedAmount: -refund.amount } });
+
+async function notifyRefundParties(refund, payment, io) {
+  const amountText = `${refund.currency} ${refund.amount.toLocaleString()}`;
+  const fullyRefunded = payment.status === 'refunded';
+  const data = {
+    professionalId: payment.professional,
+    jobId: payment.job,
+    metadata: { paymentId: payment._id, refundId: refund._id, bookingId: payment.booking },
+  };
+
+  await notifyUser(payment.customer, {
+    type: 'payment_refunded',
+    title: 'Refund Processed',
+    message: `${amountText} has been refunded to you${fullyRefunded ? '' : ' (partial refund)'}.`,
+    data,
+  }, io);
+  await notifyProfessional(payment.professional, {
+    type: 'payment_refunded',
+    title: 'Payment Refunded',
+    message: `${amountText} from a customer payment was refunded${refund.reason ? `: ${refund.reason}` : ''}.`,
+    data,
+  }, io);
+
+  try {
+    const customer = await User.findById(payment.customer).select('email name');
+    await sendMail({
+      to: customer?.email,
+      subject: 'FixFinder - Refund Processed',
+      html: `<p>Hello ${customer?.name || ''},</p><p>${amountText} has been refunded to your original payment method. It may take a few business days to reflect.</p>`,
+    });
+  } catch (error) {
+    console.error('Refund email failed for refund', String(refund._id), error.message);
+  }
+}
+
+/**
+ * Mark a refund as processed and roll it into its payment. Safe to call more than once.
+ * @param {Object} refund - Refund document
+ * @param {{ io?: import('socket.io').Server }} options
+ */
+async function applyRefundProcessed(refund, { io } = {}) {
+  const set = { status: 'processed', processedAt: new Date() };
+  if (refund.gatewayReference) set.gatewayReference = refund.gatewayReference;
+  if (refund.gatewayData) set.gatewayData = refund.gatewayData;
+  // Claimed first so duplicate or concurrent deliveries apply the refund once
+  const claimed = await Refund.findOneAndUpdate({ _id: refund._id, processedAt: null }, { $set: set }, { new: true });
+  if (!claimed) return;
+  refund.set(set);
+
+  // Added with $inc so concurrent refunds of one payment are all counted
+  const payment = await Payment.findOneAndUpdate(
+    { _id: refund.payment },
+    { $inc: { refundedAmount: refund.amount }, $set: { refundedAt: set.processedAt } },
+    { new: true }
+  );
+  if (!payment) return;
+  // Escrow that was never released goes back from escrow, not the professional's wallet.
+  // Decided when the refund was issued: a partial refund may settle after the rest is released
+  const fromEscrow = refund.fromEscrow != null
+    ? refund.fromEscrow
+    : payment.purpose === 'job_escrow' && payment.escrow?.status !== 'released';
+
+  // Status follows the total the increment returned; only the latest increment writes it
+  const refundedAmount = payment.refundedAmount;
+  const fullyRefunded = refundedAmount >= payment.amount - AMOUNT_EPSILON;
+  const update = { refundedAmount: roundAmount(refundedAmount), status: fullyRefunded ? 'refunded' : 'partially_refunded' };
+  if (payment.purpose === 'job_escrow' && fullyRefunded) {
+    update['escrow.status'] = 'refunded';
+  } else if (payment.escrow?.status === 'held' && refundedAmount + (payment.escrow.releasedAmount || 0) >= payment.amount - AMOUNT_EPSILON) {
+    // The rest was already paid out through milestones
+    update['escrow.status'] = 'released';
+  }
+  await Payment.updateOne({ _id: payment._id, refundedAmount }, { $set: update });
+  payment.set(update);
+  await recordRefund(refund, payment, { fromEscrow });
+
+  if (payment.status === 'refunded' && payment.booking) {
+    const previous = await Booking.findOneAndUpdate(
+      { _id: payment.booking, status: { $ne: 'cancelled' } },
+      { status: 'cancelled' }
+    );
+    if (previous) {
+      await recordBookingEvent(previous, 'cancelled', {
+        actorRole: 'system',
+        toStatus: 'cancelled',
+        metadata: { reason: 'Payment refunded in full', refundId: refund._id },
+      });
+    }
+  }
+
+  await notifyRefundParties(refund, payment, io);
+}
+
+/**
+ * Refund all or part of a successful payment through the configured gateway
+ * @param {Object} params
+ * @param {Object} params.payment - Payment document
+ * @param {number} [params.amount] - Defaults to the full refundable amount
+ * @param {string} [params.reason]
+ * @param {'admin'|'policy'|'dispute'} params.source
+ * @param {string} [params.requestedBy] - User id of the admin issuing the refund
+ * @param {import('socket.io').Server} [params.io]
+ * @returns {Promise<Object>} - The Refund document
+ */
+async function issueRefund({ payment, amount, reason, source, requestedBy, io }) {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new RefundError('Only successful payments can be refunded');
+  }
+
+  const refundable = await getRefundableAmount(payment);
+  const refundAmount = amount == null ? refundable : roundAmount(amount);
+  if (!(refundAmount > 0)) {
+    throw new RefundError('Refund amount must be greater than zero');
+  }
+  if (refundAmount > refundable) {
+    throw new RefundError(`Refund amount exceeds the refundable balance of ${refundable}`);
+  }
+  if (!(await reserveRefundAmount(payment, refundAmount))) {
+    // Another refund took part of the balance since it was read
+    const current = await Payment.findById(payment._id);
+    throw new RefundError(`Refund amount exceeds the refundable balance of ${current ? await getRefundableAmount(current) : 0}`, 409);
+  }
+
+  const gateway = getPaymentGateway();
+  const refund = await Refund.create({
+    payment: payment._id,
+    booking: payment.booking,
+    job: payment.job,
+    customer: payment.customer,
+    professional: payment.professional,
+    amount: refundAmount,
+    currency: payment.currency,
+    reason,
+    source,
+    requestedBy,
+    fromEscrow: payment.purpose === 'job_escrow' ? payment.escrow?.status === 'held' : false,
+    gateway: gateway.name,
+  });
+
+  let result;
+  try {
+    result = await gateway.refundTransaction({ reference: payment.paystackReference, amount: refundAmount, reason });
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+    await releaseRefundAmount(refund);
+    throw new RefundError(`Refund could not be initiated: ${error.message}`, 502);
+  }
+
+  refund.gatewayReference = result.reference;
+  refund.gatewayData = result.raw;
+  if (result.status === 'processed') {
+    await applyRefundProcessed(refund, { io });
+  } else {
+    refund.status = result.status;
+    await refund.save();
+  }
+  return refund;
+}
+
+/**
+ * Refund policy for cancelled bookings: a successful payment is refunded in
+ * full, less any late-cancellation fee (see utils/bookingPolicyService.js)
+ * @param {Object} booking - Booking document
+ * @param {{ io?: import('socket.io').Server, fee?: number }} options
+ * @returns {Promise<Object|null>} - The Refund, or null when there is nothing to refund
+ */
+async function refundCancelledBooking(booking, { io, fee = 0 } = {}) {
+  const payment = await Payment.findOne({ booking: booking._id, status: { $in: REFUNDABLE_STATUSES } });
+  if (!payment) return null;
+  const refundable = await getRefundableAmount(payment);
+  const amount = roundAmount(refundable - fee);
+  if (amount <= 0) return null;
+  return issueRefund({
+    payment,
+    amount,
+    source: 'policy',
+    reason: fee > 0 ? `Booking cancelled (late cancellation fee ${roundAmount(fee)} kept)` : 'Booking cancelled',
+    io,
+  });
+}
+
+/**
+ * Apply a refund.* webhook event. Returns false when it concerns no known payment.
+ * @param {string} event
+ * @param {Object} data - Webhook payload data
+ * @param {{ io?: import('socket.io').Server }} options
+ */
+async function handleRefundWebhook(event, data, { io } = {}) {
+  const status = REFUND_WEBHOOK_STATUSES[event];
+  const payment = await Payment.findByReference(data.transaction_reference);
+
+  let refund = data.refund_reference ? await Refund.findOne({ gatewayReference: data.refund_reference }) : null;
+  if (!refund && payment) {
+    refund = await Refund.findOne({
+      payment: payment._id,
+      status: { $in: ['pending', 'processing'] },
+      amount: Number(data.amount) / 100,
+    }).sort({ createdAt: 1 });
+  }
+  if (!refund) {
+    if (!payment) return false;
+    // Refund started outside the app (e.g. from the Paystack dashboard)
+    refund = await Refund.create({
+      payment: payment._id,
+      booking: payment.booking,
+      job: payment.job,
+      customer: payment.customer,
+      professional: payment.professional,
+      amount: Number(data.amount) / 100,
+      currency: data.currency || payment.currency,
+      source: 'gateway',
+      gateway: getPaymentGateway().name,
+      gatewayReference: data.refund_reference,
+    });
+    // Already under way at the gateway, so reserved whatever the balance says
+    await Payment.updateOne({ _id: payment._id, refundReservedAmount: { $ne: null } }, { $inc: { refundReservedAmount: refund.amount } });
+  }
+
+  // Final states are never overwritten by late or out-of-order deliveries
+  if (refund.status === 'processed' || refund.status === 'failed') return true;
+
+  if (data.refund_reference) refund.gatewayReference = data.refund_reference;
+  refund.gatewayData = data;
+
+  if (status === 'processed') {
+    await applyRefundProcessed(refund, { io });
+    return true;
+  }
+  const set = { status, gatewayData: data };
+  if (data.refund_reference) set.gatewayReference = data.refund_reference;
+  if (status === 'failed') set.failureReason = data.message || 'Refund failed at the gateway';
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $nin: ['processed', 'failed'] } },
+    { $set: set },
+    { new: true }
+  );
+  // Only the delivery that failed the refund gives its reservation back
+  if (updated && status === 'failed') await releaseRefundAmount(updated);
+  return true;
+}
+
+module.exports = {
+  RefundError,
+  REFUND_WEBHOOK_STATUSES,
+  getRefundableAmount,
+  issueRefund,
+  refundCancelledBooking,
+  handleRefundWebhook,
+};
@@ -0,0 +1,437 @@
+const Booking = require('../models/Booking');
+const Professional = require('../models/Professional');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+/**
+ * Professional schedules: weekly working hours per weekday (several windows a
+ * day for split shifts), breaks, a buffer kept free around each booking, and
+ * time-off/holiday blocks, all in the professional's timezone (Africa/Lagos
+ * unless they set another). Pros who never set a schedule work the default
+ * hours below.
+ *
+ * getAvailableSlots turns a schedule and the pro's bookings into free slots of
+ * a requested duration; checkSchedule/assertWithinSchedule reject bookings
+ * outside it. Weekdays are 0 (Sunday) to 6 (Saturday), times are 'HH:mm'.
+ */
+
+class ScheduleError extends Error {
+  constructor(message, status = 400, code) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+// Monday to Saturday, 8am to 6pm
+const DEFAULT_WEEKLY_HOURS = [1, 2, 3, 4, 5, 6].map((day) => ({ day, start: '08:00', end: '18:00' }));
+const TIME_OFF_KINDS = ['time_off', 'holiday'];
+const BLOCKING_BOOKING_STATUSES = ['pending', 'confirmed', 'disputed'];
+const MAX_BUFFER_MINUTES = 240;
+const MAX_WINDOWS = 50;
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_SLOT_STEP_MINUTES = 30;
+// Hours a job's preferred time covers, for clash checks and calendar events
+const TIME_WINDOWS = {
+  'Morning (6AM-12PM)': [6, 12],
+  'Afternoon (12PM-6PM)': [12, 18],
+  'Evening (6PM-10PM)': [18, 22],
+};
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'HH:mm' to minutes after midnight; '24:00' is only valid as an end time
+function parseTime(value, label, { allowEndOfDay = false } = {}) {
+  const match = TIME_PATTERN.exec(String(value ?? ''));
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || minutes > 24 * 60 || (minutes === 24 * 60 && !allowEndOfDay)) {
+    throw new ScheduleError(`${label} must be a time as HH:mm`);
+  }
+  return minutes;
+}
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The instant a local date and time happens in a timezone. Times skipped by a
+ * DST change resolve to just after the change.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight (up to 1440)
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+  const first = wallClock - offsetAt(wallClock, timeZone);
+  const second = wallClock - offsetAt(first, timeZone);
+  return new Date(Math.max(first, second));
+}
+
+// YYYY-MM-DD of an instant in a timezone
+function localDateKey(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Minutes after local midnight of an instant in a timezone, seconds included as a fraction
+function localMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return p.hour * 60 + p.minute + (new Date(date).getTime() % MINUTE_MS) / MINUTE_MS;
+}
+
+/**
+ * A readable local date and time for messages, e.g. "Tue 20 Oct 2026, 14:30 (Africa/Lagos)"
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function formatLocalDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const text = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+  return `${text} (${timeZone})`;
+}
+
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+function parseDateKey(value, label) {
+  const key = String(value ?? '');
+  if (!DATE_KEY_PATTERN.test(key) || Number.isNaN(Date.parse(`${key}T00:00:00Z`))) {
+    throw new ScheduleError(`${label} must be a date as YYYY-MM-DD`);
+  }
+  return key;
+}
+
+function parseWeekday(value, label) {
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 0 || day > 6) throw new ScheduleError(`${label} must be a weekday from 0 (Sunday) to 6`);
+  return day;
+}
+
+// Validate { day, start, end } windows; `day` may be omitted for breaks taken every day
+function parseWindows(input, label, { dayOptional = false } = {}) {
+  if (!Array.isArray(input)) throw new ScheduleError(`${label} must be a list`);
+  if (input.length > MAX_WINDOWS) throw new ScheduleError(`${label} can have at most ${MAX_WINDOWS} entries`);
+  const windows = input.map((item, index) => {
+    const name = `${label} entry ${index + 1}`;
+    const window = {
+      start: formatTime(parseTime(item?.start, `${name} start`)),
+      end: formatTime(parseTime(item?.end, `${name} end`, { allowEndOfDay: true })),
+    };
+    if (window.end <= window.start) throw new ScheduleError(`${name} must end after it starts`);
+    if (!(dayOptional && (item.day == null || item.day === ''))) window.day = parseWeekday(item.day, `${name} day`);
+    if (item.label) window.label = String(item.label).trim().slice(0, 60);
+    return window;
+  });
+  if (!dayOptional) {
+    const sorted = [...windows].sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+    for (let i = 1; i < sorted.length; i += 1) {
+      if (sorted[i].day === sorted[i - 1].day && sorted[i].start < sorted[i - 1].end) {
+        throw new ScheduleError(`${label} overlap on weekday ${sorted[i].day}`);
+      }
+    }
+  }
+  return windows;
+}
+
+/**
+ * Validate a schedule update. Only the fields given are returned, so the
+ * caller can apply it as a partial update.
+ * @param {Object} input - { timezone?, weeklyHours?, breaks?, bufferMinutes? }
+ * @returns {Object}
+ * @throws {ScheduleError}
+ */
+function parseSchedule(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ScheduleError('Schedule must be an object');
+  const schedule = {};
+  if (input.timezone !== undefined) {
+    if (!input.timezone || !isValidTimeZone(input.timezone)) throw new ScheduleError('Unknown timezone');
+    schedule.timezone = input.timezone;
+  }
+  if (input.weeklyHours !== undefined) schedule.weeklyHours = parseWindows(input.weeklyHours, 'Weekly hours');
+  if (input.breaks !== undefined) schedule.breaks = parseWindows(input.breaks, 'Breaks', { dayOptional: true });
+  if (input.bufferMinutes !== undefined) {
+    const buffer = Number(input.bufferMinutes);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_BUFFER_MINUTES) {
+      throw new ScheduleError(`Buffer must be a whole number of minutes, up to ${MAX_BUFFER_MINUTES}`);
+    }
+    schedule.bufferMinutes = buffer;
+  }
+  if (!Object.keys(schedule).length) throw new ScheduleError('Nothing to update');
+  return schedule;
+}
+
+/**
+ * Validate a time-off block. Date-only bounds cover whole days in the pro's
+ * timezone, so { start: '2026-12-24', end: '2026-12-26' } blocks three days.
+ * @param {Object} input - { start, end, kind?, reason? }
+ * @param {string} timeZone
+ * @returns {{ start: Date, end: Date, kind: string, reason?: string }}
+ * @throws {ScheduleError}
+ */
+function parseTimeOff(input, timeZone) {
+  const bound = (value, label, isEnd) => {
+    if (DATE_KEY_PATTERN.test(String(value ?? ''))) {
+      const key = parseDateKey(value, label);
+      return zonedTimeToUtc(isEnd ? addDays(key, 1) : key, 0, timeZone);
+    }
+    const date = new Date(value);
+    if (value == null || value === '' || Number.isNaN(date.getTime())) throw new ScheduleError(`Invalid ${label}`);
+    return date;
+  };
+  const start = bound(input?.start, 'start', false);
+  const end = bound(input?.end ?? input?.start, 'end', true);
+  if (end <= start) throw new ScheduleError('Time off must end after it starts');
+  if (end <= new Date()) throw new ScheduleError('Time off must end in the future');
+  const kind = input.kind || 'time_off';
+  if (!TIME_OFF_KINDS.includes(kind)) throw new ScheduleError(`Kind must be one of ${TIME_OFF_KINDS.join(', ')}`);
+  return { start, end, kind, reason: input.reason ? String(input.reason).trim().slice(0, 200) : undefined };
+}
+
+/**
+ * The schedule bookings are checked against, with defaults filled in
+ * @param {Object} pro - Professional document
+ */
+function getEffectiveSchedule(pro) {
+  const schedule = pro.schedule || {};
+  const configured = Boolean(schedule.configuredAt);
+  return {
+    timezone: schedule.timezone || DEFAULT_TIMEZONE,
+    weeklyHours: configured ? schedule.weeklyHours.map(({ day, start, end }) => ({ day, start, end })) : DEFAULT_WEEKLY_HOURS,
+    breaks: configured ? schedule.breaks.map(({ day, start, end, label }) => ({ day, start, end, label })) : [],
+    bufferMinutes: schedule.bufferMinutes || 0,
+    timeOff: schedule.timeOff || [],
+    configured,
+  };
+}
+
+// Remove blocked [start, end) ranges (ms) from sorted, disjoint intervals
+function subtractIntervals(intervals, blocks) {
+  let free = intervals;
+  for (const [blockStart, blockEnd] of blocks) {
+    free = free.flatMap(([start, end]) => {
+      if (blockEnd <= start || blockStart >= end) return [[start, end]];
+      const pieces = [];
+      if (blockStart > start) pieces.push([start, blockStart]);
+      if (blockEnd < end) pieces.push([blockEnd, end]);
+      return pieces;
+    });
+  }
+  return free;
+}
+
+// Working hours minus breaks for one local day, as UTC ms intervals
+function workingIntervals(schedule, dateKey) {
+  const weekday = weekdayOf(dateKey);
+  const toUtc = (minutes) => zonedTimeToUtc(dateKey, minutes, schedule.timezone).getTime();
+  const windows = schedule.weeklyHours
+    .filter((w) => w.day === weekday)
+    .map((w) => [toUtc(parseTime(w.start, 'start')), toUtc(parseTime(w.end, 'end', { allowEndOfDay: true }))])
+    .sort((a, b) => a[0] - b[0]);
+  const breaks = schedule.breaks
+    .filter((b) => b.day == null || b.day === weekday)
+    .map((b) => [toUtc(parseTime(b.start, 'start')), toUtc(parseTime(b.end, 'end', { allowEndOfDay: true }))]);
+  return subtractIntervals(windows, breaks);
+}
+
+// The pro's bookings between two instants, widened by the buffer on both sides
+async function getBusyBlocks(professionalId, from, to, bufferMinutes, excludeId) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  const bookings = await Booking.find({
+    professional: professionalId,
+    status: { $in: BLOCKING_BOOKING_STATUSES },
+    date: { $lt: new Date(to.getTime() + buffer) },
+    endAt: { $gt: new Date(from.getTime() - buffer) },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  }).select('date endAt status').sort({ date: 1 });
+  return { bookings, blocks: bookings.map((b) => [b.date.getTime() - buffer, b.endAt.getTime() + buffer]) };
+}
+
+// Slots held for waitlisted customers (see utils/waitlistService.js), widened by the buffer
+async function getHeldBlocks(professionalId, from, to, bufferMinutes, now) {
+  const buffer = bufferMinutes * MINUTE_MS;
+  const entries = await WaitlistEntry.find({
+    professional: professionalId,
+    status: 'offered',
+    offers: { $elemMatch: { status: 'open', expiresAt: { $gt: now }, start: { $lt: to }, end: { $gt: from } } },
+  }).select('offers');
+  return entries.flatMap((entry) => entry.offers
+    .filter((offer) => offer.status === 'open')
+    .map((offer) => [offer.start.getTime() - buffer, offer.end.getTime() + buffer]));
+}
+
+const loadProfessional = async (pro) => {
+  if (pro instanceof Professional) return pro;
+  const found = await Professional.findById(pro?._id || pro).select('schedule').catch(() => null);
+  if (!found) throw new ScheduleError('Professional not found', 404);
+  return found;
+};
+
+/**
+ * Free slots of `durationMinutes` between two local dates (inclusive), inside
+ * working hours and outside breaks, time off, bookings and slots held for the
+ * waitlist (plus buffer). Slot starts are `stepMinutes` apart from the start
+ * of each working window (e.g. 08:15, 08:45 for hours from 08:15); slots
+ * already started are left out.
+ * @param {Object|string} pro - Professional document or id
+ * @param {{ from: string, to?: string, durationMinutes?: number, stepMinutes?: number, now?: Date }} options
+ * @returns {Promise<Object>} - { timezone, from, to, durationMinutes, days: [{ date, slots: [{ start, end }] }], bookings }
+ * @throws {ScheduleError}
+ */
+async function getAvailableSlots(pro, { from, to, durationMinutes = 60, stepMinutes = DEFAULT_SLOT_STEP_MINUTES, now = new Date() } = {}) {
+  const professional = await loadProfessional(pro);
+  const schedule = getEffectiveSchedule(professional);
+  const fromKey = parseDateKey(from, 'from');
+  const toKey = to ? parseDateKey(to, 'to') : fromKey;
+  if (toKey < fromKey) throw new ScheduleError('to must not be before from');
+  const dayCount = Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS) + 1;
+  if (dayCount > MAX_RANGE_DAYS) throw new ScheduleError(`At most ${MAX_RANGE_DAYS} days can be requested at once`);
+  const duration = Number(durationMinutes);
+  if (!Number.isInteger(duration) || duration < 15 || duration > 24 * 60) {
+    throw new ScheduleError('Duration must be a whole number of minutes between 15 and 1440');
+  }
+  const step = Number(stepMinutes);
+  if (!Number.isInteger(step) || step < 5 || step > 24 * 60) throw new ScheduleError('Step must be between 5 and 1440 minutes');
+
+  const rangeStart = zonedTimeToUtc(fromKey, 0, schedule.timezone);
+  const rangeEnd = zonedTimeToUtc(addDays(toKey, 1), 0, schedule.timezone);
+  const [{ bookings, blocks }, held] = await Promise.all([
+    getBusyBlocks(professional._id, rangeStart, rangeEnd, schedule.bufferMinutes),
+    getHeldBlocks(professional._id, rangeStart, rangeEnd, schedule.bufferMinutes, now),
+  ]);
+  const timeOff = schedule.timeOff.map((t) => [t.start.getTime(), t.end.getTime()]);
+
+  const stepMs = step * MINUTE_MS;
+  const durationMs = duration * MINUTE_MS;
+  const blocked = [...timeOff, ...blocks, ...held];
+  const days = [];
+  for (let i = 0; i < dayCount; i += 1) {
+    const date = addDays(fromKey, i);
+    const slots = [];
+    for (const [windowStart, windowEnd] of workingIntervals(schedule, date)) {
+      for (const [start, end] of subtractIntervals([[windowStart, windowEnd]], blocked)) {
+        const first = windowStart + Math.ceil((Math.max(start, now.getTime()) - windowStart) / stepMs) * stepMs;
+        for (let slot = first; slot + durationMs <= end; slot += stepMs) {
+          slots.push({ start: new Date(slot), end: new Date(slot + durationMs) });
+        }
+      }
+    }
+    days.push({ date, slots });
+  }
+  return { timezone: schedule.timezone, from: fromKey, to: toKey, durationMinutes: duration, days, bookings };
+}
+
+/**
+ * Why a booking from `start` to `end` does not fit the pro's schedule, or null
+ * when it does: outside working hours or in a break, during time off, or
+ * within the buffer of another booking.
+ * @param {Object|string} pro - Professional document or id
+ * @param {Date} start
+ * @param {Date} end
+ * @param {{ excludeId?: string }} [options] - A booking being moved, ignored in the buffer check
+ * @returns {Promise<{ code: string, message: string }|null>}
+ */
+async function checkSchedule(pro, start, end, { excludeId } = {}) {
+  const professional = await loadProfessional(pro);
+  const schedule = getEffectiveSchedule(professional);
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+
+  // Working intervals of every local day the booking touches
+  const lastKey = localDateKey(new Date(endMs - 1), schedule.timezone);
+  const working = [];
+  for (let key = localDateKey(start, schedule.timezone); key <= lastKey; key = addDays(key, 1)) {
+    working.push(...workingIntervals(schedule, key));
+  }
+  if (!working.some(([s, e]) => s <= startMs && endMs <= e)) {
+    return { code: 'OUTSIDE_WORKING_HOURS', message: "That time is outside the professional's working hours" };
+  }
+  if (schedule.timeOff.some((t) => t.start.getTime() < endMs && t.end.getTime() > startMs)) {
+    return { code: 'TIME_OFF', message: 'The professional is off at that time' };
+  }
+  const { blocks } = await getBusyBlocks(professional._id, start, end, schedule.bufferMinutes, excludeId);
+  if (blocks.some(([s, e]) => s < endMs && e > startMs)) {
+    return { code: 'BUFFER_CONFLICT', message: 'That time is too close to another booking' };
+  }
+  return null;
+}
+
+/**
+ * checkSchedule, throwing when the booking does not fit
+ * @throws {ScheduleError}
+ */
+async function assertWithinSchedule(pro, start, end, options) {
+  const problem = await checkSchedule(pro, start, end, options);
+  if (problem) throw new ScheduleError(problem.message, 409, problem.code);
+}
+
+module.exports = {
+  ScheduleError,
+  DEFAULT_TIMEZONE,
+  DEFAULT_WEEKLY_HOURS,
+  TIME_OFF_KINDS,
+  TIME_WINDOWS,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  localDateKey,
+  localMinutes,
+  formatLocalDateTime,
+  parseSchedule,
+  parseTimeOff,
+  getEffectiveSchedule,
+  getAvailableSlots,
+  checkSchedule,
+  assertWithinSchedule,
+};
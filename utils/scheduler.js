@@ -0,0 +1,151 @@
+const Task = require('../models/Task');
+const { enqueueTask } = require('./taskQueue');
+
+/**
+ * Cron-style scheduler on top of the task queue. Schedules use five-field
+ * cron expressions (minute hour day-of-month month day-of-week) evaluated in
+ * UTC, with `*`, `*\/n`, ranges `a-b`, stepped ranges `a-b/n` and lists. On
+ * each due minute the schedule's task is enqueued with a per-minute unique
+ * key, so several instances running the scheduler still enqueue it once. A
+ * schedule whose previous run is still queued or running is skipped rather
+ * than piling up behind it.
+ */
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+// Ticks are shorter than a minute so timer drift never skips a slot
+const TICK_INTERVAL_MS = Number(process.env.SCHEDULER_TICK_MS || 20 * 1000);
+const MINUTE_MS = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+function parseField(spec, { name, min, max }) {
+  const values = new Set();
+  for (const part of spec.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new CronError(`Invalid ${name} "${part}"`);
+    const [, range, first, last, step] = match;
+    const from = range === '*' ? min : Number(first);
+    // "5/15" means every 15 from 5 to the end of the range
+    const to = range === '*' || (last == null && step) ? max : Number(last ?? first);
+    const by = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || by < 1) throw new CronError(`Invalid ${name} "${part}"`);
+    for (let value = from; value <= to; value += by) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression - e.g. "*\/15 * * * *"
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {CronError}
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) throw new CronError(`Cron expression "${expression}" needs ${FIELDS.length} fields`);
+  const cron = {};
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field);
+  });
+  if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+}
+
+/**
+ * Whether a parsed cron expression fires in the (UTC) minute of `date`
+ * @param {ReturnType<typeof parseCron>} cron
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getUTCMinutes()) || !cron.hour.has(date.getUTCHours()) || !cron.month.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+  // As in cron: when both day fields are restricted, either one matching is enough
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+const schedules = new Map();
+
+/**
+ * Run a task on a cron schedule
+ * @param {{ name: string, cron: string, task: string, payload?: Object, maxAttempts?: number }} schedule
+ * @throws {CronError} - For an invalid expression, so a bad env override fails at startup
+ */
+function registerSchedule({ name, cron, task, payload = {}, maxAttempts }) {
+  if (schedules.has(name)) throw new Error(`Schedule "${name}" is already registered`);
+  schedules.set(name, { name, cron, task, payload, maxAttempts, parsed: parseCron(cron) });
+}
+
+const listSchedules = () => [...schedules.values()].map(({ name, cron, task }) => ({ name, cron, task }));
+
+/**
+ * Enqueue the tasks of schedules due in the minute of `now`
+ * @param {Date} [now]
+ * @returns {Promise<string[]>} - Schedules enqueued
+ */
+async function enqueueDueSchedules(now = new Date()) {
+  const slot = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+  const enqueued = [];
+  for (const schedule of schedules.values()) {
+    if (!cronMatches(schedule.parsed, slot)) continue;
+    const uniqueKey = `${schedule.name}@${slot.toISOString()}`;
+    const pending = await Task.exists({ schedule: schedule.name, status: { $in: ['queued', 'running'] }, uniqueKey: { $ne: uniqueKey } });
+    if (pending) continue;
+    const task = await enqueueTask(schedule.task, schedule.payload, {
+      uniqueKey,
+      schedule: schedule.name,
+      maxAttempts: schedule.maxAttempts,
+    });
+    if (task) enqueued.push(schedule.name);
+  }
+  return enqueued;
+}
+
+/**
+ * Check the schedules every SCHEDULER_TICK_MS
+ * @returns {() => void} - Stops the scheduler
+ */
+function startScheduler({ intervalMs = TICK_INTERVAL_MS } = {}) {
+  let busy = false;
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await enqueueDueSchedules();
+    } catch (error) {
+      console.error('Scheduler tick failed:', error.message);
+    } finally {
+      busy = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  CronError,
+  parseCron,
+  cronMatches,
+  registerSchedule,
+  listSchedules,
+  enqueueDueSchedules,
+  startScheduler,
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getAdminRoles } = require('../config/permissions');
+
+/**
+ * Device sessions with short-lived access tokens and rotating refresh tokens.
+ *
+ * Access tokens are JWTs carrying { id, sid, role, adminRoles } and expire after
+ * ACCESS_TOKEN_TTL (default 15m). The embedded roles must still match the user
+ * record, so a role change takes effect at the next refresh. Refresh tokens are
+ * opaque "<sessionId>.<secret>" strings, stored hashed, valid for
+ * REFRESH_TOKEN_TTL_DAYS (default 30) and replaced on every use.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ */
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const MAX_PREVIOUS_HASHES = 20;
+// lastUsedAt is only written when older than this, to avoid a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: req?.headers?.['user-agent']?.slice(0, 300),
+  ip: req?.ip,
+});
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: String(user._id), sid: String(sessionId), role: user.role, adminRoles: getAdminRoles(user) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const sameRoles = (a = [], b = []) => a.length === b.length && a.every((r) => b.includes(r));
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const tokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id,
+});
+
+/**
+ * Start a session for a user who just authenticated
+ * @param {Object} user - User document
+ * @param {import('express').Request} [req] - Used to record the device
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string, sessionId: string }>}
+ */
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    expiresAt: refreshExpiry(),
+    ...getClientInfo(req),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return tokenResponse(user, session, refreshToken);
+}
+
+// A rotated token came back: it was copied, so nobody holding it can be trusted
+const revokeForReuse = (sessionId) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+);
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @param {string} refreshToken
+ * @param {import('express').Request} [req]
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) throw new SessionError('Invalid refresh token');
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHashes');
+  if (!session || !session.isActive()) throw new SessionError('Session expired or revoked');
+
+  const presented = hashToken(refreshToken);
+  if (presented !== session.refreshTokenHash) {
+    if (session.previousRefreshTokenHashes.includes(presented)) await revokeForReuse(session._id);
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user).select('role adminRoles');
+  if (!user) throw new SessionError('Session expired or revoked');
+
+  // Rotated only while the presented token is still the current one, so two
+  // requests racing with the same token cannot both get a new pair
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ...getClientInfo(req) },
+      $push: { previousRefreshTokenHashes: { $each: [presented], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeForReuse(session._id);
+    throw new SessionError('Invalid refresh token');
+  }
+
+  return tokenResponse(user, rotated, nextToken);
+}
+
+/**
+ * Verify an access token and check that its session is still active
+ * @param {string} token
+ * @returns {Promise<{ id: string, sessionId: string, role: string, adminRoles: string[] }>}
+ */
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new SessionError('Token invalid or expired');
+  }
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) throw new SessionError('Session expired, please log in again');
+
+  const [session, user] = await Promise.all([
+    Session.findById(decoded.sid).select('user revokedAt expiresAt lastUsedAt'),
+    User.findById(decoded.id).select('role adminRoles'),
+  ]);
+  if (!session || !session.isActive() || !user || String(session.user) !== String(decoded.id)) {
+    throw new SessionError('Session expired or revoked');
+  }
+  // Roles in the token are a claim; the user record decides
+  const adminRoles = getAdminRoles(user);
+  if (decoded.role !== user.role || !sameRoles(decoded.adminRoles, adminRoles)) {
+    throw new SessionError('Your permissions changed, please refresh your session');
+  }
+  if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return { id: decoded.id, sessionId: decoded.sid, role: user.role, adminRoles };
+}
+
+// Drop live sockets that authenticated with a now-revoked session
+async function disconnectSessionSockets(io, userId, sessionIds) {
+  if (!io) return;
+  try {
+    const ids = new Set(sessionIds.map(String));
+    const sockets = await io.in(String(userId)).fetchSockets();
+    sockets.filter((s) => ids.has(String(s.data?.sessionId))).forEach((s) => s.disconnect(true));
+  } catch (e) {}
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ */
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {{ reason?: string, io?: import('socket.io').Server }} options
+ * @returns {Promise<boolean>} - false when the session does not exist or is already revoked
+ */
+async function revokeSession(userId, sessionId, { reason = 'revoked', io } = {}) {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (!result.modifiedCount) return false;
+  await disconnectSessionSockets(io, userId, [sessionId]);
+  return true;
+}
+
+/**
+ * Revoke all of a user's sessions, optionally keeping the current one
+ * @param {string} userId
+ * @param {{ except?: string, reason?: string, io?: import('socket.io').Server }} options
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeAllSessions(userId, { except, reason = 'logout_all', io } = {}) {
+  const filter = { user: userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) };
+  const sessions = await Session.find(filter).select('_id');
+  if (!sessions.length) return 0;
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await disconnectSessionSockets(io, userId, sessions.map((s) => s._id));
+  return sessions.length;
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,236 @@
+const os = require('os');
+const Task = require('../models/Task');
+const DeadLetterTask = require('../models/DeadLetterTask');
+
+/**
+ * Persistent background task queue backed by MongoDB. Tasks are claimed with
+ * an atomic update, so any number of API instances can run workers side by
+ * side. A failed task is retried with exponential backoff up to maxAttempts,
+ * then moved to the dead-letter store (DeadLetterTask) for an admin to retry
+ * or discard. A worker that dies mid-task leaves a lock behind; after
+ * TASK_LOCK_TIMEOUT_MS the task is requeued and the lost run counts as a
+ * failed attempt, so handlers must be safe to run more than once.
+ *
+ * Handlers are registered by name: registerTaskHandler('bookings.remind', fn),
+ * where fn(payload, { io, task }) returns a promise.
+ */
+
+class TaskQueueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaskQueueError';
+    this.status = status;
+  }
+}
+
+const POLL_INTERVAL_MS = Number(process.env.TASK_POLL_INTERVAL_MS || 5000);
+const LOCK_TIMEOUT_MS = Number(process.env.TASK_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.TASK_MAX_ATTEMPTS || 5);
+const BACKOFF_BASE_MS = Number(process.env.TASK_BACKOFF_BASE_MS || 30 * 1000);
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Tasks run per poll, so one busy queue cannot hold the event loop for long
+const BATCH_SIZE = 10;
+const MAX_FAILURES_KEPT = 20;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+/**
+ * @param {string} name
+ * @param {(payload: Object, context: { io?: import('socket.io').Server, task: Object }) => Promise<any>} handler
+ */
+function registerTaskHandler(name, handler) {
+  if (handlers.has(name)) throw new Error(`Task handler "${name}" is already registered`);
+  handlers.set(name, handler);
+}
+
+/**
+ * Add a task to the queue
+ * @param {string} name - A registered handler
+ * @param {Object} [payload] - Plain JSON data for the handler
+ * @param {{ runAt?: Date, uniqueKey?: string, maxAttempts?: number, schedule?: string }} [options]
+ * @returns {Promise<Object|null>} - The Task, or null when one with the same uniqueKey exists
+ */
+async function enqueueTask(name, payload = {}, { runAt = new Date(), uniqueKey, maxAttempts = DEFAULT_MAX_ATTEMPTS, schedule } = {}) {
+  try {
+    return await Task.create({ name, payload, runAt, uniqueKey, maxAttempts, schedule });
+  } catch (error) {
+    if (error.code === 11000 && uniqueKey) return null;
+    throw error;
+  }
+}
+
+// 30s, 1m, 2m, 4m... capped at an hour, with jitter so retries spread out
+const backoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Only tasks this process has handlers for, oldest due first
+const claimNextTask = (now) => Task.findOneAndUpdate(
+  { status: 'queued', runAt: { $lte: now }, name: { $in: [...handlers.keys()] } },
+  { $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Record a failed attempt: retry later, or dead-letter the task when it is out of attempts
+ * @returns {Promise<'retrying'|'dead'>}
+ */
+async function failTask(task, error, now = new Date()) {
+  const failure = { attempt: task.attempts, message: String(error?.message || error).slice(0, 2000), at: now };
+  if (task.attempts < task.maxAttempts) {
+    await Task.updateOne(
+      { _id: task._id, status: 'running', lockedBy: task.lockedBy },
+      {
+        $set: { status: 'queued', runAt: new Date(now.getTime() + backoffDelay(task.attempts)) },
+        $unset: { lockedAt: 1, lockedBy: 1 },
+        $push: { failures: { $each: [failure], $slice: -MAX_FAILURES_KEPT } },
+      }
+    );
+    return 'retrying';
+  }
+  await DeadLetterTask.create({
+    task: task._id,
+    name: task.name,
+    payload: task.payload,
+    schedule: task.schedule,
+    attempts: task.attempts,
+    failures: [...(task.failures || []), failure].slice(-MAX_FAILURES_KEPT),
+    failedAt: now,
+  });
+  await Task.deleteOne({ _id: task._id });
+  console.error(`Task "${task.name}" (${task._id}) failed ${task.attempts} times and was dead-lettered:`, failure.message);
+  return 'dead';
+}
+
+async function runTask(task, context) {
+  try {
+    await handlers.get(task.name)(task.payload || {}, { ...context, task });
+  } catch (error) {
+    return failTask(task, error);
+  }
+  // Guarded by the lock: a run that outlived its lock does not overwrite the recovery
+  await Task.updateOne(
+    { _id: task._id, status: 'running', lockedBy: task.lockedBy },
+    { $set: { status: 'completed', finishedAt: new Date() }, $unset: { lockedAt: 1, lockedBy: 1 } }
+  );
+  return 'completed';
+}
+
+/**
+ * Requeue tasks whose worker stopped responding (locked longer than TASK_LOCK_TIMEOUT_MS)
+ * @returns {Promise<number>} - Tasks recovered
+ */
+async function recoverStaleTasks(now = new Date()) {
+  const stale = await Task.find({ status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } });
+  let recovered = 0;
+  for (const task of stale) {
+    // Take the lock over first so two workers do not both recover it
+    const claimed = await Task.findOneAndUpdate(
+      { _id: task._id, status: 'running', lockedAt: task.lockedAt },
+      { $set: { lockedAt: now, lockedBy: WORKER_ID } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    await failTask(claimed, new Error(`Worker ${task.lockedBy} stopped responding`), now);
+    recovered += 1;
+  }
+  return recovered;
+}
+
+/**
+ * Run due tasks one after another
+ * @param {{ io?: import('socket.io').Server, limit?: number }} [options]
+ * @returns {Promise<number>} - Tasks run
+ */
+async function runDueTasks({ io, limit = BATCH_SIZE } = {}) {
+  let processed = 0;
+  while (processed < limit) {
+    const task = await claimNextTask(new Date());
+    if (!task) break;
+    await runTask(task, { io });
+    processed += 1;
+  }
+  return processed;
+}
+
+/**
+ * Poll the queue every TASK_POLL_INTERVAL_MS
+ * @param {{ io?: import('socket.io').Server, intervalMs?: number }} [options]
+ * @returns {() => void} - Stops the worker
+ */
+function startTaskWorker({ io, intervalMs = POLL_INTERVAL_MS } = {}) {
+  let busy = false;
+  const timer = setInterval(async () => {
+    // A slow batch is not overlapped by the next poll
+    if (busy) return;
+    busy = true;
+    try {
+      await recoverStaleTasks();
+      await runDueTasks({ io });
+    } catch (error) {
+      console.error('Task worker poll failed:', error.message);
+    } finally {
+      busy = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Tasks waiting, running and finished, per task name
+ * @returns {Promise<Array<{ name: string, queued: number, running: number, completed: number }>>}
+ */
+async function getQueueStats() {
+  const rows = await Task.aggregate([{ $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }]);
+  const byName = {};
+  for (const { _id, count } of rows) {
+    byName[_id.name] = byName[_id.name] || { name: _id.name, queued: 0, running: 0, completed: 0 };
+    byName[_id.name][_id.status] = count;
+  }
+  return Object.values(byName).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Put a dead-lettered task back on the queue with a fresh set of attempts
+ * @param {string} deadLetterId
+ * @returns {Promise<{ deadLetter: Object, task: Object }>}
+ */
+async function retryDeadLetter(deadLetterId) {
+  const deadLetter = await DeadLetterTask.findById(deadLetterId).catch(() => null);
+  if (!deadLetter) throw new TaskQueueError('Dead-letter task not found', 404);
+  if (!handlers.has(deadLetter.name)) throw new TaskQueueError(`No handler is registered for "${deadLetter.name}"`, 409);
+  // Claimed first so two concurrent retries enqueue the task once
+  const claimed = await DeadLetterTask.findOneAndUpdate(
+    { _id: deadLetter._id, retriedAt: null },
+    { $set: { retriedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) throw new TaskQueueError('This task has already been retried', 409);
+
+  let task;
+  try {
+    task = await enqueueTask(claimed.name, claimed.payload, { schedule: claimed.schedule });
+  } catch (error) {
+    await DeadLetterTask.updateOne({ _id: claimed._id }, { $unset: { retriedAt: 1 } });
+    throw error;
+  }
+  claimed.retryTask = task._id;
+  await claimed.save();
+  return { deadLetter: claimed, task };
+}
+
+module.exports = {
+  TaskQueueError,
+  backoffDelay,
+  registerTaskHandler,
+  enqueueTask,
+  failTask,
+  recoverStaleTasks,
+  runDueTasks,
+  startTaskWorker,
+  getQueueStats,
+  retryDeadLetter,
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const totp = require('./totp');
+const { sendSMS } = require('./smsService');
+const { assertNotThrottled, recordAttempt } = require('./bruteForceService');
+
+/**
+ * Two-factor authentication: TOTP (authenticator app) or SMS OTP, plus single-use
+ * recovery codes. Login with 2FA enabled returns a challenge token instead of a
+ * session; the challenge is exchanged for a session once the second factor checks
+ * out. Admins without 2FA get a "setup" challenge and must enrol first.
+ */
+
+class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const SMS_OTP_TTL_MS = 5 * 60 * 1000;
+const SMS_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.totpSecret +twoFactor.pendingTotpSecret +twoFactor.lastTotpStep +twoFactor.recoveryCodes';
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/\s/g, '');
+
+const safeEqual = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/**
+ * Admins must have 2FA before they can get a session
+ * @param {Object} user
+ */
+const requiresTwoFactorSetup = (user) => user.role === 'admin' && !user.twoFactor?.enabled;
+
+const loadUserWithSecrets = (userId) => User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+async function sendSmsOtp(challenge, user) {
+  if (!user.phone || !user.phoneVerification?.isVerified) {
+    throw new TwoFactorError('A verified phone number is required for SMS codes');
+  }
+  if (challenge.otpSentAt && Date.now() - challenge.otpSentAt.getTime() < SMS_RESEND_COOLDOWN_MS) {
+    throw new TwoFactorError('Please wait a minute before requesting another code', 429);
+  }
+
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  challenge.otpHash = hash(otp);
+  challenge.otpExpiresAt = new Date(Date.now() + SMS_OTP_TTL_MS);
+  challenge.otpSentAt = new Date();
+  await challenge.save();
+
+  const label = challenge.purpose === 'confirm' ? 'verification' : 'sign-in';
+  await sendSMS(user.phone, `Your FixFinder ${label} code is: ${otp}. It expires in 5 minutes.`);
+}
+
+async function createChallenge(user, purpose, req) {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  const challenge = await TwoFactorChallenge.create({
+    user: user._id,
+    tokenHash: hash(challengeToken),
+    purpose,
+    method: purpose === 'setup' ? undefined : user.twoFactor.method,
+    userAgent: req?.headers?.['user-agent']?.slice(0, 300),
+    ip: req?.ip,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+  return { challenge, challengeToken };
+}
+
+/**
+ * Start the second step of a login. SMS users are sent their code right away.
+ * @param {Object} user - User document (password already checked)
+ * @param {import('express').Request} [req]
+ * @returns {Promise<{ challengeToken: string, purpose: 'login'|'setup', method?: string, expiresIn: number }>}
+ */
+async function startLoginChallenge(user, req) {
+  const purpose = user.twoFactor?.enabled ? 'login' : 'setup';
+  const { challenge, challengeToken } = await createChallenge(user, purpose, req);
+  if (challenge.method === 'sms') {
+    try {
+      await sendSmsOtp(challenge, user);
+    } catch (error) {
+      // The user can still use a recovery code or ask for a resend
+      console.error('2FA SMS send failed:', error.message);
+    }
+  }
+  return { challengeToken, purpose, method: challenge.method, expiresIn: CHALLENGE_TTL_MS / 1000 };
+}
+
+/**
+ * Find an open challenge by its token
+ * @param {string} challengeToken
+ * @param {'login'|'setup'} purpose
+ */
+async function loadChallenge(challengeToken, purpose) {
+  if (!challengeToken) throw new TwoFactorError('challengeToken required');
+  const challenge = await TwoFactorChallenge.findOne({ tokenHash: hash(challengeToken), purpose });
+  if (!challenge || challenge.consumedAt || challenge.expiresAt <= new Date()) {
+    throw new TwoFactorError('Challenge expired, please log in again', 401);
+  }
+  if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    throw new TwoFactorError('Too many incorrect codes, please log in again', 429);
+  }
+  return challenge;
+}
+
+// Latest challenge of a user that can still take a code
+const findOpenChallenge = (user, purpose) =>
+  TwoFactorChallenge.findOne({
+    user: user._id,
+    purpose,
+    consumedAt: null,
+    attempts: { $lt: MAX_CHALLENGE_ATTEMPTS },
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+// Check a TOTP code and remember its step so it cannot be used twice. The step
+// is stored with a conditional update, so two requests with one code cannot both pass.
+async function checkTotp(user, code) {
+  const step = totp.verifyCode(user.twoFactor.totpSecret, code);
+  if (step == null) return false;
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastTotpStep': null }, { 'twoFactor.lastTotpStep': { $lt: step } }] },
+    { $set: { 'twoFactor.lastTotpStep': step } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Likewise a recovery code is pulled only by the request that finds it still there
+async function consumeRecoveryCode(user, recoveryCode) {
+  const codeHash = hash(normalizeRecoveryCode(recoveryCode));
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Verify the current second factor of a user with 2FA enabled
+ * @param {Object} user - User loaded with 2FA secrets
+ * @param {{ code?: string, recoveryCode?: string, challenge?: Object }} factors
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode, challenge }) {
+  if (recoveryCode) return consumeRecoveryCode(user, recoveryCode);
+  if (!code) return false;
+  if (user.twoFactor.method === 'totp') return checkTotp(user, code);
+  if (user.twoFactor.method === 'sms' && challenge?.otpHash) {
+    if (challenge.otpExpiresAt <= new Date()) return false;
+    return safeEqual(challenge.otpHash, hash(String(code).trim()));
+  }
+  return false;
+}
+
+/**
+ * Text a code to a signed-in SMS user, to confirm new recovery codes or turning 2FA off
+ * @param {Object} user - User with 2FA enabled
+ */
+async function sendConfirmationSms(user) {
+  if (user.twoFactor?.method !== 'sms') throw new TwoFactorError('This account uses an authenticator app');
+  // An open challenge is reused so the resend cooldown applies
+  let challenge = await findOpenChallenge(user, 'confirm');
+  if (!challenge) ({ challenge } = await createChallenge(user, 'confirm'));
+  await sendSmsOtp(challenge, user);
+}
+
+/**
+ * Verify the second factor of a signed-in user before a sensitive change. SMS
+ * users confirm with the code from sendConfirmationSms.
+ * @param {Object} user - User loaded with 2FA secrets
+ * @param {{ code?: string, recoveryCode?: string }} factors
+ * @returns {Promise<boolean>}
+ */
+async function confirmSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode || user.twoFactor.method !== 'sms') return verifySecondFactor(user, { code, recoveryCode });
+
+  const challenge = await findOpenChallenge(user, 'confirm');
+  if (!challenge?.otpHash) throw new TwoFactorError('Request an SMS code first');
+  if (!(await verifySecondFactor(user, { code, challenge }))) {
+    await TwoFactorChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+    return false;
+  }
+  // Consumed conditionally so the code confirms one change only
+  const consumed = await TwoFactorChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  return !!consumed;
+}
+
+/**
+ * Complete a login challenge with a code or recovery code.
+ * Failures are also throttled per user, across challenges.
+ * @param {string} challengeToken
+ * @param {{ code?: string, recoveryCode?: string }} factors
+ * @param {import('express').Request} [req]
+ * @returns {Promise<Object>} - The authenticated User
+ */
+async function completeLoginChallenge(challengeToken, { code, recoveryCode }, req) {
+  const challenge = await loadChallenge(challengeToken, 'login');
+  const user = await loadUserWithSecrets(challenge.user);
+  if (!user || !user.twoFactor?.enabled) throw new TwoFactorError('Challenge expired, please log in again', 401);
+
+  const identifier = String(user._id);
+  const attempt = await assertNotThrottled('two_factor', identifier, req);
+  if (!(await verifySecondFactor(user, { code, recoveryCode, challenge }))) {
+    // $inc so parallel wrong guesses are all counted against the limit
+    await TwoFactorChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+    await recordAttempt('two_factor', identifier, { success: false, user: user._id, reason: 'invalid_code', req, attempt });
+    throw new TwoFactorError('Invalid verification code', 401);
+  }
+
+  // Consumed conditionally so one code sent in parallel requests gives one session
+  const consumed = await TwoFactorChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null, attempts: { $lt: MAX_CHALLENGE_ATTEMPTS } },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (!consumed) {
+    await recordAttempt('two_factor', identifier, { success: false, user: user._id, reason: 'challenge_used', req, attempt });
+    throw new TwoFactorError('Challenge expired, please log in again', 401);
+  }
+  await recordAttempt('two_factor', identifier, { success: true, user: user._id, req, attempt });
+  return user;
+}
+
+/**
+ * Send a fresh SMS code for an open login challenge
+ * @param {string} challengeToken
+ */
+async function resendLoginSms(challengeToken) {
+  const challenge = await loadChallenge(challengeToken, 'login');
+  if (challenge.method !== 'sms') throw new TwoFactorError('This account uses an authenticator app');
+  const user = await User.findById(challenge.user);
+  await sendSmsOtp(challenge, user);
+}
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+async function enable(user, method, extra = {}) {
+  const recoveryCodes = generateRecoveryCodes();
+  Object.assign(user.twoFactor, {
+    enabled: true,
+    method,
+    recoveryCodes: recoveryCodes.map((c) => hash(normalizeRecoveryCode(c))),
+    enabledAt: new Date(),
+    ...extra,
+  });
+  await user.save();
+  return recoveryCodes;
+}
+
+/**
+ * Begin authenticator app enrolment. The secret only becomes active once confirmed.
+ * @param {Object} user - User loaded with 2FA secrets
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+async function startTotpSetup(user) {
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingTotpSecret = secret;
+  await user.save();
+  return { secret, otpauthUrl: totp.provisioningUri({ secret, account: user.email }) };
+}
+
+/**
+ * Confirm authenticator enrolment with a first code
+ * @param {Object} user - User loaded with 2FA secrets
+ * @param {string} code
+ * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+ */
+async function confirmTotpSetup(user, code) {
+  const secret = user.twoFactor.pendingTotpSecret;
+  if (!secret) throw new TwoFactorError('Start authenticator setup first');
+  const step = totp.verifyCode(secret, code);
+  if (step == null) throw new TwoFactorError('Invalid verification code');
+  return enable(user, 'totp', { totpSecret: secret, pendingTotpSecret: undefined, lastTotpStep: step });
+}
+
+/**
+ * Begin SMS enrolment by texting a code to the user's verified phone
+ * @param {Object} user
+ * @param {{ challenge?: Object }} options - The setup challenge, when enrolling during login
+ */
+async function startSmsSetup(user, { challenge } = {}) {
+  let setupChallenge = challenge;
+  if (!setupChallenge) {
+    ({ challenge: setupChallenge } = await createChallenge(user, 'setup'));
+  }
+  setupChallenge.method = 'sms';
+  await sendSmsOtp(setupChallenge, user);
+}
+
+/**
+ * Confirm SMS enrolment with the code that was texted
+ * @param {Object} user - User loaded with 2FA secrets
+ * @param {string} code
+ * @param {{ challenge?: Object }} options
+ * @returns {Promise<string[]>} - Recovery codes
+ */
+async function confirmSmsSetup(user, code, { challenge } = {}) {
+  const setupChallenge = challenge || await TwoFactorChallenge.findOne({
+    user: user._id,
+    purpose: 'setup',
+    method: 'sms',
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+  if (!setupChallenge?.otpHash) throw new TwoFactorError('Request an SMS code first');
+  if (setupChallenge.attempts >= MAX_CHALLENGE_ATTEMPTS) throw new TwoFactorError('Too many incorrect codes, request a new one', 429);
+
+  if (setupChallenge.otpExpiresAt <= new Date() || !safeEqual(setupChallenge.otpHash, hash(String(code || '').trim()))) {
+    await TwoFactorChallenge.updateOne({ _id: setupChallenge._id }, { $inc: { attempts: 1 } });
+    throw new TwoFactorError('Invalid verification code');
+  }
+  // A login setup challenge is consumed by the caller once the session is issued
+  if (!challenge) {
+    setupChallenge.consumedAt = new Date();
+    await setupChallenge.save();
+  }
+  return enable(user, 'sms', { totpSecret: undefined, pendingTotpSecret: undefined });
+}
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User loaded with 2FA secrets
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map((c) => hash(normalizeRecoveryCode(c)));
+  await user.save();
+  return recoveryCodes;
+}
+
+/**
+ * Turn 2FA off. Not allowed for admins.
+ * @param {Object} user - User loaded with 2FA secrets
+ */
+async function disableTwoFactor(user) {
+  if (user.role === 'admin') throw new TwoFactorError('Two-factor authentication is required for admins', 403);
+  user.twoFactor = { enabled: false };
+  await user.save();
+}
+
+module.exports = {
+  TwoFactorError,
+  TWO_FACTOR_SECRET_FIELDS,
+  requiresTwoFactorSetup,
+  loadUserWithSecrets,
+  startLoginChallenge,
+  loadChallenge,
+  completeLoginChallenge,
+  resendLoginSms,
+  verifySecondFactor,
+  sendConfirmationSms,
+  confirmSecondFactor,
+  startTotpSetup,
+  confirmTotpSetup,
+  startSmsSetup,
+  confirmSmsSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,471 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendMail } = require('./mailer');
+const { notifyUser } = require('./notificationService');
+const { recordBookingEvent } = require('./bookingTimelineService');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, formatLocalDateTime, checkSchedule } = require('./scheduleService');
+const { buildBookingInvite } = require('./calendarService');
+const { enqueueTask } = require('./taskQueue');
+
+/**
+ * Waitlists for fully booked professionals. A customer joins for a date
+ * window and a duration; when a booking with that professional is cancelled,
+ * the freed slot is offered to waiting customers whose window and duration
+ * fit, first come first served. An offer holds the slot for
+ * WAITLIST_HOLD_MINUTES (never past its start): nobody else can book it in
+ * the meantime, and accepting creates the booking. A declined, expired or
+ * withdrawn offer passes the slot on to the next customer in line; the
+ * customer who turned it down stays on the waitlist for other slots.
+ *
+ * Offers expire through a delayed task ('waitlist.expire_offer'), with
+ * runWaitlistSweep as a backstop that also closes entries whose window ended.
+ */
+
+class WaitlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.status = status;
+  }
+}
+
+const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || 30);
+const MAX_WINDOW_DAYS = 31;
+const MAX_ACTIVE_ENTRIES = 10;
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+const BLOCKING_BOOKING_STATUSES = ['pending', 'confirmed', 'disputed'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Candidates looked at per freed slot
+const CANDIDATE_LIMIT = 50;
+
+/**
+ * Validate a waitlist window. Date-only bounds cover whole days in the pro's
+ * timezone, so { from: '2026-11-02', to: '2026-11-04' } waits for any slot
+ * over three days.
+ * @param {{ from: string, to?: string }} input
+ * @param {string} timeZone
+ * @returns {{ windowStart: Date, windowEnd: Date }}
+ * @throws {WaitlistError}
+ */
+function parseWindow(input, timeZone) {
+  const bound = (value, label, isEnd) => {
+    if (DATE_KEY_PATTERN.test(String(value ?? '')) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      return zonedTimeToUtc(value, isEnd ? 24 * 60 : 0, timeZone);
+    }
+    const date = new Date(value);
+    if (value == null || value === '' || Number.isNaN(date.getTime())) throw new WaitlistError(`Invalid ${label}`);
+    return date;
+  };
+  const windowStart = bound(input?.from, 'from', false);
+  const windowEnd = bound(input?.to ?? input?.from, 'to', true);
+  if (windowEnd <= windowStart) throw new WaitlistError('The window must end after it starts');
+  if (windowEnd <= new Date()) throw new WaitlistError('The window must end in the future');
+  if (windowEnd - windowStart > MAX_WINDOW_DAYS * DAY_MS) {
+    throw new WaitlistError(`A waitlist window can cover at most ${MAX_WINDOW_DAYS} days`);
+  }
+  return { windowStart, windowEnd };
+}
+
+/**
+ * Join a professional's waitlist
+ * @param {{ id: string }} user
+ * @param {Object} input - { professional, from, to, durationMinutes, price, service?, notes?, address?, city? }
+ * @returns {Promise<Object>} - The WaitlistEntry
+ * @throws {WaitlistError}
+ */
+async function joinWaitlist(user, input = {}) {
+  const { professional: professionalId, service, durationMinutes, price, notes, address, city } = input;
+  const professional = mongoose.Types.ObjectId.isValid(professionalId)
+    ? await Professional.findById(professionalId).select('user schedule')
+    : null;
+  if (!professional) throw new WaitlistError('Professional not found', 404);
+  if (String(professional.user) === String(user.id)) throw new WaitlistError('You cannot join your own waitlist');
+  const duration = Number(durationMinutes);
+  if (!Number.isInteger(duration) || duration < 15 || duration > 24 * 60) {
+    throw new WaitlistError('durationMinutes must be a whole number between 15 and 1440');
+  }
+  if (price == null || price === '' || !(Number(price) >= 0)) throw new WaitlistError('price is required');
+
+  const { windowStart, windowEnd } = parseWindow(input, professional.schedule?.timezone || DEFAULT_TIMEZONE);
+  if (windowEnd.getTime() - Math.max(windowStart.getTime(), Date.now()) < duration * MINUTE_MS) {
+    throw new WaitlistError('The window is too short for that duration');
+  }
+
+  const active = await WaitlistEntry.countDocuments({ customer: user.id, status: { $in: ACTIVE_STATUSES } });
+  if (active >= MAX_ACTIVE_ENTRIES) throw new WaitlistError(`You can be on at most ${MAX_ACTIVE_ENTRIES} waitlists at once`, 409);
+  const duplicate = await WaitlistEntry.exists({
+    customer: user.id,
+    professional: professional._id,
+    status: { $in: ACTIVE_STATUSES },
+    windowStart: { $lt: windowEnd },
+    windowEnd: { $gt: windowStart },
+  });
+  if (duplicate) throw new WaitlistError("You are already on this professional's waitlist for that window", 409);
+
+  return WaitlistEntry.create({
+    customer: user.id,
+    professional: professional._id,
+    service: service && mongoose.Types.ObjectId.isValid(service) ? service : undefined,
+    windowStart,
+    windowEnd,
+    durationMinutes: duration,
+    price: Number(price),
+    notes,
+    address,
+    city,
+  });
+}
+
+/**
+ * A customer's waitlist entries, newest first; waiting ones carry their place in line
+ * @param {string} customerId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listCustomerEntries(customerId) {
+  const entries = await WaitlistEntry.find({ customer: customerId }).sort({ createdAt: -1 }).limit(100);
+  const positions = await Promise.all(entries.map((entry) => entry.status === 'waiting'
+    && WaitlistEntry.countDocuments({ professional: entry.professional, status: 'waiting', createdAt: { $lt: entry.createdAt } })));
+  await WaitlistEntry.populate(entries, { path: 'professional', select: 'name category' });
+  return entries.map((entry, index) => ({
+    ...entry.toJSON(),
+    ...(entry.status === 'waiting' && { position: positions[index] + 1 }),
+  }));
+}
+
+/**
+ * Customers waiting for a professional, in the order slots are offered
+ * @param {string} professionalId
+ */
+const listProfessionalWaitlist = (professionalId) =>
+  WaitlistEntry.find({ professional: professionalId, status: { $in: ACTIVE_STATUSES } })
+    .populate('customer', 'name')
+    .sort({ createdAt: 1 });
+
+/**
+ * Load a waitlist entry of the customer's
+ * @throws {WaitlistError}
+ */
+async function getEntryForCustomer(entryId, user) {
+  const entry = await WaitlistEntry.findById(entryId).catch(() => null);
+  if (!entry) throw new WaitlistError('Waitlist entry not found', 404);
+  if (String(entry.customer) !== String(user.id)) throw new WaitlistError('Not authorized to access this waitlist entry', 403);
+  return entry;
+}
+
+/**
+ * A slot held for a waitlisted customer overlapping `start`-`end`, if any
+ * @param {string} professional - Professional id
+ * @param {Date} start
+ * @param {Date} end
+ * @param {{ customer?: string, now?: Date }} [options] - Holds for this customer are ignored
+ * @returns {Promise<Object|null>} - The WaitlistEntry holding it
+ */
+function findActiveHold(professional, start, end, { customer, now = new Date() } = {}) {
+  return WaitlistEntry.findOne({
+    professional,
+    status: 'offered',
+    ...(customer ? { customer: { $ne: customer } } : {}),
+    offers: { $elemMatch: { status: 'open', expiresAt: { $gt: now }, start: { $lt: end }, end: { $gt: start } } },
+  });
+}
+
+const openOffer = (entry) => entry.offers.find((offer) => offer.status === 'open') || null;
+
+async function sendOffer(entry, offer, io) {
+  const [customer, professional] = await Promise.all([
+    User.findById(entry.customer).select('name email'),
+    Professional.findById(entry.professional).select('name schedule.timezone'),
+  ]);
+  const timeZone = professional?.schedule?.timezone || DEFAULT_TIMEZONE;
+  const message = `A ${entry.durationMinutes}-minute slot${professional?.name ? ` with ${professional.name}` : ''} on ${
+    formatLocalDateTime(offer.start, timeZone)} is held for you until ${formatLocalDateTime(offer.expiresAt, timeZone)}. Accept it to book.`;
+  await notifyUser(entry.customer, {
+    type: 'waitlist_offer',
+    title: 'A Slot Opened Up',
+    message,
+    data: {
+      professionalId: entry.professional,
+      metadata: { waitlistEntryId: entry._id, offerId: offer._id, start: offer.start, expiresAt: offer.expiresAt },
+    },
+  }, io);
+  try {
+    await sendMail({
+      to: customer?.email,
+      subject: 'FixFinder - A slot opened up',
+      html: `<p>Hello ${customer?.name || ''},</p><p>${message}</p><p>Open your waitlist in FixFinder to accept or decline it. If you do nothing, the slot goes to the next customer in line.</p>`,
+    });
+  } catch (e) {}
+}
+
+/**
+ * Offer a free slot to the first waiting customer it suits. The slot runs
+ * from `start` to `slotEnd`; each customer is offered `start` plus their own
+ * duration. Customers already offered this start are passed over, and so is
+ * the customer of the cancelled booking the slot came from.
+ * @param {{ professional: string, start: Date, slotEnd: Date, sourceBooking?: string, io?: import('socket.io').Server, now?: Date }} slot
+ * @returns {Promise<Object|null>} - The entry now holding the slot
+ */
+async function offerSlot({ professional, start, slotEnd, sourceBooking, io, now = new Date() }) {
+  if (start <= now) return null;
+  const source = sourceBooking ? await Booking.findById(sourceBooking).select('customer') : null;
+  const candidates = await WaitlistEntry.find({
+    professional,
+    status: 'waiting',
+    windowStart: { $lte: start },
+    windowEnd: { $gt: start },
+    durationMinutes: { $lte: Math.floor((slotEnd - start) / MINUTE_MS) },
+    'offers.start': { $ne: start },
+    ...(source ? { customer: { $ne: source.customer } } : {}),
+  })
+    .sort({ createdAt: 1 })
+    .limit(CANDIDATE_LIMIT);
+
+  for (const candidate of candidates) {
+    const end = new Date(start.getTime() + candidate.durationMinutes * MINUTE_MS);
+    if (end > candidate.windowEnd) continue;
+    // Someone booked or was offered part of it in the meantime
+    const [overlapping, held] = await Promise.all([
+      Booking.exists({ professional, status: { $in: BLOCKING_BOOKING_STATUSES }, date: { $lt: end }, endAt: { $gt: start } }),
+      findActiveHold(professional, start, end, { now }),
+    ]);
+    if (overlapping || held) continue;
+
+    const expiresAt = new Date(Math.min(now.getTime() + HOLD_MINUTES * MINUTE_MS, start.getTime()));
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'waiting' },
+      { $set: { status: 'offered' }, $push: { offers: { start, end, slotEnd, expiresAt, sourceBooking, offeredAt: now } } },
+      { new: true }
+    );
+    if (!entry) continue;
+    const offer = openOffer(entry);
+    try {
+      await enqueueTask('waitlist.expire_offer', { entryId: String(entry._id), offerId: String(offer._id) }, {
+        runAt: expiresAt,
+        uniqueKey: `waitlist-offer:${offer._id}`,
+      });
+    } catch (error) {
+      // runWaitlistSweep expires it instead
+      console.error('Could not schedule waitlist offer expiry for entry', String(entry._id), error.message);
+    }
+    await sendOffer(entry, offer, io);
+    return entry;
+  }
+  return null;
+}
+
+/**
+ * Offer the slot of a cancelled booking to the waitlist
+ * @param {Object} booking - The cancelled booking
+ * @param {{ io?: import('socket.io').Server }} [options]
+ * @returns {Promise<Object|null>}
+ */
+function offerFreedSlot(booking, { io } = {}) {
+  return offerSlot({
+    professional: booking.professional,
+    start: booking.date,
+    slotEnd: booking.endAt,
+    sourceBooking: booking._id,
+    io,
+  });
+}
+
+/**
+ * Close the open offer on an entry and pass the slot on to the next customer
+ * @param {Object} entry
+ * @param {Object} offer
+ * @param {'declined'|'expired'|'withdrawn'} outcome
+ * @param {{ io?: import('socket.io').Server, leave?: boolean, now?: Date }} [options] - leave: the customer also leaves the waitlist
+ * @returns {Promise<Object|null>} - The updated entry, or null when the offer was already closed
+ */
+async function closeOffer(entry, offer, outcome, { io, leave = false, now = new Date() } = {}) {
+  const status = leave ? 'cancelled' : entry.windowEnd <= now ? 'expired' : 'waiting';
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', offers: { $elemMatch: { _id: offer._id, status: 'open' } } },
+    { $set: { status, 'offers.$.status': outcome, 'offers.$.respondedAt': now } },
+    { new: true }
+  );
+  if (!updated) return null;
+  // A slot taken by a booking in the meantime has nothing left to pass on
+  if (outcome !== 'withdrawn') {
+    try {
+      await offerSlot({ professional: entry.professional, start: offer.start, slotEnd: offer.slotEnd, sourceBooking: offer.sourceBooking, io, now });
+    } catch (error) {
+      console.error('Could not pass on waitlist slot for entry', String(entry._id), error.message);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Book the slot on offer
+ * @param {Object} entry
+ * @param {{ user: { id: string }, io?: import('socket.io').Server }} options
+ * @returns {Promise<{ entry: Object, booking: Object }>}
+ * @throws {WaitlistError}
+ */
+async function acceptOffer(entry, { user, io }) {
+  const offer = entry.status === 'offered' ? openOffer(entry) : null;
+  if (!offer) throw new WaitlistError('There is no slot on offer for this waitlist entry', 409);
+  const now = new Date();
+  if (offer.expiresAt <= now) throw new WaitlistError('This offer has expired', 409);
+
+  const overlapping = await Booking.exists({
+    professional: entry.professional,
+    status: { $in: BLOCKING_BOOKING_STATUSES },
+    date: { $lt: offer.end },
+    endAt: { $gt: offer.start },
+  });
+  if (overlapping || (await checkSchedule(entry.professional, offer.start, offer.end))) {
+    await closeOffer(entry, offer, 'withdrawn', { io, now });
+    throw new WaitlistError('That slot is no longer available; you are still on the waitlist', 409);
+  }
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', offers: { $elemMatch: { _id: offer._id, status: 'open' } } },
+    { $set: { status: 'booked', 'offers.$.status': 'accepted', 'offers.$.respondedAt': now } },
+    { new: true }
+  );
+  if (!claimed) throw new WaitlistError('This offer was changed in the meantime; reload and try again', 409);
+
+  // Required here: bookingPolicyService requires this module
+  const { getCancellationPolicy } = require('./bookingPolicyService');
+  const professional = await Professional.findById(entry.professional).select('cancellationPolicy');
+  let booking;
+  try {
+    booking = await Booking.create({
+      customer: entry.customer,
+      professional: entry.professional,
+      service: entry.service,
+      date: offer.start,
+      endAt: offer.end,
+      durationMinutes: entry.durationMinutes,
+      price: entry.price,
+      notes: entry.notes,
+      address: entry.address,
+      city: entry.city,
+      cancellationPolicy: getCancellationPolicy(professional),
+    });
+  } catch (error) {
+    // Put the offer back so the customer can try again while it lasts
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'booked' },
+      { $set: { status: 'offered', 'offers.$[offer].status': 'open' }, $unset: { 'offers.$[offer].respondedAt': 1 } },
+      { arrayFilters: [{ 'offer._id': offer._id }] }
+    );
+    throw error;
+  }
+  claimed.booking = booking._id;
+  await claimed.save();
+
+  await recordBookingEvent(booking, 'created', {
+    actor: user.id,
+    actorRole: 'customer',
+    fromStatus: null,
+    metadata: { waitlistEntryId: entry._id, sourceBooking: offer.sourceBooking },
+  });
+  try {
+    const [customer, professional] = await Promise.all([
+      User.findById(entry.customer).select('name email'),
+      Professional.findById(entry.professional).select('name user schedule.timezone'),
+    ]);
+    const when = formatLocalDateTime(booking.date, professional?.schedule?.timezone || DEFAULT_TIMEZONE);
+    if (professional?.user) {
+      await notifyUser(professional.user, {
+        type: 'waitlist_booked',
+        title: 'Waitlist Slot Booked',
+        message: `${customer?.name || 'A customer'} from your waitlist booked the freed slot on ${when}.`,
+        data: { professionalId: professional._id, metadata: { bookingId: booking._id, waitlistEntryId: entry._id } },
+      }, io);
+    }
+    await sendMail({
+      to: customer?.email,
+      subject: 'Booking Created',
+      html: `<p>Your booking with ${professional?.name} on ${when} for ${booking.durationMinutes} minutes was created from the waitlist.</p>`,
+      attachments: [buildBookingInvite(booking, { professional, customer })],
+    });
+  } catch (e) {}
+  return { entry: claimed, booking };
+}
+
+/**
+ * Turn down the slot on offer; the customer stays on the waitlist
+ * @throws {WaitlistError}
+ */
+async function declineOffer(entry, { io } = {}) {
+  const offer = entry.status === 'offered' ? openOffer(entry) : null;
+  if (!offer) throw new WaitlistError('There is no slot on offer for this waitlist entry', 409);
+  const updated = await closeOffer(entry, offer, 'declined', { io });
+  if (!updated) throw new WaitlistError('This offer was changed in the meantime; reload and try again', 409);
+  return updated;
+}
+
+/**
+ * Leave the waitlist, passing on any slot on offer
+ * @throws {WaitlistError}
+ */
+async function leaveWaitlist(entry, { io } = {}) {
+  if (!ACTIVE_STATUSES.includes(entry.status)) throw new WaitlistError(`This waitlist entry is already ${entry.status}`, 409);
+  const offer = entry.status === 'offered' ? openOffer(entry) : null;
+  const updated = offer
+    ? await closeOffer(entry, offer, 'declined', { io, leave: true })
+    : await WaitlistEntry.findOneAndUpdate({ _id: entry._id, status: 'waiting' }, { $set: { status: 'cancelled' } }, { new: true });
+  if (!updated) throw new WaitlistError('This waitlist entry was changed in the meantime; reload and try again', 409);
+  return updated;
+}
+
+/**
+ * Expire an offer once its hold is over (task 'waitlist.expire_offer')
+ * @param {{ entryId: string, offerId: string }} payload
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<boolean>} - Whether it expired now
+ */
+async function expireOffer({ entryId, offerId }, { io, now = new Date() } = {}) {
+  const entry = await WaitlistEntry.findById(entryId);
+  const offer = entry?.offers.id(offerId);
+  if (!offer || offer.status !== 'open' || offer.expiresAt > now) return false;
+  return Boolean(await closeOffer(entry, offer, 'expired', { io, now }));
+}
+
+/**
+ * Expire offers whose hold is over and close entries whose window has ended
+ * @param {{ io?: import('socket.io').Server, now?: Date }} [options]
+ * @returns {Promise<{ offersExpired: number, entriesExpired: number }>}
+ */
+async function runWaitlistSweep({ io, now = new Date() } = {}) {
+  const offered = await WaitlistEntry.find({
+    status: 'offered',
+    offers: { $elemMatch: { status: 'open', expiresAt: { $lte: now } } },
+  }).limit(200);
+  let offersExpired = 0;
+  for (const entry of offered) {
+    const offer = openOffer(entry);
+    if (offer && (await closeOffer(entry, offer, 'expired', { io, now }))) offersExpired += 1;
+  }
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: 'waiting', windowEnd: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return { offersExpired, entriesExpired: modifiedCount };
+}
+
+module.exports = {
+  WaitlistError,
+  parseWindow,
+  joinWaitlist,
+  listCustomerEntries,
+  listProfessionalWaitlist,
+  getEntryForCustomer,
+  findActiveHold,
+  offerSlot,
+  offerFreedSlot,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  expireOffer,
+  runWaitlistSweep,
+};